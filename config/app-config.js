@@ -27,6 +27,7 @@ export const APP_CONFIG = {
       'properNouns',
       'money',
       'quantities',
+      'percentages',
       'emails',
       'phones',
       'addresses',
@@ -35,6 +36,19 @@ export const APP_CONFIG = {
       'ips',
       'creditCards',
       'locations',
+      'coordinates',
+      'bankAccounts',
+      'nino',
+      'sin',
+      'aadhaar',
+      'insee',
+      'dni',
+      'cpf',
+      'passports',
+      'secrets',
+      'identifiers',
+      'crypto',
+      'usernames',
       'customRegex',
     ],
 
@@ -48,8 +62,13 @@ export const APP_CONFIG = {
 
     // Replacement Settings
     magnitudeVariance: 100, // ±100% for money and quantities (2x variance: value can range from 0 to 2x original)
+    percentageVariance: 30, // ±30% relative change for percentages, basis points and ratios (23.4% -> 16.4%-30.4%)
+    clampPercentages: true, // Keep unsigned percentages of 0-100% within 0-100%
     dateVarianceMonths: 2, // ±2 months for dates
+    dateOrder: 'auto', // 'auto' = infer from the page | 'mdy' = 01/06/2025 is Jan 6 | 'dmy' = 6 Jan
     redactionMode: 'random', // 'random' = replace with fake data | 'blackout' = black bars like legal docs
+    customPatternReplacement: 'fake', // 'fake' = same-format fake value | 'blackout' | 'token' = fixed token
+    customPatternToken: '[REDACTED]', // Token used by custom patterns with the 'token' strategy
 
     // Performance
     progressIndicatorThreshold: 500, // ms - show progress if processing takes longer
@@ -69,6 +88,14 @@ export const APP_CONFIG = {
     creditCard: /\b\d{4}[- ]?\d{4}[- ]?\d{4}[- ]?\d{4}\b/g,
   },
 
+  // UI PII types that cover several entity types
+  // (single-entity types map by name, e.g. 'emails' -> 'email')
+  piiTypeGroups: {
+    addresses: ['address', 'postcode'],
+    bankAccounts: ['iban', 'bic', 'routingNumber', 'sortCode', 'bankAccount'],
+    dates: ['date', 'time', 'timestamp'],
+  },
+
   // Proper Noun Detection Configuration
   properNounDetection: {
     // Minimum score required to protect a proper noun (0-1 scale)
@@ -87,6 +114,12 @@ export const APP_CONFIG = {
       matchesEmailDomain: 0.3, // Matches company name from nearby email domain
       insideLink: 0.25, // Text is inside an <a> tag (author bylines, profile links, company links)
       knownLocation: 0.5, // Matches known location in gazetteer (New York, Delaware, Paris, etc.)
+      knownFirstName: 0.3, // Matches a first name in the name gazetteer (not at sentence start)
+      knownLastName: 0.25, // Matches a last name in the name gazetteer (not at sentence start)
+      scriptNamePattern: 0.3, // Name-shaped text in a script without capitals (CJK, Arabic, Devanagari, Cyrillic)
+      labelContext: 0.5, // Follows or sits under a name label ("氏名：", "ФИО:", <th>Customer name</th>)
+      columnType: 0.5, // In a table column where most cells were confidently detected as names
+      semanticHint: 1.0, // Marked up as a name (itemprop="name", autocomplete="name", hCard "fn"), whatever else it scores
       appearsInPageLinks: 0.3, // Word appears in link text anywhere on page (positive signal)
       appearsInHeaderFooter: -0.5, // Word appears in header/footer elements (negative signal - likely UI/nav text)
       nonNounPOS: -0.5, // Adjective filtering using curated lists (nationality + common adjectives)
@@ -106,20 +139,79 @@ export const APP_CONFIG = {
     // Type priority system for conflict resolution
     // When multiple PII types overlap (e.g., "17" in "Jan 17, 2026"),
     // higher priority types win. Displayed in Settings (read-only).
+    // Tiers, from the top:
+    //   100     secrets, replaced whole
+    //   95-91   checksum-validated or anchored identifiers, addresses and timestamps, whose
+    //           digit groups would otherwise be split into dates, phones and quantities
+    //   90-75   dates, times and other structured data, usernames, custom patterns
+    //   70-60   numbers (money, percentages, quantities)
+    //   40-10   text and fuzzy matches (URLs, locations, proper nouns)
     typePriorities: {
-      // Structured data (highest priority - most precise)
+      // Secrets and credentials (top priority - a key or password must be replaced
+      // whole even when part of it also looks like a date, number or email)
+      secret: 100,
+
+      // Checksum-validated banking identifiers (above dates, whose bare-year
+      // pattern would otherwise split long account numbers)
+      iban: 95,
+      routingNumber: 95,
+      sortCode: 95,
+      bankAccount: 95,
+
+      // Checksum-validated national IDs (INSEE and Aadhaar digit groups would
+      // otherwise be split into dates, phones and quantities)
+      nino: 95,
+      sin: 95,
+      aadhaar: 95,
+      insee: 95,
+      dni: 95,
+      cpf: 95,
+      // Keyword-anchored, no checksum
+      passport: 93,
+
+      // Checksum-validated wallet addresses and transaction hashes (hex and base58 runs
+      // would otherwise be split into phones, quantities and dates)
+      crypto: 95,
+
+      // Postal addresses (above dates/quantities, which would otherwise claim
+      // house numbers and 4-digit postcodes like "NSW 2000" as quantities or years)
+      address: 92,
+      postcode: 91,
+
+      // Opaque identifiers (above dates/quantities, so "INV-2024-0042" isn't split
+      // into a year and a number)
+      identifier: 91,
+
+      // Timestamps (above dates, so "Jan 5, 2025 3:42 PM" is shifted as one value
+      // and a time crossing midnight can move its date)
+      timestamp: 91,
+
+      // Structured data (below the identifiers above, which contain date-like digits)
       date: 90,
+      time: 89,
+      // Coordinates (above phones and quantities, which would otherwise take "+37.7749"
+      // or the bare numbers of a lat/long pair)
+      coordinates: 88,
       email: 85,
       phone: 80,
       ssn: 80,
       creditCard: 80,
+      bic: 80,
+
+      // Usernames (above URLs and proper nouns, so only the user segment of a
+      // profile URL is replaced and "@JaneDoe" stays a handle)
+      username: 78,
+
+      // User-defined regex patterns (default - each pattern may set its own priority)
+      customRegex: 75,
 
       // Numeric data (medium-high priority)
       money: 70,
+      // Percentages (above quantities, which would otherwise take the bare number)
+      percentage: 65,
       quantity: 60,
 
       // Text data (medium priority)
-      address: 50,
       url: 40,
 
       // Geographic/fuzzy (low priority)
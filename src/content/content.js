@@ -215,6 +215,20 @@ if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage)
           });
         return true; // Indicates async response
 
+      case 'CUSTOM_PATTERNS_CHANGED':
+        // User added/removed custom regex patterns - reload them and refresh highlights
+        console.log('[SafeSnap] Custom patterns changed, reloading');
+        (detector ? detector.loadCustomPatterns() : Promise.resolve(0))
+          .then(() => refreshHighlightsWithSettings())
+          .then(() => {
+            sendResponse({ success: true });
+          })
+          .catch((error) => {
+            console.error('[SafeSnap] Error reloading custom patterns:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Indicates async response
+
       case 'toggleDebugMode':
         if (message.enabled) {
           enableDebugMode();
@@ -250,7 +264,10 @@ async function protectPII(enabledTypes) {
 
   // Apply user settings to replacer
   replacer.setMagnitudeVariance(getSetting('magnitudeVariance'));
+  replacer.setPercentageVariance(getSetting('percentageVariance'));
+  replacer.setClampPercentages(getSetting('clampPercentages'));
   replacer.setRedactionMode(getSetting('redactionMode'));
+  replacer.setDateOrder(getSetting('dateOrder'));
 
   try {
     // Call core protection logic
@@ -91,11 +91,26 @@ async function getEnabledPIITypes() {
       'phones',
       'money',
       'quantities',
+      'percentages',
       'addresses',
       'dates',
       'urls',
       'ips',
       'creditCards',
+      'coordinates',
+      'bankAccounts',
+      'nino',
+      'sin',
+      'aadhaar',
+      'insee',
+      'dni',
+      'cpf',
+      'passports',
+      'secrets',
+      'identifiers',
+      'crypto',
+      'usernames',
+      'customRegex',
     ];
   }
   try {
@@ -110,11 +125,26 @@ async function getEnabledPIITypes() {
         'phones',
         'money',
         'quantities',
+        'percentages',
         'addresses',
         'dates',
         'urls',
         'ips',
         'creditCards',
+        'coordinates',
+        'bankAccounts',
+        'nino',
+        'sin',
+        'aadhaar',
+        'insee',
+        'dni',
+        'cpf',
+        'passports',
+        'secrets',
+        'identifiers',
+        'crypto',
+        'usernames',
+        'customRegex',
       ];
     }
 
@@ -136,11 +166,26 @@ async function getEnabledPIITypes() {
       'phones',
       'money',
       'quantities',
+      'percentages',
       'addresses',
       'dates',
       'urls',
       'ips',
       'creditCards',
+      'coordinates',
+      'bankAccounts',
+      'nino',
+      'sin',
+      'aadhaar',
+      'insee',
+      'dni',
+      'cpf',
+      'passports',
+      'secrets',
+      'identifiers',
+      'crypto',
+      'usernames',
+      'customRegex',
     ];
   }
 }
@@ -472,11 +517,33 @@ function createHighlight(candidate) {
       'phone',
       'money',
       'quantity',
+      'percentage',
       'address',
+      'postcode',
       'url',
       'creditCard',
       'date',
+      'time',
+      'timestamp',
       'ip',
+      'iban',
+      'bic',
+      'routingNumber',
+      'sortCode',
+      'bankAccount',
+      'nino',
+      'sin',
+      'aadhaar',
+      'insee',
+      'dni',
+      'cpf',
+      'passport',
+      'secret',
+      'identifier',
+      'crypto',
+      'coordinates',
+      'username',
+      'customRegex',
     ];
     if (patternTypes.includes(type)) {
       backgroundColor = 'rgba(59, 130, 246, 0.2)'; // Blue for pattern matches
@@ -699,13 +766,39 @@ function createHighlight(candidate) {
           date: 'Date',
           money: 'Money',
           address: 'Address',
+          postcode: 'Postcode',
           url: 'URL',
           ipAddress: 'IP Address',
           location: 'Location',
           properNoun: 'Proper Noun',
           quantity: 'Quantity',
+          percentage: 'Percentage',
+          time: 'Time',
+          timestamp: 'Timestamp',
+          iban: 'IBAN',
+          bic: 'SWIFT/BIC',
+          routingNumber: 'Routing Number',
+          sortCode: 'Sort Code',
+          bankAccount: 'Bank Account',
+          nino: 'National Insurance No.',
+          sin: 'SIN',
+          aadhaar: 'Aadhaar',
+          insee: 'INSEE No.',
+          dni: 'DNI/NIE',
+          cpf: 'CPF',
+          passport: 'Passport No.',
+          secret: 'Secret',
+          identifier: 'Identifier',
+          crypto: 'Crypto Address',
+          coordinates: 'Coordinates',
+          username: 'Username',
+          customRegex: 'Custom Pattern',
         };
-        const typeName = typeNames[candidate.type] || candidate.type;
+        // Custom patterns show their user-defined label (e.g. "Account ID")
+        const typeName =
+          (candidate.type === 'customRegex' && candidate.context?.label) ||
+          typeNames[candidate.type] ||
+          candidate.type;
 
         // Build tooltip with: Type, Value, Confidence, Score Breakdown
         const valueLabel = showingOriginal ? 'Original' : 'Value';
@@ -5,6 +5,7 @@
 
 import { TextExtractor } from '../../detection/text-extractor.js';
 import { PIIDictionary } from '../../detection/pii-dictionary.js';
+import { TableArithmetic } from '../../replacement/table-arithmetic.js';
 import { updateStatusPanel } from './notification-panel.js';
 import { isHighlightEnabled } from './highlight-mode.js';
 
@@ -120,6 +121,12 @@ export async function protectPII(enabledTypes, detector, replacer, consistencyMa
     console.time('[Phase 3] Build Dictionary');
     const piiDictionary = new PIIDictionary();
     piiDictionary.buildFrom(candidates, textMap);
+    // Values the markup says are PII (itemprop, autocomplete, hCard) are replaced
+    // everywhere they appear, including values only typed into form fields
+    piiDictionary.addHintedValues(
+      [...candidates.filter((c) => c.hint), ...detector.semanticHints.getFormValues(document)],
+      textMap
+    );
     console.timeEnd('[Phase 3] Build Dictionary');
     console.log(`[Phase 3] Dictionary: ${piiDictionary.entities.size} unique entities`);
 
@@ -178,6 +185,15 @@ export async function protectPII(enabledTypes, detector, replacer, consistencyMa
               node: firstNode,
               nodeText: seg.segment.text,
               spansMultipleNodes: true,
+              // The part of the entity in each node, relative to that node
+              nodeParts: seg.nodes.map((nodeInfo) => ({
+                node: nodeInfo.node,
+                start:
+                  Math.max(seg.segmentRelativeStart, nodeInfo.startInSegment) -
+                  nodeInfo.startInSegment,
+                end:
+                  Math.min(seg.segmentRelativeEnd, nodeInfo.endInSegment) - nodeInfo.startInSegment,
+              })),
             });
           }
         }
@@ -217,11 +233,23 @@ export async function protectPII(enabledTypes, detector, replacer, consistencyMa
     // Auto-link related entities
     consistencyMapper.autoLinkRelated(entities);
 
+    // Read ambiguous numeric dates ("06/01/2025") in the order the page's other dates use
+    replacer.inferDateOrder(
+      entities.filter((e) => e.type === 'date' || e.type === 'timestamp').map((e) => e.original),
+      document.documentElement.lang
+    );
+
     // Phase 1: Generate all replacements and build consistency map
     console.time('Generate Replacements');
     const replacementMap = new Map(); // Map of type+original -> replacement
 
-    for (const entity of entities) {
+    // Usernames go last so they can follow the linked person's replaced name and email
+    const generationOrder = [
+      ...entities.filter((e) => e.type !== 'username'),
+      ...entities.filter((e) => e.type === 'username'),
+    ];
+
+    for (const entity of generationOrder) {
       const { original, type } = entity;
 
       // Skip entities without valid original text
@@ -262,6 +290,10 @@ export async function protectPII(enabledTypes, detector, replacer, consistencyMa
     }
     console.timeEnd('Generate Replacements');
 
+    // Recompute table totals and line amounts so the replaced figures still add up
+    const recomputed = new TableArithmetic(replacer).apply(entities, replacementMap);
+    console.log(`[SafeSnap] Recomputed ${recomputed} table figures`);
+
     // Phase 2: Apply replacements ONLY to detected positions (not all occurrences)
     console.time('Apply Replacements');
     const replacementCount = applyReplacements(entities, replacementMap);
@@ -269,7 +301,7 @@ export async function protectPII(enabledTypes, detector, replacer, consistencyMa
     console.log(`Applied replacements to ${replacementCount} occurrences`);
 
     // Protect form inputs
-    protectFormInputs(enabledTypes, detector, consistencyMapper);
+    protectFormInputs(enabledTypes, detector, replacer, consistencyMapper);
 
     isPIIProtected = true;
     lastEntityCount = entities.length;
@@ -304,22 +336,65 @@ function generateReplacement(type, original, context, replacer) {
       return replacer.replacePhone(original);
     case 'money':
       return replacer.replaceMoney(original);
+    case 'percentage':
+      return replacer.replacePercentage(original);
     case 'quantity':
       return replacer.replaceQuantity(original);
     case 'url':
       return replacer.replaceURL(original);
     case 'address':
       return replacer.replaceAddress(original);
+    case 'postcode':
+      return replacer.replacePostcode(original);
     case 'date':
       return replacer.replaceDate(original);
+    case 'time':
+      return replacer.replaceTime(original);
+    case 'timestamp':
+      return replacer.replaceTimestamp(original);
     case 'ssn':
       return replacer.replaceSSN(original);
+    case 'secret':
+      return replacer.replaceSecret(original);
+    case 'identifier':
+      return replacer.replaceIdentifier(original);
+    case 'crypto':
+      return replacer.replaceCrypto(original);
+    case 'username':
+      return replacer.replaceUsername(original);
+    case 'nino':
+      return replacer.replaceNINO(original);
+    case 'sin':
+      return replacer.replaceSIN(original);
+    case 'aadhaar':
+      return replacer.replaceAadhaar(original);
+    case 'insee':
+      return replacer.replaceINSEE(original);
+    case 'dni':
+      return replacer.replaceDNI(original);
+    case 'cpf':
+      return replacer.replaceCPF(original);
+    case 'passport':
+      return replacer.replacePassport(original);
     case 'creditCard':
       return replacer.replaceCreditCard(original);
     case 'ipAddress':
       return replacer.replaceIPAddress(original);
+    case 'iban':
+      return replacer.replaceIBAN(original);
+    case 'bic':
+      return replacer.replaceBIC(original);
+    case 'routingNumber':
+      return replacer.replaceRoutingNumber(original);
+    case 'sortCode':
+    case 'bankAccount':
+      return replacer.replaceBankAccount(original);
     case 'location':
       return replacer.replaceLocation(original);
+    case 'coordinates':
+      return replacer.replaceCoordinates(original);
+    case 'customRegex':
+      return replacer.replaceCustomPattern(original, context);
     default:
       return original;
   }
@@ -353,7 +428,12 @@ function applyReplacements(entities, replacementMap) {
   const seenEntityKeys = new Map();
   const deduplicatedEntities = [];
 
-  for (const entity of entities) {
+  // Entities split over adjacent inline nodes are replaced one node at a time
+  const nodeEntities = entities.flatMap((entity) =>
+    entity.nodeParts ? splitIntoNodeParts(entity, replacementMap) : [entity]
+  );
+
+  for (const entity of nodeEntities) {
     // Create a unique key using the DOM node object reference (not text content)
     // This ensures two identical text nodes in different locations are treated as separate entities
     const nodeKey = entity.node; // The actual DOM node object
@@ -428,9 +508,10 @@ function applyReplacements(entities, replacementMap) {
     for (const entity of sorted) {
       const { original, type, start, end } = entity;
       const key = `${type}:${original}`;
-      const replacement = replacementMap.get(key);
+      // Recomputed table figures and parts of split entities carry their own replacement
+      const replacement = entity.replacement ?? replacementMap.get(key);
 
-      if (!replacement) {
+      if (replacement === undefined) {
         console.warn('[SafeSnap] No replacement found for:', key);
         continue;
       }
@@ -653,19 +734,63 @@ function handleCrossNodeEntities(crossNodeEntities, replacementMap) {
   return replacementCount;
 }
 
+/**
+ * Split an entity spread over adjacent text nodes of one segment into one entity per node
+ * Each part gets its share of the replacement: where a node boundary falls at an "@"
+ * ("<span>jane</span><span>@acme.com</span>") the replacement is split at its own "@",
+ * other boundaries split it in proportion
+ * @private
+ * @param {Object} entity - Entity with nodeParts ({ node, start, end } relative to each node)
+ * @param {Map<string, string>} replacementMap - type:original -> replacement
+ * @returns {Array<Object>} Part entities, or the entity itself if the nodes no longer hold it
+ */
+function splitIntoNodeParts(entity, replacementMap) {
+  const { original, type, nodeParts } = entity;
+  const replacement = entity.replacement || replacementMap.get(`${type}:${original}`);
+  const pieces = nodeParts.map(({ node, start, end }) => node.textContent.substring(start, end));
+  if (!replacement || pieces.join('') !== original) {
+    return [entity];
+  }
+
+  const at = replacement.indexOf('@');
+  let offset = 0;
+  let from = 0;
+  return nodeParts.map((part, i) => {
+    offset += pieces[i].length;
+    let to = Math.round((offset / original.length) * replacement.length);
+    if (at !== -1 && original[offset] === '@') to = at;
+    if (at !== -1 && original[offset - 1] === '@') to = at + 1;
+    if (i === nodeParts.length - 1) to = replacement.length;
+
+    const partEntity = {
+      ...entity,
+      original: pieces[i],
+      replacement: replacement.slice(from, Math.max(from, to)),
+      start: part.start,
+      end: part.end,
+      node: part.node,
+      nodeText: part.node.textContent,
+      spansMultipleNodes: false,
+      nodeParts: undefined,
+    };
+    from = Math.max(from, to);
+    return partEntity;
+  });
+}
+
 /**
  * Protect form inputs
  * @private
  */
-function protectFormInputs(enabledTypes, detector, consistencyMapper) {
+function protectFormInputs(enabledTypes, detector, replacer, consistencyMapper) {
   const inputs = document.querySelectorAll(
-    'input[type="text"], input[type="email"], input[type="tel"], textarea, select'
+    'input[type="text"], input[type="email"], input[type="tel"], input[type="search"], input:not([type]), textarea, select'
   );
 
   inputs.forEach((input) => {
     if (input.value && input.value.trim()) {
       const original = input.value;
-      const entities = detector.detectInText(original, enabledTypes);
+      const entities = detector.detectInField(input, enabledTypes);
 
       if (entities.length > 0) {
         // Store original
@@ -684,6 +809,15 @@ function protectFormInputs(enabledTypes, detector, consistencyMapper) {
           let replacement;
           if (consistencyMapper.has(entity.type, entity.original)) {
             replacement = consistencyMapper.get(entity.type, entity.original);
+          } else if (entity.hint) {
+            // Hinted values are replaced even when the page text doesn't hold them
+            replacement = generateReplacement(
+              entity.type,
+              entity.original,
+              entity.context,
+              replacer
+            );
+            consistencyMapper.set(entity.type, entity.original, replacement);
           } else {
             replacement = entity.original; // Fallback
           }
@@ -1,15 +1,50 @@
 /**
  * Dictionary Module
  *
- * Manages word dictionary for distinguishing proper nouns from common words.
- * Contains a curated list of common English words to improve detection accuracy.
+ * Manages word dictionaries for distinguishing proper nouns from common words.
+ * Contains curated lists of common words for English, German, French, Spanish, Italian,
+ * Portuguese and Dutch, and picks one per page or text segment from its declared or
+ * guessed language (English words count as common in every language, as UI text often
+ * mixes them in). German and Dutch compounds count as common when they end in a common
+ * word of their language.
  */
 
 import { enDictionary } from '../dictionaries/en.js';
+import { deDictionary } from '../dictionaries/de.js';
+import { frDictionary } from '../dictionaries/fr.js';
+import { esDictionary } from '../dictionaries/es.js';
+import { itDictionary } from '../dictionaries/it.js';
+import { ptDictionary } from '../dictionaries/pt.js';
+import { nlDictionary } from '../dictionaries/nl.js';
+import { LanguageGuesser } from './language-guesser.js';
+
+// Language used when a page neither declares nor reveals one
+export const DEFAULT_LANGUAGE = 'en';
+
+// Languages that write compound nouns as one word ("Kontoeinstellungen", "bezorgadres"),
+// whose compounds count as common when they end in a common word
+const COMPOUNDING_LANGUAGES = new Set(['de', 'nl']);
+
+// Shortest parts of a compound, so short endings ("-mann", "-berg") don't swallow names
+const MIN_COMPOUND_HEAD = 3;
+const MIN_COMPOUND_TAIL = 5;
+
+const LANGUAGE_DICTIONARIES = {
+  en: enDictionary,
+  de: deDictionary,
+  fr: frDictionary,
+  es: esDictionary,
+  it: itDictionary,
+  pt: ptDictionary,
+  nl: nlDictionary,
+};
 
 export class Dictionary {
   constructor() {
-    this.dictionary = new Set();
+    this.dictionary = new Set(); // English common words
+    this.dictionaries = new Map(); // language code → common words
+    this.language = DEFAULT_LANGUAGE; // Page language, used when a lookup names none
+    this.languageGuesser = null;
     this.isLoaded = false;
   }
 
@@ -29,15 +64,26 @@ export class Dictionary {
    */
   async loadDictionary() {
     try {
-      const words = this._getCommonWords();
-      this.dictionary = new Set(words.map((w) => w.toLowerCase()));
+      const wordLists = this._getCommonWordLists();
+      this.dictionaries = new Map(
+        Object.entries(wordLists).map(([language, words]) => [
+          language,
+          new Set(words.map((w) => w.toLowerCase())),
+        ])
+      );
+      this.dictionary = this.dictionaries.get(DEFAULT_LANGUAGE);
+      this.languageGuesser = new LanguageGuesser(wordLists);
       this.isLoaded = true;
 
-      console.log(`[SafeSnap Dictionary] Dictionary loaded: ${this.dictionary.size} words`);
+      console.log(
+        `[SafeSnap Dictionary] Dictionary loaded: ${this.dictionary.size} words, ` +
+          `languages: ${[...this.dictionaries.keys()].join(', ')}`
+      );
     } catch (error) {
       console.error('[SafeSnap Dictionary] Failed to load dictionary:', error);
       // Fallback to minimal set
       this.dictionary = new Set(this._getCommonWords().map((w) => w.toLowerCase()));
+      this.dictionaries = new Map([[DEFAULT_LANGUAGE, this.dictionary]]);
       this.isLoaded = true;
     }
   }
@@ -45,22 +91,59 @@ export class Dictionary {
   /**
    * Check if a word is in the dictionary
    * @param {string} word - Word to check
+   * @param {string} [language] - Language code of the text the word is in (defaults to
+   *   the page language)
    * @returns {boolean} True if word is in dictionary
    */
-  isCommonWord(word) {
+  isCommonWord(word, language = this.language) {
     const normalized = word.toLowerCase().trim();
-    return this.dictionary.has(normalized);
+    const languageWords = this.dictionaries.get(language);
+    return (
+      this.dictionary.has(normalized) ||
+      Boolean(languageWords?.has(normalized)) ||
+      (COMPOUNDING_LANGUAGES.has(language) && this._isCompound(normalized, languageWords))
+    );
   }
 
   /**
    * Check if entire phrase consists of common words
    * @param {string} phrase - Phrase to check
+   * @param {string} [language] - Language code of the phrase (defaults to the page language)
    * @returns {boolean} True if all words are common
    */
-  isCommonPhrase(phrase) {
+  isCommonPhrase(phrase, language = this.language) {
     if (!phrase || phrase.trim() === '') return true;
     const words = phrase.trim().split(/\s+/);
-    return words.every((word) => this.isCommonWord(word));
+    return words.every((word) => this.isCommonWord(word, language));
+  }
+
+  /**
+   * Map a language tag to a supported dictionary language ("de-AT" → "de")
+   * @param {string} tag - BCP 47 language tag, e.g. from <html lang>
+   * @returns {string|null} Language code, or null if there is no dictionary for it
+   */
+  resolveLanguage(tag) {
+    const language = (tag || '').trim().toLowerCase().split(/[-_]/)[0];
+    return Object.keys(LANGUAGE_DICTIONARIES).includes(language) ? language : null;
+  }
+
+  /**
+   * Set the page language, used for lookups that don't name one
+   * @param {string} tag - Language tag; unsupported tags fall back to English
+   * @returns {string} Language now in use
+   */
+  setLanguage(tag) {
+    this.language = this.resolveLanguage(tag) || DEFAULT_LANGUAGE;
+    return this.language;
+  }
+
+  /**
+   * Guess the language of a text from its character trigrams
+   * @param {string} text - Text to guess the language of
+   * @returns {string|null} Language code, or null if the text is too short or ambiguous
+   */
+  guessLanguage(text) {
+    return this.languageGuesser ? this.languageGuesser.guess(text) : null;
   }
 
   /**
@@ -70,10 +153,28 @@ export class Dictionary {
   getStats() {
     return {
       dictionarySize: this.dictionary.size,
+      languages: [...this.dictionaries.keys()],
+      language: this.language,
       isLoaded: this.isLoaded,
     };
   }
 
+  /**
+   * Check if a word is a compound ending in a common word ("kontoeinstellungen" ends in
+   * "einstellungen")
+   * @private
+   * @param {string} word - Lowercase word to check
+   * @param {Set<string>} [languageWords] - Common words of the word's language
+   * @returns {boolean} True if the word ends in a common word after a head of its own
+   */
+  _isCompound(word, languageWords) {
+    if (!languageWords) return false;
+    for (let split = MIN_COMPOUND_HEAD; word.length - split >= MIN_COMPOUND_TAIL; split++) {
+      if (languageWords.has(word.slice(split))) return true;
+    }
+    return false;
+  }
+
   /**
    * Get common words from centralized dictionary
    * @private
@@ -83,4 +184,18 @@ export class Dictionary {
     // Load common words from centralized dictionary and remove duplicates
     return [...new Set(enDictionary.commonWords)];
   }
+
+  /**
+   * Get the common words of every supported language
+   * @private
+   * @returns {Object<string, Array<string>>} Common words by language code
+   */
+  _getCommonWordLists() {
+    return Object.fromEntries(
+      Object.entries(LANGUAGE_DICTIONARIES).map(([language, { commonWords }]) => [
+        language,
+        [...new Set(commonWords)],
+      ])
+    );
+  }
 }
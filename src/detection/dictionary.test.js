@@ -132,6 +132,69 @@ describe('Dictionary', () => {
     });
   });
 
+  describe('Languages', () => {
+    beforeEach(async () => {
+      await dictionary.initialize();
+    });
+
+    test('should load a dictionary per language', () => {
+      expect(dictionary.getStats().languages).toEqual(['en', 'de', 'fr', 'es', 'it', 'pt', 'nl']);
+    });
+
+    test('should look words up in the given language', () => {
+      expect(dictionary.isCommonWord('Bestellung', 'de')).toBe(true);
+      expect(dictionary.isCommonWord('Commande', 'fr')).toBe(true);
+      expect(dictionary.isCommonWord('Pedido', 'es')).toBe(true);
+      expect(dictionary.isCommonWord('Bestellung', 'fr')).toBe(false);
+      expect(dictionary.isCommonWord('Müller', 'de')).toBe(false);
+    });
+
+    test('should default to the page language', () => {
+      expect(dictionary.isCommonWord('Bestellung')).toBe(false);
+
+      dictionary.setLanguage('de-AT');
+
+      expect(dictionary.language).toBe('de');
+      expect(dictionary.isCommonWord('Bestellung')).toBe(true);
+      expect(dictionary.isCommonPhrase('die neue Bestellung')).toBe(true);
+    });
+
+    test('should count German and Dutch compounds of common words as common', () => {
+      expect(dictionary.isCommonWord('Kundenkontoeinstellungen', 'de')).toBe(true);
+      expect(dictionary.isCommonWord('Pakketbezorging', 'nl')).toBe(true);
+      expect(dictionary.isCommonWord('Hoffmann', 'de')).toBe(false);
+      expect(dictionary.isCommonWord('Weinberg', 'de')).toBe(false);
+      expect(dictionary.isCommonWord('Kundenkontoeinstellungen', 'fr')).toBe(false);
+    });
+
+    test('should count English words as common in every language', () => {
+      expect(dictionary.isCommonWord('the', 'de')).toBe(true);
+      expect(dictionary.isCommonWord('account', 'nl')).toBe(true);
+    });
+
+    test('should resolve language tags to supported dictionaries', () => {
+      expect(dictionary.resolveLanguage('pt-BR')).toBe('pt');
+      expect(dictionary.resolveLanguage('NL')).toBe('nl');
+      expect(dictionary.resolveLanguage('ja')).toBeNull();
+      expect(dictionary.resolveLanguage('')).toBeNull();
+      expect(dictionary.resolveLanguage(null)).toBeNull();
+    });
+
+    test('should fall back to English for unsupported languages', () => {
+      dictionary.setLanguage('de');
+
+      expect(dictionary.setLanguage('ja')).toBe('en');
+      expect(dictionary.language).toBe('en');
+    });
+
+    test('should guess the language of a text', () => {
+      expect(dictionary.guessLanguage('Die Bestellung wurde heute an Herrn Weber versandt.')).toBe(
+        'de'
+      );
+      expect(dictionary.guessLanguage('Merci')).toBeNull();
+    });
+  });
+
   describe('getStats', () => {
     test('should return correct stats before initialization', () => {
       const stats = dictionary.getStats();
@@ -0,0 +1,199 @@
+/**
+ * Entity Classifier Module
+ *
+ * Labels proper-noun candidates as a person, organization, product or place, so each one
+ * is replaced from the matching pool ("Salesforce" becomes a company, not "Jennifer Martinez").
+ * Evidence comes from:
+ * - Corporate suffixes ("Acme Corp", "Initech, Inc.") and CompanyPool.isLikelyCompany
+ * - Email domains nearby ("Acme" next to jane@acme.com)
+ * - Surrounding verbs and phrases ("acquired", "CEO of", "said", "launched")
+ * - Possessives ("Salesforce's revenue", "John's wife")
+ * - Gazetteers (first and last names, organizations, products, locations)
+ */
+
+import { enDictionary } from '../dictionaries/en.js';
+import { CompanyPool } from '../replacement/company-pool.js';
+
+// Labels in tie-break order
+export const ENTITY_LABELS = ['person', 'organization', 'product', 'place'];
+
+// Label used when nothing points either way (replaced as a person, as before)
+export const UNDECIDED_LABEL = 'company_or_person';
+
+export const CORPORATE_SUFFIX =
+  /^(?:Inc|LLC|Corp|Corporation|Ltd|Limited|Co|LP|LLP|PLC|GmbH|AG|SA|NV|BV|Group|Holdings)$/;
+
+// Cues in the text just before the candidate
+const CUES_BEFORE = [
+  {
+    label: 'organization',
+    weight: 2,
+    pattern:
+      /\b(?:(?:CEO|CTO|CFO|COO|founder|co-founder|president|chairman|head|director|VP|employees?|engineer|shares|subsidiary|division) (?:of|at)|acquired|acquisition of|(?:works?|worked|working) (?:at|for)|joined|employed by|partnered with|invested in|spun off from)\s+$/i,
+  },
+  {
+    label: 'product',
+    weight: 2,
+    pattern:
+      /\b(?:launched|released|unveiled|shipped|download(?:ed)?|install(?:ed)?|using|upgraded? to|the new|the latest|an? new)\s+$/i,
+  },
+  {
+    label: 'place',
+    weight: 2,
+    pattern: /\b(?:based in|lives in|lived in|moved to|born in|located in|flew to|visited)\s+$/i,
+  },
+  { label: 'place', weight: 1, pattern: /\b(?:in|near)\s+$/i },
+  {
+    label: 'person',
+    weight: 1,
+    pattern: /\b(?:told|asked|thanked|met|married|according to|dear|hi|hello|with)\s+$/i,
+  },
+];
+
+// Cues in the text just after the candidate
+const CUES_AFTER = [
+  {
+    label: 'person',
+    weight: 2,
+    pattern:
+      /^,?\s+(?:said|says|wrote|told|asked|explained|added|replied|who|(?:is|was) born)\b|^,\s*(?:aged?\s*)?\d{1,3},/i,
+  },
+  {
+    label: 'organization',
+    weight: 2,
+    pattern:
+      /^,?\s+(?:announced|acquired|reported|shares|stock|headquarters|employees|customers|spokes(?:person|man|woman)|CEO|CTO|CFO|(?:is|was) headquartered)\b/i,
+  },
+  {
+    label: 'product',
+    weight: 2,
+    pattern: /^\s+(?:\d+\b|Pro|Max|Plus|Mini|Air|Ultra|app|update|version|v\d|users)\b/,
+  },
+];
+
+// Nouns after a possessive ("X's ...") that say what X is
+const POSSESSIONS = {
+  person: [
+    'wife',
+    'husband',
+    'son',
+    'daughter',
+    'mother',
+    'father',
+    'sister',
+    'brother',
+    'family',
+    'friend',
+    'birthday',
+    'career',
+    'home',
+  ],
+  organization: [
+    'revenue',
+    'shares',
+    'stock',
+    'ceo',
+    'board',
+    'employees',
+    'customers',
+    'headquarters',
+    'earnings',
+    'profits',
+    'subsidiary',
+    'acquisition',
+  ],
+  product: ['battery', 'screen', 'camera', 'features', 'release', 'version', 'interface'],
+  place: ['mayor', 'population', 'streets', 'residents', 'suburbs', 'airport'],
+};
+
+// Word endings typical of company names ("Microsoft", "Salesforce", "Fintech")
+const COMPANY_ENDING =
+  /^[A-Z][a-z]{2,}(?:soft|tech|force|bank|labs|works|ware|systems|media|group)$/;
+
+export class EntityClassifier {
+  constructor() {
+    this.companyPool = new CompanyPool();
+
+    const lower = (list) => new Set(list.map((word) => word.toLowerCase()));
+    this.firstNames = lower([...enDictionary.firstNames.male, ...enDictionary.firstNames.female]);
+    this.lastNames = lower(enDictionary.lastNames);
+    this.organizations = lower(enDictionary.knownOrganizations);
+    this.products = lower(enDictionary.knownProducts);
+    this.locations = lower(enDictionary.worldLocations);
+  }
+
+  /**
+   * Classify a proper-noun candidate
+   * @param {Object} candidate - Candidate with original, start, end, context and scoreBreakdown
+   * @param {string} text - Text the candidate was found in
+   * @returns {Object} { label, votes, evidence } where label is one of ENTITY_LABELS, or
+   *   UNDECIDED_LABEL when there is no evidence
+   */
+  classify(candidate, text) {
+    const votes = Object.fromEntries(ENTITY_LABELS.map((label) => [label, 0]));
+    const evidence = [];
+    const vote = (label, weight, reason) => {
+      votes[label] += weight;
+      evidence.push(`${label}:${reason}`);
+    };
+
+    const { start, end } = candidate;
+    const breakdown = candidate.scoreBreakdown || {};
+    // Candidates include a possessive "'s" ("Hooli's"); classify the name without it
+    const isPossessive = /['’]s$/.test(candidate.original);
+    const original = isPossessive ? candidate.original.slice(0, -2) : candidate.original;
+    const words = original.split(/\s+/);
+    const before = text.slice(Math.max(0, start - 30), start);
+    const after = text.slice(end, end + 30);
+
+    // Honorifics, job titles and merged full names already mark a person
+    if (candidate.context === 'person') {
+      vote('person', 2, breakdown.hasHonorificOrSuffix_detail || 'full_name');
+    }
+
+    // Name gazetteers
+    if (this.firstNames.has(words[0].toLowerCase())) vote('person', 1, 'first_name');
+    if (this.lastNames.has(words[words.length - 1].toLowerCase())) {
+      vote('person', 1, 'last_name');
+    }
+
+    // Corporate suffix in the candidate or right after it ("Acme Corp", "Initech, Inc.")
+    const nextWord = after.match(/^,?\s+([A-Z][A-Za-z]*)/)?.[1];
+    if (words.some((word) => CORPORATE_SUFFIX.test(word)) || CORPORATE_SUFFIX.test(nextWord)) {
+      vote('organization', 3, 'corporate_suffix');
+    }
+    if (this.companyPool.isLikelyCompany(original)) vote('organization', 1, 'company_pool');
+    if (COMPANY_ENDING.test(original)) vote('organization', 1, 'company_ending');
+    if (breakdown.matchesEmailDomain) vote('organization', 2, 'email_domain');
+
+    // Organization, product and location gazetteers
+    const key = original.toLowerCase();
+    if (this.organizations.has(key)) vote('organization', 3, 'organization_gazetteer');
+    if (this.products.has(key)) vote('product', 3, 'product_gazetteer');
+    if (this.locations.has(key)) vote('place', 2, 'location_gazetteer');
+
+    // Surrounding verbs and phrases
+    for (const cue of CUES_BEFORE) {
+      if (cue.pattern.test(before)) vote(cue.label, cue.weight, 'cue_before');
+    }
+    for (const cue of CUES_AFTER) {
+      if (cue.pattern.test(after)) vote(cue.label, cue.weight, 'cue_after');
+    }
+
+    // Possessives
+    const possession = after
+      .match(isPossessive ? /^\s+([A-Za-z]+)/ : /^['’]s\s+([A-Za-z]+)/)?.[1]
+      .toLowerCase();
+    if (possession) {
+      for (const [label, nouns] of Object.entries(POSSESSIONS)) {
+        if (nouns.includes(possession)) vote(label, 2, 'possessive');
+      }
+    }
+
+    const best = Math.max(...Object.values(votes));
+    const label = best > 0 ? ENTITY_LABELS.find((l) => votes[l] === best) : UNDECIDED_LABEL;
+    return { label, votes, evidence };
+  }
+}
+
+export default EntityClassifier;
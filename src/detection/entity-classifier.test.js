@@ -0,0 +1,79 @@
+/**
+ * EntityClassifier Tests
+ */
+
+import { EntityClassifier, UNDECIDED_LABEL } from './entity-classifier.js';
+
+describe('EntityClassifier', () => {
+  let classifier;
+
+  // Classify the first occurrence of a name in a sentence
+  const classify = (text, name, extra = {}) => {
+    const start = text.indexOf(name);
+    return classifier.classify(
+      { original: name, start, end: start + name.length, scoreBreakdown: {}, ...extra },
+      text
+    );
+  };
+
+  beforeEach(() => {
+    classifier = new EntityClassifier();
+  });
+
+  test('should label known organizations and company-shaped names', () => {
+    expect(classify('We moved our CRM to Salesforce last year.', 'Salesforce').label).toBe(
+      'organization'
+    );
+    expect(classify('The Initech team shipped it.', 'Initech').label).toBe('organization');
+  });
+
+  test('should label organizations from corporate suffixes and email domains', () => {
+    expect(classify('Invoices from Globex Corp arrived', 'Globex').label).toBe('organization');
+    expect(
+      classify('Write to Hooli at sales@hooli.com', 'Hooli', {
+        scoreBreakdown: { matchesEmailDomain: 0.3 },
+      }).label
+    ).toBe('organization');
+  });
+
+  test('should read surrounding verbs', () => {
+    expect(
+      classify('Pied Piper was acquired by Hooli after Raviga acquired Bream', 'Bream').label
+    ).toBe('organization');
+    expect(classify('She is the CEO of Zorblax now', 'Zorblax').label).toBe('organization');
+    expect(classify('Zorblax said the deal was done.', 'Zorblax').label).toBe('person');
+    expect(classify('They launched Zephyr 3 in May', 'Zephyr').label).toBe('product');
+    expect(classify('The team is based in Marlow', 'Marlow').label).toBe('place');
+  });
+
+  test('should read possessives', () => {
+    const text = "Hooli's revenue doubled while Gavin's wife left.";
+
+    expect(classify(text, "Hooli's").label).toBe('organization');
+    expect(classify(text, "Gavin's").label).toBe('person');
+  });
+
+  test('should use the name, product and location gazetteers', () => {
+    expect(classify('I lent Elizabeth my Kindle', 'Elizabeth').label).toBe('person');
+    expect(classify('I lent Elizabeth my Kindle', 'Kindle').label).toBe('product');
+    expect(classify('Flights to Toronto are cheap', 'Toronto').label).toBe('place');
+  });
+
+  test('should keep people marked by an honorific or a full name', () => {
+    const result = classify('Ask Dr. Zorblax', 'Zorblax', {
+      context: 'person',
+      scoreBreakdown: { hasHonorificOrSuffix: 0.45, hasHonorificOrSuffix_detail: 'honorific' },
+    });
+
+    expect(result.label).toBe('person');
+    expect(result.evidence).toContain('person:honorific');
+  });
+
+  test('should leave names without evidence undecided', () => {
+    expect(classify('Nothing about Zorblax here', 'Zorblax').label).toBe(UNDECIDED_LABEL);
+    expect(classify('Email from Zorblax about the contract', 'Zorblax').label).toBe(
+      UNDECIDED_LABEL
+    );
+    expect(classify('Pied Piper was acquired by Zorblax', 'Zorblax').label).toBe(UNDECIDED_LABEL);
+  });
+});
@@ -100,8 +100,8 @@ export class EntityDeduplicator {
         return a.start - b.start;
       }
       // If same start position, prioritize by type
-      const priorityA = this.priorities[a.type] || 0;
-      const priorityB = this.priorities[b.type] || 0;
+      const priorityA = this._getPriority(a);
+      const priorityB = this._getPriority(b);
       return priorityB - priorityA; // Higher priority first
     });
 
@@ -117,8 +117,8 @@ export class EntityDeduplicator {
         // Overlap detected - decide which to keep
         const lastEntity = deduplicated[deduplicated.length - 1];
 
-        const priorityNew = this.priorities[entity.type] || 0;
-        const priorityLast = this.priorities[lastEntity.type] || 0;
+        const priorityNew = this._getPriority(entity);
+        const priorityLast = this._getPriority(lastEntity);
 
         // DEBUG: Log overlap decision
         if (
@@ -195,6 +195,19 @@ export class EntityDeduplicator {
     return deduplicated;
   }
 
+  /**
+   * Get priority for an entity
+   * Entities may carry their own priority (e.g. user-defined custom patterns),
+   * otherwise the configured type priority is used
+   * @private
+   */
+  _getPriority(entity) {
+    if (typeof entity.priority === 'number') {
+      return entity.priority;
+    }
+    return this.priorities[entity.type] || 0;
+  }
+
   /**
    * Legacy deduplication (confidence-based only)
    * @deprecated Use deduplicate() instead
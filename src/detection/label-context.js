@@ -0,0 +1,368 @@
+/**
+ * Label Context Module
+ *
+ * Types values in label–value layouts by the label they sit under. Text extraction skips
+ * the labels themselves (LABEL, TH and DT are in APP_CONFIG.skipElements), so they are
+ * read back from the DOM:
+ * - <label for="…">, or a <label> right before the value, and aria-labelledby
+ * - The <dt> of a <dd>
+ * - The row header, else the column header, of a table or grid cell
+ *
+ * A value under "Customer name" becomes a person, under "Acct #" an identifier and under
+ * "DOB" a date of birth, even when the value alone scores below the threshold. Empty
+ * states, summary cells and lone common words ("Not provided", "Total", "Closed") are never
+ * names, whatever their label.
+ */
+
+import { APP_CONFIG } from '../../config/app-config.js';
+import { isEmptyValue } from './semantic-hints.js';
+
+// Labels and what the value under them is; the first matching rule wins
+const LABEL_RULES = [
+  // Names and codes that aren't people, organizations or identifiers
+  {
+    type: null,
+    pattern:
+      /\b(?:user ?name|login|screen name|display name|file ?name|product name|item name|domain name|host ?name|project name|app name|device name|plan name|street name|zip ?code|postal code|post ?code|country code|area code)$/,
+  },
+  {
+    type: 'date',
+    context: 'dateOfBirth',
+    pattern: /\b(?:dob|d\.o\.b|date of birth|birth ?date|birthday|born)\b/,
+  },
+  { type: 'ssn', pattern: /\b(?:ssn|social security)\b/, shape: /^\d{3}([- ]?)\d{2}\1\d{4}$/ },
+  { type: 'phone', pattern: /\b(?:phone|tel|telephone|mobile|cell|fax)\b/ },
+  { type: 'email', pattern: /\be-?mail\b/ },
+  {
+    type: 'properNoun',
+    context: 'organization',
+    pattern: /\b(?:company|organi[sz]ation|employer|business|vendor|supplier)(?: name)?$/,
+  },
+  {
+    type: 'identifier',
+    pattern: /(?:#|\bno\.?|\bnumber|\bnum|\bid|\bcode)$|^(?:mrn|medical record|ref|reference)\b/,
+    shape: /^(?=\S*\d)[A-Za-z0-9#][\w#./-]{2,39}$/,
+  },
+  {
+    type: 'properNoun',
+    context: 'person',
+    pattern:
+      /\bname$|^(?:customer|patient|client|contact|owner|assignee|reporter|author|recipient|sender|employee|physician|doctor|guardian|next of kin|emergency contact|account holder|cardholder)$/,
+  },
+];
+
+// One to four words of letters ("Jane Doe", "o'neil", "Mary-Jane van Dyke")
+const NAME_SHAPE = /^\p{L}[\p{L}'’.-]*(?:,? \p{L}[\p{L}'’.-]*){0,3}$/u;
+
+// Cells of summary rows, which sit in a name column without being names
+const SUMMARY_VALUE = /^(?:grand |sub-? ?)?totals?$|^(?:sum|average|avg|overall)$/i;
+
+// Fuzzy detections a labelled name replaces where they overlap it ("Jordan" read as a
+// location in "Jordan Lake")
+const NAME_OVERRIDES = ['properNoun', 'location'];
+
+// Confidence of a value typed by its label alone
+const LABELLED_CONFIDENCE = 0.9;
+
+const CELL = 'td, th, [role="gridcell"], [role="cell"], [role="rowheader"], [role="columnheader"]';
+const HEADER_CELL = 'th, [role="rowheader"], [role="columnheader"]';
+const ROW = 'tr, [role="row"]';
+const TABLE = 'table, [role="grid"], [role="table"], [role="treegrid"]';
+
+export class LabelContext {
+  /**
+   * @param {PatternMatcher} patternMatcher - Used to tell whether a labelled value is a date
+   */
+  constructor(patternMatcher) {
+    this.patternMatcher = patternMatcher;
+  }
+
+  /**
+   * Type the candidates in labelled values, and add the labelled values nothing was
+   * detected in
+   * @param {Array<Object>} candidates - Candidates found in textMap.fullText
+   * @param {TextMap} textMap - Text map the candidates were found in
+   * @param {number} threshold - Proper noun threshold
+   * @returns {Array<Object>} Candidates, in text order
+   */
+  apply(candidates, textMap, threshold) {
+    let result = candidates;
+
+    for (const segment of textMap.segments) {
+      const text = segment.text.trim();
+      const node = segment.nodes[0]?.node;
+      const label = text && node ? this.findLabel(node, text) : null;
+      const rule = label ? this.classify(label) : null;
+      if (!rule) continue;
+
+      const start = segment.startInFullText + segment.text.indexOf(text);
+      const value = { text, start, end: start + text.length };
+      result = this.typeValue(result, value, rule, { signal: 'labelContext', label }, threshold);
+    }
+
+    return result === candidates ? result : result.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Give a value the type its label or column says it has. The candidates of that type in
+   * it are raised to at least the threshold; a value nothing of that type was found in is
+   * added whole when it has the shape of the type. A name is always taken whole, and so is
+   * any proper noun when the evidence is trusted.
+   * @param {Array<Object>} candidates - Candidates found in the text
+   * @param {Object} value - Value { text, start, end }
+   * @param {Object} rule - Type { type, context, shape } from classify or getRule
+   * @param {Object} evidence - { signal, label, detail, tags, trusted }: the score signal
+   *   ('labelContext', 'columnType', 'semanticHint'), the label if there is one, what the
+   *   signal rests on, fields to copy onto the typed candidates, and whether a proper noun
+   *   is taken whatever its shape
+   * @param {number} threshold - Proper noun threshold
+   * @returns {Array<Object>} Candidates (new ones at the end)
+   */
+  typeValue(candidates, value, rule, evidence, threshold) {
+    const weight = APP_CONFIG.properNounDetection?.weights?.[evidence.signal] || 0.5;
+    const { text, start, end } = value;
+    const detail = evidence.detail || evidence.label;
+    const typed = candidates.filter(
+      (c) => c.start >= start && c.end <= end && c.type === rule.type
+    );
+    const labelled = { ...(evidence.label && { label: evidence.label }), ...evidence.tags };
+
+    // "Not provided", "Unassigned" or "Total" under a name label is no name
+    if (rule.type === 'properNoun' && this.isFiller(text)) return candidates;
+
+    // A labelled name is the whole value, scored at least at the threshold
+    if (rule.type === 'properNoun' && NAME_SHAPE.test(text)) {
+      const best = Math.max(0, ...typed.map((c) => c.confidence));
+      const confidence = Math.min(1, Math.max(best + weight, threshold));
+      return [
+        ...candidates.filter(
+          (c) => c.end <= start || c.start >= end || !NAME_OVERRIDES.includes(c.type)
+        ),
+        {
+          type: 'properNoun',
+          original: text,
+          start,
+          end,
+          confidence,
+          context: rule.context,
+          ...labelled,
+          scoreBreakdown: { [evidence.signal]: weight, [`${evidence.signal}_detail`]: detail },
+          willBeProtected: confidence >= threshold,
+          threshold,
+        },
+      ];
+    }
+
+    for (const candidate of typed) {
+      Object.assign(candidate, labelled);
+      if (rule.context) candidate.context = rule.context;
+      if (candidate.type === 'properNoun') {
+        candidate.confidence = Math.min(1, Math.max(candidate.confidence + weight, threshold));
+        candidate.scoreBreakdown = {
+          ...candidate.scoreBreakdown,
+          [evidence.signal]: weight,
+          [`${evidence.signal}_detail`]: detail,
+        };
+        candidate.willBeProtected = candidate.confidence >= candidate.threshold;
+      }
+    }
+
+    const trusted = evidence.trusted && rule.type === 'properNoun';
+    if (typed.length > 0 || !(trusted || this._fitsType(rule, text))) return candidates;
+    return [
+      ...candidates,
+      {
+        type: rule.type,
+        original: text,
+        start,
+        end,
+        confidence: LABELLED_CONFIDENCE,
+        context: rule.context,
+        ...labelled,
+      },
+    ];
+  }
+
+  /**
+   * Check whether a value holds nothing to type: an empty state ("N/A", "Not provided"), a
+   * summary cell ("Total") or a lone common word ("Closed")
+   * @param {string} text - Value text
+   * @returns {boolean} True if the value is no name whatever its label
+   */
+  isFiller(text) {
+    return (
+      isEmptyValue(text) ||
+      SUMMARY_VALUE.test(text) ||
+      this.patternMatcher.commonWords.has(text.toLowerCase())
+    );
+  }
+
+  /**
+   * Get the rule for a type, with the shape a value of that type must have
+   * @param {string} type - Entity type
+   * @param {string} [context] - Entity context (person, organization, dateOfBirth, …)
+   * @returns {Object} Rule { type, context, shape }
+   */
+  getRule(type, context) {
+    const rule = LABEL_RULES.find((r) => r.type === type && (!context || r.context === context));
+    return { type, context, shape: rule?.shape };
+  }
+
+  /**
+   * Column a table or grid cell starts in, counting spanned columns before it
+   * @param {Element} cell - Cell element
+   * @returns {number} Column index
+   */
+  getColumn(cell) {
+    const row = cell.closest(ROW);
+    const cells = row ? Array.from(row.children).filter((child) => child.matches(CELL)) : [cell];
+    return this._countColumns(cells, cells.indexOf(cell));
+  }
+
+  /**
+   * Find the label of the value in a text node
+   * @param {Node} node - Text node holding the value
+   * @param {string} value - Trimmed text of the value
+   * @returns {string|null} Label text, or null if the value has none
+   */
+  findLabel(node, value) {
+    const element = node.parentElement;
+    if (!element || typeof element.closest !== 'function') return null;
+
+    return (
+      this._findLinkedLabel(element, value) ||
+      this._findDefinitionTerm(element) ||
+      this._findHeaderCell(element)
+    );
+  }
+
+  /**
+   * Map a label to the type of value it introduces
+   * @param {string} label - Label text ("Customer name:", "Acct #")
+   * @returns {Object|null} Rule { type, context, shape }, or null for labels that don't
+   *   type their value
+   */
+  classify(label) {
+    const normalized = label
+      .toLowerCase()
+      .replace(/[\s:*]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const rule = LABEL_RULES.find(({ pattern }) => pattern.test(normalized));
+    return rule && rule.type ? rule : null;
+  }
+
+  /**
+   * Label linked to the element holding the value, through aria-labelledby, <label for>
+   * or a <label> just before it. Only elements holding nothing but the value count, so a
+   * labelled form or section doesn't type everything inside it.
+   * @private
+   */
+  _findLinkedLabel(element, value) {
+    const doc = element.ownerDocument;
+    for (let el = element; el && el !== doc.body; el = el.parentElement) {
+      if (el.textContent.trim() !== value) break;
+
+      const ids = el.getAttribute('aria-labelledby');
+      if (ids) {
+        const text = ids
+          .split(/\s+/)
+          .map((id) => this._getText(doc.getElementById(id)))
+          .filter(Boolean)
+          .join(' ');
+        if (text) return text;
+      }
+
+      if (el.id) {
+        const label = Array.from(doc.getElementsByTagName('label')).find(
+          (l) => l.htmlFor === el.id
+        );
+        if (label) return this._getText(label);
+      }
+
+      const previous = el.previousElementSibling;
+      if (previous && previous.tagName === 'LABEL' && !previous.htmlFor) {
+        return this._getText(previous);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The <dt> a <dd> belongs to (the nearest one before it)
+   * @private
+   */
+  _findDefinitionTerm(element) {
+    const definition = element.closest('dd');
+    if (!definition) return null;
+
+    let term = definition.previousElementSibling;
+    while (term && term.tagName === 'DD') term = term.previousElementSibling;
+    return term && term.tagName === 'DT' ? this._getText(term) : null;
+  }
+
+  /**
+   * Header of a table or grid cell: a header cell earlier in the same row
+   * ("<th>DOB</th><td>…</td>"), else the header of its column
+   * @private
+   */
+  _findHeaderCell(element) {
+    const cell = element.closest(CELL);
+    const row = cell?.closest(ROW);
+    if (!row || cell.matches(HEADER_CELL)) return null;
+
+    const cells = Array.from(row.children).filter((child) => child.matches(CELL));
+    const index = cells.indexOf(cell);
+    const rowHeader = cells
+      .slice(0, index)
+      .reverse()
+      .find((c) => c.matches(HEADER_CELL));
+    if (rowHeader) return this._getText(rowHeader);
+
+    // Column header, lined up across spanned cells
+    const table = row.closest(TABLE);
+    if (!table) return null;
+    const column = this._countColumns(cells, index);
+    const headerRow = Array.from(table.querySelectorAll(ROW)).find(
+      (r) =>
+        r !== row &&
+        r.closest(TABLE) === table &&
+        Array.from(r.children).some((child) => child.matches(HEADER_CELL))
+    );
+    if (!headerRow) return null;
+
+    const headers = Array.from(headerRow.children).filter((child) => child.matches(CELL));
+    const header = headers.find((h, i) => {
+      const first = this._countColumns(headers, i);
+      return column >= first && column < first + (h.colSpan || 1);
+    });
+    return header && header.matches(HEADER_CELL) ? this._getText(header) : null;
+  }
+
+  /**
+   * Count the columns the cells before an index span
+   * @private
+   */
+  _countColumns(cells, index) {
+    return cells.slice(0, index).reduce((sum, c) => sum + (c.colSpan || 1), 0);
+  }
+
+  /**
+   * Text of a label element, with whitespace collapsed
+   * @private
+   */
+  _getText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Check whether a labelled value nothing was detected in has the shape of its type
+   * @private
+   */
+  _fitsType(rule, value) {
+    if (rule.type === 'date') return this.patternMatcher.matchDate(value)?.value === value;
+    return Boolean(rule.shape && rule.shape.test(value));
+  }
+}
+
+export default LabelContext;
@@ -0,0 +1,211 @@
+/**
+ * LabelContext Tests
+ */
+
+/* eslint-env node, jest */
+
+import { LabelContext } from './label-context.js';
+import { PatternMatcher } from './pattern-matcher.js';
+import { PIIDetector } from './pii-detector.js';
+import { TextExtractor } from './text-extractor.js';
+
+global.chrome = {
+  storage: {
+    sync: {
+      get: jest.fn(async () => ({})),
+    },
+  },
+};
+
+describe('LabelContext', () => {
+  let labelContext;
+
+  // Label of the first text node holding the value
+  const labelOf = (value) => {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (node.textContent.trim() === value) return labelContext.findLabel(node, value);
+    }
+    return undefined;
+  };
+
+  beforeEach(() => {
+    labelContext = new LabelContext(new PatternMatcher());
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('classify', () => {
+    test.each([
+      ['Customer name', 'properNoun', 'person'],
+      ['Patient:', 'properNoun', 'person'],
+      ['Company Name *', 'properNoun', 'organization'],
+      ['Acct #', 'identifier', undefined],
+      ['Member ID', 'identifier', undefined],
+      ['MRN', 'identifier', undefined],
+      ['DOB', 'date', 'dateOfBirth'],
+      ['Date of birth', 'date', 'dateOfBirth'],
+      ['SSN', 'ssn', undefined],
+      ['Phone number', 'phone', undefined],
+    ])('should map "%s" to %s', (label, type, context) => {
+      const rule = labelContext.classify(label);
+
+      expect(rule.type).toBe(type);
+      expect(rule.context).toBe(context);
+    });
+
+    test('should not type values under other labels', () => {
+      expect(labelContext.classify('Status')).toBeNull();
+      expect(labelContext.classify('Username')).toBeNull();
+      expect(labelContext.classify('Product name')).toBeNull();
+      expect(labelContext.classify('Zip code')).toBeNull();
+    });
+  });
+
+  describe('findLabel', () => {
+    test('should read <label for> and aria-labelledby', () => {
+      document.body.innerHTML = `
+        <label for="owner">Owner</label><span id="owner">Xi</span>
+        <span id="employer">Employer</span><div aria-labelledby="employer">Initech</div>`;
+
+      expect(labelOf('Xi')).toBe('Owner');
+      expect(labelOf('Initech')).toBe('Employer');
+    });
+
+    test('should read a <label> right before the value', () => {
+      document.body.innerHTML = '<div><label>Reference</label> <span>ZX-4411</span></div>';
+
+      expect(labelOf('ZX-4411')).toBe('Reference');
+    });
+
+    test('should pair <dd> with its <dt>', () => {
+      document.body.innerHTML = `
+        <dl>
+          <dt>Phone</dt><dd>555-0100</dd><dd>555-0101</dd>
+          <dt>Customer name</dt><dd><b>Jane Doe</b></dd>
+        </dl>`;
+
+      expect(labelOf('555-0101')).toBe('Phone');
+      expect(labelOf('Jane Doe')).toBe('Customer name');
+    });
+
+    test('should read row headers before column headers', () => {
+      document.body.innerHTML = `
+        <table>
+          <tr><th colspan="2">Patient</th><th>MRN</th></tr>
+          <tr><td>Jordan</td><td>Lake</td><td>A99812</td></tr>
+          <tr><th>DOB</th><td>03/14/1985</td><td></td></tr>
+        </table>`;
+
+      expect(labelOf('Lake')).toBe('Patient');
+      expect(labelOf('A99812')).toBe('MRN');
+      expect(labelOf('03/14/1985')).toBe('DOB');
+    });
+
+    test('should read ARIA grid column headers', () => {
+      document.body.innerHTML = `
+        <div role="grid">
+          <div role="row"><span role="columnheader">Acct #</span></div>
+          <div role="row"><span role="gridcell">004417</span></div>
+        </div>`;
+
+      expect(labelOf('004417')).toBe('Acct #');
+    });
+
+    test('should not take the label of a container holding more than the value', () => {
+      document.body.innerHTML = `
+        <h2 id="title">Customer name</h2>
+        <section aria-labelledby="title"><p>Jane Doe</p><p>Order shipped</p></section>`;
+
+      expect(labelOf('Jane Doe')).toBeNull();
+    });
+  });
+
+  describe('with PIIDetector', () => {
+    let detector;
+
+    const findCandidates = (html) => {
+      document.body.innerHTML = html;
+      const textMap = new TextExtractor().extractVisibleText(document.body);
+      return detector.findAllCandidates(textMap);
+    };
+
+    beforeEach(async () => {
+      detector = new PIIDetector();
+      await detector.initialize();
+    });
+
+    test('should protect a labelled name that scores below the threshold alone', () => {
+      const candidates = findCandidates(`
+        <dl><dt>Customer name</dt><dd>jane doe</dd></dl>
+        <table>
+          <tr><th>Patient</th><th>Company</th></tr>
+          <tr><td>Jordan Lake</td><td>Globex</td></tr>
+        </table>`);
+
+      const jane = candidates.find((c) => c.original === 'jane doe');
+      expect(jane).toMatchObject({ type: 'properNoun', context: 'person', willBeProtected: true });
+      expect(jane.scoreBreakdown.labelContext_detail).toBe('Customer name');
+      expect(candidates.find((c) => c.original === 'Jordan Lake').context).toBe('person');
+      expect(candidates.some((c) => c.type === 'location' && /Jordan/.test(c.original))).toBe(
+        false
+      );
+      expect(candidates.find((c) => c.original === 'Globex')).toMatchObject({
+        context: 'organization',
+        willBeProtected: true,
+      });
+    });
+
+    test('should not take empty states, summary rows or common words for names', () => {
+      const candidates = findCandidates(`
+        <dl><dt>Name</dt><dd>Not provided</dd></dl>
+        <table>
+          <thead><tr><th>Name</th><th>Assignee</th><th>Amount</th></tr></thead>
+          <tbody>
+            <tr><td>Tiko Vann</td><td>Unassigned</td><td>$10.00</td></tr>
+            <tr><td>Open</td><td>Jordan Lake</td><td>$5.00</td></tr>
+          </tbody>
+          <tfoot><tr><td>Total</td><td>—</td><td>$15.00</td></tr></tfoot>
+        </table>`);
+      const person = (original) =>
+        candidates.find((c) => c.original === original && c.context === 'person');
+
+      expect(person('Tiko Vann')).toBeDefined();
+      expect(person('Jordan Lake')).toBeDefined();
+      expect(person('Not provided')).toBeUndefined();
+      expect(person('Unassigned')).toBeUndefined();
+      expect(person('Open')).toBeUndefined();
+      expect(person('Total')).toBeUndefined();
+    });
+
+    test('should type identifiers, SSNs and dates of birth by their label', () => {
+      const candidates = findCandidates(`
+        <dl>
+          <dt>Acct #</dt><dd>004417</dd>
+          <dt>SSN</dt><dd>123456789</dd>
+          <dt>DOB</dt><dd>03/14/1985</dd>
+        </dl>`);
+
+      expect(candidates.find((c) => c.original === '004417')).toMatchObject({
+        type: 'identifier',
+        label: 'Acct #',
+      });
+      expect(candidates.find((c) => c.original === '123456789').type).toBe('ssn');
+      expect(candidates.find((c) => c.original === '03/14/1985')).toMatchObject({
+        type: 'date',
+        context: 'dateOfBirth',
+      });
+    });
+
+    test('should leave values under other labels alone', () => {
+      const candidates = findCandidates('<dl><dt>Quantity</dt><dd>004417</dd></dl>');
+
+      expect(candidates.find((c) => c.original === '004417' && c.type === 'identifier')).toBe(
+        undefined
+      );
+    });
+  });
+});
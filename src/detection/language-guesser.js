@@ -0,0 +1,103 @@
+/**
+ * Language Guesser Module
+ *
+ * Guesses the language of a text from its character trigrams, for pages and text segments
+ * that don't declare one with a lang attribute. Each language's trigram profile is built
+ * from its common-word dictionary, so every language with a dictionary can be guessed.
+ */
+
+// Trigrams needed before a guess is made (roughly one per letter)
+const MIN_TRIGRAMS = 20;
+
+// Only the start of long texts is sampled
+const MAX_SAMPLE_LENGTH = 2000;
+
+// Lead in average log-probability per trigram the best language needs over the runner-up
+const MIN_MARGIN = 0.1;
+
+// Smoothing for trigrams a profile has never seen
+const UNSEEN_WEIGHT = 1000;
+
+export class LanguageGuesser {
+  /**
+   * @param {Object<string, Array<string>>} wordLists - Common words by language code
+   */
+  constructor(wordLists) {
+    this.profiles = new Map();
+    for (const [language, words] of Object.entries(wordLists)) {
+      this.profiles.set(language, this._buildProfile(words));
+    }
+  }
+
+  /**
+   * Guess the language of a text
+   * @param {string} text - Text to guess the language of
+   * @returns {string|null} Language code, or null if the text is too short or too close
+   *   to call
+   */
+  guess(text) {
+    if (!text) return null;
+    // Trigrams no profile has seen (words in other scripts) say nothing
+    const profiles = Array.from(this.profiles.values());
+    const trigrams = this._getTrigrams(text.slice(0, MAX_SAMPLE_LENGTH)).filter((trigram) =>
+      profiles.some((profile) => profile.counts.has(trigram))
+    );
+    if (trigrams.length < MIN_TRIGRAMS) return null;
+
+    const scores = Array.from(this.profiles, ([language, profile]) => ({
+      language,
+      score: this._score(trigrams, profile),
+    })).sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scores;
+    if (!best || (runnerUp && best.score - runnerUp.score < MIN_MARGIN)) return null;
+    return best.language;
+  }
+
+  /**
+   * Split text into lowercase letter trigrams, with word boundaries as spaces
+   * @private
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Trigrams (" th", "the", "he ")
+   */
+  _getTrigrams(text) {
+    const trigrams = [];
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        trigrams.push(padded.slice(i, i + 3));
+      }
+    }
+    return trigrams;
+  }
+
+  /**
+   * Count the trigrams of a word list
+   * @private
+   * @param {Array<string>} words - Common words of one language
+   * @returns {Object} { counts, total }
+   */
+  _buildProfile(words) {
+    const counts = new Map();
+    const trigrams = this._getTrigrams(words.join(' '));
+    for (const trigram of trigrams) {
+      counts.set(trigram, (counts.get(trigram) || 0) + 1);
+    }
+    return { counts, total: trigrams.length };
+  }
+
+  /**
+   * Average log-probability of the trigrams under a profile
+   * @private
+   */
+  _score(trigrams, profile) {
+    const denominator = Math.log(profile.total + UNSEEN_WEIGHT);
+    let sum = 0;
+    for (const trigram of trigrams) {
+      sum += Math.log((profile.counts.get(trigram) || 0) + 1) - denominator;
+    }
+    return sum / trigrams.length;
+  }
+}
+
+export default LanguageGuesser;
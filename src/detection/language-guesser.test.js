@@ -0,0 +1,55 @@
+/**
+ * LanguageGuesser Tests
+ */
+
+/* eslint-env node, jest */
+
+import { LanguageGuesser } from './language-guesser.js';
+import { enDictionary } from '../dictionaries/en.js';
+import { deDictionary } from '../dictionaries/de.js';
+import { frDictionary } from '../dictionaries/fr.js';
+import { esDictionary } from '../dictionaries/es.js';
+import { itDictionary } from '../dictionaries/it.js';
+import { ptDictionary } from '../dictionaries/pt.js';
+import { nlDictionary } from '../dictionaries/nl.js';
+
+describe('LanguageGuesser', () => {
+  let guesser;
+
+  beforeAll(() => {
+    guesser = new LanguageGuesser({
+      en: enDictionary.commonWords,
+      de: deDictionary.commonWords,
+      fr: frDictionary.commonWords,
+      es: esDictionary.commonWords,
+      it: itDictionary.commonWords,
+      pt: ptDictionary.commonWords,
+      nl: nlDictionary.commonWords,
+    });
+  });
+
+  describe('guess', () => {
+    test.each([
+      ['en', 'Please contact John Smith about the invoice for your recent order.'],
+      ['de', 'Wir haben Ihre Nachricht erhalten und melden uns bald bei Ihnen.'],
+      ['fr', 'Nous avons bien reçu votre commande et elle sera livrée demain matin.'],
+      ['es', 'Hemos recibido su pedido y será enviado mañana por la mañana.'],
+      ['it', 'Abbiamo ricevuto il tuo ordine e sarà spedito domani mattina.'],
+      ['pt', 'Recebemos o seu pedido e ele será enviado amanhã de manhã.'],
+      ['nl', 'We hebben uw bestelling ontvangen en deze wordt morgen verzonden.'],
+    ])('should recognize %s', (language, text) => {
+      expect(guesser.guess(text)).toBe(language);
+    });
+
+    test('should not guess from short text', () => {
+      expect(guesser.guess('Hello world')).toBeNull();
+      expect(guesser.guess('')).toBeNull();
+      expect(guesser.guess(null)).toBeNull();
+    });
+
+    test('should not guess text in scripts without a profile', () => {
+      expect(guesser.guess('田中さんは東京に住んでいます。彼は毎日会社に行きます。')).toBeNull();
+      expect(guesser.guess('Иван Петров работает в компании уже пять лет.')).toBeNull();
+    });
+  });
+});
@@ -6,24 +6,241 @@
 import cardValidator from 'card-validator';
 import { parsePhoneNumber, isValidPhoneNumber } from 'libphonenumber-js';
 import { enDictionary } from '../dictionaries/en.js';
+import { APP_CONFIG } from '../../config/app-config.js';
+import { addressLocales } from '../dictionaries/address-locales.js';
+import {
+  currencyCodes,
+  ambiguousCurrencyCodes,
+  currencySymbols,
+  currencyWords,
+  invariableCurrencyWords,
+  numberWords,
+} from '../dictionaries/currencies.js';
+import {
+  IBAN_LENGTHS,
+  isValidIBAN,
+  isValidBIC,
+  isValidABARouting,
+  isValidNINO,
+  isValidSIN,
+  isValidAadhaar,
+  isValidINSEE,
+  isValidDNI,
+  isValidCPF,
+  isValidBitcoinAddress,
+  isValidEthereumAddress,
+  isValidSolanaKey,
+  shannonEntropy,
+} from './validators.js';
+
+// Time of day: "3:42 PM", "14:05 UTC", "15:42:10.123", "9:00 a.m. EST", "10:30+01:00"
+const TIME_OF_DAY =
+  '(?:[01]?\\d|2[0-3]):[0-5]\\d(?::[0-5]\\d(?:\\.\\d+)?)?(?:\\s*[AaPp]\\.?[Mm]\\.?)?' +
+  '(?:\\s*(?:UTC|GMT|Z|[A-Z]{1,3}[SD]T|CET|CEST|BST|IST|JST|[+-]\\d{2}:?\\d{2}))?';
+const MONTH_NAMES =
+  'January|February|March|April|May|June|July|August|September|October|November|December|' +
+  'Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec';
+const WEEKDAY_NAMES =
+  'Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday|' +
+  'Mon|Tue|Tues|Wed|Thu|Thur|Thurs|Fri|Sat|Sun';
+// Optional leading weekday of a date ("Monday, Jan 6", "Tue 7 Jan 2025")
+const WEEKDAY_PREFIX = `(?:(?:${WEEKDAY_NAMES})\\.?,?\\s+)?`;
+// Numeric dates (either day/month order) and textual dates with a year
+const DATE_WITH_YEAR =
+  '\\d{1,2}[-/]\\d{1,2}[-/]\\d{2,4}|\\d{1,2}\\.\\d{1,2}\\.\\d{4}(?!\\.\\d)|\\d{4}[-/]\\d{1,2}[-/]\\d{1,2}|' +
+  `(?:${MONTH_NAMES})\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTH_NAMES})\\.?,?\\s+\\d{4}`;
+
+// Money building blocks
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const CURRENCY_SYMBOL = [...currencySymbols]
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegex)
+  .join('|');
+const CURRENCY_CODE = currencyCodes.join('|');
+const CURRENCY_CODE_BEFORE = currencyCodes
+  .filter((code) => !ambiguousCurrencyCodes.includes(code))
+  .join('|');
+// Amounts: European "1.234,56" / "1 234,56" / "12,50", then US "1,234.56" / "1234.5"
+// (US grouping tolerates the spaces inserted between DOM nodes: "1,199 . 99")
+const MONEY_NUMBER =
+  '\\d{1,3}(?:\\.\\d{3})+(?:,\\d+)?|\\d{1,3}(?:[\\u00a0\\u202f]\\d{3})+(?:,\\d+)?|' +
+  '\\d{1,3}(?: \\d{3})+,\\d+|\\d+,\\d{1,2}(?!\\d)|' +
+  '(?:\\d{1,3}(?:\\s*,\\s*\\d{3})+|\\d+)(?:\\.\\d+|\\s*\\.\\s*\\d{2,})?';
+// Swiss amounts grouped with apostrophes, only read after CHF or Fr.: "CHF 1'234.50"
+const SWISS_MONEY_NUMBER = "\\d{1,3}(?:['’]\\d{3})+(?:\\.\\d+)?";
+// Magnitude suffixes: "$1.2M", "€3.4bn", "£250k", "$5 million"
+const MONEY_SUFFIX =
+  '\\s?(?:thousand|million|billion|trillion)(?![A-Za-z])|(?:MM|mn|bn|Bn|tn|k|K|m|M|B|T)(?![A-Za-z0-9])';
+const NUMBER_WORD = [
+  ...numberWords.units,
+  ...numberWords.tens.filter((word) => word),
+  'hundred',
+  ...Object.keys(numberWords.scales),
+].join('|');
+const CURRENCY_WORD = `(?:${currencyWords.join('|')})s?|${invariableCurrencyWords.join('|')}|pounds?\\s+sterling`;
+
+// Minimum Shannon entropy (bits/char) for an unlabelled long string to count as a secret
+const SECRET_MIN_ENTROPY = 4.0;
+
+// Where a bare "lat,lng" pair with little precision still reads as coordinates: a map link
+// parameter ("?q=", "/@") or a label ("GPS:", "Lat/Long")
+const COORDINATE_CONTEXT =
+  /(?:[?&](?:q|ll|sll|query|center|destination|origin|daddr|saddr)=|\/@|\b(?:lat(?:itude)?|lng|lon(?:gitude)?|coord(?:inate)?s?|gps|location|position)\b[^\n]{0,20})$/i;
+
+// Words before a bare transaction hash or Solana key ("txid:", "Solana wallet", "sent 2 SOL to")
+const CRYPTO_LABEL =
+  /\b(?:bitcoin|btc|ethereum|eth|solana|sol|wallet|address|pubkey|public key|account|signature|tx(?:id|n)?|transaction|hash)\b[^\n]{0,20}$/i;
+
+// PascalCase decorator and annotation names (Angular, Java, Spring, NestJS, TypeORM), which
+// follow an "@" in code and docs without naming anyone ("@Component", "@Override")
+const DECORATOR_NAMES = new Set([
+  'Component',
+  'Directive',
+  'Pipe',
+  'Injectable',
+  'NgModule',
+  'Input',
+  'Output',
+  'HostListener',
+  'HostBinding',
+  'ViewChild',
+  'ViewChildren',
+  'ContentChild',
+  'ContentChildren',
+  'Inject',
+  'Optional',
+  'Self',
+  'Override',
+  'Deprecated',
+  'SuppressWarnings',
+  'FunctionalInterface',
+  'SafeVarargs',
+  'Test',
+  'Before',
+  'After',
+  'BeforeEach',
+  'AfterEach',
+  'Autowired',
+  'Bean',
+  'Configuration',
+  'Service',
+  'Repository',
+  'Controller',
+  'RestController',
+  'RequestMapping',
+  'GetMapping',
+  'PostMapping',
+  'PathVariable',
+  'RequestBody',
+  'Value',
+  'Entity',
+  'Table',
+  'Column',
+  'Id',
+  'Module',
+  'Get',
+  'Post',
+  'Put',
+  'Delete',
+  'Patch',
+  'Body',
+  'Param',
+  'Query',
+  'Prop',
+  'Watch',
+  'Emit',
+]);
+
+// Top-level domains that, spelled out at the end ("acme dot com"), make an address of a
+// common word ("sales at acme dot com") rather than prose
+const SPELLED_TLD =
+  /^(?:com|org|net|edu|gov|io|co|uk|de|fr|es|it|nl|eu|us|ca|au|info|biz|me|app|dev)$/;
+
+// Role mailboxes that read as verbs too ("support", "help", "contact")
+const ROLE_MAILBOXES = new Set([
+  'support',
+  'help',
+  'contact',
+  'info',
+  'sales',
+  'billing',
+  'admin',
+  'hello',
+  'press',
+  'jobs',
+  'careers',
+  'security',
+  'privacy',
+  'feedback',
+  'service',
+]);
+
+// Separators of obfuscated emails: "[at]", "(at)", " at ", "{dot}", " dot " (a real "." is a dot too)
+const EMAIL_AT = '[ \\t]*[[({<][ \\t]*at[ \\t]*[\\])}>][ \\t]*|[ \\t]+at[ \\t]+';
+const EMAIL_DOT = '[ \\t]*[[({<][ \\t]*dot[ \\t]*[\\])}>][ \\t]*|[ \\t]+dot[ \\t]+|\\.';
+
+// Words that never make up a street name, so prose ending in a street type is not an
+// address ("3 items on the way")
+const STREET_FILLER_WORDS =
+  'the|a|an|on|in|at|to|of|for|by|and|or|with|my|your|our|their|his|her|its|this|that|all';
+// A lowercase unit or time noun after the number makes a distance, not a street ("a 5 minute
+// drive", "a 2 mile road"), while capitalized ones are street names ("1 Mile End Road")
+const DISTANCE_STREET_NAME =
+  /^(?:seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|months?|years?|miles?|mi|kilomet(?:er|re)s?|km|met(?:er|re)s?|feet|foot|ft|yards?|yds?|blocks?|steps?)\b/;
+// A street name word in any case ("Main", "main", "MAIN")
+const STREET_WORD = `(?!(?:${STREET_FILLER_WORDS})\\b)[a-z]{2,}`;
+
+// Countries tried (in order) for national numbers written with a trunk "0" and no country code
+const NATIONAL_PHONE_COUNTRIES = ['GB', 'DE', 'FR', 'IT', 'ES', 'NL', 'BE', 'CH', 'AT', 'IE', 'AU'];
 
 export class PatternMatcher {
   constructor() {
     // Load location gazetteer for location detection
     this.locationGazetteer = new Set(enDictionary.worldLocations.map((loc) => loc.toLowerCase()));
 
+    // Common words that can't be the domain of an email written as prose ("look at this dot com")
+    this.commonWords = new Set(enDictionary.commonWords.map((word) => word.toLowerCase()));
+    this.verbs = new Set([...enDictionary.verbs, ...enDictionary.irregularVerbForms]);
+
     // Regex patterns for various PII types
     this.patterns = {
       email: /\b[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\b/g,
 
-      // Phone patterns - US and international formats
-      phone: /(\+\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/g,
+      // "john[at]acme.com", "jane (at) acme (dot) co (dot) uk", "john dot smith at acme dot com"
+      // (accepted by findEmails only when the separators can't be ordinary prose)
+      obfuscatedEmail: new RegExp(
+        `(?<![\\w.%+@-])[a-z0-9_%+-]+(?:(?:${EMAIL_DOT})[a-z0-9_%+-]+)*(?:${EMAIL_AT})` +
+          `[a-z0-9-]+(?:(?:${EMAIL_DOT})[a-z0-9-]+)*(?:${EMAIL_DOT})[a-z]{2,}` +
+          `(?![\\w@])(?!(?:${EMAIL_DOT})[a-z0-9])(?!${EMAIL_AT})`,
+        'gi'
+      ),
+
+      // Phone patterns - international, national trunk-prefixed and US formats
+      // 1. "+49 30 1234567", "+44 20 7946 0958", "+49 (0)30 1234567", "0044 20 7946 0958"
+      // 2. "030 1234567", "020 7946 0958", "01 42 68 53 00" (validated against NATIONAL_PHONE_COUNTRIES)
+      // 3. "(555) 123-4567", "555.123.4567", "+1-555-123-4567"
+      phone:
+        /(?:\+|\b00)\d{1,3}(?:[-.\s]?(?:\(\d{1,4}\)|\d{1,5})){1,6}\b|\b0\d{1,4}(?:[-.\s/]\d{2,5}){1,4}\b|(\+\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/g,
 
       // Money patterns - multiple currencies and formats
       // Enhanced to handle cross-node detection where spaces may be inserted between DOM nodes
-      // Examples: "$1,199.99", "$ 1,199 . 99" (cross-node), "€100", "100 USD"
-      money:
-        /[$€£¥₹]\s*\d{1,3}(?:\s*,\s*\d{3})*(?:\s*\.\s*\d{2,})?|\d{1,3}(?:\s*,\s*\d{3})*(?:\s*\.\s*\d{2,})?\s*(?:USD|EUR|GBP|JPY|INR)/gi,
+      // Examples: "$1,199.99", "$ 1,199 . 99" (cross-node), "€100", "100 USD", "USD 12,000",
+      // "$1.2M", "€3.4bn", "£250k", "1.234,56 €", "R$ 1.234,56", "100 kr", "CHF 1'234.50"
+      // (a trailing symbol or code followed by a number belongs to that amount: "Qty 2 $5.00")
+      money: new RegExp(
+        `(?:\\bCHF|(?<![A-Za-z])Fr\\.)\\s?${SWISS_MONEY_NUMBER}(?:${MONEY_SUFFIX})?|` +
+          `(?<![A-Za-z])(?:${CURRENCY_SYMBOL})\\s*(?:${MONEY_NUMBER})(?:${MONEY_SUFFIX})?|` +
+          `\\b(?:${CURRENCY_CODE_BEFORE})\\s?(?:${MONEY_NUMBER})(?:${MONEY_SUFFIX})?|` +
+          `(?<![\\d.,])(?:${MONEY_NUMBER})(?:${MONEY_SUFFIX})?\\s?(?:${CURRENCY_SYMBOL}|(?:${CURRENCY_CODE})\\b)(?![A-Za-z]|\\s*\\d)`,
+        'g'
+      ),
+
+      // Spelled-out money: "two million dollars", "fifty-five euros", "1.5 billion yen"
+      spelledMoney: new RegExp(
+        `\\b(?:\\d+(?:\\.\\d+)?\\s+(?:${Object.keys(numberWords.scales).join('|')})|` +
+          `(?:a\\s+)?(?:${NUMBER_WORD})(?:(?:\\s+and\\s+|[\\s-]+)(?:${NUMBER_WORD}))*)\\s+(?:${CURRENCY_WORD})\\b`,
+        'gi'
+      ),
 
       // URLs - http, https, www
       url: /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_+.~#?&//=]*)|www\.[-a-zA-Z0-9@:%._+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b/gi,
@@ -36,28 +253,164 @@ export class PatternMatcher {
       creditCard: /\b(?:\d{4}[-\s]?){3}\d{4}\b/g,
 
       // Dates - multiple formats
-      // Matches: MM/DD/YYYY, YYYY-MM-DD, "Dec 10, 2024", "Dec. 9" (with or without year), "December", "January" (standalone months), standalone years (1900-2099)
-      date: /\b(?:\d{1,2}[-/]\d{1,2}[-/]\d{2,4}|\d{4}[-/]\d{1,2}[-/]\d{1,2}|(?:January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)(?:\.?\s+\d{1,2}(?:,?\s+\d{4})?)?|(?:19|20)\d{2})\b/gi,
-
-      // US Street addresses
-      address:
-        /\b\d{1,5}\s+(?:[A-Z][a-z]+\s*){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Circle|Cir|Way|Place|Pl)\b/gi,
+      // Matches: MM/DD/YYYY or DD/MM/YYYY, DD.MM.YYYY, YYYY-MM-DD, "Dec 10, 2024", "Dec. 9" (with or without year),
+      // "6 January 2025", "6th Jan", "December", "January" (standalone months), standalone years (1900-2099),
+      // each optionally led by a weekday ("Monday, Jan 6")
+      date: new RegExp(
+        `\\b(?:${WEEKDAY_PREFIX}(?:${DATE_WITH_YEAR}|` +
+          `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTH_NAMES})\\.?|` +
+          `(?:${MONTH_NAMES})(?:\\.?\\s+\\d{1,2}(?:,?\\s+\\d{4})?)?)|(?:19|20)\\d{2})\\b`,
+        'gi'
+      ),
+
+      // Relative dates: "3 days ago", "in 2 weeks", "a month from now", "last Tuesday"
+      relativeDate:
+        /\b(?:(?:\d+|an?|one)\s+(?:day|week|month|year)s?\s+(?:ago|from\s+now)|in\s+(?:\d+|an?|one)\s+(?:day|week|month|year)s?|(?:last|next|this\s+past|this\s+coming)\s+(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday))\b/gi,
+
+      // Timestamps - a date with a time of day: "2025-01-05T15:42:10Z",
+      // "Jan 5, 2025 3:42 PM", "01/05/2025 at 14:05", "2025-01-05 15:42:10"
+      timestamp: new RegExp(
+        `\\b(?:\\d{4}-\\d{2}-\\d{2}T${TIME_OF_DAY}|` +
+          `${WEEKDAY_PREFIX}(?:${DATE_WITH_YEAR}),?\\s+(?:at\\s+)?${TIME_OF_DAY})(?![\\w:])`,
+        'g'
+      ),
+      // Times of day on their own ("3:42 PM", "14:05 UTC", "9am")
+      time: new RegExp(
+        `(?<![\\d:.])(?:${TIME_OF_DAY}|(?:1[0-2]|0?[1-9])\\s*[AaPp]\\.?[Mm]\\.?(?![A-Za-z]))(?![\\d:])`,
+        'g'
+      ),
+
+      // Street addresses - English house-number-first form (US, UK, CA, AU)
+      // Matches: "123 Main Street", "10 Downing Street", "1 George St", "123 MAIN STREET"
+      address: new RegExp(
+        `\\b(\\d{1,5}[a-z]?)\\s+((?:${STREET_WORD}\\s+){0,3}${STREET_WORD})\\s+` +
+          '(Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Circle|Cir|Way|Place|Pl|Close|Crescent|Cres|Gardens|Gdns|Terrace|Terr|Parade|Pde|Square|Sq|Mews|Row|Esplanade|Highway|Hwy)\\b',
+        'gi'
+      ),
+
+      // German street addresses - street name first, house number after
+      // Matches: "Hauptstraße 12", "Lindenweg 7a", "Berliner Str. 5", "Am-Ring-Allee 3"
+      germanAddress:
+        /(?<![A-Za-zÄÖÜäöüß])([A-ZÄÖÜ][a-zäöüß]+(?:er\s+|-)(?:Straße|Strasse|Str\.|Weg|Gasse|Allee|Platz)|[A-ZÄÖÜ][a-zäöüß]*(?:straße|strasse|str\.|weg|gasse|allee|platz))\s+(\d{1,4}(?:\s?[a-z])?)\b/g,
+
+      // Postcodes (validated/classified in findPostcodes)
+      // UK "SW1A 2AA", Canada "K1A 0B1", US "IL 62704", Australia "NSW 2000", Germany "10115 Berlin"
+      ukPostcode: /\b(?:[A-Z]{1,2}\d[A-Z\d]?|GIR) ?\d[A-Z]{2}\b/g,
+      caPostcode: /\b[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z][ -]?\d[ABCEGHJ-NPRSTV-Z]\d\b/g,
+      usPostcode: new RegExp(
+        `\\b(?:${addressLocales.US.regions.join('|')})\\s+\\d{5}(?:-\\d{4})?\\b`,
+        'g'
+      ),
+      auPostcode: new RegExp(`\\b(?:${addressLocales.AU.regions.join('|')})\\s+\\d{4}\\b`, 'g'),
+      dePostcode: new RegExp(
+        `\\b(?:D-)?\\d{5}\\s+(?:${[
+          ...addressLocales.DE.localities.map((locality) => locality.city),
+          ...addressLocales.DE.knownCities,
+        ].join('|')})(?![A-Za-zäöüß])`,
+        'g'
+      ),
 
       // Social Security Numbers (US)
       ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
 
+      // National ID numbers - candidates only, validated in findNationalIDs
+      // UK National Insurance number: "AB 12 34 56 C"
+      nino: /\b[A-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/g,
+      // Canadian Social Insurance Number: "046 454 286"
+      sin: /\b\d{3}([- ]?)\d{3}\1\d{3}\b/g,
+      // Indian Aadhaar: "2341 2341 2346"
+      aadhaar: /\b[2-9]\d{3}([- ]?)\d{4}\1\d{4}\b/g,
+      // French INSEE / NIR: "1 85 05 78 006 084 36" (department may be 2A/2B)
+      insee: /\b[12] ?\d{2} ?\d{2} ?(?:\d{2}|2[AB]) ?\d{3} ?\d{3} ?\d{2}\b/g,
+      // Spanish DNI "12345678Z" / NIE "X1234567L"
+      dni: /\b(?:\d{8}|[XYZ]\d{7})-?[A-Z]\b/g,
+      // Brazilian CPF: "529.982.247-25"
+      cpf: /\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/g,
+      // Passport number after a keyword ("Passport No: X1234567", "Reisepass-Nr. C01X00T47")
+      passport:
+        /\b(?:passport|passeport|pasaporte|passaporte|passaporto|reisepass)(?:[\s-]*(?:number|no\.?|nr\.?|num\.?|n[°º]|#))?\s*[:#]?\s*([A-Z0-9]{6,9})\b/gi,
+
+      // Banking identifiers - candidates only, validated in findIBANs/findBICs/findBankAccounts
+      // IBAN: country + check digits + BBAN, optionally grouped in 4s ("DE89 3704 0044 ...")
+      iban: /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]{1,4}){3,8}\b/g,
+      // SWIFT/BIC: bank (4) + country (2) + location (2) + optional branch (3)
+      bic: /\b[A-Z]{6}[A-Z0-9]{2}(?:[A-Z0-9]{3})?\b/g,
+      // US ABA routing number (9 digits)
+      routingNumber: /\b\d{9}\b/g,
+      // UK sort code: "20-00-00", "20 00 00" or "200000"
+      sortCode: /\b\d{2}([- ]?)\d{2}\1\d{2}\b/g,
+
+      // Secrets and credentials - known provider formats first, then labelled values and
+      // long random-looking strings (validated by entropy in findSecrets)
+      secretProviders:
+        /\b(?:(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}|(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{22,255}|(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|whsec_[A-Za-z0-9]{24,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[A-Za-z0-9_-]{35}|eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})(?![A-Za-z0-9_-])/g,
+      // "Authorization: Bearer <token>"
+      bearerToken: /\bBearer\s+([A-Za-z0-9._~+/-]{16,}=*)/g,
+      // "password=...", "api_key: ...", "client_secret=..."
+      secretAssignment:
+        /\b(password|passwd|pwd|pass|secret|client[_-]?secret|api[_-]?key|apikey|access[_-]?key|secret[_-]?key|aws_secret_access_key|private[_-]?key|access[_-]?token|auth[_-]?token|refresh[_-]?token|token)\s*[:=]\s*["']?([^\s"'&,;<>]+)/gi,
+      // Long unbroken base64/alphanumeric runs
+      secretCandidate: /(?<![A-Za-z0-9+/_-])[A-Za-z0-9+/_-]{32,}={0,2}(?![A-Za-z0-9+/_-])/g,
+
+      // Opaque identifiers - UUIDs (v1-v7), ULIDs, prefixed IDs ("cus_", "sub_") and
+      // reference numbers after a keyword ("Order #A-10293", "Invoice No. INV-2024-0042")
+      uuid: /\b[0-9a-f]{8}-[0-9a-f]{4}-[1-7][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}\b/gi,
+      ulid: /\b[0-7][0-9A-HJKMNP-TV-Z]{25}\b/g,
+      prefixedId:
+        /\b(?:cus|sub|pi|ch|in|inv|prod|price|txn|acct|evt|req|pm|seti|src|tok|card|ba|re|po|tr|cs|si|ord|usr|user|org|team|proj)_[A-Za-z0-9]{8,}\b/g,
+      referenceNumber:
+        /\b(?:order|invoice|ticket|case|ref(?:erence)?|confirmation|booking|tracking|customer|transaction|receipt|shipment|PO)((?:[\s-]*(?:number|no\.?|num\.?|#|ID))?\s*[:#]?)\s*#?([A-Z0-9][A-Z0-9-]*\d[A-Z0-9-]*)\b/gi,
+      hashReference: /(?<![\w#])#([A-Z]{1,4}-\d{3,})\b/g,
+
+      // Usernames and social handles - "@jdoe42", "u/someone", profile URL path segments
+      // ("github.com/jdoe42") and labelled values ("Username: jdoe42")
+      mention: /(?<![\w.@/])@([A-Za-z0-9_](?:[A-Za-z0-9_.-]{0,38}[A-Za-z0-9_])?)(?![\w@/(])/g,
+      redditUser: /(?<![\w/])\/?u\/([A-Za-z0-9_-]{3,20})\b/g,
+      profileUrl:
+        /\b(?:twitter\.com|x\.com|github\.com|gitlab\.com|instagram\.com|facebook\.com|linkedin\.com\/in|reddit\.com\/u(?:ser)?|tiktok\.com\/@|medium\.com\/@|youtube\.com\/@|threads\.net\/@|twitch\.tv|keybase\.io)\/@?([A-Za-z0-9_.-]{2,39})/gi,
+      usernameLabel:
+        /\b(?:username|user name|user ?id|login|handle|screen name|nickname|gamertag)\s*[:=]\s*@?([A-Za-z0-9_.-]{3,32})/gi,
+
+      // Cryptocurrency - Bitcoin legacy (base58) and SegWit/Taproot (bech32) addresses, Ethereum
+      // addresses, transaction hashes and Solana keys/signatures (validated in findCrypto)
+      bitcoinAddress:
+        /\b(?:[13][1-9A-HJ-NP-Za-km-z]{25,34}|(?:bc1|tb1)[02-9ac-hj-np-z]{8,87}|(?:BC1|TB1)[02-9AC-HJ-NP-Z]{8,87})\b/g,
+      ethereumAddress: /\b0x[0-9a-fA-F]{40}\b/g,
+      transactionHash: /\b(?:0x)?[0-9a-fA-F]{64}\b/g,
+      solanaKey:
+        /(?<![A-Za-z0-9])(?:[1-9A-HJ-NP-Za-km-z]{32,44}|[1-9A-HJ-NP-Za-km-z]{86,88})(?![A-Za-z0-9])/g,
+
+      // Geographic coordinates - decimal pairs ("37.7749, -122.4194", "q=37.7749%2C-122.4194" in
+      // map links), hemisphere letters ("37.7749° N, 122.4194° W") and degrees-minutes-seconds
+      // ("37°46'29.6\"N 122°25'09.8\"W"); ranges and precision are checked in findCoordinates
+      decimalCoordinates:
+        /(?<![\w.])([-+]?\d{1,2}\.\d+)(\s*,\s*|%2C)([-+]?\d{1,3}\.\d+)(?!\.?\d)/gi,
+      hemisphereCoordinates:
+        /(?<![\w.])(\d{1,2}(?:\.\d+)?)\s*(°?)\s*([NS])\s*,?\s*(\d{1,3}(?:\.\d+)?)\s*°?\s*([EW])\b/g,
+      dmsCoordinates:
+        /(?<![\w.])\d{1,2}°\s*\d{1,2}['′]\s*(?:\d{1,2}(?:\.\d+)?["″]\s*)?[NS]\s*,?\s*\d{1,3}°\s*\d{1,2}['′]\s*(?:\d{1,2}(?:\.\d+)?["″]\s*)?[EW]/g,
+
       // Quantities with units OR standalone numbers with quantity context
       // Matches: "5 items", "3.5 kg", "total: 7", "count: 3", etc.
       // Negative lookbehind (?<!\.) prevents matching decimal portions like ".99" from "$1,199.99"
       quantity:
         /(?:(?:\btotal\b|\bcount\b|\border\b|\bitem\b|\bquantity\b|\bamount\b|\bnumber\b)[:\s]+)?(?<!\.)\b\d{1,3}(,\d{3})*(\.\d+)?(?:\s*(items|units|pieces|qty|count|kg|lbs|oz|g|ml|l|meters|feet|inches|cm|mm))?\b/gi,
 
+      // Percentages, basis points, percentage points and ratios
+      // Matches: "+23.4%", "-5 %", "12,5 %", "45 bps", "3 percentage points", "0.87 ratio", "ratio of 1.4"
+      // (not the first term of an "N:M" ratio: "Ratio 16:9 display")
+      percentage:
+        /(?<![\w.,])[+\-−±]?\d*[.,]?\d+\s?(?:%|percent\b|per\s+cent\b|pct\b|bps\b|basis\s+points?\b|pp\b|percentage\s+points?\b)|(?<![\w.,])\d*\.\d+\s+ratio\b|\bratio(?:\s+of|:)?\s+\d*\.?\d+(?![\d.]|\s?[:/]\s?\d)/gi,
+
       // Locations - multi-word geographic locations with keywords
       // Matches: "Bay Area", "Silicon Valley", "Pacific Ocean", "Rocky Mountains", etc.
       // Pattern captures 0-3 capitalized words followed by a location keyword
       location:
         /\b(?:[A-Z][a-z]+\s+){0,3}(?:Bay|Valley|Area|Region|Islands?|Coast|Peninsula|County|Province|District|Metropolitan|Metro|Territory|Highlands?|Plains?|Mountains?|Hills?|Ocean|Sea|River|Lake|Gulf|Desert|Forest|Falls|Canyon|Peak|Reef|Strait|Channel|Basin|Plateau|Ridge|Grove|Creek|Range)\b/g,
     };
+
+    // User-defined patterns loaded from settings (see loadCustomPatterns)
+    this.customPatterns = [];
   }
 
   /**
@@ -160,17 +513,93 @@ export class PatternMatcher {
   /**
    * Validate a custom regex pattern
    * @param {string} patternString - Regex pattern as string
+   * @param {string} [flags] - Extra flags (e.g. 'i'); 'g' is always added
    * @returns {Object} { valid: boolean, error?: string, pattern?: RegExp }
    */
-  validatePattern(patternString) {
+  validatePattern(patternString, flags = '') {
     try {
-      const pattern = new RegExp(patternString, 'g');
+      const pattern = new RegExp(patternString, 'g' + flags.replace(/g/g, ''));
       return { valid: true, pattern };
     } catch (error) {
       return { valid: false, error: error.message };
     }
   }
 
+  /**
+   * Load user-defined custom patterns (replaces any previously loaded set)
+   * Invalid or disabled definitions are skipped with a warning.
+   * @param {Array<Object>} definitions - Saved pattern definitions
+   *   { name, pattern, flags?, label?, priority?, replacement?, token?, enabled? }
+   * @returns {number} Number of patterns loaded
+   */
+  loadCustomPatterns(definitions = []) {
+    this.customPatterns = [];
+    if (!Array.isArray(definitions)) return 0;
+
+    const defaultPriority = APP_CONFIG.properNounDetection?.typePriorities?.customRegex || 75;
+
+    for (const definition of definitions) {
+      if (!definition || !definition.name || !definition.pattern) continue;
+      if (definition.enabled === false) continue;
+
+      const flags = definition.flags || '';
+      const validation = this.validatePattern(definition.pattern, flags);
+      if (!validation.valid) {
+        console.warn(
+          `[PatternMatcher] Skipping invalid custom pattern "${definition.name}":`,
+          validation.error
+        );
+        continue;
+      }
+
+      const priority = Number(definition.priority);
+      this.customPatterns.push({
+        name: definition.name,
+        label: definition.label || definition.name,
+        source: definition.pattern,
+        flags,
+        regex: validation.pattern,
+        priority: Number.isFinite(priority) ? priority : defaultPriority,
+        replacement: definition.replacement || APP_CONFIG.defaults.customPatternReplacement,
+        token: definition.token || APP_CONFIG.defaults.customPatternToken,
+      });
+    }
+
+    return this.customPatterns.length;
+  }
+
+  /**
+   * Find matches for all loaded custom patterns
+   * @param {string} text - Text to search
+   * @returns {Array} Array of matches with {value, start, end, pattern}
+   */
+  findCustomMatches(text) {
+    const matches = [];
+
+    for (const custom of this.customPatterns) {
+      const regex = custom.regex;
+      regex.lastIndex = 0;
+
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        // Guard against user patterns that can match the empty string
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+
+        matches.push({
+          value: match[0],
+          start: match.index,
+          end: match.index + match[0].length,
+          pattern: custom,
+        });
+      }
+    }
+
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
   /**
    * Extract metadata from a match (e.g., currency from money)
    * @param {Object} match - Match object
@@ -184,16 +613,12 @@ export class PatternMatcher {
 
     switch (match.type) {
       case 'money': {
-        // Extract currency symbol
-        const currencyMatch = match.value.match(/[$€£¥₹]|USD|EUR|GBP|JPY|INR/i);
-        if (currencyMatch) {
-          metadata.currency = currencyMatch[0];
-        }
-        // Extract numeric value
-        const numericMatch = match.value.match(/\d{1,3}(,\d{3})*(\.\d+)?/);
-        if (numericMatch) {
-          metadata.numericValue = parseFloat(numericMatch[0].replace(/,/g, ''));
+        // Extract currency symbol/code and numeric value (separators and suffix aware)
+        const { currency, hasSymbol, numericValue } = this._extractMoneyMetadata(match.value);
+        if (hasSymbol) {
+          metadata.currency = currency;
         }
+        metadata.numericValue = numericValue;
         break;
       }
 
@@ -239,12 +664,83 @@ export class PatternMatcher {
    * @returns {Array} Array of email matches with {value, start, end}
    */
   findEmails(text) {
-    const matches = this.matchType(text, 'email');
-    return matches.map((m) => ({ value: m.value, start: m.index, end: m.index + m.length }));
+    const matches = this.matchType(text, 'email').map((m) => ({
+      value: m.value,
+      start: m.index,
+      end: m.index + m.length,
+    }));
+
+    for (const m of this.matchType(text, 'obfuscatedEmail')) {
+      const separators = this._getEmailSeparators(m.value);
+      if (!separators) continue;
+
+      matches.push({
+        value: m.value,
+        start: m.index,
+        end: m.index + m.length,
+        metadata: { obfuscated: true, separators },
+      });
+    }
+
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Match an email address (plain or obfuscated) and extract metadata
+   * @param {string} text - Text to match
+   * @returns {Object|null} Match with metadata or null
+   */
+  matchEmail(text) {
+    const matches = this.findEmails(text);
+    return matches.length > 0 ? matches[0] : null;
+  }
+
+  /**
+   * Read the separators an obfuscated email is written with
+   * A plain " at " needs a domain that spells out its dots and doesn't start with a common
+   * word or a number, and a local part that doesn't end in a common word or a verb, so
+   * "staff at example.com", "look at this dot com" and "we met at Google dot com" stay prose.
+   * Before a spelled-out top-level domain, common words and role mailboxes do make an address
+   * ("support at acme dot com").
+   * @private
+   * @param {string} value - Obfuscated email match
+   * @returns {Object|null} { at, localDot, domainDot } as written, or null if not an email
+   */
+  _getEmailSeparators(value) {
+    const at = new RegExp(EMAIL_AT, 'i').exec(value);
+    const local = value.slice(0, at.index);
+    const domain = value.slice(at.index + at[0].length);
+    const dotsIn = (part) => part.match(new RegExp(EMAIL_DOT, 'gi')) || [];
+    const domainDots = dotsIn(domain);
+
+    const strongAt = /[[({<]/.test(at[0]) || at[0].trim() === 'AT';
+    if (!strongAt) {
+      const labels = domain.split(new RegExp(EMAIL_DOT, 'i'));
+      const firstLabel = labels[0].toLowerCase();
+      const lastLocal = local.split(new RegExp(EMAIL_DOT, 'i')).pop().toLowerCase();
+      const spelledTld = domainDots.at(-1) !== '.' && SPELLED_TLD.test(labels.at(-1));
+      const roleAddress = spelledTld && ROLE_MAILBOXES.has(lastLocal);
+      if (
+        domainDots.every((dot) => dot === '.') ||
+        this.commonWords.has(firstLabel) ||
+        !/[a-z]/.test(firstLabel) ||
+        (this.commonWords.has(lastLocal) && !spelledTld) ||
+        (!roleAddress &&
+          [lastLocal, lastLocal.replace(/s$/, '')].some((word) => this.verbs.has(word)))
+      ) {
+        return null;
+      }
+    }
+
+    const domainDot = domainDots.find((dot) => dot !== '.') || '.';
+    return { at: at[0], localDot: dotsIn(local)[0] || domainDot, domainDot };
   }
 
   /**
    * Find all phone numbers in text (using libphonenumber-js for validation)
+   * International numbers that fail validation are retried without trailing groups (the pattern
+   * can run on into a following number); national trunk-prefixed numbers ("030 1234567") are
+   * only kept when they are valid for one of NATIONAL_PHONE_COUNTRIES.
    * @param {string} text - Text to search
    * @returns {Array} Array of phone matches with {value, start, end, metadata}
    */
@@ -253,100 +749,233 @@ export class PatternMatcher {
     const validMatches = [];
 
     for (const match of regexMatches) {
-      // Use libphonenumber-js to validate and extract metadata
-      try {
-        const cleanNumber = match.value.replace(/\s+/g, ' ').trim();
-
-        // Try to parse with country detection
-        if (isValidPhoneNumber(cleanNumber)) {
-          const phoneNumber = parsePhoneNumber(cleanNumber);
-          validMatches.push({
-            value: match.value,
-            start: match.index,
-            end: match.index + match.length,
-            metadata: {
-              country: phoneNumber.country,
-              countryCallingCode: phoneNumber.countryCallingCode,
-              nationalNumber: phoneNumber.nationalNumber,
-              isValid: true,
-              type: phoneNumber.getType(), // 'MOBILE', 'FIXED_LINE', etc.
-            },
-          });
-        } else {
-          // Keep match but mark as potentially invalid
-          validMatches.push({
-            value: match.value,
-            start: match.index,
-            end: match.index + match.length,
-            metadata: {
-              isValid: false,
-            },
-          });
+      // "+23.4%" is a signed percentage, not a country calling code
+      if (/^\s?(?:%|‰|bps\b|basis points?\b)/.test(text.slice(match.index + match.length))) {
+        continue;
+      }
+
+      const isInternational = /^(?:\+|00)/.test(match.value);
+      const isNationalTrunk = !isInternational && /^0/.test(match.value);
+
+      let value = match.value;
+      let metadata = this._getPhoneMetadata(value, isInternational ? null : 'US');
+
+      if (isInternational && !metadata.isValid) {
+        // Drop trailing groups one at a time until the number validates
+        let trimmed = value;
+        while (/[-.\s]/.test(trimmed)) {
+          trimmed = trimmed.replace(/[-.\s]+[^-.\s]*$/, '');
+          const trimmedMetadata = this._getPhoneMetadata(trimmed, null);
+          if (trimmedMetadata.isValid) {
+            value = trimmed;
+            metadata = trimmedMetadata;
+            break;
+          }
         }
-      } catch (error) {
-        // If parsing fails, include the match anyway (might be valid but in unsupported format)
-        validMatches.push({
-          value: match.value,
-          start: match.index,
-          end: match.index + match.length,
-          metadata: {
-            isValid: false,
-            parseError: error.message,
-          },
-        });
+      } else if (isNationalTrunk) {
+        // Several countries may accept the digits - prefer the one whose national
+        // grouping matches how the number is written ("01 42 68 53 00" is French)
+        const shape = this._getDigitGroupShape(value);
+        const candidates = NATIONAL_PHONE_COUNTRIES.map((country) =>
+          this._getPhoneMetadata(value, country)
+        ).filter((candidate) => candidate.isValid);
+        const sameGrouping = candidates.find(
+          (candidate) => this._getDigitGroupShape(candidate.nationalFormat) === shape
+        );
+        metadata = sameGrouping || candidates[0] || { isValid: false };
+
+        // Bare zero-prefixed digit groups are too common (times, codes) to keep unvalidated
+        if (!metadata.isValid) continue;
       }
+
+      // Keep unvalidated international/US matches but mark them as potentially invalid
+      validMatches.push({
+        value,
+        start: match.index,
+        end: match.index + value.length,
+        metadata,
+      });
     }
 
     return validMatches;
   }
 
+  /**
+   * Describe how a number is grouped, e.g. "01 42 68 53 00" -> "2,2,2,2,2"
+   * @private
+   */
+  _getDigitGroupShape(value) {
+    return (value.match(/\d+/g) || []).map((group) => group.length).join(',');
+  }
+
+  /**
+   * Validate a phone number and extract libphonenumber metadata
+   * @private
+   * @param {string} value - Phone number as written
+   * @param {string|null} defaultCountry - Country for numbers without a "+" prefix
+   * @returns {Object} Metadata ({ isValid: false } if it does not validate)
+   */
+  _getPhoneMetadata(value, defaultCountry) {
+    // "0044 20 ..." is the international "+44 20 ..." dialled from Europe
+    const cleanNumber = value.replace(/\s+/g, ' ').trim().replace(/^00/, '+');
+
+    try {
+      if (!isValidPhoneNumber(cleanNumber, defaultCountry || undefined)) {
+        return { isValid: false };
+      }
+
+      const phoneNumber = parsePhoneNumber(cleanNumber, defaultCountry || undefined);
+      return {
+        country: phoneNumber.country,
+        countryCallingCode: phoneNumber.countryCallingCode,
+        nationalNumber: phoneNumber.nationalNumber,
+        nationalFormat: phoneNumber.formatNational(),
+        isValid: true,
+        type: phoneNumber.getType(), // 'MOBILE', 'FIXED_LINE', etc.
+      };
+    } catch (error) {
+      // If parsing fails, the match may still be a phone number in an unsupported format
+      return { isValid: false, parseError: error.message };
+    }
+  }
+
   /**
    * Find all money amounts in text
    * @param {string} text - Text to search
    * @returns {Array} Array of money matches with {value, start, end, ...metadata}
    */
   findMoney(text) {
-    const matches = this.matchType(text, 'money');
-    return matches.map((m) => {
-      const metadata = this._extractMoneyMetadata(m.value);
-      return { value: m.value, start: m.index, end: m.index + m.length, ...metadata };
-    });
+    const matches = this.matchType(text, 'money').map((m) => ({
+      value: m.value,
+      start: m.index,
+      end: m.index + m.length,
+      ...this._extractMoneyMetadata(m.value),
+    }));
+
+    // Spelled-out amounts, unless they overlap a symbol/code amount ("$5 million dollars")
+    for (const m of this.matchType(text, 'spelledMoney')) {
+      const start = m.index;
+      const end = m.index + m.length;
+      if (matches.some((other) => start < other.end && end > other.start)) continue;
+      const metadata = this._extractSpelledMoneyMetadata(m.value);
+      if (metadata) matches.push({ value: m.value, start, end, ...metadata });
+    }
+
+    return matches.sort((a, b) => a.start - b.start);
   }
 
   /**
    * Extract detailed money metadata
+   * numericValue excludes the magnitude suffix ("$1.2M" -> 1.2, suffix "M"), so the replacement
+   * keeps the suffix and precision. Separators are read from the number itself: the last of
+   * "." and "," is the decimal separator, unless it is followed by exactly three digits with no
+   * other separator ("1,199" and "1.234" are grouped).
    * @private
    */
   _extractMoneyMetadata(value) {
-    const currencyMatch = value.match(/[$€£¥₹]/);
-    const currencyCodeMatch = value.match(/USD|EUR|GBP|JPY|INR/i);
-    const numericMatch = value.match(/\d{1,3}(,\d{3})*(\.\d+)?/);
-
-    const hasSymbol = !!(currencyMatch || currencyCodeMatch);
-    const currency = currencyMatch
-      ? currencyMatch[0]
-      : currencyCodeMatch
-        ? currencyCodeMatch[0]
-        : '$';
-    const symbolPosition = currencyMatch
-      ? value.indexOf(currencyMatch[0]) < value.search(/\d/)
-        ? 'before'
-        : 'after'
-      : 'before';
-    const hasCommas = /,/.test(value);
-    const numericValue = numericMatch ? parseFloat(numericMatch[0].replace(/,/g, '')) : 0;
-
-    // Extract decimal places from original value
-    const decimalMatch = numericMatch && numericMatch[0].match(/\.(\d+)/);
-    const decimalPlaces = decimalMatch ? decimalMatch[1].length : 0;
+    const numberStart = value.search(/\d/);
+    const numberMatch = value
+      .slice(numberStart)
+      .match(/^\d[\d\s\u00a0\u202f.,'’]*?(?=\s?(?:[^\d\s\u00a0\u202f.,'’]|$))/);
+    const numberText = numberMatch ? numberMatch[0] : '';
+    const afterNumber = value.slice(numberStart + numberText.length);
+    const beforeNumber = value.slice(0, numberStart);
+
+    // Magnitude suffix directly after the number ("M", "bn", " million")
+    const suffixMatch = afterNumber.match(
+      /^(?:\s?(?:thousand|million|billion|trillion)|MM|mn|bn|Bn|tn|k|K|m|M|B|T)(?![A-Za-z0-9])/
+    );
+    const suffix = suffixMatch ? suffixMatch[0] : '';
+
+    // Currency before or after the number, with the space between them
+    const leading = beforeNumber.match(/^(.*?)(\s*)$/);
+    const trailing = afterNumber.slice(suffix.length).match(/^(\s*)(.*)$/);
+    const symbolPosition = leading[1] ? 'before' : 'after';
+    const currency = leading[1] || trailing[2] || '$';
+    const currencySpacing = symbolPosition === 'before' ? leading[2] : trailing[1];
+
+    // Separators: cross-node spaces ("1,199 . 99") are dropped before reading them
+    const compact = numberText.replace(/\s*([.,])\s*/g, '$1');
+    const lastSeparator = Math.max(compact.lastIndexOf('.'), compact.lastIndexOf(','));
+    const separatorCount = (compact.match(/[.,]/g) || []).length;
+    const digitsAfter = lastSeparator === -1 ? 0 : compact.length - lastSeparator - 1;
+    const hasDecimal =
+      lastSeparator !== -1 &&
+      (digitsAfter !== 3 ||
+        (separatorCount === 1 && /[\s\u00a0\u202f]/.test(compact)) ||
+        (separatorCount > 1 && new Set(compact.match(/[.,]/g)).size > 1));
+    const decimalSeparator = hasDecimal ? compact[lastSeparator] : '.';
+    const integerPart = hasDecimal ? compact.slice(0, lastSeparator) : compact;
+    const groupMatch = integerPart.match(/\d([.,\s\u00a0\u202f'’])\d{3}/);
+    const groupSeparator = groupMatch ? groupMatch[1] : '';
+    const decimalPlaces = hasDecimal ? digitsAfter : 0;
+    const numericValue = parseFloat(
+      `${integerPart.replace(/\D/g, '')}${hasDecimal ? `.${compact.slice(lastSeparator + 1)}` : ''}`
+    );
 
     return {
-      numericValue,
+      numericValue: isNaN(numericValue) ? 0 : numericValue,
       currency,
-      hasCommas,
-      hasSymbol,
+      hasCommas: groupSeparator === ',',
+      hasSymbol: !!(leading[1] || trailing[2]),
       symbolPosition,
+      currencySpacing: /[.,]\s|\s[.,]/.test(numberText) ? '' : currencySpacing,
       decimalPlaces,
+      decimalSeparator,
+      groupSeparator,
+      suffix,
+    };
+  }
+
+  /**
+   * Extract metadata from a spelled-out amount ("two million dollars", "1.5 billion euros")
+   * @private
+   * @returns {Object|null} Money metadata with spelled: true, or null if the words aren't a number
+   */
+  _extractSpelledMoneyMetadata(value) {
+    const currencyMatch = value.match(new RegExp(`\\s+(${CURRENCY_WORD})$`, 'i'));
+    const amountText = value.slice(0, value.length - currencyMatch[0].length);
+
+    let total = 0;
+    let current = 0;
+    let largestScale = 1;
+    let usesDigits = false;
+    for (const token of amountText.toLowerCase().split(/[\s-]+/)) {
+      const scale = numberWords.scales[token];
+      if (/^\d/.test(token)) {
+        current = parseFloat(token);
+        usesDigits = true;
+      } else if (token === 'a') {
+        current = 1;
+      } else if (token === 'and') {
+        continue;
+      } else if (token === 'hundred') {
+        current = (current || 1) * 100;
+      } else if (scale) {
+        total += (current || 1) * scale;
+        current = 0;
+        largestScale = Math.max(largestScale, scale);
+      } else if (numberWords.units.includes(token)) {
+        current += numberWords.units.indexOf(token);
+      } else if (numberWords.tens.includes(token)) {
+        current += numberWords.tens.indexOf(token) * 10;
+      } else {
+        return null;
+      }
+    }
+    const numericValue = total + current;
+    if (!numericValue) return null;
+
+    const decimalMatch = usesDigits && amountText.match(/\.(\d+)/);
+    return {
+      numericValue,
+      currency: currencyMatch[1],
+      hasCommas: false,
+      hasSymbol: true,
+      symbolPosition: 'after',
+      decimalPlaces: decimalMatch ? decimalMatch[1].length : 0,
+      spelled: usesDigits ? 'digits' : 'words',
+      scale: largestScale,
     };
   }
 
@@ -386,6 +1015,48 @@ export class PatternMatcher {
     };
   }
 
+  /**
+   * Find all percentages, basis points and ratios in text
+   * @param {string} text - Text to search
+   * @returns {Array} Array of matches with {value, start, end, metadata}
+   *   metadata: { numericValue, sign, decimalPlaces, decimalSeparator, kind, numberStart, numberEnd }
+   *   kind is 'percent', 'points' (bps and percentage points) or 'ratio'
+   */
+  findPercentages(text) {
+    return this.matchType(text, 'percentage').map((m) => ({
+      value: m.value,
+      start: m.index,
+      end: m.index + m.length,
+      metadata: this._extractPercentageMetadata(m.value),
+    }));
+  }
+
+  /**
+   * Extract percentage metadata; numberStart/numberEnd locate the number inside the value so
+   * the replacement can keep the sign, unit and any "ratio of" wording around it
+   * @private
+   */
+  _extractPercentageMetadata(value) {
+    const numberMatch = value.match(/\d*[.,]?\d+/);
+    const numberText = numberMatch[0];
+    const separatorMatch = numberText.match(/[.,]/);
+    const signMatch = value.match(/^[+\-−±]/);
+
+    let kind = 'percent';
+    if (/ratio/i.test(value)) kind = 'ratio';
+    else if (/bps|basis|pp\b|points?/i.test(value)) kind = 'points';
+
+    return {
+      numericValue: parseFloat(numberText.replace(',', '.')),
+      sign: signMatch ? signMatch[0] : '',
+      decimalPlaces: separatorMatch ? numberText.length - separatorMatch.index - 1 : 0,
+      decimalSeparator: separatorMatch ? separatorMatch[0] : '.',
+      kind,
+      numberStart: numberMatch.index,
+      numberEnd: numberMatch.index + numberText.length,
+    };
+  }
+
   /**
    * Find all URLs in text
    * @param {string} text - Text to search
@@ -418,6 +1089,372 @@ export class PatternMatcher {
     return matches.map((m) => ({ value: m.value, start: m.index, end: m.index + m.length }));
   }
 
+  /**
+   * Find national ID numbers in text (UK NINO, Canadian SIN, Aadhaar, INSEE, DNI/NIE, CPF,
+   * passport numbers). Every candidate must pass its checksum or format rules; numbers that
+   * are easily confused with other digit runs (bare SIN, Aadhaar and CPF digits) also need
+   * a label such as "SIN:" or "CPF", and passport numbers are only taken after a keyword.
+   * @param {string} text - Text to search
+   * @returns {Array} Array of matches with {value, start, end, type}
+   *   type is 'nino', 'sin', 'aadhaar', 'insee', 'dni', 'cpf' or 'passport'
+   */
+  findNationalIDs(text) {
+    const labels = {
+      sin: /(?:\b(?:SIN|NAS)\b|[Ss]ocial [Ii]nsurance|[Aa]ssurance [Ss]ociale)[^\d]{0,20}$/,
+      aadhaar: /\b(?:aadhaa?r|UIDAI|UID)\b[^\d]{0,20}$/i,
+      cpf: /\bCPF\b[^\d]{0,20}$/,
+    };
+    const checks = [
+      { type: 'nino', isValid: isValidNINO },
+      { type: 'sin', isValid: isValidSIN, needsLabel: (value) => !/[- ]/.test(value) },
+      { type: 'aadhaar', isValid: isValidAadhaar, needsLabel: (value) => !/[- ]/.test(value) },
+      { type: 'insee', isValid: isValidINSEE },
+      { type: 'dni', isValid: isValidDNI },
+      { type: 'cpf', isValid: isValidCPF, needsLabel: (value) => !/[.-]/.test(value) },
+    ];
+
+    const results = [];
+    for (const { type, isValid, needsLabel } of checks) {
+      for (const match of this.matchType(text, type)) {
+        if (!isValid(match.value)) continue;
+        // Part of a longer run of digit groups ("4726 3799 7030 9392" is a card number)
+        const end = match.index + match.length;
+        if (/\d[- .]?$/.test(text.slice(0, match.index)) || /^[- .]?\d/.test(text.slice(end))) {
+          continue;
+        }
+        if (needsLabel && needsLabel(match.value)) {
+          const before = text.slice(Math.max(0, match.index - 40), match.index);
+          if (!labels[type].test(before)) continue;
+        }
+        results.push({
+          value: match.value,
+          start: match.index,
+          end,
+          type,
+        });
+      }
+    }
+
+    // Passport numbers have no checksum - require a digit and upper case after the keyword
+    const passportPattern = this.patterns.passport;
+    passportPattern.lastIndex = 0;
+    let match;
+    while ((match = passportPattern.exec(text)) !== null) {
+      const value = match[1];
+      if (!/^(?=.*\d)[A-Z0-9]+$/.test(value)) continue;
+      const start = match.index + match[0].length - value.length;
+      results.push({ value, start, end: start + value.length, type: 'passport' });
+    }
+
+    return results.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find secrets and credentials in text: provider tokens (AWS, GitHub, Stripe, Slack, Google,
+   * JWT), bearer tokens, values assigned to secret-looking keys ("password=..."), and long
+   * unlabelled strings whose Shannon entropy marks them as random
+   * @param {string} text - Text to search
+   * @returns {Array} Array of matches with {value, start, end, metadata: {kind}}
+   *   kind is 'provider', 'bearer', 'assignment' or 'entropy'
+   */
+  findSecrets(text) {
+    const results = [];
+    const overlaps = (start, end) => results.some((r) => start < r.end && end > r.start);
+    const add = (value, start, kind) => {
+      const end = start + value.length;
+      if (!overlaps(start, end)) {
+        results.push({ value, start, end, metadata: { kind } });
+      }
+    };
+
+    for (const match of this.matchType(text, 'secretProviders')) {
+      if (match.value.startsWith('eyJ') && !this._isJWT(match.value)) continue;
+      add(match.value, match.index, 'provider');
+    }
+
+    for (const type of ['bearerToken', 'secretAssignment']) {
+      const pattern = this.patterns[type];
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const value = match[match.length - 1].replace(/[.)\]}]+$/, '');
+        const isPassword =
+          type === 'secretAssignment' && /^(?:password|passwd|pwd|pass)$/i.test(match[1]);
+        // Passwords can be short; other labelled values must look like keys, not prose
+        if (value.length < (isPassword ? 4 : 8)) continue;
+        // Masked values ("********", "••••••", "----") hold nothing to protect
+        if (!/[\p{L}\p{N}]/u.test(value)) continue;
+        if (!isPassword && type === 'secretAssignment' && !/\d/.test(value)) continue;
+        const start = match.index + match[0].lastIndexOf(value);
+        add(value, start, type === 'bearerToken' ? 'bearer' : 'assignment');
+      }
+    }
+
+    // Wallet addresses and transaction hashes are long random strings too
+    const cryptoMatches = this.findCrypto(text);
+
+    for (const match of this.matchType(text, 'secretCandidate')) {
+      const end = match.index + match.length;
+      if (cryptoMatches.some((c) => match.index < c.end && end > c.start)) continue;
+      // Mixed letters and digits with high entropy (rules out words, paths and hex hashes);
+      // hex-and-dash runs are hashes or UUIDs, which belong to identifiers
+      if (!/\d/.test(match.value) || !/[A-Za-z]/.test(match.value)) continue;
+      if (/^[0-9a-f-]+$/i.test(match.value)) continue;
+      if (shannonEntropy(match.value) < SECRET_MIN_ENTROPY) continue;
+      add(match.value, match.index, 'entropy');
+    }
+
+    return results.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find opaque identifiers in text: UUIDs (v1-v7), ULIDs, prefixed IDs like Stripe's "cus_"
+   * and reference numbers anchored by a keyword ("Order #A-10293", "Invoice No. INV-0042")
+   * @param {string} text - Text to search
+   * @returns {Array} Array of matches with {value, start, end, metadata: {kind}}
+   *   kind is 'uuid', 'ulid', 'prefixed' or 'reference'
+   */
+  findIdentifiers(text) {
+    const results = [];
+    const add = (value, start, kind) => {
+      const end = start + value.length;
+      if (!results.some((r) => start < r.end && end > r.start)) {
+        results.push({ value, start, end, metadata: { kind } });
+      }
+    };
+
+    for (const match of this.matchType(text, 'uuid')) {
+      add(match.value, match.index, 'uuid');
+    }
+    for (const match of this.matchType(text, 'ulid')) {
+      // Crockford base32 timestamp + randomness always mixes letters and digits
+      if (/\d/.test(match.value) && /[A-Z]/.test(match.value)) {
+        add(match.value, match.index, 'ulid');
+      }
+    }
+    for (const match of this.matchType(text, 'prefixedId')) {
+      if (/\d/.test(match.value)) {
+        add(match.value, match.index, 'prefixed');
+      }
+    }
+
+    for (const type of ['referenceNumber', 'hashReference']) {
+      const pattern = this.patterns[type];
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const value = match[match.length - 1].replace(/-+$/, '');
+        // Plain numbers need an explicit marker ("Order #123", "Case No. 42"), so
+        // "order 150 kg" stays a quantity; "Order date: 2024-01-15" stays a date
+        const hasMarker =
+          type === 'hashReference' || /[#:]|\b(?:number|no|num|id)\b/i.test(match[1]);
+        if (value.length < 3 || (!hasMarker && /^\d+$/.test(value))) continue;
+        if (this.matchDate(value)?.value === value) continue;
+        add(value, match.index + match[0].lastIndexOf(value), 'reference');
+      }
+    }
+
+    return results.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find cryptocurrency addresses and transaction hashes in text: Bitcoin legacy and
+   * SegWit/Taproot addresses (Base58Check or bech32/bech32m checksum), Ethereum addresses
+   * (EIP-55 checksum when mixed case), "0x" transaction hashes and Solana keys and signatures.
+   * Bare 64-digit hex (any SHA-256 digest) and Solana keys have no checksum, so they need a
+   * label such as "txid:" or "Solana wallet".
+   * @param {string} text - Text to search
+   * @returns {Array} Array of matches with {value, start, end, metadata: {kind}}
+   *   kind is 'bitcoin', 'ethereum', 'transaction', 'solana' or 'signature'
+   */
+  findCrypto(text) {
+    const results = [];
+    const add = (value, start, kind) => {
+      const end = start + value.length;
+      if (!results.some((r) => start < r.end && end > r.start)) {
+        results.push({ value, start, end, metadata: { kind } });
+      }
+    };
+    const hasLabel = (start) => CRYPTO_LABEL.test(text.slice(Math.max(0, start - 40), start));
+
+    for (const match of this.matchType(text, 'bitcoinAddress')) {
+      if (isValidBitcoinAddress(match.value)) {
+        add(match.value, match.index, 'bitcoin');
+      }
+    }
+    for (const match of this.matchType(text, 'ethereumAddress')) {
+      if (isValidEthereumAddress(match.value)) {
+        add(match.value, match.index, 'ethereum');
+      }
+    }
+    for (const match of this.matchType(text, 'transactionHash')) {
+      if (match.value.startsWith('0x') || hasLabel(match.index)) {
+        add(match.value, match.index, 'transaction');
+      }
+    }
+    for (const match of this.matchType(text, 'solanaKey')) {
+      const isSignature = match.length > 44;
+      if (isValidSolanaKey(match.value, isSignature ? 64 : 32) && hasLabel(match.index)) {
+        add(match.value, match.index, isSignature ? 'signature' : 'solana');
+      }
+    }
+
+    return results.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find geographic coordinates in text: decimal latitude/longitude pairs, pairs with
+   * hemisphere letters and degrees-minutes-seconds. Decimal pairs need three decimal places
+   * (street-level precision) unless they sit in a map link or after a label such as "GPS:".
+   * @param {string} text - Text to search
+   * @param {Object} [options]
+   * @param {boolean} [options.anyPrecision=false] - Take decimal pairs without context (when
+   *   reading a value already known to be coordinates)
+   * @returns {Array} Array of matches with {value, start, end, metadata}
+   *   metadata: { format: 'decimal'|'hemisphere'|'dms', latitude, longitude } (signed degrees)
+   */
+  findCoordinates(text, { anyPrecision = false } = {}) {
+    const results = [];
+    const add = (value, start, format, latitude, longitude) => {
+      const end = start + value.length;
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return;
+      if (!results.some((r) => start < r.end && end > r.start)) {
+        results.push({ value, start, end, metadata: { format, latitude, longitude } });
+      }
+    };
+
+    for (const match of this.matchType(text, 'dmsCoordinates')) {
+      const [latitude, longitude] = this._parseDMS(match.value);
+      add(match.value, match.index, 'dms', latitude, longitude);
+    }
+
+    const hemispherePattern = this.patterns.hemisphereCoordinates;
+    hemispherePattern.lastIndex = 0;
+    let match;
+    while ((match = hemispherePattern.exec(text)) !== null) {
+      const [value, lat, degreeSign, ns, lon, ew] = match;
+      // "5 N 10 E" could be anything; a degree sign or decimals make it a position
+      if (!degreeSign && !lat.includes('.')) continue;
+      const latitude = parseFloat(lat) * (ns === 'S' ? -1 : 1);
+      const longitude = parseFloat(lon) * (ew === 'W' ? -1 : 1);
+      add(value, match.index, 'hemisphere', latitude, longitude);
+    }
+
+    const decimalPattern = this.patterns.decimalCoordinates;
+    decimalPattern.lastIndex = 0;
+    while ((match = decimalPattern.exec(text)) !== null) {
+      const [value, lat, , lon] = match;
+      const precise = lat.split('.')[1].length >= 3 && lon.split('.')[1].length >= 3;
+      const before = text.slice(Math.max(0, match.index - 40), match.index);
+      if (!precise && !anyPrecision && !COORDINATE_CONTEXT.test(before)) continue;
+      add(value, match.index, 'decimal', parseFloat(lat), parseFloat(lon));
+    }
+
+    return results.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Read a degrees-minutes-seconds pair as signed decimal degrees
+   * @private
+   * @param {string} value - DMS pair ("37°46'29.6\"N 122°25'09.8\"W")
+   * @returns {Array<number>} [latitude, longitude]
+   */
+  _parseDMS(value) {
+    const components = [...value.matchAll(/(\d+)°\s*(\d+)['′]\s*(?:([\d.]+)["″]\s*)?([NSEW])/g)];
+    return components.map(([, degrees, minutes, seconds = '0', hemisphere]) => {
+      const decimal = Number(degrees) + Number(minutes) / 60 + parseFloat(seconds) / 3600;
+      return /[SW]/.test(hemisphere) ? -decimal : decimal;
+    });
+  }
+
+  /**
+   * Find usernames and social handles in text: @mentions, Reddit "u/" names, the user segment
+   * of profile URLs ("github.com/jdoe42") and "Username:"-labelled values. The handle is
+   * returned without its "@" or "u/" sigil so every spelling maps to the same replacement.
+   * @param {string} text - Text to search
+   * @returns {Array} Array of matches with {value, start, end, metadata: {kind}}
+   *   kind is 'mention', 'reddit', 'profileUrl' or 'label'
+   */
+  findUsernames(text) {
+    // Profile paths that are site pages, not users
+    const reservedPaths = new Set([
+      'about',
+      'explore',
+      'home',
+      'login',
+      'logout',
+      'signup',
+      'settings',
+      'search',
+      'help',
+      'orgs',
+      'features',
+      'pricing',
+      'topics',
+      'trending',
+      'notifications',
+      'messages',
+      'hashtag',
+      'intent',
+      'share',
+      'watch',
+      'company',
+      'school',
+      'groups',
+      'pages',
+      'in',
+    ]);
+    const kinds = {
+      mention: 'mention',
+      redditUser: 'reddit',
+      profileUrl: 'profileUrl',
+      usernameLabel: 'label',
+    };
+
+    const results = [];
+    for (const [type, kind] of Object.entries(kinds)) {
+      const pattern = this.patterns[type];
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const value = match[1].replace(/[.-]+$/, '');
+        if (!/[A-Za-z]/.test(value) || reservedPaths.has(value.toLowerCase())) continue;
+        // "@media", "@import" and friends in pasted CSS, and decorators in pasted code, are not
+        // people (scoped packages "@babel/core" and calls "@Input()" are cut off by the pattern)
+        if (
+          kind === 'mention' &&
+          (/^(?:media|import|font-face|keyframes|supports|charset)$/.test(value) ||
+            DECORATOR_NAMES.has(value))
+        ) {
+          continue;
+        }
+
+        const start = match.index + match[0].lastIndexOf(match[1]);
+        const end = start + value.length;
+        if (!results.some((r) => start < r.end && end > r.start)) {
+          results.push({ value, start, end, metadata: { kind } });
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Check that a JWT-shaped string has a JSON header with an "alg" field
+   * @private
+   * @param {string} value - Candidate JWT
+   * @returns {boolean} True if the header decodes
+   */
+  _isJWT(value) {
+    try {
+      const header = value.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+      return 'alg' in JSON.parse(atob(header.padEnd(Math.ceil(header.length / 4) * 4, '=')));
+    } catch (e) {
+      return false;
+    }
+  }
+
   /**
    * Find all credit card numbers in text (using card-validator for Luhn validation)
    * @param {string} text - Text to search
@@ -452,26 +1489,354 @@ export class PatternMatcher {
     return validMatches;
   }
 
+  /**
+   * Find all IBANs in text (country length + mod-97 validated)
+   * @param {string} text - Text to search
+   * @returns {Array} Array of IBAN matches with {value, start, end, metadata}
+   */
+  findIBANs(text) {
+    const regexMatches = this.matchType(text, 'iban');
+    const validMatches = [];
+
+    for (const match of regexMatches) {
+      const countryCode = match.value.slice(0, 2);
+      const expectedLength = IBAN_LENGTHS[countryCode];
+      if (!expectedLength) continue;
+
+      // Trim to the country's IBAN length - the grouped pattern can run on into a following token
+      let count = 0;
+      let cut = -1;
+      for (let i = 0; i < match.value.length; i++) {
+        if (/[A-Z0-9]/.test(match.value[i]) && ++count === expectedLength) {
+          cut = i + 1;
+          break;
+        }
+      }
+      if (cut === -1 || /[A-Z0-9]/.test(match.value[cut] || '')) continue;
+
+      const value = match.value.slice(0, cut);
+      if (!isValidIBAN(value)) continue;
+
+      validMatches.push({
+        value,
+        start: match.index,
+        end: match.index + cut,
+        metadata: { countryCode },
+      });
+    }
+
+    return validMatches;
+  }
+
+  /**
+   * Find all SWIFT/BIC codes in text
+   * All-letter codes look like ordinary uppercase words, so they need a "BIC:"/"SWIFT code" label;
+   * codes with a digit in the location part ("NWBKGB2L") are accepted on their own
+   * @param {string} text - Text to search
+   * @returns {Array} Array of BIC matches with {value, start, end, metadata}
+   */
+  findBICs(text) {
+    const regexMatches = this.matchType(text, 'bic');
+    const validMatches = [];
+
+    for (const match of regexMatches) {
+      if (!isValidBIC(match.value)) continue;
+
+      const before = text.slice(Math.max(0, match.index - 30), match.index);
+      const hasLabel = /\b(?:BIC|SWIFT)(?:[\s/-]*(?:BIC|code))?\s*[:#]?\s*$/i.test(before);
+      const hasDigitLocation = /\d/.test(match.value.slice(6, 8));
+      if (!hasLabel && !hasDigitLocation) continue;
+
+      validMatches.push({
+        value: match.value,
+        start: match.index,
+        end: match.index + match.length,
+        metadata: { countryCode: match.value.slice(4, 6) },
+      });
+    }
+
+    return validMatches;
+  }
+
+  /**
+   * Find US routing/account and UK sort code/account numbers in text
+   * A routing number must pass the ABA checksum and either carry a label ("Routing:", "ABA")
+   * or be paired with an account number; sort codes need a "Sort code" label or a paired
+   * 8-digit account. Paired account numbers are returned as their own 'bankAccount' matches.
+   * @param {string} text - Text to search
+   * @returns {Array} Array of matches with {value, start, end, type}
+   *   type is 'routingNumber', 'sortCode' or 'bankAccount'
+   */
+  findBankAccounts(text) {
+    const results = [];
+    const seenAccounts = new Set();
+
+    const addAccount = (account) => {
+      if (account && !seenAccounts.has(account.start)) {
+        seenAccounts.add(account.start);
+        results.push({ ...account, type: 'bankAccount' });
+      }
+    };
+
+    for (const match of this.matchType(text, 'routingNumber')) {
+      if (!isValidABARouting(match.value)) continue;
+
+      const end = match.index + match.length;
+      const before = text.slice(Math.max(0, match.index - 40), match.index);
+      const hasLabel = /\b(?:routing|ABA|RTN|transit)\b[^\d]{0,20}$/i.test(before);
+      const account = this._findPairedAccount(text, match.index, end, 4, 17);
+      if (!hasLabel && !account) continue;
+
+      results.push({ value: match.value, start: match.index, end, type: 'routingNumber' });
+      addAccount(account);
+    }
+
+    for (const match of this.matchType(text, 'sortCode')) {
+      const end = match.index + match.length;
+      const before = text.slice(Math.max(0, match.index - 40), match.index);
+      const hasLabel = /\bsort(?:ing)?[\s-]*code\b[^\d]{0,20}$/i.test(before);
+      const account = this._findPairedAccount(text, match.index, end, 8, 8);
+      // Bare six digits are too common to accept without a label
+      if (!hasLabel && !(account && /-/.test(match.value))) continue;
+
+      results.push({ value: match.value, start: match.index, end, type: 'sortCode' });
+      addAccount(account);
+    }
+
+    return results.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find the account number paired with a routing number or sort code
+   * Looks right after it ("021000021 / 12345678", "..., Account: 12345678") and then for a
+   * labelled account just before it ("Account: 12345678, Sort code: 20-00-00")
+   * @private
+   * @returns {Object|null} {value, start, end} or null
+   */
+  _findPairedAccount(text, start, end, minDigits, maxDigits) {
+    const label = '(?:account|acct|a\\/c)(?:\\s*(?:number|no\\.?|num|#))?\\s*[:#]?\\s*';
+    const digits = `(\\d{${minDigits},${maxDigits}})\\b`;
+
+    const after = text.slice(end, end + 60);
+    const afterMatch = after.match(new RegExp(`^\\s*(?:[,;/|-]\\s*)?(?:${label})?${digits}`, 'i'));
+    if (afterMatch) {
+      const accountStart = end + afterMatch[0].length - afterMatch[1].length;
+      return {
+        value: afterMatch[1],
+        start: accountStart,
+        end: accountStart + afterMatch[1].length,
+      };
+    }
+
+    const beforeStart = Math.max(0, start - 60);
+    const before = text.slice(beforeStart, start);
+    const beforeMatch = before.match(new RegExp(`\\b${label}${digits}[^\\d]{0,30}$`, 'i'));
+    if (beforeMatch) {
+      const accountStart = beforeStart + beforeMatch.index + beforeMatch[0].indexOf(beforeMatch[1]);
+      return {
+        value: beforeMatch[1],
+        start: accountStart,
+        end: accountStart + beforeMatch[1].length,
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Find all dates in text
    * @param {string} text - Text to search
+   * Includes relative dates ("3 days ago", "last Tuesday"), which are shifted like absolute ones
    * @returns {Array} Array of date matches with {value, start, end}
    */
   findDates(text) {
-    const matches = this.matchType(text, 'date');
+    const matches = [...this.matchType(text, 'date'), ...this.matchType(text, 'relativeDate')];
+    return matches
+      .map((m) => ({ value: m.value, start: m.index, end: m.index + m.length }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find all timestamps (date plus time of day) in text
+   * @param {string} text - Text to search
+   * @returns {Array} Array of timestamp matches with {value, start, end}
+   */
+  findTimestamps(text) {
+    const matches = this.matchType(text, 'timestamp');
     return matches.map((m) => ({ value: m.value, start: m.index, end: m.index + m.length }));
   }
 
   /**
-   * Find all addresses in text
+   * Find all times of day in text
    * @param {string} text - Text to search
-   * @returns {Array} Array of address matches with {value, start, end}
+   * @returns {Array} Array of time matches with {value, start, end}
    */
-  findAddresses(text) {
-    const matches = this.matchType(text, 'address');
+  findTimes(text) {
+    const matches = this.matchType(text, 'time');
     return matches.map((m) => ({ value: m.value, start: m.index, end: m.index + m.length }));
   }
 
+  /**
+   * Find all postal addresses in text
+   * Street lines are extended with a trailing locality when one follows
+   * ("123 Main St, Springfield, IL 62704", "Hauptstraße 12, 10115 Berlin"), and the locality
+   * format decides the country. Street-only English addresses default to 'US'.
+   * @param {string} text - Text to search
+   * @returns {Array} Array of address matches with {value, start, end, metadata}
+   *   metadata: { country, parts: [{ kind: 'street'|'city'|'region'|'postcode', start, end }] }
+   *   (part offsets are relative to value)
+   */
+  findAddresses(text) {
+    const addresses = [];
+
+    const collect = (regex, country, isStreet = () => true) => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        if (!isStreet(match)) continue;
+        const start = match.index;
+        const streetEnd = start + match[0].length;
+        const locality = this._matchAddressLocality(text, streetEnd, country);
+        const end = locality ? locality.end : streetEnd;
+
+        addresses.push({
+          value: text.slice(start, end),
+          start,
+          end,
+          metadata: {
+            country: locality ? locality.country : country,
+            parts: [
+              { kind: 'street', start: 0, end: match[0].length },
+              ...(locality ? locality.parts : []).map((part) => ({
+                kind: part.kind,
+                start: part.start - start,
+                end: part.end - start,
+              })),
+            ],
+          },
+        });
+      }
+    };
+
+    collect(this.patterns.address, 'US', (match) => !DISTANCE_STREET_NAME.test(match[2]));
+    collect(this.patterns.germanAddress, 'DE');
+
+    // Drop matches overlapping an earlier one
+    addresses.sort((a, b) => a.start - b.start);
+    return addresses.filter((address, i) => i === 0 || address.start >= addresses[i - 1].end);
+  }
+
+  /**
+   * Match the locality that follows a street line (city, region and postcode)
+   * @private
+   * @param {string} text - Full text
+   * @param {number} index - Position right after the street line
+   * @param {string} streetCountry - 'DE' for German street forms, otherwise 'US'
+   * @returns {Object|null} { end, country, parts } with absolute part positions
+   */
+  _matchAddressLocality(text, index, streetCountry) {
+    const city = '([A-ZÀ-Ý][a-zà-ÿ]+(?:[ -](?:am|an der|upon|on|[A-ZÀ-Ý][a-zà-ÿ]+)){0,2})';
+    const regions = (country) => `(${addressLocales[country].regions.join('|')})`;
+
+    // Each format: [country, pattern, kinds of its capture groups]
+    const formats =
+      streetCountry === 'DE'
+        ? [['DE', `,?\\s+((?:D-)?\\d{5})\\s+${city}`, ['postcode', 'city']]]
+        : [
+            [
+              'CA',
+              `,?\\s+${city},?\\s+${regions('CA')}\\s+([A-Z]\\d[A-Z] ?\\d[A-Z]\\d)\\b`,
+              ['city', 'region', 'postcode'],
+            ],
+            [
+              'AU',
+              `,?\\s+${city},?\\s+${regions('AU')}\\s+(\\d{4})\\b`,
+              ['city', 'region', 'postcode'],
+            ],
+            [
+              'US',
+              `,?\\s+${city},?\\s+${regions('US')}\\s+(\\d{5}(?:-\\d{4})?)\\b`,
+              ['city', 'region', 'postcode'],
+            ],
+            [
+              'GB',
+              `,?\\s+${city},?\\s+((?:[A-Z]{1,2}\\d[A-Z\\d]?) ?\\d[A-Z]{2})\\b`,
+              ['city', 'postcode'],
+            ],
+          ];
+
+    for (const [country, source, kinds] of formats) {
+      const regex = new RegExp(source, 'y');
+      regex.lastIndex = index;
+      const match = regex.exec(text);
+      if (!match) continue;
+
+      // Locate each captured group inside the match (groups appear in order)
+      const parts = [];
+      let cursor = match.index;
+      kinds.forEach((kind, i) => {
+        const partStart = text.indexOf(match[i + 1], cursor);
+        parts.push({ kind, start: partStart, end: partStart + match[i + 1].length });
+        cursor = partStart + match[i + 1].length;
+      });
+
+      return { end: match.index + match[0].length, country, parts };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find standalone postcodes (UK, Canada, US state + ZIP, Australia state + postcode,
+   * Germany PLZ + known city)
+   * @param {string} text - Text to search
+   * @returns {Array} Array of postcode matches with {value, start, end, metadata}
+   *   metadata: { country, parts } (same shape as findAddresses)
+   */
+  findPostcodes(text) {
+    const postcodes = [];
+
+    const collect = (type, country, kinds) => {
+      for (const match of this.matchType(text, type)) {
+        // "M3 4GB" style storage sizes look like UK postcodes
+        if (country === 'GB' && /\d(?:GB|MB|KB|TB|PB)$/.test(match.value)) continue;
+
+        // Two-part postcodes ("IL 62704", "10115 Berlin") split at the whitespace
+        const groups = kinds.length > 1 ? this._splitPostcodeGroups(match.value, kinds) : null;
+        postcodes.push({
+          value: match.value,
+          start: match.index,
+          end: match.index + match.length,
+          metadata: {
+            country,
+            parts: groups || [{ kind: 'postcode', start: 0, end: match.length }],
+          },
+        });
+      }
+    };
+
+    collect('ukPostcode', 'GB', ['postcode']);
+    collect('caPostcode', 'CA', ['postcode']);
+    collect('usPostcode', 'US', ['region', 'postcode']);
+    collect('auPostcode', 'AU', ['region', 'postcode']);
+    collect('dePostcode', 'DE', ['postcode', 'city']);
+
+    return postcodes.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Split "IL 62704" / "10115 Berlin" into two parts around the whitespace
+   * @private
+   */
+  _splitPostcodeGroups(value, kinds) {
+    const gap = value.match(/\s+/);
+    if (!gap) return null;
+    return [
+      { kind: kinds[0], start: 0, end: gap.index },
+      { kind: kinds[1], start: gap.index + gap[0].length, end: value.length },
+    ];
+  }
+
   /**
    * Find all locations in text (hybrid approach: pattern + gazetteer)
    * Detects multi-word locations via pattern and single-word locations via gazetteer
@@ -597,6 +1962,26 @@ export class PatternMatcher {
     return matches.length > 0 ? matches[0] : null;
   }
 
+  /**
+   * Match percentage value and extract metadata
+   * @param {string} text - Text to match
+   * @returns {Object|null} Match with metadata or null
+   */
+  matchPercentage(text) {
+    const matches = this.findPercentages(text);
+    return matches.length > 0 ? matches[0] : null;
+  }
+
+  /**
+   * Match geographic coordinates and extract metadata
+   * @param {string} text - Text to match
+   * @returns {Object|null} Match with metadata or null
+   */
+  matchCoordinates(text) {
+    const matches = this.findCoordinates(text, { anyPrecision: true });
+    return matches.length > 0 ? matches[0] : null;
+  }
+
   /**
    * Match phone number and extract metadata
    * @param {string} text - Text to match
@@ -616,6 +2001,26 @@ export class PatternMatcher {
     const matches = this.findDates(text);
     return matches.length > 0 ? matches[0] : null;
   }
+
+  /**
+   * Match postal address and extract metadata
+   * @param {string} text - Text to match
+   * @returns {Object|null} Match with metadata or null
+   */
+  matchAddress(text) {
+    const matches = this.findAddresses(text);
+    return matches.length > 0 ? matches[0] : null;
+  }
+
+  /**
+   * Match postcode and extract metadata
+   * @param {string} text - Text to match
+   * @returns {Object|null} Match with metadata or null
+   */
+  matchPostcode(text) {
+    const matches = this.findPostcodes(text);
+    return matches.length > 0 ? matches[0] : null;
+  }
 }
 
 export default PatternMatcher;
@@ -9,6 +9,9 @@ import { PatternMatcher } from './pattern-matcher.js';
 import { Dictionary } from './dictionary.js';
 import { ProperNounDetector } from './proper-noun-detector.js';
 import { EntityDeduplicator } from './entity-deduplicator.js';
+import { LabelContext } from './label-context.js';
+import { TableColumns } from './table-columns.js';
+import { SemanticHints } from './semantic-hints.js';
 import { APP_CONFIG } from '../../config/app-config.js';
 
 export class PIIDetector {
@@ -17,6 +20,9 @@ export class PIIDetector {
     this.dictionary = new Dictionary();
     this.properNounDetector = null; // Initialize after dictionary loads
     this.deduplicator = new EntityDeduplicator();
+    this.labelContext = new LabelContext(this.patternMatcher);
+    this.tableColumns = new TableColumns(this.labelContext);
+    this.semanticHints = new SemanticHints(this.labelContext);
     this.initialized = false;
     this.properNounThreshold = 0.75; // Default threshold
   }
@@ -48,10 +54,31 @@ export class PIIDetector {
         this.properNounDetector.setThreshold(this.properNounThreshold);
       }
 
+      await this.loadCustomPatterns();
+
       this.initialized = true;
     }
   }
 
+  /**
+   * Load user-defined custom regex patterns from storage into the pattern matcher
+   * Called on initialize and again when the user edits patterns in Settings
+   * @returns {Promise<number>} Number of patterns loaded
+   */
+  async loadCustomPatterns() {
+    try {
+      const key = APP_CONFIG.storageKeys.customPatterns;
+      const result = await chrome.storage.local.get([key]);
+      const count = this.patternMatcher.loadCustomPatterns(result?.[key] || []);
+      console.log(`[PIIDetector] Loaded ${count} custom patterns`);
+      return count;
+    } catch (error) {
+      console.warn('[PIIDetector] Could not load custom patterns from storage:', error);
+      this.patternMatcher.loadCustomPatterns([]);
+      return 0;
+    }
+  }
+
   /**
    * Update proper noun detection threshold
    * Used when user changes sensitivity setting
@@ -73,7 +100,23 @@ export class PIIDetector {
    */
   findAllCandidates(textMap) {
     console.log('[PIIDetector] Phase 2: Finding all PII candidates');
-    const candidates = this._detectAllTypes(textMap.fullText);
+    this._setPageLanguage(textMap.fullText);
+    const languages = this._getSegmentLanguages(
+      textMap.segments.map((segment) => ({
+        start: segment.startInFullText,
+        end: segment.endInFullText,
+        text: segment.text,
+        node: segment.nodes[0]?.node,
+      }))
+    );
+    const detected = this._detectAllTypes(textMap.fullText, languages);
+
+    // Values in label–value layouts take the type of their label ("DOB", "Acct #"), table
+    // cells the type most of their column was detected as, and values the markup types
+    // (itemprop, autocomplete, hCard classes) that type over both
+    const labelled = this.labelContext.apply(detected, textMap, this.properNounThreshold);
+    const columns = this.tableColumns.apply(labelled, textMap, this.properNounThreshold);
+    const candidates = this.semanticHints.apply(columns, textMap, this.properNounThreshold);
     console.log(`[PIIDetector] Found ${candidates.length} candidates`);
     return candidates;
   }
@@ -87,7 +130,8 @@ export class PIIDetector {
    */
   detectInText(text, enabledTypes = null) {
     // ALWAYS detect all types
-    const allEntities = this._detectAllTypes(text);
+    const languages = this._getSegmentLanguages([{ start: 0, end: text.length, text }]);
+    const allEntities = this._detectAllTypes(text, languages);
 
     // Filter by enabled types if specified
     if (enabledTypes && enabledTypes.length > 0) {
@@ -103,14 +147,43 @@ export class PIIDetector {
     return allEntities;
   }
 
+  /**
+   * Detect PII in the value of a form field. A field whose markup says what it holds
+   * (autocomplete="name", itemprop="email", type="tel") is one entity of that type.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Form field
+   * @param {Array<string>} enabledTypes - Types to include in results
+   * @returns {Array<Object>} Array of detected PII entities
+   */
+  detectInField(field, enabledTypes = null) {
+    const hint = this.semanticHints.getHint(field);
+    if (!hint || this.semanticHints.isEmpty(field.value)) {
+      return this.detectInText(field.value, enabledTypes);
+    }
+
+    const original = field.value.trim();
+    const start = field.value.indexOf(original);
+    const entity = {
+      type: hint.type,
+      original,
+      start,
+      end: start + original.length,
+      confidence: 1.0,
+      context: hint.context,
+      hint: hint.source,
+    };
+    return this._filterByEnabledTypes([entity], enabledTypes);
+  }
+
   /**
    * Detect all PII types in text (ignores enabledTypes parameter)
    * This is the core detection logic that always runs on all types
    * @private
    * @param {string} text - Text to analyze
+   * @param {Array<Object>} [languages] - Language of each stretch of text { start, end,
+   *   language } (defaults to the page language)
    * @returns {Array<Object>} All detected entities
    */
-  _detectAllTypes(text) {
+  _detectAllTypes(text, languages = null) {
     const entities = [];
 
     // Pattern-based detection (always run)
@@ -160,6 +233,32 @@ export class PIIDetector {
       }))
     );
 
+    // Percentages, basis points and ratios
+    const percentages = this.patternMatcher.findPercentages(text);
+    entities.push(
+      ...percentages.map((m) => ({
+        type: 'percentage',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        metadata: m.metadata,
+      }))
+    );
+
+    // Geographic coordinates (decimal, hemisphere and DMS pairs, map link parameters)
+    const coordinates = this.patternMatcher.findCoordinates(text);
+    entities.push(
+      ...coordinates.map((m) => ({
+        type: 'coordinates',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        metadata: m.metadata,
+      }))
+    );
+
     const urls = this.patternMatcher.findURLs(text);
     entities.push(
       ...urls.map((m) => ({
@@ -193,6 +292,69 @@ export class PIIDetector {
       }))
     );
 
+    // Secrets and credentials (provider prefixes, labels, entropy)
+    const secrets = this.patternMatcher.findSecrets(text);
+    entities.push(
+      ...secrets.map((m) => ({
+        type: 'secret',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        metadata: m.metadata,
+      }))
+    );
+
+    // Opaque identifiers (UUIDs, ULIDs, prefixed IDs, order/invoice numbers)
+    const identifiers = this.patternMatcher.findIdentifiers(text);
+    entities.push(
+      ...identifiers.map((m) => ({
+        type: 'identifier',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        metadata: m.metadata,
+      }))
+    );
+
+    // Cryptocurrency addresses and transaction hashes (checksum/label validated)
+    const cryptoMatches = this.patternMatcher.findCrypto(text);
+    entities.push(
+      ...cryptoMatches.map((m) => ({
+        type: 'crypto',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        metadata: m.metadata,
+      }))
+    );
+
+    // Usernames and social handles (@mentions, u/…, profile URLs, "Username:")
+    const usernames = this.patternMatcher.findUsernames(text);
+    entities.push(
+      ...usernames.map((m) => ({
+        type: 'username',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        metadata: m.metadata,
+      }))
+    );
+
+    const nationalIDs = this.patternMatcher.findNationalIDs(text);
+    entities.push(
+      ...nationalIDs.map((m) => ({
+        type: m.type,
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+      }))
+    );
+
     const creditCards = this.patternMatcher.findCreditCards(text);
     entities.push(
       ...creditCards.map((m) => ({
@@ -205,6 +367,42 @@ export class PIIDetector {
       }))
     );
 
+    // Banking identifiers (checksum/label validated)
+    const ibans = this.patternMatcher.findIBANs(text);
+    entities.push(
+      ...ibans.map((m) => ({
+        type: 'iban',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        metadata: m.metadata,
+      }))
+    );
+
+    const bics = this.patternMatcher.findBICs(text);
+    entities.push(
+      ...bics.map((m) => ({
+        type: 'bic',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        metadata: m.metadata,
+      }))
+    );
+
+    const bankAccounts = this.patternMatcher.findBankAccounts(text);
+    entities.push(
+      ...bankAccounts.map((m) => ({
+        type: m.type,
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+      }))
+    );
+
     const dates = this.patternMatcher.findDates(text);
     entities.push(
       ...dates.map((m) => ({
@@ -216,6 +414,29 @@ export class PIIDetector {
       }))
     );
 
+    // Times of day and timestamps (date plus time), shifted together with dates
+    const timestamps = this.patternMatcher.findTimestamps(text);
+    entities.push(
+      ...timestamps.map((m) => ({
+        type: 'timestamp',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 0.8,
+      }))
+    );
+
+    const times = this.patternMatcher.findTimes(text);
+    entities.push(
+      ...times.map((m) => ({
+        type: 'time',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 0.8,
+      }))
+    );
+
     const addresses = this.patternMatcher.findAddresses(text);
     entities.push(
       ...addresses.map((m) => ({
@@ -224,6 +445,19 @@ export class PIIDetector {
         start: m.start,
         end: m.end,
         confidence: 0.7,
+        metadata: m.metadata,
+      }))
+    );
+
+    const postcodes = this.patternMatcher.findPostcodes(text);
+    entities.push(
+      ...postcodes.map((m) => ({
+        type: 'postcode',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 0.9,
+        metadata: m.metadata,
       }))
     );
 
@@ -240,12 +474,41 @@ export class PIIDetector {
       }))
     );
 
+    // User-defined custom patterns (per-pattern priority)
+    const customMatches = this.patternMatcher.findCustomMatches(text);
+    entities.push(
+      ...customMatches.map((m) => ({
+        type: 'customRegex',
+        original: m.value,
+        start: m.start,
+        end: m.end,
+        confidence: 1.0,
+        priority: m.pattern.priority,
+        context: this._getCustomPatternContext(m.pattern),
+      }))
+    );
+
     // Proper nouns (always run, but lowest priority)
-    const properNouns = this._detectProperNouns(text);
+    const properNouns = this._detectProperNouns(text, languages);
     entities.push(...properNouns);
 
+    // A full name wins over the one place in it ("Jordan Smith", "Austin Miller"); a run of
+    // places ("Austin Texas") stays places
+    const placesIn = (name) =>
+      locations.filter((place) => place.start >= name.start && place.end <= name.end);
+    const fullNames = properNouns.filter(
+      (candidate) =>
+        candidate.scoreBreakdown?.multiWord_detail === 'full_name' &&
+        placesIn(candidate).length === 1
+    );
+    const withNames = entities.filter(
+      (entity) =>
+        entity.type !== 'location' ||
+        !fullNames.some((name) => entity.start >= name.start && entity.end <= name.end)
+    );
+
     // Deduplicate with type priority
-    return this._deduplicateWithPriority(entities);
+    return this._deduplicateWithPriority(withNames);
   }
 
   /**
@@ -294,6 +557,10 @@ export class PIIDetector {
         normalizedTypes.add('quantity');
         normalizedTypes.add('quantities');
       }
+      if (type === 'percentage' || type === 'percentages') {
+        normalizedTypes.add('percentage');
+        normalizedTypes.add('percentages');
+      }
       if (type === 'date' || type === 'dates') {
         normalizedTypes.add('date');
         normalizedTypes.add('dates');
@@ -302,6 +569,31 @@ export class PIIDetector {
         normalizedTypes.add('url');
         normalizedTypes.add('urls');
       }
+      if (type === 'secret' || type === 'secrets') {
+        normalizedTypes.add('secret');
+        normalizedTypes.add('secrets');
+      }
+      if (type === 'identifier' || type === 'identifiers') {
+        normalizedTypes.add('identifier');
+        normalizedTypes.add('identifiers');
+      }
+      if (type === 'username' || type === 'usernames') {
+        normalizedTypes.add('username');
+        normalizedTypes.add('usernames');
+      }
+      if (type === 'creditCard' || type === 'creditCards') {
+        normalizedTypes.add('creditCard');
+        normalizedTypes.add('creditCards');
+      }
+      if (type === 'passport' || type === 'passports') {
+        normalizedTypes.add('passport');
+        normalizedTypes.add('passports');
+      }
+      // Grouped UI types (e.g. 'bankAccounts') cover several entity types
+      const group = APP_CONFIG.piiTypeGroups?.[type];
+      if (group) {
+        group.forEach((entityType) => normalizedTypes.add(entityType));
+      }
       if (type === 'ip' || type === 'ips' || type === 'ipAddress') {
         normalizedTypes.add('ip');
         normalizedTypes.add('ips');
@@ -355,7 +647,11 @@ export class PIIDetector {
       }
 
       // ALWAYS process proper nouns
-      const properNounCandidates = this.properNounDetector.detectAllCandidates(text, currentNode);
+      const properNounCandidates = this.properNounDetector.detectAllCandidates(
+        text,
+        currentNode,
+        this._getSegmentLanguages([{ start: 0, end: text.length, text, node: currentNode }])
+      );
       properNounCandidates.forEach((candidate) => {
         allCandidates.push({
           ...candidate,
@@ -377,14 +673,14 @@ export class PIIDetector {
         });
       }
 
-      // ALWAYS process emails
-      const emailMatches = this.patternMatcher.matchType(text, 'email');
+      // ALWAYS process emails (including obfuscated ones)
+      const emailMatches = this.patternMatcher.findEmails(text);
       emailMatches.forEach((match) => {
         allCandidates.push({
           type: 'email',
           original: match.value,
-          start: match.index,
-          end: match.index + match.length,
+          start: match.start,
+          end: match.end,
           confidence: 1.0,
           node: currentNode,
           nodeText: text,
@@ -392,14 +688,14 @@ export class PIIDetector {
         });
       });
 
-      // ALWAYS process phones
-      const phoneMatches = this.patternMatcher.matchType(text, 'phone');
+      // ALWAYS process phones (validated - national formats need a country match)
+      const phoneMatches = this.patternMatcher.findPhones(text);
       phoneMatches.forEach((match) => {
         allCandidates.push({
           type: 'phone',
           original: match.value,
-          start: match.index,
-          end: match.index + match.length,
+          start: match.start,
+          end: match.end,
           confidence: 1.0,
           node: currentNode,
           nodeText: text,
@@ -437,14 +733,44 @@ export class PIIDetector {
         });
       });
 
+      // ALWAYS process percentages and ratios
+      const percentageMatches = this.patternMatcher.findPercentages(text);
+      percentageMatches.forEach((match) => {
+        allCandidates.push({
+          type: 'percentage',
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
+      // ALWAYS process geographic coordinates
+      const coordinateMatches = this.patternMatcher.findCoordinates(text);
+      coordinateMatches.forEach((match) => {
+        allCandidates.push({
+          type: 'coordinates',
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
       // ALWAYS process addresses
-      const addressMatches = this.patternMatcher.matchType(text, 'address');
+      const addressMatches = this.patternMatcher.findAddresses(text);
       addressMatches.forEach((match) => {
         allCandidates.push({
           type: 'address',
           original: match.value,
-          start: match.index,
-          end: match.index + match.length,
+          start: match.start,
+          end: match.end,
           confidence: 0.7,
           node: currentNode,
           nodeText: text,
@@ -452,6 +778,21 @@ export class PIIDetector {
         });
       });
 
+      // ALWAYS process postcodes
+      const postcodeMatches = this.patternMatcher.findPostcodes(text);
+      postcodeMatches.forEach((match) => {
+        allCandidates.push({
+          type: 'postcode',
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 0.9,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
       // ALWAYS process URLs
       const urlMatches = this.patternMatcher.matchType(text, 'url');
       urlMatches.forEach((match) => {
@@ -497,6 +838,81 @@ export class PIIDetector {
         });
       });
 
+      // ALWAYS process secrets and credentials
+      const secretMatches = this.patternMatcher.findSecrets(text);
+      secretMatches.forEach((match) => {
+        allCandidates.push({
+          type: 'secret',
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
+      // ALWAYS process opaque identifiers
+      const identifierMatches = this.patternMatcher.findIdentifiers(text);
+      identifierMatches.forEach((match) => {
+        allCandidates.push({
+          type: 'identifier',
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
+      // ALWAYS process cryptocurrency addresses and transaction hashes
+      const cryptoMatches = this.patternMatcher.findCrypto(text);
+      cryptoMatches.forEach((match) => {
+        allCandidates.push({
+          type: 'crypto',
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
+      // ALWAYS process usernames and social handles
+      const usernameMatches = this.patternMatcher.findUsernames(text);
+      usernameMatches.forEach((match) => {
+        allCandidates.push({
+          type: 'username',
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
+      // ALWAYS process national ID numbers (checksum/keyword validated)
+      const nationalIDMatches = this.patternMatcher.findNationalIDs(text);
+      nationalIDMatches.forEach((match) => {
+        allCandidates.push({
+          type: match.type,
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
       // ALWAYS process credit cards
       const creditCardMatches = this.patternMatcher.matchType(text, 'creditCard');
       creditCardMatches.forEach((match) => {
@@ -512,14 +928,51 @@ export class PIIDetector {
         });
       });
 
-      // ALWAYS process dates
-      const dateMatches = this.patternMatcher.matchType(text, 'date');
+      // ALWAYS process banking identifiers (validated, like locations)
+      const bankingMatches = [
+        ...this.patternMatcher.findIBANs(text).map((m) => ({ ...m, type: 'iban' })),
+        ...this.patternMatcher.findBICs(text).map((m) => ({ ...m, type: 'bic' })),
+        ...this.patternMatcher.findBankAccounts(text),
+      ];
+      bankingMatches.forEach((match) => {
+        allCandidates.push({
+          type: match.type,
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
+      // ALWAYS process dates (absolute and relative)
+      const dateMatches = this.patternMatcher.findDates(text);
       dateMatches.forEach((match) => {
         allCandidates.push({
           type: 'date',
           original: match.value,
-          start: match.index,
-          end: match.index + match.length,
+          start: match.start,
+          end: match.end,
+          confidence: 0.8,
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
+
+      // ALWAYS process timestamps and times of day
+      const timeMatches = [
+        ...this.patternMatcher.findTimestamps(text).map((m) => ({ ...m, type: 'timestamp' })),
+        ...this.patternMatcher.findTimes(text).map((m) => ({ ...m, type: 'time' })),
+      ];
+      timeMatches.forEach((match) => {
+        allCandidates.push({
+          type: match.type,
+          original: match.value,
+          start: match.start,
+          end: match.end,
           confidence: 0.8,
           node: currentNode,
           nodeText: text,
@@ -544,6 +997,23 @@ export class PIIDetector {
           },
         });
       });
+
+      // ALWAYS process user-defined custom patterns
+      const customMatches = this.patternMatcher.findCustomMatches(text);
+      customMatches.forEach((match) => {
+        allCandidates.push({
+          type: 'customRegex',
+          original: match.value,
+          start: match.start,
+          end: match.end,
+          confidence: 1.0,
+          priority: match.pattern.priority,
+          context: this._getCustomPatternContext(match.pattern),
+          node: currentNode,
+          nodeText: text,
+          scoreBreakdown: { patternMatch: 1.0 },
+        });
+      });
     }
 
     console.log('[SafeSnap Debug] BEFORE deduplication - all candidates:', {
@@ -639,7 +1109,8 @@ export class PIIDetector {
     const fullText = textNodes.map((n) => n.text).join(' ');
 
     // Detect ALL types first (including dates) to enable proper deduplication
-    const allEntities = this._detectAllTypes(fullText);
+    this._setPageLanguage(fullText);
+    const allEntities = this._detectAllTypes(fullText, this._getSegmentLanguages(textNodes));
 
     // Step 3: Map each entity back to its originating text node(s)
     const entitiesWithNodes = allEntities
@@ -700,10 +1171,68 @@ export class PIIDetector {
    * Detect proper nouns in text using capitalization and dictionary
    * @private
    * @param {string} text - Text to analyze
+   * @param {Array<Object>} [languages] - Language of each stretch of text
    * @returns {Array<Object>} Array of proper noun entities
    */
-  _detectProperNouns(text) {
-    return this.properNounDetector.detect(text);
+  _detectProperNouns(text, languages = null) {
+    return this.properNounDetector.detect(text, null, languages);
+  }
+
+  /**
+   * Set the page language from <html lang>, or from the page text when it declares none
+   * or one without a dictionary
+   * @private
+   * @param {string} fullText - All visible text of the page
+   * @returns {string} Page language
+   */
+  _setPageLanguage(fullText) {
+    const declared =
+      typeof document !== 'undefined' ? document.documentElement?.getAttribute('lang') : null;
+    return this.dictionary.setLanguage(
+      this.dictionary.resolveLanguage(declared) || this.dictionary.guessLanguage(fullText)
+    );
+  }
+
+  /**
+   * Pick the dictionary language of each text segment, so mixed-language pages look each
+   * word up in the right one. A segment takes the lang attribute of the element it sits
+   * in, else the language its text reads as, else the page language.
+   * @private
+   * @param {Array<Object>} segments - Segments { start, end, text, node }
+   * @returns {Array<Object>} Languages { start, end, language }
+   */
+  _getSegmentLanguages(segments) {
+    const root = typeof document !== 'undefined' ? document.documentElement : null;
+    return segments.map(({ start, end, text, node }) => {
+      const element = node?.parentElement?.closest?.('[lang]');
+      const declared =
+        element && element !== root
+          ? this.dictionary.resolveLanguage(element.getAttribute('lang'))
+          : null;
+      return {
+        start,
+        end,
+        language: declared || this.dictionary.guessLanguage(text) || this.dictionary.language,
+      };
+    });
+  }
+
+  /**
+   * Build the entity context for a custom pattern match
+   * Carries everything the replacer needs to honour the pattern's strategy
+   * @private
+   * @param {Object} pattern - Loaded custom pattern from PatternMatcher
+   * @returns {Object} Entity context
+   */
+  _getCustomPatternContext(pattern) {
+    return {
+      patternName: pattern.name,
+      label: pattern.label,
+      pattern: pattern.source,
+      flags: pattern.flags,
+      replacement: pattern.replacement,
+      token: pattern.token,
+    };
   }
 
   /**
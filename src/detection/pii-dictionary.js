@@ -10,6 +10,13 @@
  */
 
 import { APP_CONFIG } from '../../config/app-config.js';
+import { UNDECIDED_LABEL } from './entity-classifier.js';
+
+// Hinted values shorter than this aren't looked for elsewhere in the text
+const MIN_HINTED_LENGTH = 2;
+
+// Characters that continue a word or an email around a hinted value
+const WORD_CHAR = /[\p{L}\p{N}@]/u;
 
 /**
  * Represents a single PII entity in the dictionary
@@ -24,6 +31,7 @@ class PIIEntity {
     this.context = context || {}; // Additional context from detection
     this.occurrences = []; // [{ start, end, segments }]
     this.linkedTo = []; // [entityId] - related entities
+    this.priority = null; // Optional per-entity priority (overrides type priority)
   }
 
   /**
@@ -80,6 +88,50 @@ export class PIIDictionary {
     return this;
   }
 
+  /**
+   * Add values the page marks up as PII (itemprop="email", autocomplete="name", hCard
+   * classes), with every occurrence of them in the text, so a value hinted once is replaced
+   * wherever it appears. The hint decides the type of a value already in the dictionary.
+   * @param {Array<Object>} values - { type, original, context, hint, priority }: hinted
+   *   candidates, and hinted form field values (which aren't in the text)
+   * @param {TextMap} textMap - Text map from Phase 1
+   * @returns {PIIDictionary} this (for chaining)
+   */
+  addHintedValues(values, textMap) {
+    const added = new Set();
+
+    for (const value of values) {
+      if (!value.original || value.original.length < MIN_HINTED_LENGTH) continue;
+      if (added.has(value.original)) continue;
+      added.add(value.original);
+
+      const occurrences = this._findOccurrences(value.original, textMap.fullText);
+      if (occurrences.length === 0) continue;
+
+      let entity = this.getAll().find((e) => e.original === value.original);
+      if (!entity) {
+        entity = new PIIEntity(`pii-${++this.idCounter}`, value.type, value.original);
+        this.entities.set(entity.id, entity);
+      }
+      entity.type = value.type;
+      entity.context = value.context;
+      entity.confidence = 1.0;
+      entity.threshold = this._getThresholdForType(value.type);
+      if (typeof value.priority === 'number') {
+        entity.priority = value.priority;
+      }
+
+      for (const start of occurrences) {
+        if (entity.occurrences.some((occ) => occ.start === start)) continue;
+        const end = start + value.original.length;
+        entity.addOccurrence(start, end, textMap.findSegmentsForRange(start, end));
+      }
+    }
+
+    console.log(`[PIIDictionary] Added ${added.size} hinted values`);
+    return this;
+  }
+
   /**
    * Phase 4: Refine dictionary
    * - Remove overlapping entities (priority-based)
@@ -146,8 +198,8 @@ export class PIIDictionary {
       }
 
       // Type priority comparison
-      const priorityA = this._getTypePriority(a.type);
-      const priorityB = this._getTypePriority(b.type);
+      const priorityA = this._getEntityPriority(a);
+      const priorityB = this._getEntityPriority(b);
       if (priorityA !== priorityB) {
         return priorityB - priorityA;
       }
@@ -175,9 +227,15 @@ export class PIIDictionary {
       primaryCandidate.original,
       confidence,
       threshold,
-      primaryCandidate.context
+      primaryCandidate.type === 'properNoun'
+        ? this._pickLabel(primaryCandidate, allCandidates)
+        : primaryCandidate.context
     );
 
+    if (typeof primaryCandidate.priority === 'number') {
+      entity.priority = primaryCandidate.priority;
+    }
+
     // Add all occurrences (from all candidates with this text)
     for (const candidate of allCandidates) {
       const segments = textMap.findSegmentsForRange(candidate.start, candidate.end);
@@ -187,6 +245,30 @@ export class PIIDictionary {
     return entity;
   }
 
+  /**
+   * Pick what a proper noun refers to from all its occurrences
+   * "Apple" labelled an organization in one sentence and undecided in three others is
+   * still an organization; the most frequent decided label wins
+   * @private
+   */
+  _pickLabel(primaryCandidate, allCandidates) {
+    const counts = new Map();
+    for (const candidate of allCandidates) {
+      if (candidate.type !== 'properNoun' || candidate.context === UNDECIDED_LABEL) continue;
+      counts.set(candidate.context, (counts.get(candidate.context) || 0) + 1);
+    }
+
+    let label = primaryCandidate.context;
+    let best = 0;
+    for (const [context, count] of counts) {
+      if (count > best) {
+        label = context;
+        best = count;
+      }
+    }
+    return label;
+  }
+
   /**
    * Remove overlapping entities based on type priority
    * @private
@@ -220,8 +302,8 @@ export class PIIDictionary {
 
         // Check if they overlap
         if (this._overlaps(a.occurrence, b.occurrence)) {
-          const priorityA = this._getTypePriority(a.entity.type);
-          const priorityB = this._getTypePriority(b.entity.type);
+          const priorityA = this._getEntityPriority(a.entity);
+          const priorityB = this._getEntityPriority(b.entity);
 
           if (priorityA > priorityB) {
             console.log(
@@ -266,6 +348,23 @@ export class PIIDictionary {
     }
   }
 
+  /**
+   * Find where a text occurs as a whole word (not inside a longer word or an email)
+   * @private
+   * @returns {Array<number>} Start positions
+   */
+  _findOccurrences(text, fullText) {
+    const starts = [];
+    for (let i = fullText.indexOf(text); i !== -1; i = fullText.indexOf(text, i + 1)) {
+      const before = fullText[i - 1] || ' ';
+      const after = fullText[i + text.length] || ' ';
+      if (!WORD_CHAR.test(before) && !WORD_CHAR.test(after)) {
+        starts.push(i);
+      }
+    }
+    return starts;
+  }
+
   /**
    * Check if two occurrences overlap
    * @private
@@ -314,6 +413,18 @@ export class PIIDictionary {
     return this.typePriorities[type] || 0;
   }
 
+  /**
+   * Get priority for an entity or candidate
+   * Per-entity priority (custom patterns) wins over the type priority
+   * @private
+   */
+  _getEntityPriority(entityOrCandidate) {
+    if (typeof entityOrCandidate.priority === 'number') {
+      return entityOrCandidate.priority;
+    }
+    return this._getTypePriority(entityOrCandidate.type);
+  }
+
   /**
    * Get confidence threshold for a type
    * @private
@@ -333,17 +444,43 @@ export class PIIDictionary {
   _loadTypePriorities() {
     return (
       APP_CONFIG.properNounDetection?.typePriorities || {
+        // Secrets always win - a leaked key must never be left half-replaced
+        secret: 100,
+
         // Pattern-based (highest confidence)
         email: 85,
         phone: 80,
         ssn: 80,
         creditCard: 80,
+        bic: 80,
+        customRegex: 75,
+        username: 78,
+
+        // Banking identifiers and national IDs
+        iban: 95,
+        routingNumber: 95,
+        sortCode: 95,
+        bankAccount: 95,
+        nino: 95,
+        sin: 95,
+        aadhaar: 95,
+        insee: 95,
+        dni: 95,
+        cpf: 95,
+        passport: 93,
+        crypto: 95,
 
         // Structured data
         date: 90,
+        timestamp: 91,
+        time: 89,
+        coordinates: 88,
         money: 70,
+        percentage: 65,
         quantity: 60,
-        address: 50,
+        address: 92,
+        postcode: 91,
+        identifier: 91,
         url: 40,
 
         // Geographic/fuzzy
@@ -392,15 +529,33 @@ export class PIIDictionary {
       phones: 'phone',
       money: 'money',
       quantities: 'quantity',
+      percentages: 'percentage',
       dates: 'date',
       addresses: 'address',
       urls: 'url',
       ips: 'ipAddress',
       creditCards: 'creditCard',
       locations: 'location',
+      coordinates: 'coordinates',
+      nino: 'nino',
+      sin: 'sin',
+      aadhaar: 'aadhaar',
+      insee: 'insee',
+      dni: 'dni',
+      cpf: 'cpf',
+      passports: 'passport',
+      secrets: 'secret',
+      identifiers: 'identifier',
+      crypto: 'crypto',
+      usernames: 'username',
+      customRegex: 'customRegex',
     };
+    const typeGroups = APP_CONFIG.piiTypeGroups || {};
 
-    const entityTypes = enabledTypes.map((uiType) => typeMap[uiType]).filter((t) => t);
+    // Grouped UI types (e.g. 'bankAccounts') expand to several entity types
+    const entityTypes = enabledTypes
+      .flatMap((uiType) => typeGroups[uiType] || typeMap[uiType])
+      .filter((t) => t);
 
     return this.getAll().filter((e) => entityTypes.includes(e.type));
   }
@@ -3,14 +3,64 @@
  *
  * Detects proper nouns (names, companies, brands) using:
  * - Capitalization patterns
- * - Dictionary lookup (common word filtering)
+ * - Dictionary lookup (common word filtering, in the language of each text segment)
  * - Adjective filtering (nationality adjectives, common adjectives)
  * - Context signals (honorifics, job titles, company suffixes)
  * - Proximity to other PII
  * - Location gazetteer
+ * - Name gazetteer (first and last names), joining "Firstname Lastname" into full names,
+ *   including particles ("Ludwig van Beethoven"), initials ("John F. Kennedy"),
+ *   "Last, First" order and all-caps names ("JOHN SMITH")
+ * - Corporate suffixes, joined to the company name before them ("Acme Inc", "Initech, LLC")
+ *
+ * - Names in scripts without Latin capitals: CJK, Cyrillic, Arabic, Devanagari
+ *   (ScriptNameDetector)
+ *
+ * Each candidate is then labelled person / organization / product / place (EntityClassifier)
  */
 
 import { APP_CONFIG } from '../../config/app-config.js';
+import { enDictionary } from '../dictionaries/en.js';
+import { CORPORATE_SUFFIX, EntityClassifier } from './entity-classifier.js';
+import { ScriptNameDetector } from './script-name-detector.js';
+
+// Signals that depend on where a word sits, so a full name takes them from its first word only
+const POSITIONAL_SIGNALS = ['notSentenceStart', 'hasHonorificOrSuffix'];
+
+// Latin letters, with the accented ones of Western European languages ("José", "Größe")
+const UPPER = 'A-ZÀ-ÖØ-Þ';
+const LOWER = 'a-zß-öø-ÿ';
+
+// A capitalized name word, with an O'/D' or Mc/Mac prefix ("O'Brien", "McDonald")
+const NAME_WORD = `(?:[A-Z]['’](?=[A-Z])|Ma?c(?=[A-Z]))?[${UPPER}][${LOWER}]+`;
+
+// Name words, hyphenated ("Mary-Jane") or possessive ("Hooli's")
+const CAPITALIZED_PATTERN = new RegExp(
+  `(?<![${UPPER}${LOWER}'’])${NAME_WORD}(?:[-'’](?:${NAME_WORD}|[${LOWER}]+))?(?![${UPPER}${LOWER}'’])`,
+  'g'
+);
+
+// Uppercase words, which are only names in an all-caps full name ("JOHN SMITH")
+const UPPERCASE_WORD = /(?<![A-Za-z'’])(?:[A-Z]['’])?[A-Z]{2,}(?:-[A-Z]{2,})?(?![A-Za-z'’])/g;
+
+// Surname prefixes ("O'Brien", "O'BRIEN", "McDonald", "MacArthur"); Mc/Mac only in mixed
+// case, as all-caps words start with them too ("MACHINE", "MACRO")
+const SURNAME_PREFIX = /^(?:O['’](?=[A-Z])|Ma?c(?=[A-Z][a-z]))/;
+
+// Lowercase particles inside a name ("Ludwig van Beethoven", "Juan de la Cruz")
+const PARTICLES = `(?:${enDictionary.nameParticles.join('|')})[ \u00a0]`;
+const LEADING_PARTICLES = new RegExp(`(?:^|\\s)((?:${PARTICLES})+)$`);
+
+// Initials before a name ("J. Smith", "J.R.R. Tolkien")
+const LEADING_INITIALS = /(?:^|[\s(])((?:[A-Z]\.[ \u00a0]?){1,3}[ \u00a0])$/;
+
+// What may separate the words of a full name
+const NAME_GAPS = {
+  space: /^[ \u00a0]$/,
+  particle: new RegExp(`^[ \\u00a0](?:${PARTICLES})+$`),
+  initials: /^[ \u00a0](?:[A-Z]\.){1,3}[ \u00a0]$/, // "John F. Kennedy"
+  comma: /^,[ \u00a0]$/, // "Smith, John"
+};
 
 export class ProperNounDetector {
   constructor(dictionary, patternMatcher) {
@@ -18,6 +68,23 @@ export class ProperNounDetector {
     this.patternMatcher = patternMatcher;
     this.threshold = APP_CONFIG.properNounDetection?.minimumScore || 0.75;
     this.pageContext = null; // Cache for page-wide context
+    this.textLanguages = []; // Language of each stretch of the text being scanned
+
+    // Name gazetteer (the same names NamePool draws replacements from)
+    this.firstNames = new Set(
+      [...enDictionary.firstNames.male, ...enDictionary.firstNames.female].map((name) =>
+        name.toLowerCase()
+      )
+    );
+    this.lastNames = new Set(enDictionary.lastNames.map((name) => name.toLowerCase()));
+
+    // Part-of-speech lexicon for filtering verbs and adverbs ("Running", "Approved", "Quickly")
+    this.verbs = new Set(enDictionary.verbs);
+    this.irregularVerbForms = new Set(enDictionary.irregularVerbForms);
+    this.adverbs = new Set(enDictionary.adverbs);
+
+    this.entityClassifier = new EntityClassifier();
+    this.scriptNameDetector = new ScriptNameDetector();
 
     // Common adjective suffixes (English grammar patterns)
     // These endings are almost never proper nouns
@@ -113,10 +180,12 @@ export class ProperNounDetector {
    * Detect proper nouns in text
    * @param {string} text - Text to analyze
    * @param {Node} node - Optional DOM node for additional context
+   * @param {Array<Object>} [languages] - Language of each stretch of text { start, end,
+   *   language }, for the common-word lookup (defaults to the page language)
    * @returns {Array<Object>} Detected proper nouns above threshold
    */
-  detect(text, node = null) {
-    const candidates = this.detectAllCandidates(text, node);
+  detect(text, node = null, languages = null) {
+    const candidates = this.detectAllCandidates(text, node, languages);
     return candidates.filter((candidate) => candidate.confidence >= this.threshold);
   }
 
@@ -125,10 +194,13 @@ export class ProperNounDetector {
    * Used for debug mode visualization
    * @param {string} text - Text to analyze
    * @param {Node} node - Optional DOM node for additional context
+   * @param {Array<Object>} [languages] - Language of each stretch of text { start, end,
+   *   language }, for the common-word lookup (defaults to the page language)
    * @returns {Array<Object>} All candidates with scores
    */
-  detectAllCandidates(text, node = null) {
+  detectAllCandidates(text, node = null, languages = null) {
     const candidates = [];
+    this.textLanguages = languages || [];
 
     // Build page-wide context (cached after first call)
     const pageContext = this._buildPageContext();
@@ -136,13 +208,8 @@ export class ProperNounDetector {
     // ATOMIC DETECTION: Match single capitalized words only
     // This allows "Jim Glab" to be detected as "Jim" + "Glab" separately
     // Benefits: consistent replacement, no cross-node entities, phrases benefit automatically
-    const capitalizedPattern = /(?<![a-zA-Z'])[A-Z][a-z]+(?:[''-][A-Z]?[a-z]+)?(?![a-zA-Z'])/g;
-
-    let match;
-    while ((match = capitalizedPattern.exec(text)) !== null) {
+    for (const match of text.matchAll(CAPITALIZED_PATTERN)) {
       const candidate = match[0];
-      const start = match.index;
-      const end = start + candidate.length;
 
       // Skip common prepositions and articles
       const skipWords = [
@@ -171,72 +238,349 @@ export class ProperNounDetector {
         continue;
       }
 
-      // Check for honorifics/titles in PRECEDING text (not part of match anymore)
-      const precedingText = text.substring(Math.max(0, start - 10), start);
-      const hasHonorific = /(?:Mr|Mrs|Ms|Dr|Prof)\.?\s*$/.test(precedingText);
-      const hasJobTitle = /(?:CEO|CTO|CFO|VP|SVP|EVP)\s*$/.test(precedingText);
-
-      // Position context
-      const beforeChar = start > 0 ? text[start - 1] : '';
-      const twoBeforeChar = start > 1 ? text[start - 2] : '';
-      const isSentenceStart =
-        start === 0 ||
-        beforeChar === '.' ||
-        beforeChar === '!' ||
-        beforeChar === '?' ||
-        (beforeChar === ' ' &&
-          (twoBeforeChar === '.' || twoBeforeChar === '!' || twoBeforeChar === '?'));
-
-      // Additional context
-      const nearPII = this._hasNearbyPII(text, start, end);
-      const emailDomainMatch = this._matchesNearbyEmailDomain(text, candidate, start, end);
-      const insideLink = node && node.parentElement && node.parentElement.tagName === 'A';
-      const isKnownLocation = this._isKnownLocation(candidate);
-
-      // PAGE-WIDE CONTEXT: Check if this word appears in links anywhere on page
-      const appearsInPageLinks = pageContext.wordsInLinks.has(candidate);
-
-      // PAGE-WIDE CONTEXT: Check if word appears in header/footer (negative signal)
-      const appearsInHeaderFooter = pageContext.wordsInHeadersFooters.has(candidate);
-
-      const context = {
-        hasHonorific,
-        hasJobTitle,
-        wordCount: 1, // Always 1 for atomic detection
-        isSentenceStart,
-        nearPII,
-        emailDomainMatch,
-        insideLink,
-        isKnownLocation,
-        appearsInPageLinks, // page-wide signal (positive)
-        appearsInHeaderFooter, // page-wide signal (negative)
-      };
-
-      const { score, breakdown } = this._calculateScore(candidate, context);
-
-      // Determine entity type
-      let entityContext = 'unknown';
-      if (hasHonorific || hasJobTitle) {
-        entityContext = 'person';
+      candidates.push(this._createCandidate(candidate, match.index, text, node, pageContext));
+    }
+
+    // Uppercase words only where they spell a full name ("JOHN SMITH" in a table header)
+    for (const word of this._findUppercaseNames(text)) {
+      candidates.push(this._createCandidate(word.original, word.start, text, node, pageContext));
+    }
+    candidates.sort((a, b) => a.start - b.start);
+    const merged = this._attachCorporateSuffixes(this._mergeFullNames(candidates, text), text);
+
+    // Names in scripts without capitals come whole, with the locale they are written in
+    for (const name of this.scriptNameDetector.detect(text)) {
+      merged.push({
+        type: 'properNoun',
+        ...name,
+        context: 'person',
+        willBeProtected: name.confidence >= this.threshold,
+        threshold: this.threshold,
+      });
+    }
+    merged.sort((a, b) => a.start - b.start);
+
+    // Label what each name refers to, so it is replaced from the matching pool
+    for (const candidate of merged) {
+      const { label, evidence } = this.entityClassifier.classify(candidate, text);
+      candidate.context = label;
+      candidate.classification = evidence;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Score a single name word
+   * @private
+   * @param {string} candidate - Word as written
+   * @param {number} start - Offset of the word in text
+   * @param {string} text - Text the word was found in
+   * @param {Node} node - Optional DOM node for additional context
+   * @param {Object} pageContext - Page-wide context from _buildPageContext
+   * @returns {Object} Candidate with score and breakdown
+   */
+  _createCandidate(candidate, start, text, node, pageContext) {
+    const end = start + candidate.length;
+
+    // Particles between an honorific and the name belong to the name ("Ms. de la Cruz")
+    const particles = text.slice(Math.max(0, start - 30), start).match(LEADING_PARTICLES)?.[1];
+    const nameStart = particles ? start - particles.length : start;
+
+    // Check for honorifics/titles in PRECEDING text (not part of match anymore)
+    const precedingText = text.substring(Math.max(0, nameStart - 10), nameStart);
+    const hasHonorific = /(?:Mr|Mrs|Ms|Dr|Prof)\.?\s*$/.test(precedingText);
+    const hasJobTitle = /(?:CEO|CTO|CFO|VP|SVP|EVP)\s*$/.test(precedingText);
+
+    // Position context (an initial like "J." before the word doesn't end a sentence)
+    const beforeChar = start > 0 ? text[start - 1] : '';
+    const twoBeforeChar = start > 1 ? text[start - 2] : '';
+    const afterInitial = /(?:^|[\s.])[A-Z]\.\s$/.test(text.slice(Math.max(0, start - 4), start));
+    const isSentenceStart =
+      start === 0 ||
+      beforeChar === '.' ||
+      beforeChar === '!' ||
+      beforeChar === '?' ||
+      (beforeChar === ' ' &&
+        !afterInitial &&
+        (twoBeforeChar === '.' || twoBeforeChar === '!' || twoBeforeChar === '?'));
+
+    // Additional context
+    const nearPII = this._hasNearbyPII(text, start, end);
+    const emailDomainMatch = this._matchesNearbyEmailDomain(text, candidate, start, end);
+    const insideLink = node && node.parentElement && node.parentElement.tagName === 'A';
+    const isKnownLocation = this._isKnownLocation(candidate);
+    const isKnownFirstName = this._isFirstName(candidate);
+    const isKnownLastName = this._isLastName(candidate);
+
+    // PAGE-WIDE CONTEXT: Check if this word appears in links anywhere on page
+    const appearsInPageLinks = pageContext.wordsInLinks.has(candidate);
+
+    // PAGE-WIDE CONTEXT: Check if word appears in header/footer (negative signal)
+    const appearsInHeaderFooter = pageContext.wordsInHeadersFooters.has(candidate);
+
+    const context = {
+      hasHonorific,
+      hasJobTitle,
+      wordCount: 1, // Always 1 for atomic detection
+      isSentenceStart,
+      nearPII,
+      emailDomainMatch,
+      insideLink,
+      isKnownLocation,
+      isKnownFirstName,
+      isKnownLastName,
+      language: this._languageAt(start),
+      appearsInPageLinks, // page-wide signal (positive)
+      appearsInHeaderFooter, // page-wide signal (negative)
+    };
+
+    const { score, breakdown } = this._calculateScore(candidate, context);
+
+    // Determine entity type
+    let entityContext = 'unknown';
+    if (hasHonorific || hasJobTitle) {
+      entityContext = 'person';
+    } else {
+      // Single word - could be person or company
+      entityContext = 'company_or_person';
+    }
+
+    // Keep the particles only when the honorific shows they are part of a name
+    const candidateStart = hasHonorific || hasJobTitle ? nameStart : start;
+
+    return {
+      type: 'properNoun',
+      original: text.slice(candidateStart, end),
+      start: candidateStart,
+      end,
+      confidence: score,
+      context: entityContext,
+      scoreBreakdown: breakdown,
+      willBeProtected: score >= this.threshold,
+      threshold: this.threshold,
+    };
+  }
+
+  /**
+   * Find the words of all-caps full names ("JOHN SMITH", "MARY O'BRIEN")
+   * Acronyms and shouted text ("NASA", "THIS IS IMPORTANT") don't read as full names
+   * @private
+   * @param {string} text - Text to search
+   * @returns {Array<Object>} Words { original, start, end } in text order
+   */
+  _findUppercaseNames(text) {
+    const words = Array.from(text.matchAll(UPPERCASE_WORD), (match) => ({
+      original: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+
+    const names = [];
+    for (let i = 0; i < words.length; i++) {
+      const run = this._findFullName(words, i, text);
+      if (run) {
+        names.push(...run);
+        i += run.length - 1;
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Join adjacent atomic candidates that read as a full name into one person entity
+   * A full name is a known first name followed by one or two names ("John Doe", "Mary Jane
+   * Watson"), or an unknown first name followed by a known last name ("Amara Smith"). Words
+   * after the first name must be known names or missing from the common-word dictionary.
+   * Particles ("Ludwig van Beethoven"), middle initials ("John F. Kennedy"), leading initials
+   * ("J. Smith") and "Last, First" order ("Smith, John") are kept in the name.
+   * @private
+   * @param {Array<Object>} candidates - Atomic candidates in text order
+   * @param {string} text - Text the candidates were found in
+   * @returns {Array<Object>} Candidates with full names merged
+   */
+  _mergeFullNames(candidates, text) {
+    const merged = [];
+    for (let i = 0; i < candidates.length; i++) {
+      const parts = this._findFullName(candidates, i, text) || [candidates[i]];
+      const last = parts[parts.length - 1].original;
+      const initials =
+        parts.length > 1 || this._isLastName(last)
+          ? text.slice(Math.max(0, parts[0].start - 10), parts[0].start).match(LEADING_INITIALS)
+          : null;
+
+      if (parts.length > 1 || initials) {
+        merged.push(this._createFullName(parts, text, initials ? initials[1].length : 0));
+        i += parts.length - 1;
       } else {
-        // Single word - could be person or company
-        entityContext = 'company_or_person';
+        merged.push(candidates[i]);
       }
+    }
 
-      candidates.push({
-        type: 'properNoun',
-        original: candidate,
-        start,
+    return merged;
+  }
+
+  /**
+   * Join a corporate suffix to the name before it, so "Acme Inc" is one organization entity
+   * A suffix with no name before it ("Inc magazine") is dropped rather than kept as a name.
+   * @private
+   * @param {Array<Object>} candidates - Candidates in text order
+   * @param {string} text - Text the candidates were found in
+   * @returns {Array<Object>} Candidates with suffixes joined to their company names
+   */
+  _attachCorporateSuffixes(candidates, text) {
+    const weights = APP_CONFIG.properNounDetection?.weights || {};
+    const attached = [];
+    for (const candidate of candidates) {
+      if (CORPORATE_SUFFIX.test(candidate.original)) continue;
+
+      // "Acme Inc", "Initech, LLC" (both in the same text segment)
+      const suffix = text.slice(candidate.end).match(/^,?[ \u00a0]+([A-Za-z]+)\b/);
+      const end = suffix ? candidate.end + suffix[0].length : candidate.end;
+      if (
+        !suffix ||
+        !CORPORATE_SUFFIX.test(suffix[1]) ||
+        this._segmentAt(end - 1) !== this._segmentAt(candidate.start)
+      ) {
+        attached.push(candidate);
+        continue;
+      }
+
+      // A full name with a suffix ("Smith Ltd") already has the multi-word bonus
+      const bonus = candidate.scoreBreakdown?.multiWord ? 0 : weights.multiWord || 0.2;
+      const confidence = Math.min(candidate.confidence + bonus, 1.0);
+      attached.push({
+        ...candidate,
+        original: text.slice(candidate.start, end),
         end,
-        confidence: score,
-        context: entityContext,
-        scoreBreakdown: breakdown,
-        willBeProtected: score >= this.threshold,
-        threshold: this.threshold,
+        confidence,
+        scoreBreakdown: {
+          ...candidate.scoreBreakdown,
+          multiWord: bonus,
+          multiWord_detail: 'corporate_suffix',
+        },
+        willBeProtected: confidence >= this.threshold,
+      });
+    }
+
+    return attached;
+  }
+
+  /**
+   * Find the longest full name (up to three words) starting at a word
+   * @private
+   * @param {Array<Object>} words - Words or candidates { original, start, end } in text order
+   * @param {number} index - Index of the first word
+   * @param {string} text - Text the words were found in
+   * @returns {Array<Object>|null} Words of the name, or null if none starts here
+   */
+  _findFullName(words, index, text) {
+    const isUnknown = (part) =>
+      this._calculateUnknownWordRatio(part.original, this._languageAt(part.start)) === 1;
+    const isName = (part) =>
+      this._isFirstName(part.original) || this._isLastName(part.original) || isUnknown(part);
+
+    for (let length = 3; length >= 2; length--) {
+      const parts = words.slice(index, index + length);
+      if (parts.length < length) continue;
+
+      const gaps = parts.slice(1).map((part, k) => {
+        const gap = text.slice(parts[k].end, part.start);
+        return Object.keys(NAME_GAPS).find((kind) => NAME_GAPS[kind].test(gap));
       });
+      if (gaps.includes(undefined)) continue;
+
+      // Names don't run across text segments (adjacent table cells, list items)
+      const segment = this._segmentAt(parts[0].start);
+      if (parts.some((part) => this._segmentAt(part.start) !== segment)) continue;
+
+      const [first, second] = parts.map((part) => part.original);
+      let isFullName;
+      if (gaps.includes('comma')) {
+        // "Smith, John"
+        isFullName = length === 2 && this._isLastName(first) && this._isFirstName(second);
+      } else if (gaps.includes('particle')) {
+        isFullName = parts.every(isName);
+      } else {
+        isFullName =
+          (this._isFirstName(first) && parts.slice(1).every(isName)) ||
+          (length === 2 && isUnknown(parts[0]) && this._isLastName(second));
+      }
+
+      if (isFullName) return parts;
     }
 
-    return candidates;
+    return null;
+  }
+
+  /**
+   * Build a full-name candidate from its words
+   * The name carries every signal found on any of its words (each counted once), with
+   * position signals taken from the first word, plus the multi-word bonus
+   * @private
+   * @param {Array<Object>} parts - Candidates making up the name
+   * @param {string} text - Text the candidates were found in
+   * @param {number} [leading=0] - Length of initials before the first candidate ("J. ")
+   */
+  _createFullName(parts, text, leading = 0) {
+    const weights = APP_CONFIG.properNounDetection?.weights || {};
+    const breakdown = { ...parts[0].scoreBreakdown };
+    for (const part of parts.slice(1)) {
+      for (const [signal, value] of Object.entries(part.scoreBreakdown)) {
+        const name = signal.replace(/_detail$/, '');
+        if (!(signal in breakdown) && !POSITIONAL_SIGNALS.includes(name)) {
+          breakdown[signal] = value;
+        }
+      }
+    }
+    breakdown.multiWord = weights.multiWord || 0.2;
+    breakdown.multiWord_detail = 'full_name';
+
+    const total = Object.entries(breakdown)
+      .filter(([signal, value]) => !signal.endsWith('_detail') && typeof value === 'number')
+      .reduce((sum, [, value]) => sum + value, 0);
+    const score = Math.max(0, Math.min(total, 1.0));
+
+    const start = parts[0].start - leading;
+    const end = parts[parts.length - 1].end;
+    return {
+      type: 'properNoun',
+      original: text.slice(start, end),
+      start,
+      end,
+      confidence: score,
+      context: 'person',
+      scoreBreakdown: breakdown,
+      willBeProtected: score >= this.threshold,
+      threshold: this.threshold,
+    };
+  }
+
+  /**
+   * Check if a word is a known first name; hyphenated names count when every part is one
+   * ("Mary-Jane")
+   * @private
+   */
+  _isFirstName(word) {
+    return word
+      .toLowerCase()
+      .split('-')
+      .every((part) => this.firstNames.has(part));
+  }
+
+  /**
+   * Check if a word is a known last name, a hyphenated pair of them ("Smith-Jones") or has a
+   * surname prefix ("O'Brien", "McDonald")
+   * @private
+   */
+  _isLastName(word) {
+    return (
+      SURNAME_PREFIX.test(word) ||
+      word
+        .toLowerCase()
+        .split('-')
+        .every((part) => this.lastNames.has(part))
+    );
   }
 
   /**
@@ -315,7 +659,7 @@ export class ProperNounDetector {
     score += breakdown.capitalizationPattern;
 
     // Signal 2: Unknown in Dictionary (>50%)
-    const unknownRatio = this._calculateUnknownWordRatio(candidate);
+    const unknownRatio = this._calculateUnknownWordRatio(candidate, context.language);
     if (unknownRatio > 0.5) {
       breakdown.unknownInDictionary = weights.unknownInDictionary || 0.3;
       breakdown.unknownInDictionary_detail = `${Math.round(unknownRatio * 100)}% unknown`;
@@ -381,7 +725,20 @@ export class ProperNounDetector {
       score += breakdown.appearsInHeaderFooter; // Negative weight reduces score
     }
 
-    // Signal 11: POS Tagging - Filter adjectives, verbs, adverbs (NEGATIVE)
+    // Signal 11: Known first or last name (NAME GAZETTEER)
+    // Capitalization at a sentence start is grammar, so a name there is no extra evidence
+    if (!context.isSentenceStart && context.isKnownFirstName) {
+      breakdown.knownFirstName = weights.knownFirstName || 0.3;
+      breakdown.knownFirstName_detail = 'name_gazetteer';
+      score += breakdown.knownFirstName;
+    }
+    if (!context.isSentenceStart && context.isKnownLastName) {
+      breakdown.knownLastName = weights.knownLastName || 0.25;
+      breakdown.knownLastName_detail = 'name_gazetteer';
+      score += breakdown.knownLastName;
+    }
+
+    // Signal 12: POS Tagging - Filter adjectives, verbs, adverbs (NEGATIVE)
     // These are unlikely to be proper nouns (person/company names)
     const isAdj = this._isAdjective(candidate);
     const isVerb = this._isVerb(candidate);
@@ -403,19 +760,50 @@ export class ProperNounDetector {
     return { score, breakdown };
   }
 
+  /**
+   * Find the language of the text at an offset, for the common-word lookup
+   * @private
+   * @param {number} offset - Offset in the text being scanned
+   * @returns {string|undefined} Language code, or undefined for the page language
+   */
+  _languageAt(offset) {
+    return this._segmentAt(offset)?.language;
+  }
+
+  /**
+   * Find the text segment (from textLanguages, in text order) an offset falls in
+   * @private
+   * @param {number} offset - Offset in the text being scanned
+   * @returns {Object|undefined} Segment { start, end, language }
+   */
+  _segmentAt(offset) {
+    let low = 0;
+    let high = this.textLanguages.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const segment = this.textLanguages[middle];
+      if (offset < segment.start) high = middle - 1;
+      else if (offset >= segment.end) low = middle + 1;
+      else return segment;
+    }
+    return undefined;
+  }
+
   /**
    * Calculate ratio of unknown words (not in dictionary)
    * For atomic detection, candidate is always a single word
    * @private
+   * @param {string} candidate - Word to look up
+   * @param {string} [language] - Language of the text around the word
    */
-  _calculateUnknownWordRatio(candidate) {
+  _calculateUnknownWordRatio(candidate, language) {
     // Fallback if dictionary not initialized
     if (!this.dictionary) {
       return 0.5;
     }
 
     // For single word, return 1.0 if unknown, 0.0 if known
-    return this.dictionary.isCommonWord(candidate.toLowerCase()) ? 0.0 : 1.0;
+    return this.dictionary.isCommonWord(candidate.toLowerCase(), language) ? 0.0 : 1.0;
   }
 
   /**
@@ -456,26 +844,98 @@ export class ProperNounDetector {
   }
 
   /**
-   * Check if a word is a verb (placeholder for future expansion)
+   * Check if a word is a verb, including gerunds and past participles, using the
+   * part-of-speech lexicon and suffix rules
    * @private
-   * @param {string} _word - Word to check (unused, prefix with _ to indicate intentionally unused)
+   * @param {string} word - Word to check
    * @returns {boolean} True if word is a verb
    */
-  _isVerb(_word) {
-    // Could add verb list here if needed
-    // For now, verbs are less of a false positive issue than adjectives
-    return false;
+  _isVerb(word) {
+    const normalized = word.toLowerCase();
+
+    // Known names win over the lexicon ("Reed" is a name, not a verb form)
+    if (this._isKnownName(normalized)) {
+      return false;
+    }
+
+    if (this.verbs.has(normalized) || this.irregularVerbForms.has(normalized)) {
+      return true;
+    }
+
+    // Inflected forms only count when they lead back to a known verb, so names that
+    // merely end in -ing or -ed ("Manning", "Alfred") are not mistaken for verbs
+    return this._getVerbStems(normalized).some((stem) => this.verbs.has(stem));
+  }
+
+  /**
+   * Get the possible base forms of a gerund or past participle
+   * @private
+   * @param {string} word - Lowercase word
+   * @returns {Array<string>} Possible base forms (empty if the word has no verb suffix)
+   */
+  _getVerbStems(word) {
+    const match = word.match(/^([a-z]{2,})(ing|ed)$/);
+    if (!match) {
+      return [];
+    }
+
+    const [, stem, suffix] = match;
+    const stems = [stem, stem + 'e']; // "Thinking", "Approving", "Jumped", "Approved"
+
+    // Doubled final consonant: "Running", "Shipped"
+    if (/([^aeiou])\1$/.test(stem)) {
+      stems.push(stem.slice(0, -1));
+    }
+
+    // "Lying" from "lie", "Verified" from "verify"
+    if (suffix === 'ing' && stem.endsWith('y')) {
+      stems.push(stem.slice(0, -1) + 'ie');
+    }
+    if (suffix === 'ed' && stem.endsWith('i')) {
+      stems.push(stem.slice(0, -1) + 'y');
+    }
+
+    return stems;
   }
 
   /**
-   * Check if a word is an adverb (placeholder for future expansion)
+   * Check if a word is an adverb using the part-of-speech lexicon and -ly suffix rules
    * @private
-   * @param {string} _word - Word to check (unused, prefix with _ to indicate intentionally unused)
+   * @param {string} word - Word to check
    * @returns {boolean} True if word is an adverb
    */
-  _isAdverb(_word) {
-    // Could add adverb list here if needed
-    // Most adverbs end in -ly and are already filtered by dictionary
-    return false;
+  _isAdverb(word) {
+    const normalized = word.toLowerCase();
+
+    if (this._isKnownName(normalized)) {
+      return false;
+    }
+
+    if (this.adverbs.has(normalized)) {
+      return true;
+    }
+
+    // -ly adverbs count when they come from an adjective: "Carefully", "Happily",
+    // "Probably", "Quietly" (but not "Molly" or "Beverly")
+    const match = normalized.match(/^([a-z]{3,})ly$/);
+    if (!match) {
+      return false;
+    }
+
+    const stem = match[1];
+    const adjectives = [stem, stem.replace(/i$/, 'y'), stem.replace(/([bp])$/, '$1le')];
+    return adjectives.some(
+      (adjective) =>
+        this._isAdjective(adjective) ||
+        (this.dictionary && this.dictionary.isCommonWord(adjective, 'en'))
+    );
+  }
+
+  /**
+   * Check if a lowercase word is in the name gazetteer
+   * @private
+   */
+  _isKnownName(normalized) {
+    return this.firstNames.has(normalized) || this.lastNames.has(normalized);
   }
 }
@@ -0,0 +1,450 @@
+/**
+ * Script Name Detector Module
+ *
+ * Finds person names in scripts where ProperNounDetector's capitalized-word pattern never
+ * matches:
+ * - Chinese, Japanese and Korean, which have no case: a known or katakana name before an
+ *   honorific ("田中さん", "王先生", "민수 씨"), a name after a label ("氏名：山田太郎") or a
+ *   job title ("经理王小明"), or a known surname followed by a known given name ("王小明")
+ * - Cyrillic: capitalized words with given-name, surname or patronymic evidence
+ * - Arabic and Devanagari: words after a title ("السيد", "श्री") or label, before "जी",
+ *   or starting with a known given name
+ *
+ * Each name carries its locale, so it is replaced with a name from the same locale
+ */
+
+import { APP_CONFIG } from '../../config/app-config.js';
+import { scriptNames, honorificStopWords } from '../dictionaries/script-names.js';
+
+// Labels that introduce a CJK name
+const CJK_LABELS = ['ja', 'zh', 'ko'].flatMap((locale) => scriptNames[locale].labels);
+
+// Characters CJK names are written in (hiragana is left out: it marks particles, not names)
+const HAN_KANA = '[\\p{Script=Han}\\p{Script=Katakana}ー]';
+const HANGUL = '\\p{Script=Hangul}';
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// Words of the scripts written with spaces
+const WORD_PATTERNS = {
+  ru: /(?<!\p{Script=Cyrillic})[А-ЯЁ][а-яё]+(?:-[А-ЯЁ][а-яё]+)?(?!\p{Script=Cyrillic})/gu,
+  ar: /[ء-ي]+/g,
+  hi: /[ऀ-ॣ०-ॿ]+/g,
+};
+
+// Russian surname endings and patronymics ("Смирнова", "Достоевский", "Сергеевич")
+const RUSSIAN_SURNAME = /(?:ов|ев|ёв|ин|ын|ова|ева|ёва|ина|ына|ский|цкий|ская|цкая)$/;
+const RUSSIAN_PATRONYMIC = /(?:ович|евич|ич|овна|евна|ична|инична)$/;
+
+// Arabic words that join parts of a name ("محمد بن سلمان")
+const ARABIC_CONNECTORS = ['بن', 'ابن', 'بنت'];
+
+const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const alternation = (values) =>
+  [...values]
+    .sort((a, b) => b.length - a.length)
+    .map(escape)
+    .join('|');
+
+export class ScriptNameDetector {
+  constructor() {
+    this.names = {};
+    for (const [locale, data] of Object.entries(scriptNames)) {
+      this.names[locale] = {
+        surnames: new Set(data.surnames),
+        givenNames: new Set(data.givenNames),
+      };
+    }
+
+    // Given names of all three languages, for names before an honorific without a surname
+    this.cjkGivenNames = new Set(
+      ['ja', 'zh', 'ko'].flatMap((locale) => scriptNames[locale].givenNames)
+    );
+
+    // Words before honorifics that aren't names, also without their お/ご prefix: the run
+    // before an honorific never holds hiragana ("お父さん" leaves "父")
+    this.stopWords = new Set(
+      honorificStopWords.flatMap((word) => [word, word.replace(/^[おご]/, '')])
+    );
+
+    // Han surnames of both Chinese and Japanese, longest first
+    this.hanSurnames = [...new Set([...scriptNames.ja.surnames, ...scriptNames.zh.surnames])].sort(
+      (a, b) => b.length - a.length
+    );
+
+    const honorifics = (...locales) =>
+      alternation(locales.flatMap((locale) => scriptNames[locale].honorifics));
+    // "様子" (appearance) and "様々" (various) are not honorifics
+    this.hanHonorificPattern = new RegExp(
+      `(${HAN_KANA}{1,6})(${honorifics('ja', 'zh')})(?![子々])`,
+      'gu'
+    );
+    this.hangulHonorificPattern = new RegExp(`(${HANGUL}{1,5}) ?(${honorifics('ko')})`, 'gu');
+    this.cjkTitlePattern = new RegExp(
+      `(${alternation(scriptNames.zh.titles)})(\\p{Script=Han}{2,6})`,
+      'gu'
+    );
+    this.hanRunPattern =
+      /(?<![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])\p{Script=Han}{2,4}(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])/gu;
+    this.hangulRunPattern = new RegExp(`(?<!${HANGUL})${HANGUL}{2,4}(?!${HANGUL})`, 'gu');
+
+    const labels = alternation(Object.values(scriptNames).flatMap((data) => data.labels));
+    this.labelPattern = new RegExp(`(?:${labels})\\s*[:：]\\s*$`, 'u');
+    this.cjkLabelPattern = new RegExp(
+      `(?:${alternation(CJK_LABELS)})\\s*[:：]\\s*(${HAN_KANA}{1,6}(?: ${HAN_KANA}{1,4})?|${HANGUL}{2,5})`,
+      'gu'
+    );
+
+    // Titles before and honorifics after names written with spaces ("श्री ...", "... जी")
+    this.titlePatterns = {};
+    this.suffixPatterns = {};
+    for (const locale of Object.keys(WORD_PATTERNS)) {
+      const { titles, honorifics } = scriptNames[locale];
+      this.titlePatterns[locale] = new RegExp(`(?:^|\\s)(?:${alternation(titles)})\\s$`, 'u');
+      if (honorifics) {
+        this.suffixPatterns[locale] = new RegExp(`^ (?:${alternation(honorifics)})`, 'u');
+      }
+    }
+  }
+
+  /**
+   * Find names in non-Latin scripts
+   * @param {string} text - Text to analyze
+   * @returns {Array<Object>} Names { original, start, end, locale, confidence, scoreBreakdown }
+   *   in text order
+   */
+  detect(text) {
+    const found = [
+      ...this._findHonorificNames(text),
+      ...this._findLabelledCjkNames(text),
+      ...this._findTitledCjkNames(text),
+      ...this._findCjkSurnameNames(text),
+      ...Object.keys(WORD_PATTERNS).flatMap((locale) => this._findWordNames(text, locale)),
+    ];
+
+    // The same name found several ways keeps all its evidence
+    const bySpan = new Map();
+    for (const name of found) {
+      const key = `${name.start}:${name.end}`;
+      const existing = bySpan.get(key);
+      if (existing) {
+        Object.assign(existing.signals, name.signals);
+      } else {
+        bySpan.set(key, name);
+      }
+    }
+
+    // Overlapping names keep the best-scored one
+    const scored = [...bySpan.values()]
+      .map((name) => ({ ...name, ...this._score(name.signals) }))
+      .sort((a, b) => b.confidence - a.confidence || b.end - b.start - (a.end - a.start));
+    const names = [];
+    for (const name of scored) {
+      if (names.some((kept) => name.start < kept.end && kept.start < name.end)) continue;
+      names.push(name);
+    }
+
+    return names
+      .sort((a, b) => a.start - b.start)
+      .map(({ original, start, end, locale, confidence, scoreBreakdown }) => ({
+        original,
+        start,
+        end,
+        locale,
+        confidence,
+        scoreBreakdown,
+      }));
+  }
+
+  /**
+   * Names before a CJK honorific ("田中さん", "我和王先生", "김민수 씨")
+   * @private
+   */
+  _findHonorificNames(text) {
+    const names = [];
+    for (const pattern of [this.hanHonorificPattern, this.hangulHonorificPattern]) {
+      for (const match of text.matchAll(pattern)) {
+        const [, run, honorific] = match;
+        const name = this._pickCjkName(run);
+        if (!name || this.stopWords.has(name) || this.stopWords.has(name + honorific)) continue;
+
+        const start = match.index + run.length - name.length;
+        names.push(
+          this._createCjkName(name, start, text, honorific, {
+            honorific: 'honorific',
+          })
+        );
+      }
+    }
+    return names;
+  }
+
+  /**
+   * CJK names after a label ("氏名：山田 太郎", "이름: 김민수")
+   * @private
+   */
+  _findLabelledCjkNames(text) {
+    return Array.from(text.matchAll(this.cjkLabelPattern), (match) => {
+      const name = match[1];
+      const start = match.index + match[0].length - name.length;
+      return this._createCjkName(name, start, text, null, { label: true });
+    });
+  }
+
+  /**
+   * Chinese names after a job title ("运营经理王小明负责"): a known surname and the known
+   * given name after it, or the rest of the run when it is short enough to be one
+   * @private
+   */
+  _findTitledCjkNames(text) {
+    const names = [];
+    for (const match of text.matchAll(this.cjkTitlePattern)) {
+      const [, title, run] = match;
+      const surname = this.hanSurnames.find((candidate) => run.startsWith(candidate));
+      if (!surname) continue;
+
+      const rest = run.slice(surname.length);
+      const given = [2, 1]
+        .map((length) => rest.slice(0, length))
+        .find((part) => this.names.zh.givenNames.has(part));
+      const name = given ? surname + given : run.length <= 3 ? run : null;
+      if (!name || name === surname) continue;
+
+      const start = match.index + title.length;
+      names.push(this._createCjkName(name, start, text, null, { honorific: 'title' }));
+    }
+    return names;
+  }
+
+  /**
+   * A known surname followed by a known given name, standing on its own ("王小明")
+   * @private
+   */
+  _findCjkSurnameNames(text) {
+    const names = [];
+    for (const pattern of [this.hanRunPattern, this.hangulRunPattern]) {
+      for (const match of text.matchAll(pattern)) {
+        const name = this._createCjkName(match[0], match.index, text, null, {});
+        if (name.signals.firstName && name.signals.lastName) names.push(name);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Pick the name out of the run of characters before an honorific
+   * Chinese and Japanese are written without spaces, so the name starts at the earliest
+   * known surname that leaves at most four characters ("我和王" -> "王"). Without a surname
+   * it is a known given name ending the run, or a run written in katakana.
+   * @private
+   * @returns {string|null} Name, or null if the run holds no known or katakana name
+   */
+  _pickCjkName(run) {
+    const surnames = /\p{Script=Hangul}/u.test(run) ? scriptNames.ko.surnames : this.hanSurnames;
+    for (let i = Math.max(0, run.length - 4); i < run.length; i++) {
+      if (surnames.some((surname) => run.startsWith(surname, i))) {
+        return run.slice(i);
+      }
+    }
+
+    // A given name alone ("민수님", "花子さん") or a name written in katakana ("スミスさん")
+    for (let i = Math.max(0, run.length - 3); i < run.length; i++) {
+      if (this.cjkGivenNames.has(run.slice(i))) return run.slice(i);
+    }
+    return /^[\p{Script=Katakana}ー]+$/u.test(run) ? run : null;
+  }
+
+  /**
+   * Build a CJK name with its locale and gazetteer evidence
+   * @private
+   */
+  _createCjkName(name, start, text, honorific, signals) {
+    const locale = this._getCjkLocale(name, start, text, honorific);
+    const compact = name.replace(/\s+/g, '');
+    // Surnames are sorted longest first, so "欧阳" wins over "欧"
+    const surnames = locale === 'ko' ? scriptNames.ko.surnames : this.hanSurnames;
+    const surname = surnames.find((candidate) => compact.startsWith(candidate));
+    const given = surname ? compact.slice(surname.length) : compact;
+
+    return {
+      original: name,
+      start,
+      end: start + name.length,
+      locale,
+      signals: {
+        script: locale,
+        lastName: Boolean(surname),
+        firstName: this.names[locale].givenNames.has(given),
+        ...signals,
+      },
+    };
+  }
+
+  /**
+   * Decide whether a CJK name is Korean, Japanese or Chinese
+   * Hangul is Korean; Han names are Japanese when written with kana, addressed with a
+   * Japanese honorific, surrounded by kana or starting with a Japanese surname
+   * @private
+   */
+  _getCjkLocale(name, start, text, honorific) {
+    if (/\p{Script=Hangul}/u.test(name)) return 'ko';
+    if (KANA.test(name)) return 'ja';
+
+    const inJapanese = honorific && scriptNames.ja.honorifics.includes(honorific);
+    const inChinese = honorific && scriptNames.zh.honorifics.includes(honorific);
+    if (inJapanese && !inChinese) return 'ja';
+    if (inChinese && !inJapanese) return 'zh';
+
+    const around = text.slice(Math.max(0, start - 20), start + name.length + 20);
+    if (KANA.test(around)) return 'ja';
+    return scriptNames.ja.surnames.some((surname) => surname.length > 1 && name.startsWith(surname))
+      ? 'ja'
+      : 'zh';
+  }
+
+  /**
+   * Names in scripts written with spaces: Cyrillic, Arabic, Devanagari
+   * @private
+   */
+  _findWordNames(text, locale) {
+    const data = scriptNames[locale];
+    const { givenNames, surnames } = this.names[locale];
+    const words = Array.from(text.matchAll(WORD_PATTERNS[locale]), (match) => ({
+      word: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+    const adjacent = (a, b) => b && /^[ \u00a0]$/.test(text.slice(a.end, b.start));
+    const isSurname = (word) =>
+      surnames.has(word) || (locale === 'ru' && RUSSIAN_SURNAME.test(word));
+    const isKnown = (word) => givenNames.has(word) || isSurname(word);
+
+    const names = [];
+    for (let i = 0; i < words.length; i++) {
+      const first = words[i];
+      const before = text.slice(Math.max(0, first.start - 30), first.start);
+      const hasTitle = this.titlePatterns[locale].test(before);
+      const hasLabel = this.labelPattern.test(before);
+      const hasSuffix = this.suffixPatterns[locale]?.test(text.slice(first.end, first.end + 4));
+      const isSentenceStart = /(?:^|[.!?])\s*$/.test(before);
+      if (data.titles.includes(first.word)) continue;
+
+      // A capitalized Russian word starting a sentence is only a name if it is a known one
+      // ("Вчера Иван Петров ответил")
+      if (
+        locale === 'ru' &&
+        isSentenceStart &&
+        !isKnown(first.word) &&
+        !RUSSIAN_PATRONYMIC.test(first.word)
+      ) {
+        continue;
+      }
+
+      // Arabic and Hindi words carry no case, so a name needs a title, label or known name
+      if (locale !== 'ru' && !hasTitle && !hasLabel && !hasSuffix && !givenNames.has(first.word)) {
+        continue;
+      }
+
+      // Extend with the rest of the name: capitalized words in Russian, known names
+      // elsewhere, plus family names and "بن" chains in Arabic
+      const parts = [first];
+      while (parts.length < 3) {
+        const last = parts[parts.length - 1];
+        const next = words[words.indexOf(last) + 1];
+        if (!adjacent(last, next) || data.titles.includes(next.word)) break;
+
+        if (locale === 'ar' && ARABIC_CONNECTORS.includes(next.word)) {
+          const after = words[words.indexOf(next) + 1];
+          if (!adjacent(next, after)) break;
+          parts.push(next, after);
+        } else if (
+          locale === 'ru' ||
+          isKnown(next.word) ||
+          (locale === 'ar' && next.word.startsWith('ال'))
+        ) {
+          parts.push(next);
+        } else {
+          break;
+        }
+      }
+
+      const original = text.slice(first.start, parts[parts.length - 1].end);
+      const partWords = parts.map((part) => part.word);
+      const signals = {
+        script: locale,
+        firstName: partWords.some((word) => givenNames.has(word)),
+        lastName: partWords.some(isSurname),
+        multiWord: parts.length > 1,
+        label: hasLabel,
+        honorific: hasTitle ? 'title' : hasSuffix ? 'honorific' : null,
+      };
+
+      if (locale === 'ru') {
+        // Capitals only mean a name away from the start of a sentence
+        signals.notSentenceStart = !isSentenceStart;
+        const hasEvidence =
+          signals.firstName ||
+          signals.lastName ||
+          partWords.some((word) => RUSSIAN_PATRONYMIC.test(word)) ||
+          hasTitle ||
+          hasLabel;
+        if (!hasEvidence) {
+          i += parts.length - 1;
+          continue;
+        }
+      }
+
+      names.push({
+        original,
+        start: first.start,
+        end: first.start + original.length,
+        locale,
+        signals,
+      });
+      i = words.indexOf(parts[parts.length - 1]);
+    }
+    return names;
+  }
+
+  /**
+   * Score a name from its evidence, with the same weights as capitalized names
+   * @private
+   * @returns {Object} { confidence, scoreBreakdown }
+   */
+  _score(signals) {
+    const weights = APP_CONFIG.properNounDetection?.weights || {};
+    const breakdown = {};
+
+    breakdown.scriptNamePattern = weights.scriptNamePattern || 0.3;
+    breakdown.scriptNamePattern_detail = signals.script;
+    if (signals.honorific) {
+      breakdown.hasHonorificOrSuffix = weights.hasHonorificOrSuffix || 0.4;
+      breakdown.hasHonorificOrSuffix_detail = signals.honorific;
+    }
+    if (signals.label) {
+      breakdown.labelContext = weights.labelContext || 0.5;
+      breakdown.labelContext_detail = 'name_label';
+    }
+    if (signals.firstName) {
+      breakdown.knownFirstName = weights.knownFirstName || 0.3;
+      breakdown.knownFirstName_detail = 'name_gazetteer';
+    }
+    if (signals.lastName) {
+      breakdown.knownLastName = weights.knownLastName || 0.25;
+      breakdown.knownLastName_detail = 'name_gazetteer';
+    }
+    if (signals.multiWord) {
+      breakdown.multiWord = weights.multiWord || 0.2;
+      breakdown.multiWord_detail = 'full_name';
+    }
+    if (signals.notSentenceStart) {
+      breakdown.notSentenceStart = weights.notSentenceStart || 0.1;
+    }
+
+    const total = Object.entries(breakdown)
+      .filter(([signal]) => !signal.endsWith('_detail'))
+      .reduce((sum, [, value]) => sum + value, 0);
+    return { confidence: Math.min(total, 1.0), scoreBreakdown: breakdown };
+  }
+}
+
+export default ScriptNameDetector;
@@ -0,0 +1,88 @@
+/**
+ * ScriptNameDetector Tests
+ */
+
+import { ScriptNameDetector } from './script-name-detector.js';
+
+describe('ScriptNameDetector', () => {
+  let detector;
+
+  const names = (text) => detector.detect(text).map((name) => [name.original, name.locale]);
+  const protectedNames = (text) =>
+    detector
+      .detect(text)
+      .filter((name) => name.confidence >= 0.75)
+      .map((name) => name.original);
+
+  beforeEach(() => {
+    detector = new ScriptNameDetector();
+  });
+
+  describe('CJK', () => {
+    test('should find names before honorifics', () => {
+      expect(names('昨日、田中さんと会いました。')).toEqual([['田中', 'ja']]);
+      expect(names('我和王先生一起吃饭。')).toEqual([['王', 'zh']]);
+      expect(names('김민수 씨에게 연락하세요.')).toEqual([['김민수', 'ko']]);
+      expect(protectedNames('スミスさんへ')).toEqual(['スミス']);
+    });
+
+    test('should not take words that take an honorific as names', () => {
+      expect(names('皆さん、お客様もどうぞ。고객님 감사합니다.')).toEqual([]);
+      expect(names('その様子を見た')).toEqual([]);
+    });
+
+    test('should need a known or katakana name before an honorific', () => {
+      expect(names('谢谢老师')).toEqual([]);
+      expect(names('这位先生')).toEqual([]);
+      expect(names('社長さんと店員さん')).toEqual([]);
+      expect(names('王様の城')).toEqual([]);
+      expect(names('お父さんとお母さん')).toEqual([]);
+      expect(names('昨日花子さんに会った')).toEqual([['花子', 'ja']]);
+    });
+
+    test('should find names after job titles', () => {
+      expect(protectedNames('运营经理王小明负责这个项目')).toEqual(['王小明']);
+      expect(names('运营经理负责')).toEqual([]);
+    });
+
+    test('should find names after labels', () => {
+      expect(protectedNames('氏名：山田 太郎')).toEqual(['山田 太郎']);
+      expect(protectedNames('이름: 박지민')).toEqual(['박지민']);
+    });
+
+    test('should find a known surname and given name standing alone', () => {
+      expect(protectedNames('王小明')).toEqual(['王小明']);
+      expect(names('王国很大')).toEqual([]);
+    });
+  });
+
+  describe('Cyrillic', () => {
+    test('should find names with given-name, surname or patronymic evidence', () => {
+      expect(protectedNames('Вчера Иван Петров ответил.')).toEqual(['Иван Петров']);
+      expect(protectedNames('ФИО: Смирнова Анна Сергеевна')).toEqual(['Смирнова Анна Сергеевна']);
+    });
+
+    test('should not protect a place on surname ending alone', () => {
+      expect(protectedNames('Мы поехали в Берлин.')).toEqual([]);
+    });
+  });
+
+  describe('Arabic and Devanagari', () => {
+    test('should find names after titles and labels', () => {
+      expect(protectedNames('السيد خالد المصري وصل اليوم')).toEqual(['خالد المصري']);
+      expect(protectedNames('الاسم: فاطمة الزهراء')).toEqual(['فاطمة الزهراء']);
+      expect(protectedNames('श्री राहुल शर्मा आए')).toEqual(['राहुल शर्मा']);
+      expect(protectedNames('नाम: प्रिया')).toEqual(['प्रिया']);
+    });
+
+    test('should find names before "जी" and names joined by "بن"', () => {
+      expect(names('शर्मा जी ने कहा')).toEqual([['शर्मा', 'hi']]);
+      expect(names('محمد بن سلمان')).toEqual([['محمد بن سلمان', 'ar']]);
+    });
+
+    test('should leave words without a title, label or known name alone', () => {
+      expect(names('وصل اليوم إلى المدينة')).toEqual([]);
+      expect(names('आज मौसम अच्छा है')).toEqual([]);
+    });
+  });
+});
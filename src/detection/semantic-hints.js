@@ -0,0 +1,367 @@
+/**
+ * Semantic Hints Module
+ *
+ * Types values the page's own markup says the type of:
+ * - schema.org microdata: itemprop="email", itemprop="name" inside a Person item
+ * - autocomplete tokens on form fields: "email", "cc-number", "shipping street-address"
+ * - input types: type="email", type="tel"
+ * - test ids that name a label: data-testid="customer-name", data-qa="billingEmail"
+ * - hCard and h-card microformat classes inside a .vcard or .h-card
+ *
+ * A hinted name is taken whole and trusted over its score, so a name the page calls a
+ * name is protected even when it alone scores below the proper-noun threshold. Other
+ * hinted values still need the shape of their type, and empty states ("—", "N/A", "Not
+ * provided") are never hinted values.
+ */
+
+// Above every type but secrets, so a hinted value wins the overlaps it is in
+const HINT_PRIORITY = 99;
+
+const PERSON = { type: 'properNoun', context: 'person' };
+const ORGANIZATION = { type: 'properNoun', context: 'organization' };
+const DATE_OF_BIRTH = { type: 'date', context: 'dateOfBirth' };
+
+// schema.org properties; "name" takes its context from the item's itemtype
+const ITEMPROP_RULES = {
+  name: { type: 'properNoun' },
+  givenName: PERSON,
+  familyName: PERSON,
+  additionalName: PERSON,
+  legalName: ORGANIZATION,
+  email: { type: 'email' },
+  telephone: { type: 'phone' },
+  faxNumber: { type: 'phone' },
+  streetAddress: { type: 'address' },
+  postalCode: { type: 'postcode' },
+  addressLocality: { type: 'location' },
+  addressRegion: { type: 'location' },
+  addressCountry: { type: 'location' },
+  birthDate: DATE_OF_BIRTH,
+  taxID: { type: 'identifier' },
+  vatID: { type: 'identifier' },
+};
+
+// Item types whose "name" is a person's or an organization's; other items' names (products,
+// articles, events) aren't PII
+const ITEMTYPE_CONTEXTS = [
+  { pattern: /\/Person$/, context: 'person' },
+  {
+    pattern: /\/(?:Organization|Corporation|LocalBusiness|NGO|EducationalOrganization)$/,
+    context: 'organization',
+  },
+];
+
+// autocomplete field names (the last token; "section-…", "shipping" and "billing" come first)
+const AUTOCOMPLETE_RULES = {
+  name: PERSON,
+  'given-name': PERSON,
+  'family-name': PERSON,
+  'additional-name': PERSON,
+  nickname: PERSON,
+  'cc-name': PERSON,
+  'cc-given-name': PERSON,
+  'cc-family-name': PERSON,
+  organization: ORGANIZATION,
+  email: { type: 'email' },
+  tel: { type: 'phone' },
+  'tel-national': { type: 'phone' },
+  'tel-local': { type: 'phone' },
+  'street-address': { type: 'address' },
+  'address-line1': { type: 'address' },
+  'address-line2': { type: 'address' },
+  'address-line3': { type: 'address' },
+  'postal-code': { type: 'postcode' },
+  'address-level1': { type: 'location' },
+  'address-level2': { type: 'location' },
+  'country-name': { type: 'location' },
+  'cc-number': { type: 'creditCard' },
+  bday: DATE_OF_BIRTH,
+  username: { type: 'username' },
+};
+
+const INPUT_TYPE_RULES = {
+  email: { type: 'email' },
+  tel: { type: 'phone' },
+};
+
+// Test id attributes, read like labels ("customer-name" as "customer name")
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+
+// Test ids of UI around a value rather than the value itself
+const TEST_ID_UI_WORDS =
+  /\b(?:label|title|heading|header|caption|button|btn|link|icon|error|hint|help|placeholder|tooltip|toggle|section|container|wrapper|list|form|row|column|col)\b/;
+
+// Trailing words that name the element holding a value ("email-input", "name-value")
+const TEST_ID_SUFFIXES = /(?: (?:input|field|value|text|display|cell))+$/;
+
+// hCard and h-card classes, in order: "fn org" is an organization
+const HCARD_ROOT = '.vcard, .h-card';
+const HCARD_RULES = [
+  { classes: ['org', 'organization-name', 'p-org'], ...ORGANIZATION },
+  {
+    classes: [
+      'fn',
+      'n',
+      'p-name',
+      'given-name',
+      'p-given-name',
+      'family-name',
+      'p-family-name',
+      'additional-name',
+      'p-additional-name',
+      'nickname',
+      'p-nickname',
+    ],
+    ...PERSON,
+  },
+  { classes: ['email', 'u-email'], type: 'email' },
+  { classes: ['tel', 'p-tel'], type: 'phone' },
+  { classes: ['street-address', 'p-street-address'], type: 'address' },
+  { classes: ['postal-code', 'p-postal-code'], type: 'postcode' },
+  {
+    classes: ['locality', 'region', 'country-name', 'p-locality', 'p-region', 'p-country-name'],
+    type: 'location',
+  },
+  { classes: ['bday', 'dt-bday'], ...DATE_OF_BIRTH },
+];
+
+// What a field or element shows when it has no value
+const EMPTY_VALUE =
+  /^(?:n\/?a|none|nil|null|unknown|unassigned|pending|tbd|tba|not (?:provided|available|applicable|set|specified|given)|no \w+)$/i;
+
+/**
+ * Check whether a value is an empty state rather than a value: blank, without letters or
+ * digits ("—", "***"), or a placeholder like "N/A", "Not provided" or "Unassigned"
+ * @param {string} value - Text of an element or form field
+ * @returns {boolean} True if there is no value to type
+ */
+export function isEmptyValue(value) {
+  const text = (value || '').trim();
+  return !/[\p{L}\p{N}]/u.test(text) || EMPTY_VALUE.test(text);
+}
+
+// Form fields whose values can be hinted
+const FORM_FIELDS = 'input, textarea, select';
+const TEXT_INPUT_TYPES = ['', 'text', 'email', 'tel', 'search'];
+
+export class SemanticHints {
+  /**
+   * @param {LabelContext} labelContext - Reads test ids as labels and types hinted values
+   */
+  constructor(labelContext) {
+    this.labelContext = labelContext;
+  }
+
+  /**
+   * Type the values the markup says the type of
+   * @param {Array<Object>} candidates - Candidates found in textMap.fullText
+   * @param {TextMap} textMap - Text map the candidates were found in
+   * @param {number} threshold - Proper noun threshold
+   * @returns {Array<Object>} Candidates, in text order; hinted ones carry the hint
+   */
+  apply(candidates, textMap, threshold) {
+    let result = candidates;
+
+    for (const { value, hint } of this.getValues(textMap)) {
+      const rule = this.labelContext.getRule(hint.type, hint.context);
+      const evidence = {
+        signal: 'semanticHint',
+        detail: hint.source,
+        tags: { hint: hint.source, priority: HINT_PRIORITY },
+        trusted: true,
+      };
+      result = this.labelContext.typeValue(result, value, rule, evidence, threshold);
+    }
+
+    return result === candidates ? result : result.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find the hinted values in the text: the text of each element with a hint, when it
+   * lies within one text segment
+   * @param {TextMap} textMap - Text map of the page
+   * @returns {Array<Object>} { value: { text, start, end }, hint }
+   */
+  getValues(textMap) {
+    const values = [];
+    const seen = new Set();
+
+    for (const segment of textMap.segments) {
+      for (const { node } of segment.nodes) {
+        const hinted = this._findHintedElement(node?.parentElement, segment);
+        if (!hinted || seen.has(hinted.element)) continue;
+        seen.add(hinted.element);
+
+        const parts = segment.nodes.filter((n) => hinted.element.contains(n.node));
+        const from = parts[0].startInSegment;
+        const raw = segment.text.slice(from, parts[parts.length - 1].endInSegment);
+        const text = raw.trim();
+        if (this.isEmpty(text)) continue;
+
+        const start = segment.startInFullText + from + raw.indexOf(text);
+        values.push({ value: { text, start, end: start + text.length }, hint: hinted.hint });
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Find the hinted values of form fields, which text extraction doesn't see
+   * @param {Document|Element} root - Document or element to search
+   * @returns {Array<Object>} { type, original, context, hint, priority }
+   */
+  getFormValues(root) {
+    const values = [];
+    for (const field of root.querySelectorAll(FORM_FIELDS)) {
+      const original = field.value?.trim();
+      const hint = this.isEmpty(original) ? null : this.getHint(field);
+      if (!hint) continue;
+      values.push({
+        type: hint.type,
+        original,
+        context: hint.context,
+        hint: hint.source,
+        priority: HINT_PRIORITY,
+      });
+    }
+    return values;
+  }
+
+  /**
+   * Check whether a value is an empty state rather than a value: blank, without letters or
+   * digits ("—", "***"), or a placeholder like "N/A" or "Not provided"
+   * @param {string} value - Text of a hinted element or form field
+   * @returns {boolean} True if there is no value to type
+   */
+  isEmpty(value) {
+    return isEmptyValue(value);
+  }
+
+  /**
+   * Read the hint on an element. autocomplete and itemprop are the most specific, test
+   * ids the least.
+   * @param {Element} element - Element holding a value
+   * @returns {Object|null} { type, context, source }, source being the attribute read
+   *   ('itemprop="email"'), or null if the element has no hint
+   */
+  getHint(element) {
+    if (!element || typeof element.getAttribute !== 'function') return null;
+    if (element.matches(FORM_FIELDS) && !this._holdsText(element)) return null;
+
+    return (
+      this._fromAutocomplete(element) ||
+      this._fromItemprop(element) ||
+      this._fromHCard(element) ||
+      this._fromInputType(element) ||
+      this._fromTestId(element)
+    );
+  }
+
+  /**
+   * Nearest element, from the one holding a text node up, that has a hint and holds
+   * nothing outside the segment
+   * @private
+   */
+  _findHintedElement(element, segment) {
+    const text = segment.text.trim();
+    for (let el = element; el && el !== el.ownerDocument.body; el = el.parentElement) {
+      if (!text.includes(el.textContent.trim())) return null;
+      const hint = this.getHint(el);
+      if (hint) return { element: el, hint };
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a form field takes typed text (not a checkbox, password or button)
+   * @private
+   */
+  _holdsText(field) {
+    if (field.tagName !== 'INPUT') return true;
+    return TEXT_INPUT_TYPES.includes((field.getAttribute('type') || '').toLowerCase());
+  }
+
+  /**
+   * @private
+   */
+  _fromAutocomplete(element) {
+    const tokens = (element.getAttribute('autocomplete') || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((token) => token && token !== 'webauthn');
+    const name = tokens[tokens.length - 1];
+    const known = name && Object.prototype.hasOwnProperty.call(AUTOCOMPLETE_RULES, name);
+    return known ? this._hint(AUTOCOMPLETE_RULES[name], `autocomplete="${name}"`) : null;
+  }
+
+  /**
+   * @private
+   */
+  _fromItemprop(element) {
+    const names = (element.getAttribute('itemprop') || '').split(/\s+/);
+    const name = names.find((n) => Object.prototype.hasOwnProperty.call(ITEMPROP_RULES, n));
+    if (!name) return null;
+
+    let rule = ITEMPROP_RULES[name];
+    if (rule.type === 'properNoun' && !rule.context) {
+      const itemtype = element.parentElement?.closest('[itemscope]')?.getAttribute('itemtype');
+      const context = ITEMTYPE_CONTEXTS.find(({ pattern }) => pattern.test(itemtype || ''));
+      if (!context) return null;
+      rule = { type: 'properNoun', context: context.context };
+    }
+    return this._hint(rule, `itemprop="${name}"`);
+  }
+
+  /**
+   * @private
+   */
+  _fromHCard(element) {
+    if (!element.classList.length || !element.closest(HCARD_ROOT)) return null;
+    for (const { classes, type, context } of HCARD_RULES) {
+      const name = classes.find((c) => element.classList.contains(c));
+      if (name) return this._hint({ type, context }, `class="${name}"`);
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _fromInputType(element) {
+    if (element.tagName !== 'INPUT') return null;
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    const rule = INPUT_TYPE_RULES[type];
+    return rule ? this._hint(rule, `type="${type}"`) : null;
+  }
+
+  /**
+   * @private
+   */
+  _fromTestId(element) {
+    for (const attribute of TEST_ID_ATTRIBUTES) {
+      const id = element.getAttribute(attribute);
+      if (!id) continue;
+
+      const words = id
+        .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+        .replace(/[\s_.:-]+/g, ' ')
+        .toLowerCase()
+        .trim();
+      if (TEST_ID_UI_WORDS.test(words)) return null;
+
+      const rule = this.labelContext.classify(words.replace(TEST_ID_SUFFIXES, ''));
+      return rule ? this._hint(rule, `${attribute}="${id}"`) : null;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _hint(rule, source) {
+    return { type: rule.type, context: rule.context, source };
+  }
+}
+
+export default SemanticHints;
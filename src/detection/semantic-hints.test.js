@@ -0,0 +1,227 @@
+/**
+ * SemanticHints Tests
+ */
+
+/* eslint-env node, jest */
+
+import { PIIDetector } from './pii-detector.js';
+import { PIIDictionary } from './pii-dictionary.js';
+import { TextExtractor } from './text-extractor.js';
+
+global.chrome = {
+  storage: {
+    sync: {
+      get: jest.fn(async () => ({})),
+    },
+  },
+};
+
+describe('SemanticHints', () => {
+  let detector;
+  let hints;
+
+  const extract = (html) => {
+    document.body.innerHTML = html;
+    return new TextExtractor().extractVisibleText(document.body);
+  };
+
+  const findCandidates = (html) => detector.findAllCandidates(extract(html));
+
+  const find = (candidates, original) => candidates.find((c) => c.original === original);
+
+  beforeEach(async () => {
+    detector = new PIIDetector();
+    await detector.initialize();
+    hints = detector.semanticHints;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('getHint', () => {
+    const hintOf = (html) => {
+      document.body.innerHTML = html;
+      return hints.getHint(document.getElementById('value'));
+    };
+
+    test('should read autocomplete tokens, section and shipping ones included', () => {
+      expect(hintOf('<input id="value" autocomplete="cc-number">')).toEqual({
+        type: 'creditCard',
+        context: undefined,
+        source: 'autocomplete="cc-number"',
+      });
+      expect(
+        hintOf('<input id="value" autocomplete="section-a shipping street-address">')
+      ).toMatchObject({
+        type: 'address',
+      });
+      expect(hintOf('<input id="value" autocomplete="given-name">')).toMatchObject({
+        type: 'properNoun',
+        context: 'person',
+      });
+      expect(hintOf('<input id="value" autocomplete="off">')).toBeNull();
+    });
+
+    test('should read input types', () => {
+      expect(hintOf('<input id="value" type="tel">')).toMatchObject({ type: 'phone' });
+      expect(hintOf('<input id="value" type="email">')).toMatchObject({ type: 'email' });
+      expect(hintOf('<input id="value" type="password" autocomplete="username">')).toBeNull();
+    });
+
+    test('should take the context of itemprop="name" from the itemtype', () => {
+      expect(
+        hintOf(
+          '<div itemscope itemtype="https://schema.org/Person"><span id="value" itemprop="name">x</span></div>'
+        )
+      ).toMatchObject({ type: 'properNoun', context: 'person' });
+      expect(
+        hintOf(
+          '<div itemscope itemtype="https://schema.org/Organization"><span id="value" itemprop="name">x</span></div>'
+        )
+      ).toMatchObject({ type: 'properNoun', context: 'organization' });
+      expect(
+        hintOf(
+          '<div itemscope itemtype="https://schema.org/Product"><span id="value" itemprop="name">x</span></div>'
+        )
+      ).toBeNull();
+    });
+
+    test('should read hCard classes only inside a card', () => {
+      expect(
+        hintOf('<div class="vcard"><span id="value" class="fn org">x</span></div>')
+      ).toMatchObject({
+        type: 'properNoun',
+        context: 'organization',
+      });
+      expect(hintOf('<div class="h-card"><a id="value" class="u-email">x</a></div>')).toMatchObject(
+        {
+          type: 'email',
+        }
+      );
+      expect(hintOf('<div><span id="value" class="tel">x</span></div>')).toBeNull();
+    });
+
+    test('should read test ids like labels', () => {
+      expect(hintOf('<span id="value" data-testid="customer-name">x</span>')).toMatchObject({
+        type: 'properNoun',
+        context: 'person',
+        source: 'data-testid="customer-name"',
+      });
+      expect(hintOf('<span id="value" data-qa="billingEmailValue">x</span>')).toMatchObject({
+        type: 'email',
+      });
+      expect(hintOf('<span id="value" data-testid="email-label">x</span>')).toBeNull();
+      expect(hintOf('<span id="value" data-testid="order-total">x</span>')).toBeNull();
+    });
+  });
+
+  describe('apply', () => {
+    test('should protect a hinted name that scores below the threshold on its own', () => {
+      const candidates = findCandidates(
+        '<p>Shipped to <span itemprop="familyName">Vann</span> today.</p>'
+      );
+
+      expect(find(candidates, 'Vann')).toMatchObject({
+        type: 'properNoun',
+        context: 'person',
+        hint: 'itemprop="familyName"',
+        confidence: 1,
+        willBeProtected: true,
+      });
+    });
+
+    test('should add hinted values other than names only when they have the shape', () => {
+      const candidates = findCandidates(`
+        <p>Order <span data-testid="order-id">A-1234</span></p>
+        <p>Ref <span data-testid="ref-id">pending review</span></p>`);
+
+      expect(find(candidates, 'A-1234')).toMatchObject({
+        type: 'identifier',
+        hint: 'data-testid="order-id"',
+      });
+      expect(find(candidates, 'pending review')).toBeUndefined();
+    });
+
+    test('should skip empty states', () => {
+      const candidates = findCandidates(`
+        <p>Order <span data-testid="order-id">—</span></p>
+        <div class="vcard">
+          <p class="street-address">N/A</p>
+          <p class="fn">Not provided</p>
+        </div>`);
+
+      expect(candidates.some((c) => c.hint)).toBe(false);
+    });
+
+    test('should tag values already detected as the hinted type', () => {
+      const candidates = findCandidates(
+        '<p>Write to <a itemprop="email" href="#">jane@example.com</a></p>'
+      );
+
+      expect(find(candidates, 'jane@example.com')).toMatchObject({
+        type: 'email',
+        hint: 'itemprop="email"',
+      });
+    });
+
+    test('should ignore hinted elements holding more than one segment', () => {
+      const candidates = findCandidates(
+        '<section data-testid="customer"><h2>Orders</h2><p>None yet</p></section>'
+      );
+
+      expect(candidates.some((c) => c.hint)).toBe(false);
+    });
+  });
+
+  describe('PIIDictionary.addHintedValues', () => {
+    test('should replace a hinted name everywhere it appears', () => {
+      const textMap = extract(`
+        <p>Vann signed in.</p>
+        <div class="vcard"><span class="family-name">Vann</span></div>`);
+      const candidates = detector.findAllCandidates(textMap);
+
+      const dictionary = new PIIDictionary()
+        .buildFrom(candidates, textMap)
+        .addHintedValues(
+          candidates.filter((c) => c.hint),
+          textMap
+        )
+        .refine();
+
+      const entity = dictionary.getAll().find((e) => e.original === 'Vann');
+      expect(entity).toMatchObject({ type: 'properNoun', context: 'person' });
+      expect(entity.occurrences).toHaveLength(2);
+    });
+
+    test('should find form field values in the page text', () => {
+      const textMap = extract(`
+        <p>Thanks, Tiko Vann. We will call you soon.</p>
+        <input autocomplete="name" value="Tiko Vann">`);
+
+      const dictionary = new PIIDictionary()
+        .buildFrom([], textMap)
+        .addHintedValues(hints.getFormValues(document), textMap)
+        .refine();
+
+      const entity = dictionary.getAll().find((e) => e.original === 'Tiko Vann');
+      expect(entity).toMatchObject({ type: 'properNoun', context: 'person', confidence: 1 });
+      expect(entity.occurrences).toHaveLength(1);
+    });
+  });
+
+  describe('PIIDetector.detectInField', () => {
+    test('should take a hinted field value whole as the hinted type', () => {
+      document.body.innerHTML = '<input autocomplete="family-name" value=" Vann ">';
+      const field = document.querySelector('input');
+
+      expect(detector.detectInField(field, ['properNouns'])).toEqual([
+        expect.objectContaining({ type: 'properNoun', original: 'Vann', start: 1, end: 5 }),
+      ]);
+      expect(detector.detectInField(field, ['emails'])).toEqual([]);
+
+      field.value = 'N/A';
+      expect(detector.detectInField(field, ['properNouns'])).toEqual([]);
+    });
+  });
+});
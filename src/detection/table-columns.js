@@ -0,0 +1,135 @@
+/**
+ * Table Columns Module
+ *
+ * Types whole columns of tables and ARIA grids. A data grid's "Name" column may hold 50
+ * names of which only half clear the proper-noun threshold on their own; once enough cells
+ * of a column are confidently one type, every cell of the column is taken to be that type.
+ * Empty states, summary cells and common words ("Pending", "Total") are left out. Columns
+ * whose header names a type ("Customer name", "Acct #") are already typed cell by cell by
+ * LabelContext.
+ */
+
+import { UNDECIDED_LABEL } from './entity-classifier.js';
+
+// Cells holding values (header cells are skipped by text extraction)
+const DATA_CELL = 'td, [role="gridcell"], [role="cell"]';
+const TABLE = 'table, [role="grid"], [role="table"], [role="treegrid"]';
+
+// How much of a column must be confidently one type before the rest follows
+const MIN_TYPED_CELLS = 3;
+const MIN_TYPED_SHARE = 0.6;
+
+export class TableColumns {
+  /**
+   * @param {LabelContext} labelContext - Types the cells of a column
+   */
+  constructor(labelContext) {
+    this.labelContext = labelContext;
+  }
+
+  /**
+   * Promote every cell of a column to the type most of its cells were detected as
+   * @param {Array<Object>} candidates - Candidates found in textMap.fullText
+   * @param {TextMap} textMap - Text map the candidates were found in
+   * @param {number} threshold - Proper noun threshold
+   * @returns {Array<Object>} Candidates, in text order
+   */
+  apply(candidates, textMap, threshold) {
+    let result = candidates;
+
+    for (const cells of this.getColumns(textMap)) {
+      // Empty states, summary cells and common words ("Pending", "Total") neither count
+      // towards the column's type nor take it
+      const column = cells.filter((value) => !this.labelContext.isFiller(value.text));
+      const type = this._getColumnType(column, result, threshold);
+      if (!type) continue;
+
+      const rule = this.labelContext.getRule(type.type, type.context);
+      const evidence = {
+        signal: 'columnType',
+        detail: `${type.count} of ${column.length} cells`,
+      };
+      for (const value of column) {
+        result = this.labelContext.typeValue(result, value, rule, evidence, threshold);
+      }
+    }
+
+    return result === candidates ? result : result.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Collect the values of each table or grid column
+   * Only cells holding a single text segment count, so a value is always a whole cell
+   * @param {TextMap} textMap - Text map of the page
+   * @returns {Array<Array<Object>>} Columns of values { text, start, end }
+   */
+  getColumns(textMap) {
+    const segmentsByCell = new Map();
+    for (const segment of textMap.segments) {
+      const element = segment.nodes[0]?.node?.parentElement;
+      const cell = typeof element?.closest === 'function' ? element.closest(DATA_CELL) : null;
+      if (!cell || !segment.text.trim()) continue;
+      if (!segmentsByCell.has(cell)) segmentsByCell.set(cell, []);
+      segmentsByCell.get(cell).push(segment);
+    }
+
+    const columns = new Map(); // table → column index → values
+    for (const [cell, segments] of segmentsByCell) {
+      const table = cell.closest(TABLE);
+      if (!table || segments.length > 1) continue;
+
+      const [segment] = segments;
+      const text = segment.text.trim();
+      const start = segment.startInFullText + segment.text.indexOf(text);
+      const column = this.labelContext.getColumn(cell);
+
+      if (!columns.has(table)) columns.set(table, new Map());
+      const tableColumns = columns.get(table);
+      if (!tableColumns.has(column)) tableColumns.set(column, []);
+      tableColumns.get(column).push({ text, start, end: start + text.length });
+    }
+
+    return Array.from(columns.values()).flatMap((tableColumns) =>
+      Array.from(tableColumns.values())
+    );
+  }
+
+  /**
+   * Find the type enough values of a column were confidently detected as
+   * A value counts when one candidate covers all of it; proper nouns also need to clear
+   * the threshold, and take the most frequent label the column's names were given
+   * @private
+   * @returns {Object|null} { type, context, count }, or null if no type is dominant
+   */
+  _getColumnType(column, candidates, threshold) {
+    const counts = new Map();
+    const contexts = new Map();
+    for (const value of column) {
+      const candidate = candidates.find(
+        (c) =>
+          c.start === value.start &&
+          c.end === value.end &&
+          (c.type !== 'properNoun' || c.confidence >= threshold)
+      );
+      if (!candidate) continue;
+
+      counts.set(candidate.type, (counts.get(candidate.type) || 0) + 1);
+      if (candidate.type === 'properNoun' && candidate.context !== UNDECIDED_LABEL) {
+        contexts.set(candidate.context, (contexts.get(candidate.context) || 0) + 1);
+      }
+    }
+
+    const [type, count] = Array.from(counts).sort((a, b) => b[1] - a[1])[0] || [];
+    if (!type || count < MIN_TYPED_CELLS || count / column.length < MIN_TYPED_SHARE) {
+      return null;
+    }
+
+    const context =
+      type === 'properNoun'
+        ? Array.from(contexts).sort((a, b) => b[1] - a[1])[0]?.[0] || UNDECIDED_LABEL
+        : undefined;
+    return { type, context, count };
+  }
+}
+
+export default TableColumns;
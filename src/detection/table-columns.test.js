@@ -0,0 +1,126 @@
+/**
+ * TableColumns Tests
+ */
+
+/* eslint-env node, jest */
+
+import { PIIDetector } from './pii-detector.js';
+import { TextExtractor } from './text-extractor.js';
+
+global.chrome = {
+  storage: {
+    sync: {
+      get: jest.fn(async () => ({})),
+    },
+  },
+};
+
+describe('TableColumns', () => {
+  let detector;
+
+  const findCandidates = (html) => {
+    document.body.innerHTML = html;
+    const textMap = new TextExtractor().extractVisibleText(document.body);
+    return detector.findAllCandidates(textMap);
+  };
+
+  const find = (candidates, original) => candidates.find((c) => c.original === original);
+
+  beforeEach(async () => {
+    detector = new PIIDetector();
+    await detector.initialize();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('apply', () => {
+    test('should promote the rest of a column of names', () => {
+      const candidates = findCandidates(`
+        <table>
+          <tr><td>Sarah Connor</td><td>Open</td></tr>
+          <tr><td>Michael Smith</td><td>Closed</td></tr>
+          <tr><td>Jennifer Lopez</td><td>Open</td></tr>
+          <tr><td>Tiko Vann</td><td>Open</td></tr>
+        </table>`);
+
+      expect(find(candidates, 'Tiko Vann')).toMatchObject({
+        type: 'properNoun',
+        context: 'person',
+        willBeProtected: true,
+      });
+      expect(find(candidates, 'Tiko Vann').scoreBreakdown.columnType_detail).toBe('3 of 4 cells');
+      expect(find(candidates, 'Open')).toBeUndefined();
+    });
+
+    test('should work for ARIA grids', () => {
+      const candidates = findCandidates(`
+        <div role="grid">
+          <div role="row"><span role="gridcell">Robert Brown</span><span role="gridcell">A-1</span></div>
+          <div role="row"><span role="gridcell">William Jones</span><span role="gridcell">A-2</span></div>
+          <div role="row"><span role="gridcell">Linda Davis</span><span role="gridcell">A-3</span></div>
+          <div role="row"><span role="gridcell">Quill</span><span role="gridcell">A-4</span></div>
+        </div>`);
+
+      expect(find(candidates, 'Robert Brown').context).toBe('person');
+      expect(find(candidates, 'Quill')).toMatchObject({ context: 'person', willBeProtected: true });
+    });
+
+    test('should promote identifiers the patterns missed', () => {
+      const candidates = findCandidates(`
+        <table>
+          <tr><td>cus_9s8d7f6g5h4j</td></tr>
+          <tr><td>cus_1a2b3c4d5e6f</td></tr>
+          <tr><td>cus_7h6g5f4d3s2a</td></tr>
+          <tr><td>77-AB-12</td></tr>
+        </table>`);
+
+      expect(find(candidates, 'cus_9s8d7f6g5h4j').type).toBe('identifier');
+      expect(find(candidates, '77-AB-12')).toMatchObject({ type: 'identifier' });
+    });
+
+    test('should not promote the non-name cells of a name column', () => {
+      const candidates = findCandidates(`
+        <table>
+          <tr><td>Sarah Connor</td></tr>
+          <tr><td>Michael Smith</td></tr>
+          <tr><td>Jennifer Lopez</td></tr>
+          <tr><td>Tiko Vann</td></tr>
+          <tr><td>Pending</td></tr>
+          <tr><td>N/A</td></tr>
+          <tr><td>Total</td></tr>
+        </table>`);
+
+      expect(find(candidates, 'Tiko Vann').scoreBreakdown.columnType_detail).toBe('3 of 4 cells');
+      for (const filler of ['Pending', 'N/A', 'Total']) {
+        expect(find(candidates, filler)?.willBeProtected).toBeFalsy();
+      }
+    });
+
+    test('should leave columns without a dominant type alone', () => {
+      const candidates = findCandidates(`
+        <table>
+          <tr><td>Sarah Connor</td></tr>
+          <tr><td>Michael Smith</td></tr>
+          <tr><td>Tiko Vann</td></tr>
+          <tr><td>Zed Quill</td></tr>
+          <tr><td>Bo Rook</td></tr>
+        </table>`);
+
+      const tiko = find(candidates, 'Tiko Vann');
+      expect(tiko?.scoreBreakdown?.columnType).toBeUndefined();
+    });
+
+    test('should not merge names across cells', () => {
+      const candidates = findCandidates(`
+        <table>
+          <tr><td>Jennifer Lopez</td><td>Robert Brown</td></tr>
+        </table>`);
+
+      expect(find(candidates, 'Jennifer Lopez')).toBeDefined();
+      expect(find(candidates, 'Robert Brown')).toBeDefined();
+      expect(candidates.some((c) => c.original.includes('Lopez Robert'))).toBe(false);
+    });
+  });
+});
@@ -10,6 +10,34 @@
 
 import { APP_CONFIG } from '../../config/app-config.js';
 
+// Elements that render inline, so text in adjacent ones reads as one run of text
+const INLINE_TAGS = new Set([
+  'A',
+  'ABBR',
+  'B',
+  'BDI',
+  'BDO',
+  'CITE',
+  'CODE',
+  'DATA',
+  'EM',
+  'FONT',
+  'I',
+  'KBD',
+  'MARK',
+  'Q',
+  'S',
+  'SAMP',
+  'SMALL',
+  'SPAN',
+  'STRONG',
+  'SUB',
+  'SUP',
+  'TIME',
+  'U',
+  'VAR',
+]);
+
 /**
  * Represents a group of related text nodes (e.g., adjacent inline elements)
  */
@@ -176,24 +204,21 @@ export class TextExtractor {
     });
 
     // Collect text nodes and group into segments
+    // Each text node starts a new segment unless it continues the previous node's word
     let currentSegment = null;
+    let previousNode = null;
     let currentNode;
 
     while ((currentNode = walker.nextNode())) {
       const text = currentNode.textContent;
 
-      // For now, create a new segment for each text node
-      // Future enhancement: merge adjacent inline elements into same segment
-      if (!currentSegment) {
+      if (!currentSegment || !this._continuesWord(previousNode, currentNode)) {
         currentSegment = new TextSegment(`segment-${++segmentCounter}`);
+        segments.push(currentSegment);
       }
 
       currentSegment.addNode(currentNode, text);
-
-      // End current segment and start new one
-      // (This creates one segment per text node for simplicity)
-      segments.push(currentSegment);
-      currentSegment = null;
+      previousNode = currentNode;
     }
 
     // Build fullText and update segment positions
@@ -224,6 +249,33 @@ export class TextExtractor {
     return textMap;
   }
 
+  /**
+   * Check if a text node continues the previous one's word with no space in between
+   * Only joins at an "@", so an email address whose local part and domain sit in separate
+   * inline elements ("<span>jane.doe</span><span>@acme.com</span>") is extracted whole,
+   * while other adjacent elements keep their space separator ("Writer Jan 17, 2026")
+   * @private
+   * @param {Node} previousNode - Previous text node
+   * @param {Node} node - Current text node
+   * @returns {boolean} True if both nodes belong to the same segment
+   */
+  _continuesWord(previousNode, node) {
+    const before = previousNode.textContent;
+    const after = node.textContent;
+    if (/\s$/.test(before) || /^\s/.test(after)) return false;
+    if (!before.endsWith('@') && !after.startsWith('@')) return false;
+
+    // Both nodes must sit in the same block, with only inline elements around them
+    const blockOf = (textNode) => {
+      let element = textNode.parentElement;
+      while (element && INLINE_TAGS.has(element.tagName.toUpperCase())) {
+        element = element.parentElement;
+      }
+      return element;
+    };
+    return blockOf(previousNode) === blockOf(node);
+  }
+
   /**
    * Check if an element should be skipped during text extraction
    * @private
@@ -0,0 +1,708 @@
+/**
+ * SafeSnap - Identifier Validators
+ * Checksum and format validation for structured identifiers (bank numbers, etc.)
+ * Shared by PatternMatcher (to reject false positives) and Replacer (to build valid fakes)
+ */
+
+/**
+ * IBAN length per country (ISO 13616 registry)
+ */
+// prettier-ignore
+export const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BI: 27,
+  BR: 29, BY: 28, CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DJ: 27, DK: 18, DO: 28,
+  EE: 20, EG: 29, ES: 24, FI: 18, FK: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23,
+  GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27,
+  JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20, LV: 21, LY: 25,
+  MC: 27, MD: 24, ME: 22, MK: 19, MN: 20, MR: 27, MT: 31, MU: 30, NI: 28, NL: 18,
+  NO: 15, OM: 23, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, RU: 33,
+  SA: 24, SC: 31, SD: 18, SE: 24, SI: 19, SK: 24, SM: 27, SO: 23, ST: 25, SV: 28,
+  TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20, YE: 30,
+};
+
+/**
+ * ISO 3166-1 alpha-2 country codes (plus XK), used for BIC country validation
+ */
+export const ISO_COUNTRY_CODES = new Set(
+  (
+    'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ ' +
+    'BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM ' +
+    'DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS ' +
+    'GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN ' +
+    'KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ ' +
+    'MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM ' +
+    'PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV ' +
+    'SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI ' +
+    'VN VU WF WS XK YE YT ZA ZM ZW'
+  ).split(' ')
+);
+
+/**
+ * Compute an ISO 7064 mod-97 remainder for an alphanumeric string
+ * Letters count as two digits (A=10 ... Z=35); folded in one character at a time
+ * @param {string} value - Alphanumeric string (uppercase)
+ * @returns {number} Remainder (0-96)
+ */
+export function mod97(value) {
+  let remainder = 0;
+  for (const char of value) {
+    const code = /\d/.test(char) ? char : (char.charCodeAt(0) - 55).toString();
+    remainder = parseInt(`${remainder}${code}`, 10) % 97;
+  }
+  return remainder;
+}
+
+/**
+ * Compute IBAN check digits for a country code and BBAN
+ * @param {string} countryCode - Two-letter country code
+ * @param {string} bban - Basic bank account number (no spaces)
+ * @returns {string} Two check digits
+ */
+export function computeIBANCheckDigits(countryCode, bban) {
+  const remainder = mod97(`${bban}${countryCode}00`.toUpperCase());
+  return (98 - remainder).toString().padStart(2, '0');
+}
+
+/**
+ * Validate an IBAN (country length + mod-97 checksum)
+ * @param {string} value - IBAN, optionally grouped with spaces
+ * @returns {boolean} True if valid
+ */
+export function isValidIBAN(value) {
+  const compact = value.replace(/[\s-]/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(compact)) return false;
+
+  const expectedLength = IBAN_LENGTHS[compact.slice(0, 2)];
+  if (!expectedLength || compact.length !== expectedLength) return false;
+
+  return mod97(compact.slice(4) + compact.slice(0, 4)) === 1;
+}
+
+/**
+ * Validate a SWIFT/BIC code structure (bank, country, location, optional branch)
+ * @param {string} value - BIC code (8 or 11 characters)
+ * @returns {boolean} True if valid
+ */
+export function isValidBIC(value) {
+  const match = value.match(/^([A-Z]{4})([A-Z]{2})([A-Z0-9]{2})([A-Z0-9]{3})?$/);
+  return !!match && ISO_COUNTRY_CODES.has(match[2]);
+}
+
+/**
+ * Compute the ABA routing number check digit for the first 8 digits
+ * Weights 3-7-1 repeating; the full 9 digits must sum to a multiple of 10
+ * @param {string} firstEight - First eight digits of the routing number
+ * @returns {string} Check digit
+ */
+export function computeABACheckDigit(firstEight) {
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7];
+  const sum = weights.reduce((total, weight, i) => total + weight * Number(firstEight[i]), 0);
+  return ((10 - (sum % 10)) % 10).toString();
+}
+
+/**
+ * Validate a US ABA routing transit number
+ * Checks the Federal Reserve prefix ranges and the 3-7-1 checksum
+ * @param {string} value - Nine-digit routing number
+ * @returns {boolean} True if valid
+ */
+export function isValidABARouting(value) {
+  if (!/^\d{9}$/.test(value)) return false;
+
+  // 00-12 (banks), 21-32 (thrifts), 61-72 (electronic), 80 (traveler's checks)
+  const prefix = Number(value.slice(0, 2));
+  const validPrefix =
+    prefix <= 12 ||
+    (prefix >= 21 && prefix <= 32) ||
+    (prefix >= 61 && prefix <= 72) ||
+    prefix === 80;
+  if (!validPrefix || value === '000000000') return false;
+
+  return computeABACheckDigit(value.slice(0, 8)) === value[8];
+}
+
+/**
+ * Compute the Luhn (mod 10) check digit for a digit string
+ * @param {string} payload - Digits without the check digit
+ * @returns {string} Check digit
+ */
+export function computeLuhnCheckDigit(payload) {
+  let sum = 0;
+  for (let i = 0; i < payload.length; i++) {
+    // Double every second digit from the right, counting the check digit as position 1
+    let digit = Number(payload[payload.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return ((10 - (sum % 10)) % 10).toString();
+}
+
+/**
+ * Validate a digit string with the Luhn (mod 10) checksum
+ * @param {string} value - Digits including the check digit
+ * @returns {boolean} True if valid
+ */
+export function isLuhnValid(value) {
+  if (!/^\d{2,}$/.test(value)) return false;
+  return computeLuhnCheckDigit(value.slice(0, -1)) === value[value.length - 1];
+}
+
+// Verhoeff dihedral group D5 multiplication, permutation and inverse tables
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+/**
+ * Compute the Verhoeff check digit for a digit string
+ * @param {string} payload - Digits without the check digit
+ * @returns {string} Check digit
+ */
+export function computeVerhoeffCheckDigit(payload) {
+  let check = 0;
+  for (let i = 0; i < payload.length; i++) {
+    const digit = Number(payload[payload.length - 1 - i]);
+    check = VERHOEFF_D[check][VERHOEFF_P[(i + 1) % 8][digit]];
+  }
+  return VERHOEFF_INV[check].toString();
+}
+
+/**
+ * Validate a digit string with the Verhoeff checksum
+ * @param {string} value - Digits including the check digit
+ * @returns {boolean} True if valid
+ */
+export function isVerhoeffValid(value) {
+  if (!/^\d{2,}$/.test(value)) return false;
+
+  let check = 0;
+  for (let i = 0; i < value.length; i++) {
+    const digit = Number(value[value.length - 1 - i]);
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][digit]];
+  }
+  return check === 0;
+}
+
+/**
+ * Validate a UK National Insurance number ("AB 12 34 56 C")
+ * Checks the HMRC prefix letter rules and the A-D suffix (format only - there is no checksum)
+ * @param {string} value - NINO, optionally spaced
+ * @returns {boolean} True if valid
+ */
+export function isValidNINO(value) {
+  const compact = value.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/.test(compact)) return false;
+  return !['BG', 'GB', 'KN', 'NK', 'NT', 'TN', 'ZZ'].includes(compact.slice(0, 2));
+}
+
+/**
+ * Validate a Canadian Social Insurance Number (Luhn; 0 and 8 are never issued as first digit)
+ * @param {string} value - SIN, optionally grouped 3-3-3
+ * @returns {boolean} True if valid
+ */
+export function isValidSIN(value) {
+  const digits = value.replace(/[\s-]/g, '');
+  return /^[1-79]\d{8}$/.test(digits) && isLuhnValid(digits);
+}
+
+/**
+ * Validate an Indian Aadhaar number (12 digits, no leading 0/1, Verhoeff checksum)
+ * @param {string} value - Aadhaar number, optionally grouped 4-4-4
+ * @returns {boolean} True if valid
+ */
+export function isValidAadhaar(value) {
+  const digits = value.replace(/[\s-]/g, '');
+  return /^[2-9]\d{11}$/.test(digits) && isVerhoeffValid(digits);
+}
+
+/**
+ * Compute the French INSEE (NIR) key for the first 13 characters
+ * Corsican departments 2A/2B count as 19/18 for the calculation
+ * @param {string} body - Sex, year, month, department, commune and order number (13 chars)
+ * @returns {string} Two-digit key
+ */
+export function computeINSEEKey(body) {
+  const numeric = Number(body.toUpperCase().replace('2A', '19').replace('2B', '18'));
+  return (97 - (numeric % 97)).toString().padStart(2, '0');
+}
+
+/**
+ * Validate a French INSEE / social security number (15 characters, mod-97 key)
+ * @param {string} value - NIR, optionally spaced ("1 85 05 78 006 084 36")
+ * @returns {boolean} True if valid
+ */
+export function isValidINSEE(value) {
+  const compact = value.replace(/\s/g, '').toUpperCase();
+  if (!/^[12]\d{2}(?:0[1-9]|1[0-2]|[2-9]\d)(?:\d{2}|2[AB])\d{8}$/.test(compact)) return false;
+  return computeINSEEKey(compact.slice(0, 13)) === compact.slice(13);
+}
+
+/**
+ * Compute the control letter of a Spanish DNI or NIE
+ * NIE prefixes X/Y/Z count as 0/1/2
+ * @param {string} number - Eight DNI digits, or an NIE prefix letter plus seven digits
+ * @returns {string} Control letter
+ */
+export function computeDNILetter(number) {
+  const numeric = Number(number.toUpperCase().replace(/^[XYZ]/, (p) => 'XYZ'.indexOf(p)));
+  return 'TRWAGMYFPDXBNJZSQVHLCKE'[numeric % 23];
+}
+
+/**
+ * Validate a Spanish DNI ("12345678Z") or NIE ("X1234567L")
+ * @param {string} value - DNI/NIE, optionally with a dash before the letter
+ * @returns {boolean} True if valid
+ */
+export function isValidDNI(value) {
+  const compact = value.replace(/[\s-]/g, '').toUpperCase();
+  if (!/^(?:\d{8}|[XYZ]\d{7})[A-Z]$/.test(compact)) return false;
+  return computeDNILetter(compact.slice(0, -1)) === compact.slice(-1);
+}
+
+/**
+ * Compute the two mod-11 check digits of a Brazilian CPF
+ * @param {string} firstNine - First nine digits
+ * @returns {string} Two check digits
+ */
+export function computeCPFCheckDigits(firstNine) {
+  const checkDigit = (digits) => {
+    const sum = [...digits].reduce(
+      (total, digit, i) => total + Number(digit) * (digits.length + 1 - i),
+      0
+    );
+    return ((sum * 10) % 11) % 10;
+  };
+  const first = checkDigit(firstNine);
+  return `${first}${checkDigit(`${firstNine}${first}`)}`;
+}
+
+/**
+ * Validate a Brazilian CPF ("123.456.789-09")
+ * Repeated-digit numbers like 111.111.111-11 pass the checksum but are never issued
+ * @param {string} value - CPF, formatted or bare
+ * @returns {boolean} True if valid
+ */
+export function isValidCPF(value) {
+  const digits = value.replace(/[.\s-]/g, '');
+  if (!/^\d{11}$/.test(digits) || /^(\d)\1{10}$/.test(digits)) return false;
+  return computeCPFCheckDigits(digits.slice(0, 9)) === digits.slice(9);
+}
+
+/**
+ * Compute the Shannon entropy of a string in bits per character
+ * Random API keys and tokens score high (base64 ~4.5-6); words and hex hashes score lower
+ * @param {string} value - String to measure
+ * @returns {number} Entropy in bits per character (0 for empty strings)
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+// ============================================================================
+// Cryptocurrency addresses
+// ============================================================================
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * Compute a SHA-256 digest (synchronous - Web Crypto's digest() is async)
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256(bytes) {
+  // Pad: 0x80, zeros, then the message length in bits (big-endian) to a multiple of 64 bytes
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const message = new Uint8Array(paddedLength);
+  message.set(bytes);
+  message[bytes.length] = 0x80;
+  const view = new DataView(message.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 =
+        (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) |
+        0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => (hash[i] += value));
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+  return digest;
+}
+
+const KECCAK_ROUND_CONSTANTS = [
+  0x0000000000000001n,
+  0x0000000000008082n,
+  0x800000000000808an,
+  0x8000000080008000n,
+  0x000000000000808bn,
+  0x0000000080000001n,
+  0x8000000080008081n,
+  0x8000000000008009n,
+  0x000000000000008an,
+  0x0000000000000088n,
+  0x0000000080008009n,
+  0x000000008000000an,
+  0x000000008000808bn,
+  0x800000000000008bn,
+  0x8000000000008089n,
+  0x8000000000008003n,
+  0x8000000000008002n,
+  0x8000000000000080n,
+  0x000000000000800an,
+  0x800000008000000an,
+  0x8000000080008081n,
+  0x8000000000008080n,
+  0x0000000080000001n,
+  0x8000000080008008n,
+];
+// Rotation offsets by lane [x][y]
+const KECCAK_ROTATIONS = [
+  [0, 36, 3, 41, 18],
+  [1, 44, 10, 45, 2],
+  [62, 6, 43, 15, 61],
+  [28, 55, 25, 21, 56],
+  [27, 20, 39, 8, 14],
+];
+const LANE_MASK = (1n << 64n) - 1n;
+
+/**
+ * Compute a Keccak-256 digest (the pre-standard SHA-3 padding Ethereum uses)
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function keccak256(bytes) {
+  const rate = 136;
+  const paddedLength = Math.floor(bytes.length / rate + 1) * rate;
+  const message = new Uint8Array(paddedLength);
+  message.set(bytes);
+  message[bytes.length] ^= 0x01;
+  message[paddedLength - 1] ^= 0x80;
+
+  const rotl = (lane, n) =>
+    n === 0 ? lane : ((lane << BigInt(n)) | (lane >> BigInt(64 - n))) & LANE_MASK;
+  const state = new Array(25).fill(0n);
+
+  for (let offset = 0; offset < paddedLength; offset += rate) {
+    for (let i = 0; i < rate / 8; i++) {
+      let lane = 0n;
+      for (let b = 7; b >= 0; b--) lane = (lane << 8n) | BigInt(message[offset + i * 8 + b]);
+      state[i] ^= lane;
+    }
+
+    for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+      // θ
+      const columns = [0, 1, 2, 3, 4].map(
+        (x) => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]
+      );
+      for (let x = 0; x < 5; x++) {
+        const d = columns[(x + 4) % 5] ^ rotl(columns[(x + 1) % 5], 1);
+        for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+      }
+      // ρ and π
+      const moved = new Array(25);
+      for (let x = 0; x < 5; x++) {
+        for (let y = 0; y < 5; y++) {
+          moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], KECCAK_ROTATIONS[x][y]);
+        }
+      }
+      // χ
+      for (let y = 0; y < 25; y += 5) {
+        for (let x = 0; x < 5; x++) {
+          state[x + y] =
+            moved[x + y] ^ (~moved[((x + 1) % 5) + y] & LANE_MASK & moved[((x + 2) % 5) + y]);
+        }
+      }
+      // ι
+      state[0] ^= roundConstant;
+    }
+  }
+
+  const digest = new Uint8Array(32);
+  for (let i = 0; i < 4; i++) {
+    let lane = state[i];
+    for (let b = 0; b < 8; b++) {
+      digest[i * 8 + b] = Number(lane & 0xffn);
+      lane >>= 8n;
+    }
+  }
+  return digest;
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Decode a base58 string (Bitcoin alphabet); leading "1"s are leading zero bytes
+ * @param {string} value - Base58 string
+ * @returns {Uint8Array|null} Bytes, or null if the string has characters outside the alphabet
+ */
+export function base58Decode(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) return null;
+    number = number * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (number > 0n) {
+    bytes.unshift(Number(number & 0xffn));
+    number >>= 8n;
+  }
+  const leadingZeros = value.match(/^1*/)[0].length;
+  return new Uint8Array([...new Array(leadingZeros).fill(0), ...bytes]);
+}
+
+/**
+ * Encode bytes as base58 (Bitcoin alphabet)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base58 string
+ */
+export function base58Encode(bytes) {
+  let number = 0n;
+  for (const byte of bytes) number = (number << 8n) | BigInt(byte);
+
+  let encoded = '';
+  while (number > 0n) {
+    encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+    number /= 58n;
+  }
+  const leadingZeros = bytes.findIndex((byte) => byte !== 0);
+  return '1'.repeat(leadingZeros === -1 ? bytes.length : leadingZeros) + encoded;
+}
+
+/**
+ * Encode a payload with its Base58Check checksum (first 4 bytes of a double SHA-256)
+ * @param {Uint8Array} payload - Version byte and data
+ * @returns {string} Base58Check string
+ */
+export function base58CheckEncode(payload) {
+  const checksum = sha256(sha256(payload)).slice(0, 4);
+  return base58Encode(new Uint8Array([...payload, ...checksum]));
+}
+
+/**
+ * Decode a Base58Check string, verifying its checksum
+ * @param {string} value - Base58Check string
+ * @returns {Uint8Array|null} Payload (version byte and data) or null if invalid
+ */
+export function base58CheckDecode(value) {
+  const bytes = base58Decode(value);
+  if (!bytes || bytes.length < 5) return null;
+
+  const payload = bytes.slice(0, -4);
+  const checksum = sha256(sha256(payload)).slice(0, 4);
+  return checksum.every((byte, i) => byte === bytes[bytes.length - 4 + i]) ? payload : null;
+}
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+// Checksum constants: bech32 for SegWit v0, bech32m (BIP 350) for v1+ (Taproot)
+const BECH32_CONSTANTS = { bech32: 1, bech32m: 0x2bc830a3 };
+
+function bech32Polymod(hrp, data) {
+  const values = [
+    ...[...hrp].map((char) => char.charCodeAt(0) >> 5),
+    0,
+    ...[...hrp].map((char) => char.charCodeAt(0) & 31),
+    ...data,
+  ];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    BECH32_GENERATOR.forEach((generator, i) => {
+      if ((top >>> i) & 1) checksum ^= generator;
+    });
+  }
+  return checksum >>> 0;
+}
+
+/**
+ * Regroup bits (8-bit bytes to 5-bit bech32 words and back)
+ * @param {Array<number>} data - Values of fromBits bits each
+ * @param {number} fromBits - Bits per input value
+ * @param {number} toBits - Bits per output value
+ * @param {boolean} pad - Pad the last value with zeros (encoding) rather than reject leftovers
+ * @returns {Array<number>|null} Regrouped values, or null if leftover bits aren't zero padding
+ */
+export function convertBits(data, fromBits, toBits, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >> bits) & maxValue);
+    }
+  }
+  if (pad && bits > 0) {
+    result.push((accumulator << (toBits - bits)) & maxValue);
+  } else if (!pad && (bits >= fromBits || (accumulator << (toBits - bits)) & maxValue)) {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Encode a bech32/bech32m string
+ * @param {string} hrp - Human-readable part ("bc", "tb")
+ * @param {Array<number>} data - 5-bit values
+ * @param {string} encoding - 'bech32' or 'bech32m'
+ * @returns {string} Lowercase bech32 string
+ */
+export function bech32Encode(hrp, data, encoding) {
+  const polymod = bech32Polymod(hrp, [...data, 0, 0, 0, 0, 0, 0]) ^ BECH32_CONSTANTS[encoding];
+  const checksum = [0, 1, 2, 3, 4, 5].map((i) => (polymod >>> (5 * (5 - i))) & 31);
+  return `${hrp}1${[...data, ...checksum].map((value) => BECH32_CHARSET[value]).join('')}`;
+}
+
+/**
+ * Decode a bech32/bech32m string, verifying its checksum
+ * @param {string} value - Bech32 string (all lower or all upper case)
+ * @returns {Object|null} { hrp, data, encoding } or null if invalid
+ */
+export function bech32Decode(value) {
+  if (value !== value.toLowerCase() && value !== value.toUpperCase()) return null;
+
+  const lower = value.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length || lower.length > 90) return null;
+
+  const hrp = lower.slice(0, separator);
+  const data = [...lower.slice(separator + 1)].map((char) => BECH32_CHARSET.indexOf(char));
+  if (data.includes(-1)) return null;
+
+  const polymod = bech32Polymod(hrp, data);
+  const encoding = Object.keys(BECH32_CONSTANTS).find((key) => BECH32_CONSTANTS[key] === polymod);
+  return encoding ? { hrp, data: data.slice(0, -6), encoding } : null;
+}
+
+/**
+ * Validate a Bitcoin address: legacy P2PKH/P2SH ("1...", "3...", Base58Check) or
+ * SegWit/Taproot ("bc1q...", "bc1p...", bech32/bech32m)
+ * @param {string} value - Address
+ * @returns {boolean} True if valid
+ */
+export function isValidBitcoinAddress(value) {
+  if (/^[13]/.test(value)) {
+    const payload = base58CheckDecode(value);
+    return !!payload && payload.length === 21 && (payload[0] === 0x00 || payload[0] === 0x05);
+  }
+
+  const decoded = bech32Decode(value);
+  if (!decoded || !['bc', 'tb'].includes(decoded.hrp) || decoded.data.length === 0) return false;
+
+  const [version, ...words] = decoded.data;
+  const program = convertBits(words, 5, 8, false);
+  if (!program || version > 16 || program.length < 2 || program.length > 40) return false;
+  if (version === 0 && program.length !== 20 && program.length !== 32) return false;
+  return decoded.encoding === (version === 0 ? 'bech32' : 'bech32m');
+}
+
+/**
+ * Apply the EIP-55 mixed-case checksum to an Ethereum address
+ * @param {string} address - "0x" + 40 hex digits, any case
+ * @returns {string} Checksummed address
+ */
+export function toChecksumAddress(address) {
+  const hex = address.slice(2).toLowerCase();
+  const hash = keccak256(Uint8Array.from(hex, (char) => char.charCodeAt(0)));
+  const checksummed = [...hex].map((char, i) => {
+    const nibble = (hash[i >> 1] >> (i % 2 === 0 ? 4 : 0)) & 0x0f;
+    return nibble >= 8 ? char.toUpperCase() : char;
+  });
+  return `0x${checksummed.join('')}`;
+}
+
+/**
+ * Validate an Ethereum address
+ * All-lowercase and all-uppercase addresses carry no checksum; mixed case must match EIP-55
+ * @param {string} value - Address ("0x" + 40 hex digits)
+ * @returns {boolean} True if valid
+ */
+export function isValidEthereumAddress(value) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) return false;
+
+  const hex = value.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return true;
+  return toChecksumAddress(value) === value;
+}
+
+/**
+ * Validate a Solana public key or transaction signature (base58 of 32 or 64 bytes)
+ * There is no checksum, so callers should also require context
+ * @param {string} value - Base58 string
+ * @param {number} [byteLength=32] - 32 for addresses, 64 for signatures
+ * @returns {boolean} True if it decodes to the expected length
+ */
+export function isValidSolanaKey(value, byteLength = 32) {
+  const bytes = base58Decode(value);
+  return !!bytes && bytes.length === byteLength;
+}
@@ -0,0 +1,207 @@
+/**
+ * Identifier Validators Tests
+ */
+
+import {
+  mod97,
+  computeIBANCheckDigits,
+  isValidIBAN,
+  isValidBIC,
+  computeABACheckDigit,
+  isValidABARouting,
+  computeLuhnCheckDigit,
+  isLuhnValid,
+  computeVerhoeffCheckDigit,
+  isVerhoeffValid,
+  isValidNINO,
+  isValidSIN,
+  isValidAadhaar,
+  computeINSEEKey,
+  isValidINSEE,
+  computeDNILetter,
+  isValidDNI,
+  computeCPFCheckDigits,
+  isValidCPF,
+  shannonEntropy,
+  sha256,
+  keccak256,
+  base58Decode,
+  base58Encode,
+  isValidBitcoinAddress,
+  toChecksumAddress,
+  isValidEthereumAddress,
+  isValidSolanaKey,
+} from './validators.js';
+
+describe('validators', () => {
+  describe('IBAN', () => {
+    test('should validate IBANs from several countries', () => {
+      expect(isValidIBAN('DE89370400440532013000')).toBe(true);
+      expect(isValidIBAN('GB82 WEST 1234 5698 7654 32')).toBe(true);
+      expect(isValidIBAN('FR1420041010050500013M02606')).toBe(true);
+      expect(isValidIBAN('NO9386011117947')).toBe(true);
+      expect(isValidIBAN('MT84MALT011000012345MTLCAST001S')).toBe(true);
+    });
+
+    test('should reject bad checksums, unknown countries and wrong lengths', () => {
+      expect(isValidIBAN('DE89370400440532013001')).toBe(false);
+      expect(isValidIBAN('ZZ89370400440532013000')).toBe(false);
+      expect(isValidIBAN('DE8937040044053201300')).toBe(false);
+    });
+
+    test('should compute check digits that make the IBAN valid', () => {
+      expect(computeIBANCheckDigits('DE', '370400440532013000')).toBe('89');
+      expect(mod97('370400440532013000DE89')).toBe(1);
+    });
+  });
+
+  describe('BIC', () => {
+    test('should validate 8 and 11 character BICs with a known country', () => {
+      expect(isValidBIC('DEUTDEFF')).toBe(true);
+      expect(isValidBIC('NWBKGB2L')).toBe(true);
+      expect(isValidBIC('DEUTDEFF500')).toBe(true);
+    });
+
+    test('should reject unknown countries and bad lengths', () => {
+      expect(isValidBIC('DEUTZZFF')).toBe(false);
+      expect(isValidBIC('DEUTDEF')).toBe(false);
+      expect(isValidBIC('DEUTDEFF50')).toBe(false);
+    });
+  });
+
+  describe('ABA routing numbers', () => {
+    test('should validate real routing numbers', () => {
+      expect(isValidABARouting('021000021')).toBe(true);
+      expect(isValidABARouting('011000015')).toBe(true);
+      expect(isValidABARouting('322271627')).toBe(true);
+    });
+
+    test('should reject bad checksums and invalid prefixes', () => {
+      expect(isValidABARouting('021000022')).toBe(false);
+      expect(isValidABARouting('000000000')).toBe(false);
+      expect(isValidABARouting('501000019')).toBe(false);
+    });
+
+    test('should compute the check digit', () => {
+      expect(computeABACheckDigit('02100002')).toBe('1');
+    });
+  });
+
+  describe('Luhn and Verhoeff', () => {
+    test('should compute and check Luhn digits', () => {
+      expect(computeLuhnCheckDigit('7992739871')).toBe('3');
+      expect(isLuhnValid('79927398713')).toBe(true);
+      expect(isLuhnValid('79927398710')).toBe(false);
+    });
+
+    test('should compute and check Verhoeff digits', () => {
+      expect(computeVerhoeffCheckDigit('236')).toBe('3');
+      expect(isVerhoeffValid('2363')).toBe(true);
+      expect(isVerhoeffValid('2364')).toBe(false);
+    });
+  });
+
+  describe('National IDs', () => {
+    test('should validate UK National Insurance prefixes and suffix', () => {
+      expect(isValidNINO('AB 12 34 56 C')).toBe(true);
+      expect(isValidNINO('QQ123456C')).toBe(false);
+      expect(isValidNINO('GB123456A')).toBe(false);
+      expect(isValidNINO('AB123456E')).toBe(false);
+    });
+
+    test('should validate Canadian SINs', () => {
+      expect(isValidSIN('130 692 544')).toBe(true);
+      expect(isValidSIN('130 692 545')).toBe(false);
+      // Luhn-valid but 0 is never a first digit
+      expect(isValidSIN('046 454 286')).toBe(false);
+    });
+
+    test('should validate Aadhaar numbers', () => {
+      const payload = '23412341234';
+      const valid = payload + computeVerhoeffCheckDigit(payload);
+
+      expect(isValidAadhaar(valid)).toBe(true);
+      expect(isValidAadhaar(`1${valid.slice(1)}`)).toBe(false);
+      expect(isValidAadhaar(`${payload}${(Number(valid[11]) + 1) % 10}`)).toBe(false);
+    });
+
+    test('should validate INSEE numbers, including Corsican departments', () => {
+      expect(isValidINSEE('2 69 05 49 588 157 80')).toBe(true);
+      expect(isValidINSEE('2 69 05 49 588 157 81')).toBe(false);
+      expect(isValidINSEE(`169052A588157${computeINSEEKey('169052A588157')}`)).toBe(true);
+      expect(computeINSEEKey('169052A588157')).not.toBe(computeINSEEKey('169052B588157'));
+    });
+
+    test('should validate Spanish DNI and NIE control letters', () => {
+      expect(computeDNILetter('12345678')).toBe('Z');
+      expect(isValidDNI('12345678Z')).toBe(true);
+      expect(isValidDNI('12345678-Z')).toBe(true);
+      expect(isValidDNI('X1234567L')).toBe(true);
+      expect(isValidDNI('12345678A')).toBe(false);
+    });
+
+    test('should validate Brazilian CPFs and reject repeated digits', () => {
+      expect(computeCPFCheckDigits('529982247')).toBe('25');
+      expect(isValidCPF('529.982.247-25')).toBe(true);
+      expect(isValidCPF('52998224725')).toBe(true);
+      expect(isValidCPF('529.982.247-26')).toBe(false);
+      expect(isValidCPF('111.111.111-11')).toBe(false);
+    });
+  });
+
+  describe('shannonEntropy', () => {
+    test('should score random strings above words and repeated characters', () => {
+      expect(shannonEntropy('')).toBe(0);
+      expect(shannonEntropy('aaaaaaaa')).toBe(0);
+      expect(shannonEntropy('abcd')).toBe(2);
+      expect(shannonEntropy('wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY')).toBeGreaterThan(4);
+      expect(shannonEntropy('9f8a7b6c5d4e3f2a1b0c9d8e7f6a5b4c')).toBeLessThanOrEqual(4);
+    });
+  });
+
+  describe('Cryptocurrency', () => {
+    const hex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+    test('should compute SHA-256 and Keccak-256 digests', () => {
+      expect(hex(sha256(Uint8Array.from('abc', (char) => char.charCodeAt(0))))).toBe(
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+      );
+      expect(hex(keccak256(new Uint8Array(0)))).toBe(
+        'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+      );
+    });
+
+    test('should round-trip base58 with leading zero bytes', () => {
+      const bytes = new Uint8Array([0, 0, 1, 2, 255]);
+
+      expect(base58Encode(bytes)).toMatch(/^11/);
+      expect(Array.from(base58Decode(base58Encode(bytes)))).toEqual(Array.from(bytes));
+      expect(base58Decode('0OIl')).toBeNull();
+    });
+
+    test('should validate Bitcoin legacy, SegWit and Taproot addresses', () => {
+      expect(isValidBitcoinAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe(true);
+      expect(isValidBitcoinAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy')).toBe(true);
+      expect(isValidBitcoinAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq')).toBe(true);
+      expect(
+        isValidBitcoinAddress('bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297')
+      ).toBe(true);
+      expect(isValidBitcoinAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb')).toBe(false);
+      expect(isValidBitcoinAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdr')).toBe(false);
+    });
+
+    test('should validate EIP-55 checksummed Ethereum addresses', () => {
+      expect(toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')).toBe(
+        '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'
+      );
+      expect(isValidEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')).toBe(true);
+      expect(isValidEthereumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')).toBe(true);
+      expect(isValidEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD')).toBe(false);
+    });
+
+    test('should validate Solana keys by decoded length', () => {
+      expect(isValidSolanaKey('7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU')).toBe(true);
+      expect(isValidSolanaKey('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe(false);
+    });
+  });
+});
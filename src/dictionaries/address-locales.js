@@ -0,0 +1,307 @@
+/**
+ * SafeSnap - Postal Address Locale Data
+ *
+ * Country-specific data for postal address detection and replacement:
+ * - Region (state/province) codes used in address lines
+ * - Street names and street types, with their abbreviations
+ * - Localities: a city with its region and a postcode template, so that
+ *   generated addresses have a coherent city/region/postcode
+ *
+ * Postcode templates: '#' = digit, '@' = letter, anything else is literal
+ */
+
+export const addressLocales = {
+  US: {
+    regions: [
+      'AL',
+      'AK',
+      'AZ',
+      'AR',
+      'CA',
+      'CO',
+      'CT',
+      'DE',
+      'DC',
+      'FL',
+      'GA',
+      'HI',
+      'ID',
+      'IL',
+      'IN',
+      'IA',
+      'KS',
+      'KY',
+      'LA',
+      'ME',
+      'MD',
+      'MA',
+      'MI',
+      'MN',
+      'MS',
+      'MO',
+      'MT',
+      'NE',
+      'NV',
+      'NH',
+      'NJ',
+      'NM',
+      'NY',
+      'NC',
+      'ND',
+      'OH',
+      'OK',
+      'OR',
+      'PA',
+      'RI',
+      'SC',
+      'SD',
+      'TN',
+      'TX',
+      'UT',
+      'VT',
+      'VA',
+      'WA',
+      'WV',
+      'WI',
+      'WY',
+    ],
+    streets: [
+      'Main',
+      'Oak',
+      'Pine',
+      'Maple',
+      'Cedar',
+      'Elm',
+      'Washington',
+      'Lake',
+      'Hill',
+      'Park',
+      'Spring',
+      'Forest',
+      'River',
+      'Church',
+      'Market',
+      'Center',
+      'First',
+      'Second',
+      'Third',
+      'Fourth',
+    ],
+    streetTypes: {
+      Street: 'St',
+      Avenue: 'Ave',
+      Road: 'Rd',
+      Boulevard: 'Blvd',
+      Drive: 'Dr',
+      Lane: 'Ln',
+      Court: 'Ct',
+      Way: 'Way',
+    },
+    localities: [
+      { city: 'Springfield', region: 'IL', postcode: '627##' },
+      { city: 'Portland', region: 'OR', postcode: '972##' },
+      { city: 'Austin', region: 'TX', postcode: '787##' },
+      { city: 'Columbus', region: 'OH', postcode: '432##' },
+      { city: 'Denver', region: 'CO', postcode: '802##' },
+      { city: 'Madison', region: 'WI', postcode: '537##' },
+      { city: 'Raleigh', region: 'NC', postcode: '276##' },
+      { city: 'Boise', region: 'ID', postcode: '837##' },
+      { city: 'Albany', region: 'NY', postcode: '122##' },
+      { city: 'Richmond', region: 'VA', postcode: '232##' },
+      { city: 'Sacramento', region: 'CA', postcode: '958##' },
+      { city: 'Tucson', region: 'AZ', postcode: '857##' },
+    ],
+  },
+
+  GB: {
+    regions: [],
+    streets: [
+      'High',
+      'Church',
+      'Station',
+      'Victoria',
+      'Mill',
+      'Park',
+      'Manor',
+      'Windsor',
+      'Albert',
+      'Grange',
+      'Chapel',
+      'York',
+      'Kings',
+      'Queens',
+    ],
+    streetTypes: {
+      Street: 'St',
+      Road: 'Rd',
+      Lane: 'Ln',
+      Close: 'Cl',
+      Avenue: 'Ave',
+      Crescent: 'Cres',
+      Gardens: 'Gdns',
+      Terrace: 'Terr',
+      Drive: 'Dr',
+      Way: 'Way',
+    },
+    localities: [
+      { city: 'London', region: null, postcode: 'SW## #@@' },
+      { city: 'Manchester', region: null, postcode: 'M## #@@' },
+      { city: 'Leeds', region: null, postcode: 'LS# #@@' },
+      { city: 'Bristol', region: null, postcode: 'BS# #@@' },
+      { city: 'Birmingham', region: null, postcode: 'B## #@@' },
+      { city: 'Edinburgh', region: null, postcode: 'EH# #@@' },
+      { city: 'Glasgow', region: null, postcode: 'G## #@@' },
+      { city: 'Cardiff', region: null, postcode: 'CF## #@@' },
+      { city: 'Oxford', region: null, postcode: 'OX# #@@' },
+      { city: 'Cambridge', region: null, postcode: 'CB# #@@' },
+      { city: 'Nottingham', region: null, postcode: 'NG# #@@' },
+      { city: 'Brighton', region: null, postcode: 'BN# #@@' },
+    ],
+  },
+
+  DE: {
+    regions: [],
+    // German street names are one word: stem + type suffix ("Hauptstraße 12")
+    streets: [
+      'Haupt',
+      'Bahnhof',
+      'Schul',
+      'Garten',
+      'Linden',
+      'Kirch',
+      'Berg',
+      'Wald',
+      'Dorf',
+      'Birken',
+      'Mühlen',
+      'Rosen',
+    ],
+    streetTypes: {
+      straße: 'str.',
+      weg: 'weg',
+      gasse: 'gasse',
+      allee: 'allee',
+      platz: 'platz',
+    },
+    localities: [
+      { city: 'Berlin', region: 'Berlin', postcode: '10###' },
+      { city: 'Hamburg', region: 'Hamburg', postcode: '22###' },
+      { city: 'München', region: 'Bayern', postcode: '80###' },
+      { city: 'Köln', region: 'Nordrhein-Westfalen', postcode: '50###' },
+      { city: 'Frankfurt am Main', region: 'Hessen', postcode: '60###' },
+      { city: 'Stuttgart', region: 'Baden-Württemberg', postcode: '70###' },
+      { city: 'Düsseldorf', region: 'Nordrhein-Westfalen', postcode: '40###' },
+      { city: 'Leipzig', region: 'Sachsen', postcode: '04###' },
+      { city: 'Dresden', region: 'Sachsen', postcode: '01###' },
+      { city: 'Hannover', region: 'Niedersachsen', postcode: '30###' },
+      { city: 'Nürnberg', region: 'Bayern', postcode: '90###' },
+      { city: 'Bremen', region: 'Bremen', postcode: '28###' },
+    ],
+    // Additional cities recognized after a PLZ ("10115 Berlin") but not used for replacement
+    knownCities: [
+      'Munich',
+      'Cologne',
+      'Frankfurt',
+      'Dortmund',
+      'Essen',
+      'Duisburg',
+      'Bochum',
+      'Wuppertal',
+      'Bonn',
+      'Bielefeld',
+      'Mannheim',
+      'Karlsruhe',
+      'Münster',
+      'Augsburg',
+      'Wiesbaden',
+      'Freiburg',
+      'Mainz',
+      'Kiel',
+      'Potsdam',
+      'Heidelberg',
+      'Aachen',
+      'Lübeck',
+      'Rostock',
+    ],
+  },
+
+  CA: {
+    regions: ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'],
+    streets: [
+      'Maple',
+      'King',
+      'Queen',
+      'Birch',
+      'Dundas',
+      'Wellington',
+      'Victoria',
+      'Spruce',
+      'Lakeshore',
+      'Elgin',
+      'Church',
+      'Park',
+    ],
+    streetTypes: {
+      Street: 'St',
+      Avenue: 'Ave',
+      Road: 'Rd',
+      Drive: 'Dr',
+      Crescent: 'Cres',
+      Boulevard: 'Blvd',
+    },
+    // '@' letters are drawn from the set Canada Post uses (no D, F, I, O, Q, U)
+    localities: [
+      { city: 'Toronto', region: 'ON', postcode: 'M#@ #@#' },
+      { city: 'Ottawa', region: 'ON', postcode: 'K#@ #@#' },
+      { city: 'Montréal', region: 'QC', postcode: 'H#@ #@#' },
+      { city: 'Québec', region: 'QC', postcode: 'G#@ #@#' },
+      { city: 'Vancouver', region: 'BC', postcode: 'V#@ #@#' },
+      { city: 'Victoria', region: 'BC', postcode: 'V#@ #@#' },
+      { city: 'Calgary', region: 'AB', postcode: 'T#@ #@#' },
+      { city: 'Edmonton', region: 'AB', postcode: 'T#@ #@#' },
+      { city: 'Winnipeg', region: 'MB', postcode: 'R#@ #@#' },
+      { city: 'Halifax', region: 'NS', postcode: 'B#@ #@#' },
+      { city: 'Regina', region: 'SK', postcode: 'S#@ #@#' },
+    ],
+  },
+
+  AU: {
+    regions: ['NSW', 'VIC', 'QLD', 'WA', 'SA', 'TAS', 'ACT', 'NT'],
+    streets: [
+      'George',
+      'Pitt',
+      'Collins',
+      'Elizabeth',
+      'King',
+      'Queen',
+      'William',
+      'Victoria',
+      'Station',
+      'Beach',
+      'Bourke',
+      'Flinders',
+    ],
+    streetTypes: {
+      Street: 'St',
+      Road: 'Rd',
+      Parade: 'Pde',
+      Avenue: 'Ave',
+      Drive: 'Dr',
+      Place: 'Pl',
+      Crescent: 'Cres',
+    },
+    localities: [
+      { city: 'Sydney', region: 'NSW', postcode: '20##' },
+      { city: 'Parramatta', region: 'NSW', postcode: '21##' },
+      { city: 'Melbourne', region: 'VIC', postcode: '30##' },
+      { city: 'Geelong', region: 'VIC', postcode: '32##' },
+      { city: 'Brisbane', region: 'QLD', postcode: '40##' },
+      { city: 'Gold Coast', region: 'QLD', postcode: '42##' },
+      { city: 'Perth', region: 'WA', postcode: '60##' },
+      { city: 'Adelaide', region: 'SA', postcode: '50##' },
+      { city: 'Hobart', region: 'TAS', postcode: '70##' },
+      { city: 'Canberra', region: 'ACT', postcode: '26##' },
+      { city: 'Darwin', region: 'NT', postcode: '08##' },
+    ],
+  },
+};
@@ -0,0 +1,302 @@
+/**
+ * SafeSnap - Currency Data
+ *
+ * Currency data for money detection:
+ * - ISO 4217 codes ("USD 12,000", "1.234,56 EUR")
+ * - Currency symbols, including multi-character ones ("R$", "zł", "kr")
+ * - Currency names used in spelled-out amounts ("two million dollars")
+ * - English number words for reading and writing spelled-out amounts
+ */
+
+/**
+ * Active ISO 4217 currency codes
+ */
+export const currencyCodes = [
+  'AED',
+  'AFN',
+  'ALL',
+  'AMD',
+  'ANG',
+  'AOA',
+  'ARS',
+  'AUD',
+  'AWG',
+  'AZN',
+  'BAM',
+  'BBD',
+  'BDT',
+  'BGN',
+  'BHD',
+  'BIF',
+  'BMD',
+  'BND',
+  'BOB',
+  'BRL',
+  'BSD',
+  'BTN',
+  'BWP',
+  'BYN',
+  'BZD',
+  'CAD',
+  'CDF',
+  'CHF',
+  'CLP',
+  'CNY',
+  'COP',
+  'CRC',
+  'CUP',
+  'CVE',
+  'CZK',
+  'DJF',
+  'DKK',
+  'DOP',
+  'DZD',
+  'EGP',
+  'ERN',
+  'ETB',
+  'EUR',
+  'FJD',
+  'FKP',
+  'GBP',
+  'GEL',
+  'GHS',
+  'GIP',
+  'GMD',
+  'GNF',
+  'GTQ',
+  'GYD',
+  'HKD',
+  'HNL',
+  'HTG',
+  'HUF',
+  'IDR',
+  'ILS',
+  'INR',
+  'IQD',
+  'IRR',
+  'ISK',
+  'JMD',
+  'JOD',
+  'JPY',
+  'KES',
+  'KGS',
+  'KHR',
+  'KMF',
+  'KPW',
+  'KRW',
+  'KWD',
+  'KYD',
+  'KZT',
+  'LAK',
+  'LBP',
+  'LKR',
+  'LRD',
+  'LSL',
+  'LYD',
+  'MAD',
+  'MDL',
+  'MGA',
+  'MKD',
+  'MMK',
+  'MNT',
+  'MOP',
+  'MRU',
+  'MUR',
+  'MVR',
+  'MWK',
+  'MXN',
+  'MYR',
+  'MZN',
+  'NAD',
+  'NGN',
+  'NIO',
+  'NOK',
+  'NPR',
+  'NZD',
+  'OMR',
+  'PAB',
+  'PEN',
+  'PGK',
+  'PHP',
+  'PKR',
+  'PLN',
+  'PYG',
+  'QAR',
+  'RON',
+  'RSD',
+  'RUB',
+  'RWF',
+  'SAR',
+  'SBD',
+  'SCR',
+  'SDG',
+  'SEK',
+  'SGD',
+  'SHP',
+  'SLE',
+  'SOS',
+  'SRD',
+  'SSP',
+  'STN',
+  'SVC',
+  'SYP',
+  'SZL',
+  'THB',
+  'TJS',
+  'TMT',
+  'TND',
+  'TOP',
+  'TRY',
+  'TTD',
+  'TWD',
+  'TZS',
+  'UAH',
+  'UGX',
+  'USD',
+  'UYU',
+  'UZS',
+  'VES',
+  'VND',
+  'VUV',
+  'WST',
+  'XAF',
+  'XCD',
+  'XOF',
+  'XPF',
+  'YER',
+  'ZAR',
+  'ZMW',
+  'ZWG',
+];
+
+/**
+ * Codes that are also English words ("TOP 10", "ALL 3 items")
+ * Only recognized after the number ("10 TOP"), never before it
+ */
+export const ambiguousCurrencyCodes = [
+  'ALL',
+  'BOB',
+  'CUP',
+  'GEL',
+  'MAD',
+  'PEN',
+  'SOS',
+  'TOP',
+  'TRY',
+];
+
+/**
+ * Currency symbols, including dollar variants and letter symbols
+ */
+export const currencySymbols = [
+  '$',
+  '€',
+  '£',
+  '¥',
+  '₹',
+  '₩',
+  '₽',
+  '₺',
+  '₴',
+  '₦',
+  '₱',
+  '₪',
+  '₫',
+  '₡',
+  '₲',
+  '₵',
+  '₸',
+  '₭',
+  '₮',
+  '₼',
+  '₾',
+  '₨',
+  '฿',
+  '៛',
+  '৳',
+  '֏',
+  '؋',
+  '﷼',
+  'US$',
+  'A$',
+  'AU$',
+  'C$',
+  'CA$',
+  'NZ$',
+  'HK$',
+  'S$',
+  'MX$',
+  'R$',
+  'Rp',
+  'RM',
+  'zł',
+  'Kč',
+  'kr',
+  'Fr.',
+  'lei',
+];
+
+/**
+ * Currency names as written after spelled-out amounts (singular forms; plurals add "s"
+ * except for the invariable ones)
+ */
+export const currencyWords = [
+  'dollar',
+  'euro',
+  'pound',
+  'rupee',
+  'franc',
+  'peso',
+  'ruble',
+  'rouble',
+  'dirham',
+  'riyal',
+  'shekel',
+  'buck',
+  'cent',
+];
+export const invariableCurrencyWords = [
+  'yen',
+  'yuan',
+  'renminbi',
+  'won',
+  'rand',
+  'pence',
+  'reais',
+  'krona',
+  'kronor',
+  'krone',
+  'kroner',
+  'zloty',
+  'lira',
+];
+
+/**
+ * English number words
+ */
+export const numberWords = {
+  units: [
+    'zero',
+    'one',
+    'two',
+    'three',
+    'four',
+    'five',
+    'six',
+    'seven',
+    'eight',
+    'nine',
+    'ten',
+    'eleven',
+    'twelve',
+    'thirteen',
+    'fourteen',
+    'fifteen',
+    'sixteen',
+    'seventeen',
+    'eighteen',
+    'nineteen',
+  ],
+  tens: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'],
+  scales: { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 },
+};
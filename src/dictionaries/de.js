@@ -0,0 +1,2014 @@
+/**
+ * SafeSnap - German Dictionary
+ *
+ * Common German words for proper noun detection on German pages and text segments
+ * (German capitalizes every noun, so the common nouns are listed too)
+ */
+
+export const deDictionary = {
+  /**
+   * Most common German words
+   * Used to distinguish proper nouns from common words
+   */
+  commonWords: [
+    // Articles, pronouns, prepositions, conjunctions
+    'der',
+    'die',
+    'das',
+    'den',
+    'dem',
+    'des',
+    'ein',
+    'eine',
+    'einen',
+    'einem',
+    'einer',
+    'eines',
+    'und',
+    'oder',
+    'aber',
+    'denn',
+    'sondern',
+    'doch',
+    'als',
+    'wie',
+    'wenn',
+    'dass',
+    'ob',
+    'weil',
+    'da',
+    'damit',
+    'obwohl',
+    'während',
+    'bis',
+    'seit',
+    'nach',
+    'vor',
+    'zu',
+    'zum',
+    'zur',
+    'von',
+    'vom',
+    'mit',
+    'bei',
+    'beim',
+    'aus',
+    'auf',
+    'über',
+    'unter',
+    'neben',
+    'zwischen',
+    'durch',
+    'für',
+    'gegen',
+    'ohne',
+    'um',
+    'an',
+    'am',
+    'im',
+    'in',
+    'ins',
+    'ich',
+    'du',
+    'er',
+    'sie',
+    'es',
+    'wir',
+    'ihr',
+    'mich',
+    'mir',
+    'dich',
+    'dir',
+    'ihn',
+    'ihm',
+    'uns',
+    'euch',
+    'ihnen',
+    'sich',
+    'mein',
+    'meine',
+    'dein',
+    'deine',
+    'sein',
+    'seine',
+    'unser',
+    'unsere',
+    'euer',
+    'ihre',
+    'dieser',
+    'diese',
+    'dieses',
+    'jeder',
+    'jede',
+    'jedes',
+    'kein',
+    'keine',
+    'alle',
+    'alles',
+    'man',
+    'wer',
+    'was',
+    'wo',
+    'wann',
+    'warum',
+    'welche',
+    'welcher',
+    'nicht',
+    'nur',
+    'auch',
+    'noch',
+    'schon',
+    'sehr',
+    'so',
+    'hier',
+    'dort',
+    'jetzt',
+    'heute',
+    'morgen',
+    'gestern',
+    'immer',
+    'nie',
+    'oft',
+    'mehr',
+    'viel',
+    'viele',
+    'wenig',
+    'ja',
+    'nein',
+    'bitte',
+    'danke',
+    'etwa',
+    'ganz',
+    'gern',
+    'gerne',
+    'wieder',
+    'dann',
+    'also',
+    'jener',
+    'jene',
+    'jenes',
+    'solche',
+    'solcher',
+    'solches',
+    'manche',
+    'mancher',
+    'manches',
+    'welches',
+    'welchen',
+    'welchem',
+    'meinen',
+    'meinem',
+    'meiner',
+    'meines',
+    'deinen',
+    'deinem',
+    'deiner',
+    'unseren',
+    'unserem',
+    'unserer',
+    'unseres',
+    'ihren',
+    'ihrem',
+    'ihrer',
+    'ihres',
+    'seinen',
+    'seinem',
+    'seiner',
+    'seines',
+    'eure',
+    'euren',
+    'eurem',
+    'dessen',
+    'deren',
+    'denen',
+    'wessen',
+    'wem',
+    'wen',
+    'woher',
+    'wohin',
+    'womit',
+    'wofür',
+    'worüber',
+    'wovon',
+    'wozu',
+    'darum',
+    'daher',
+    'deshalb',
+    'deswegen',
+    'trotzdem',
+    'jedoch',
+    'sowie',
+    'sowohl',
+    'weder',
+    'entweder',
+    'falls',
+    'sofern',
+    'solange',
+    'sobald',
+    'bevor',
+    'nachdem',
+    'indem',
+    'statt',
+    'anstatt',
+    'außer',
+    'innerhalb',
+    'außerhalb',
+    'oberhalb',
+    'unterhalb',
+    'wegen',
+    'trotz',
+    'laut',
+    'gemäß',
+    'entlang',
+    'gegenüber',
+    'ab',
+    'hinter',
+    'vorbei',
+    'etwas',
+    'nichts',
+    'jemand',
+    'niemand',
+    'jemandem',
+    'niemandem',
+    'irgendwo',
+    'irgendwie',
+    'irgendwann',
+    'überall',
+    'nirgends',
+    'beide',
+    'beiden',
+    'einige',
+    'einigen',
+    'mehreren',
+    'wenige',
+    'wenigen',
+    'anderen',
+    'anderer',
+    'anderes',
+    'selbst',
+    'selber',
+    'einander',
+    // Verbs
+    'ist',
+    'sind',
+    'war',
+    'waren',
+    'bin',
+    'bist',
+    'sei',
+    'wird',
+    'werden',
+    'wurde',
+    'wurden',
+    'hat',
+    'haben',
+    'hatte',
+    'hatten',
+    'habe',
+    'kann',
+    'können',
+    'konnte',
+    'muss',
+    'müssen',
+    'soll',
+    'sollen',
+    'will',
+    'wollen',
+    'darf',
+    'dürfen',
+    'möchte',
+    'möchten',
+    'gibt',
+    'geben',
+    'gehen',
+    'kommen',
+    'machen',
+    'sagen',
+    'sehen',
+    'wissen',
+    'finden',
+    'bleiben',
+    'stehen',
+    'liegen',
+    'lassen',
+    'nehmen',
+    'halten',
+    'bringen',
+    'denken',
+    'zeigen',
+    'suchen',
+    'kaufen',
+    'bestellen',
+    'senden',
+    'speichern',
+    'löschen',
+    'ändern',
+    'hinzufügen',
+    'anmelden',
+    'abmelden',
+    'registrieren',
+    'gewesen',
+    'gehabt',
+    'geworden',
+    'seid',
+    'seien',
+    'wäre',
+    'wären',
+    'hätte',
+    'hätten',
+    'würde',
+    'würden',
+    'kannst',
+    'könnte',
+    'könnten',
+    'konnten',
+    'mag',
+    'mögen',
+    'mochte',
+    'musste',
+    'mussten',
+    'müsste',
+    'sollte',
+    'sollten',
+    'wollte',
+    'wollten',
+    'durfte',
+    'durften',
+    'gehe',
+    'geht',
+    'ging',
+    'gingen',
+    'gegangen',
+    'komme',
+    'kommt',
+    'kam',
+    'kamen',
+    'gekommen',
+    'mache',
+    'macht',
+    'machte',
+    'machten',
+    'gemacht',
+    'sage',
+    'sagt',
+    'sagte',
+    'sagten',
+    'gesagt',
+    'sehe',
+    'sieht',
+    'sah',
+    'sahen',
+    'gesehen',
+    'wusste',
+    'gewusst',
+    'finde',
+    'findet',
+    'fand',
+    'gefunden',
+    'bleibe',
+    'bleibt',
+    'blieb',
+    'geblieben',
+    'stehe',
+    'steht',
+    'stand',
+    'gestanden',
+    'liege',
+    'liegt',
+    'lag',
+    'gelegen',
+    'lasse',
+    'lässt',
+    'ließ',
+    'gelassen',
+    'nehme',
+    'nimmt',
+    'nahm',
+    'genommen',
+    'halte',
+    'hält',
+    'hielt',
+    'gehalten',
+    'bringe',
+    'bringt',
+    'brachte',
+    'gebracht',
+    'denke',
+    'denkt',
+    'dachte',
+    'gedacht',
+    'zeige',
+    'zeigt',
+    'zeigte',
+    'gezeigt',
+    'sucht',
+    'suchte',
+    'gesucht',
+    'kaufe',
+    'kauft',
+    'kaufte',
+    'gekauft',
+    'bestelle',
+    'bestellt',
+    'bestellte',
+    'sende',
+    'sendet',
+    'sendete',
+    'gesendet',
+    'gesandt',
+    'speichere',
+    'speichert',
+    'gespeichert',
+    'lösche',
+    'löscht',
+    'gelöscht',
+    'ändere',
+    'ändert',
+    'geändert',
+    'füge',
+    'fügt',
+    'hinzugefügt',
+    'melde',
+    'meldet',
+    'gemeldet',
+    'angemeldet',
+    'abgemeldet',
+    'registriert',
+    'gebe',
+    'gab',
+    'gaben',
+    'gegeben',
+    'heißen',
+    'heiße',
+    'heißt',
+    'hieß',
+    'geheißen',
+    'spielen',
+    'spielt',
+    'spielte',
+    'gespielt',
+    'arbeiten',
+    'arbeitet',
+    'arbeitete',
+    'gearbeitet',
+    'wohnen',
+    'wohnt',
+    'wohnte',
+    'gewohnt',
+    'lebt',
+    'lebte',
+    'gelebt',
+    'lernen',
+    'lernt',
+    'lernte',
+    'gelernt',
+    'lesen',
+    'liest',
+    'las',
+    'gelesen',
+    'schreiben',
+    'schreibt',
+    'schrieb',
+    'geschrieben',
+    'sprechen',
+    'spricht',
+    'sprach',
+    'gesprochen',
+    'hören',
+    'hört',
+    'hörte',
+    'gehört',
+    'fragt',
+    'fragte',
+    'gefragt',
+    'antworten',
+    'antwortet',
+    'antwortete',
+    'geantwortet',
+    'erklären',
+    'erklärt',
+    'erklärte',
+    'verstehen',
+    'versteht',
+    'verstand',
+    'verstanden',
+    'beginnen',
+    'beginnt',
+    'begann',
+    'begonnen',
+    'enden',
+    'endet',
+    'endete',
+    'geendet',
+    'öffnen',
+    'öffnet',
+    'öffnete',
+    'geöffnet',
+    'schließen',
+    'schließt',
+    'schloss',
+    'geschlossen',
+    'fahren',
+    'fährt',
+    'fuhr',
+    'gefahren',
+    'laufen',
+    'läuft',
+    'lief',
+    'gelaufen',
+    'fliegen',
+    'fliegt',
+    'flog',
+    'geflogen',
+    'reisen',
+    'reist',
+    'reiste',
+    'gereist',
+    'bezahlen',
+    'bezahlt',
+    'bezahlte',
+    'zahlen',
+    'zahlt',
+    'zahlte',
+    'gezahlt',
+    'kosten',
+    'kostet',
+    'kostete',
+    'gekostet',
+    'verkaufen',
+    'verkauft',
+    'verkaufte',
+    'erhalten',
+    'erhält',
+    'erhielt',
+    'bekommen',
+    'bekommt',
+    'bekam',
+    'liefern',
+    'liefert',
+    'lieferte',
+    'geliefert',
+    'versenden',
+    'versendet',
+    'versandt',
+    'verschickt',
+    'verschicken',
+    'prüfen',
+    'prüft',
+    'prüfte',
+    'geprüft',
+    'überprüfen',
+    'überprüft',
+    'überprüfte',
+    'bestätigen',
+    'bestätigt',
+    'bestätigte',
+    'aktualisieren',
+    'aktualisiert',
+    'aktualisierte',
+    'klicken',
+    'klickt',
+    'klickte',
+    'geklickt',
+    'wählen',
+    'wählt',
+    'wählte',
+    'gewählt',
+    'auswählen',
+    'ausgewählt',
+    'eingeben',
+    'eingegeben',
+    'ausfüllen',
+    'ausgefüllt',
+    'hochladen',
+    'hochgeladen',
+    'herunterladen',
+    'heruntergeladen',
+    'teilen',
+    'teilt',
+    'teilte',
+    'geteilt',
+    'drucken',
+    'druckt',
+    'gedruckt',
+    'kopieren',
+    'kopiert',
+    'kopierte',
+    'einloggen',
+    'ausloggen',
+    'erstellen',
+    'erstellt',
+    'erstellte',
+    'bearbeiten',
+    'bearbeitet',
+    'bearbeitete',
+    'entfernen',
+    'entfernt',
+    'entfernte',
+    'abbrechen',
+    'abgebrochen',
+    'zurücksetzen',
+    'zurückgesetzt',
+    'fortfahren',
+    'weiter',
+    'weiterleiten',
+    'weitergeleitet',
+    'akzeptieren',
+    'akzeptiert',
+    'ablehnen',
+    'abgelehnt',
+    'erlauben',
+    'erlaubt',
+    'helfen',
+    'hilft',
+    'half',
+    'geholfen',
+    'brauchen',
+    'braucht',
+    'brauchte',
+    'gebraucht',
+    'versuchen',
+    'versucht',
+    'versuchte',
+    'glauben',
+    'glaubt',
+    'glaubte',
+    'geglaubt',
+    'hoffen',
+    'hofft',
+    'hoffte',
+    'gehofft',
+    'warten',
+    'wartet',
+    'wartete',
+    'gewartet',
+    'treffen',
+    'trifft',
+    'traf',
+    'getroffen',
+    'folgen',
+    'folgt',
+    'folgte',
+    'gefolgt',
+    'erreichen',
+    'erreicht',
+    'erreichte',
+    'bieten',
+    'bietet',
+    'bot',
+    'geboten',
+    'anbieten',
+    'angeboten',
+    'entwickeln',
+    'entwickelt',
+    'entwickelte',
+    'nutzen',
+    'nutzt',
+    'nutzte',
+    'genutzt',
+    'benutzen',
+    'benutzt',
+    'verwenden',
+    'verwendet',
+    'verwendete',
+    'führen',
+    'führt',
+    'führte',
+    'geführt',
+    'gewinnen',
+    'gewinnt',
+    'gewann',
+    'gewonnen',
+    'verlieren',
+    'verliert',
+    'verlor',
+    'verloren',
+    'tragen',
+    'trägt',
+    'trug',
+    'getragen',
+    'legen',
+    'legt',
+    'legte',
+    'gelegt',
+    'setzen',
+    'setzt',
+    'setzte',
+    'gesetzt',
+    'stellen',
+    'stellt',
+    'stellte',
+    'gestellt',
+    'ziehen',
+    'zieht',
+    'zog',
+    'gezogen',
+    'fallen',
+    'fällt',
+    'fiel',
+    'gefallen',
+    'schlafen',
+    'schläft',
+    'schlief',
+    'geschlafen',
+    'isst',
+    'aß',
+    'gegessen',
+    'trinken',
+    'trinkt',
+    'trank',
+    'getrunken',
+    'kochen',
+    'kocht',
+    'kochte',
+    'gekocht',
+    'waschen',
+    'wäscht',
+    'wusch',
+    'gewaschen',
+    'putzen',
+    'putzt',
+    'sitzen',
+    'sitzt',
+    'saß',
+    'gesessen',
+    'wachsen',
+    'wächst',
+    'wuchs',
+    'gewachsen',
+    'sterben',
+    'stirbt',
+    'starb',
+    'gestorben',
+    'vergessen',
+    'vergisst',
+    'vergaß',
+    'erinnern',
+    'erinnert',
+    'erinnerte',
+    'danken',
+    'dankt',
+    'dankte',
+    'gedankt',
+    'lieben',
+    'liebt',
+    'liebte',
+    'geliebt',
+    'freuen',
+    'freut',
+    'freute',
+    'gefreut',
+    'feiern',
+    'feiert',
+    'feierte',
+    'gefeiert',
+    'besuchen',
+    'besucht',
+    'besuchte',
+    'rufen',
+    'ruft',
+    'rief',
+    'gerufen',
+    'anrufen',
+    'angerufen',
+    'schicken',
+    'schickt',
+    'schickte',
+    'geschickt',
+    'empfangen',
+    'empfängt',
+    'empfing',
+    'empfehlen',
+    'empfiehlt',
+    'empfohlen',
+    'informieren',
+    'informiert',
+    'benachrichtigen',
+    'benachrichtigt',
+    'kontaktieren',
+    'kontaktiert',
+    'beantragen',
+    'beantragt',
+    'kündigen',
+    'kündigt',
+    'gekündigt',
+    'buchen',
+    'bucht',
+    'buchte',
+    'gebucht',
+    'reservieren',
+    'reserviert',
+    'mieten',
+    'mietet',
+    'gemietet',
+    'sparen',
+    'spart',
+    'sparte',
+    'gespart',
+    'verdienen',
+    'verdient',
+    'verdiente',
+    'bauen',
+    'baut',
+    'baute',
+    'gebaut',
+    'wechseln',
+    'wechselt',
+    'gewechselt',
+    'tauschen',
+    'tauscht',
+    'umtauschen',
+    'umgetauscht',
+    'zurückgeben',
+    'zurückgegeben',
+    'erstatten',
+    'erstattet',
+    // Nouns
+    'zeit',
+    'jahr',
+    'jahre',
+    'tag',
+    'tage',
+    'woche',
+    'monat',
+    'stunde',
+    'minute',
+    'mensch',
+    'menschen',
+    'frau',
+    'herr',
+    'herrn',
+    'mann',
+    'kind',
+    'kinder',
+    'familie',
+    'freund',
+    'freunde',
+    'leute',
+    'welt',
+    'land',
+    'stadt',
+    'straße',
+    'haus',
+    'wohnung',
+    'zimmer',
+    'schule',
+    'arbeit',
+    'beruf',
+    'firma',
+    'unternehmen',
+    'kunde',
+    'kunden',
+    'preis',
+    'preise',
+    'geld',
+    'konto',
+    'rechnung',
+    'bestellung',
+    'lieferung',
+    'versand',
+    'zahlung',
+    'produkt',
+    'produkte',
+    'artikel',
+    'angebot',
+    'angebote',
+    'ware',
+    'warenkorb',
+    'kasse',
+    'seite',
+    'startseite',
+    'suche',
+    'hilfe',
+    'kontakt',
+    'impressum',
+    'datenschutz',
+    'einstellungen',
+    'anmeldung',
+    'nachricht',
+    'nachrichten',
+    'frage',
+    'fragen',
+    'antwort',
+    'problem',
+    'beispiel',
+    'ende',
+    'anfang',
+    'teil',
+    'grund',
+    'recht',
+    'name',
+    'vorname',
+    'nachname',
+    'adresse',
+    'telefon',
+    'datum',
+    'nummer',
+    'information',
+    'informationen',
+    'service',
+    'leistung',
+    'leistungen',
+    'bild',
+    'text',
+    'liste',
+    'ergebnis',
+    'ergebnisse',
+    'weg',
+    'hand',
+    'auge',
+    'kopf',
+    'leben',
+    'geschichte',
+    'buch',
+    'spiel',
+    'sprache',
+    'deutsch',
+    'wasser',
+    'essen',
+    'bewertung',
+    'bewertungen',
+    'übersicht',
+    'größe',
+    'details',
+    'sicherheit',
+    'passwort',
+    'benutzer',
+    'mitglied',
+    'team',
+    'mail',
+    'e-mail',
+    'emails',
+    'e-mails',
+    'wetter',
+    'wochenende',
+    'wochenenden',
+    'wochen',
+    'monate',
+    'monaten',
+    'jahren',
+    'stunden',
+    'minuten',
+    'sekunde',
+    'sekunden',
+    'tagen',
+    'morgens',
+    'abend',
+    'abende',
+    'nacht',
+    'nächte',
+    'mittag',
+    'nachmittag',
+    'vormittag',
+    'montag',
+    'dienstag',
+    'mittwoch',
+    'donnerstag',
+    'freitag',
+    'samstag',
+    'sonntag',
+    'januar',
+    'februar',
+    'märz',
+    'april',
+    'mai',
+    'juni',
+    'juli',
+    'august',
+    'september',
+    'oktober',
+    'november',
+    'dezember',
+    'frühling',
+    'jahreszeit',
+    'uhr',
+    'uhrzeit',
+    'zeitpunkt',
+    'zeitraum',
+    'termin',
+    'termine',
+    'frist',
+    'fristen',
+    'änderung',
+    'änderungen',
+    'einstellung',
+    'kontoeinstellungen',
+    'konten',
+    'kontos',
+    'benutzerkonto',
+    'kundenkonto',
+    'bankkonto',
+    'bestellungen',
+    'lieferungen',
+    'rechnungen',
+    'zahlungen',
+    'zahlungsart',
+    'zahlungsmethode',
+    'zahlungsmethoden',
+    'kreditkarte',
+    'karte',
+    'karten',
+    'überweisung',
+    'lastschrift',
+    'gutschein',
+    'gutscheine',
+    'rabatt',
+    'rabatte',
+    'versandkosten',
+    'lieferzeit',
+    'lieferadresse',
+    'rechnungsadresse',
+    'lieferant',
+    'lieferanten',
+    'paket',
+    'pakete',
+    'päckchen',
+    'sendung',
+    'sendungen',
+    'sendungsverfolgung',
+    'rücksendung',
+    'rücksendungen',
+    'umtausch',
+    'erstattung',
+    'kauf',
+    'käufe',
+    'einkauf',
+    'einkäufe',
+    'verkauf',
+    'verkäufer',
+    'käufer',
+    'händler',
+    'geschäft',
+    'geschäfte',
+    'laden',
+    'läden',
+    'markt',
+    'märkte',
+    'filiale',
+    'filialen',
+    'shop',
+    'kategorie',
+    'kategorien',
+    'marke',
+    'marken',
+    'modell',
+    'modelle',
+    'menge',
+    'mengen',
+    'stück',
+    'anzahl',
+    'summe',
+    'gesamtsumme',
+    'betrag',
+    'beträge',
+    'gebühr',
+    'gebühren',
+    'steuer',
+    'steuern',
+    'mehrwertsteuer',
+    'zwischensumme',
+    'gesamtbetrag',
+    'währung',
+    'euro',
+    'cent',
+    'kundin',
+    'kundenservice',
+    'kundendienst',
+    'kundennummer',
+    'bestellnummer',
+    'rechnungsnummer',
+    'auftragsnummer',
+    'auftrag',
+    'aufträge',
+    'vertrag',
+    'verträge',
+    'vereinbarung',
+    'bedingung',
+    'bedingungen',
+    'agb',
+    'datenschutzerklärung',
+    'nutzungsbedingungen',
+    'widerruf',
+    'widerrufsrecht',
+    'cookie',
+    'cookies',
+    'zustimmung',
+    'einwilligung',
+    'anfrage',
+    'anfragen',
+    'beschwerde',
+    'beschwerden',
+    'rückmeldung',
+    'feedback',
+    'benutzername',
+    'kennwort',
+    'passwörter',
+    'anmeldedaten',
+    'zugang',
+    'zugangsdaten',
+    'sitzung',
+    'profil',
+    'profile',
+    'bilder',
+    'foto',
+    'fotos',
+    'video',
+    'videos',
+    'datei',
+    'dateien',
+    'dokument',
+    'dokumente',
+    'ordner',
+    'seiten',
+    'webseite',
+    'website',
+    'internetseite',
+    'homepage',
+    'link',
+    'links',
+    'menü',
+    'navigation',
+    'schaltfläche',
+    'taste',
+    'button',
+    'formular',
+    'formulare',
+    'feld',
+    'felder',
+    'eingabe',
+    'ausgabe',
+    'fehler',
+    'fehlermeldung',
+    'meldung',
+    'meldungen',
+    'hinweis',
+    'hinweise',
+    'warnung',
+    'warnungen',
+    'benachrichtigung',
+    'benachrichtigungen',
+    'mitteilung',
+    'mitteilungen',
+    'newsletter',
+    'abonnement',
+    'abo',
+    'version',
+    'update',
+    'aktualisierung',
+    'download',
+    'system',
+    'systeme',
+    'programm',
+    'programme',
+    'anwendung',
+    'app',
+    'apps',
+    'gerät',
+    'geräte',
+    'computer',
+    'rechner',
+    'handy',
+    'smartphone',
+    'bildschirm',
+    'drucker',
+    'netzwerk',
+    'internet',
+    'verbindung',
+    'server',
+    'daten',
+    'datenbank',
+    'speicher',
+    'suchergebnisse',
+    'filter',
+    'sortierung',
+    'ansicht',
+    'listen',
+    'tabelle',
+    'tabellen',
+    'zusammenfassung',
+    'bericht',
+    'berichte',
+    'statistik',
+    'vornamen',
+    'namen',
+    'adressen',
+    'anschrift',
+    'postleitzahl',
+    'ort',
+    'orte',
+    'wohnort',
+    'hausnummer',
+    'telefonnummer',
+    'handynummer',
+    'faxnummer',
+    'geburtsdatum',
+    'geburtstag',
+    'alter',
+    'geschlecht',
+    'staatsangehörigkeit',
+    'person',
+    'personen',
+    'mitarbeiter',
+    'mitarbeiterin',
+    'mitarbeitende',
+    'kollege',
+    'kollegen',
+    'kollegin',
+    'chef',
+    'chefin',
+    'leiter',
+    'leiterin',
+    'leitung',
+    'abteilung',
+    'abteilungen',
+    'verwaltung',
+    'büro',
+    'büros',
+    'mutter',
+    'vater',
+    'eltern',
+    'sohn',
+    'söhne',
+    'tochter',
+    'töchter',
+    'bruder',
+    'brüder',
+    'schwester',
+    'schwestern',
+    'großmutter',
+    'großvater',
+    'oma',
+    'opa',
+    'onkel',
+    'tante',
+    'cousin',
+    'cousine',
+    'ehemann',
+    'ehefrau',
+    'partner',
+    'partnerin',
+    'baby',
+    'jungen',
+    'mädchen',
+    'frauen',
+    'männer',
+    'herren',
+    'damen',
+    'freundin',
+    'freundinnen',
+    'nachbar',
+    'nachbarn',
+    'gast',
+    'gäste',
+    'besucher',
+    'mitglieder',
+    'gruppe',
+    'gruppen',
+    'verein',
+    'vereine',
+    'gesellschaft',
+    'gemeinschaft',
+    'öffentlichkeit',
+    'bürger',
+    'bürgerin',
+    'regierung',
+    'staat',
+    'staaten',
+    'politik',
+    'partei',
+    'parteien',
+    'wahl',
+    'wahlen',
+    'gesetz',
+    'gesetze',
+    'gericht',
+    'polizei',
+    'behörde',
+    'behörden',
+    'amt',
+    'ämter',
+    'stadtrat',
+    'gemeinde',
+    'bezirk',
+    'kreis',
+    'region',
+    'regionen',
+    'bundesland',
+    'länder',
+    'straßen',
+    'platz',
+    'plätze',
+    'wege',
+    'brücke',
+    'brücken',
+    'gebäude',
+    'häuser',
+    'wohnungen',
+    'räume',
+    'raum',
+    'küche',
+    'bad',
+    'badezimmer',
+    'schlafzimmer',
+    'wohnzimmer',
+    'garten',
+    'gärten',
+    'tür',
+    'türen',
+    'fenster',
+    'wand',
+    'wände',
+    'dach',
+    'boden',
+    'keller',
+    'treppe',
+    'kirche',
+    'kirchen',
+    'burg',
+    'museum',
+    'museen',
+    'theater',
+    'kino',
+    'bahnhof',
+    'flughafen',
+    'hafen',
+    'hotel',
+    'hotels',
+    'restaurant',
+    'restaurants',
+    'café',
+    'bar',
+    'krankenhaus',
+    'apotheke',
+    'arzt',
+    'ärzte',
+    'ärztin',
+    'praxis',
+    'klinik',
+    'schulen',
+    'universität',
+    'universitäten',
+    'hochschule',
+    'studium',
+    'student',
+    'studenten',
+    'studentin',
+    'schüler',
+    'schülerin',
+    'lehrer',
+    'lehrerin',
+    'unterricht',
+    'kurs',
+    'kurse',
+    'klasse',
+    'klassen',
+    'prüfung',
+    'prüfungen',
+    'note',
+    'noten',
+    'ausbildung',
+    'arbeitsplatz',
+    'stelle',
+    'job',
+    'jobs',
+    'bewerbung',
+    'bewerbungen',
+    'gehalt',
+    'lohn',
+    'urlaub',
+    'ferien',
+    'feierabend',
+    'pause',
+    'besprechung',
+    'projekt',
+    'projekte',
+    'aufgabe',
+    'aufgaben',
+    'ziel',
+    'ziele',
+    'plan',
+    'pläne',
+    'idee',
+    'ideen',
+    'lösung',
+    'lösungen',
+    'möglichkeit',
+    'möglichkeiten',
+    'chance',
+    'entscheidung',
+    'entscheidungen',
+    'erfahrung',
+    'erfahrungen',
+    'meinung',
+    'meinungen',
+    'gedanke',
+    'gedanken',
+    'gefühl',
+    'gefühle',
+    'wunsch',
+    'wünsche',
+    'hoffnung',
+    'angst',
+    'sorge',
+    'sorgen',
+    'glück',
+    'freude',
+    'liebe',
+    'spaß',
+    'ruhe',
+    'stille',
+    'lärm',
+    'gesundheit',
+    'krankheit',
+    'krankheiten',
+    'schmerz',
+    'schmerzen',
+    'körper',
+    'herz',
+    'herzen',
+    'blut',
+    'haut',
+    'haar',
+    'haare',
+    'gesicht',
+    'augen',
+    'ohr',
+    'ohren',
+    'mund',
+    'nase',
+    'zahn',
+    'zähne',
+    'hals',
+    'arm',
+    'arme',
+    'bein',
+    'beine',
+    'fuß',
+    'füße',
+    'finger',
+    'rücken',
+    'bauch',
+    'nahrung',
+    'lebensmittel',
+    'brot',
+    'butter',
+    'käse',
+    'milch',
+    'fleisch',
+    'wurst',
+    'fisch',
+    'obst',
+    'gemüse',
+    'apfel',
+    'äpfel',
+    'kartoffel',
+    'kartoffeln',
+    'reis',
+    'nudeln',
+    'suppe',
+    'salat',
+    'kuchen',
+    'zucker',
+    'salz',
+    'kaffee',
+    'tee',
+    'bier',
+    'wein',
+    'saft',
+    'getränk',
+    'getränke',
+    'frühstück',
+    'mittagessen',
+    'abendessen',
+    'mahlzeit',
+    'kleidung',
+    'hose',
+    'hosen',
+    'hemd',
+    'kleid',
+    'schuhe',
+    'schuh',
+    'jacke',
+    'mantel',
+    'hut',
+    'tasche',
+    'taschen',
+    'koffer',
+    'brille',
+    'ring',
+    'schmuck',
+    'farbe',
+    'farben',
+    'auto',
+    'autos',
+    'wagen',
+    'fahrzeug',
+    'fahrzeuge',
+    'bus',
+    'busse',
+    'zug',
+    'züge',
+    'bahn',
+    'fahrrad',
+    'flugzeug',
+    'schiff',
+    'taxi',
+    'straßenbahn',
+    'fahrt',
+    'fahrten',
+    'reise',
+    'urlaubsreise',
+    'ticket',
+    'tickets',
+    'fahrkarte',
+    'flug',
+    'flüge',
+    'verspätung',
+    'abfahrt',
+    'ankunft',
+    'natur',
+    'umwelt',
+    'klima',
+    'luft',
+    'sonne',
+    'mond',
+    'sterne',
+    'himmel',
+    'regen',
+    'schnee',
+    'wind',
+    'sturm',
+    'wolke',
+    'wolken',
+    'meer',
+    'see',
+    'seen',
+    'fluss',
+    'flüsse',
+    'wald',
+    'wälder',
+    'bäume',
+    'blume',
+    'blumen',
+    'gras',
+    'tier',
+    'tiere',
+    'hund',
+    'hunde',
+    'katze',
+    'katzen',
+    'pferd',
+    'erde',
+    'feuer',
+    'eis',
+    'stein',
+    'holz',
+    'metall',
+    'glas',
+    'papier',
+    'kunststoff',
+    'material',
+    'stoff',
+    'kultur',
+    'kunst',
+    'musik',
+    'lied',
+    'lieder',
+    'film',
+    'filme',
+    'bücher',
+    'zeitung',
+    'zeitungen',
+    'zeitschrift',
+    'magazin',
+    'roman',
+    'sport',
+    'fußball',
+    'spiele',
+    'mannschaft',
+    'training',
+    'nachrichtenseite',
+    'beitrag',
+    'beiträge',
+    'kommentar',
+    'kommentare',
+    'autor',
+    'autorin',
+    'redaktion',
+    'thema',
+    'themen',
+    'inhalt',
+    'inhalte',
+    'überschrift',
+    'kapitel',
+    'abschnitt',
+    'absatz',
+    'satz',
+    'sätze',
+    'wort',
+    'wörter',
+    'worte',
+    'zeichen',
+    'zahl',
+    'prozent',
+    'teile',
+    'hälfte',
+    'drittel',
+    'viertel',
+    'rest',
+    'länge',
+    'breite',
+    'höhe',
+    'gewicht',
+    'tiefe',
+    'grad',
+    'punkt',
+    'punkte',
+    'stufe',
+    'stufen',
+    'schritt',
+    'schritte',
+    'phase',
+    'mitte',
+    'beginn',
+    'schluss',
+    'art',
+    'arten',
+    'weise',
+    'form',
+    'formen',
+    'sache',
+    'sachen',
+    'ding',
+    'dinge',
+    'fall',
+    'fälle',
+    'gründe',
+    'folge',
+    'ursache',
+    'wirkung',
+    'rolle',
+    'bedeutung',
+    'sinn',
+    'zweck',
+    'wirtschaft',
+    'unternehmens',
+    'firmen',
+    'konzern',
+    'branche',
+    'industrie',
+    'handel',
+    'produktion',
+    'wettbewerb',
+    'umsatz',
+    'gewinn',
+    'verlust',
+    'investition',
+    'bank',
+    'banken',
+    'versicherung',
+    'versicherungen',
+    'kredit',
+    'zinsen',
+    'preisliste',
+    'angebotspreis',
+    'sonderangebot',
+    'aktion',
+    'aktionen',
+    'neuheit',
+    'neuheiten',
+    'bestseller',
+    'lager',
+    'verfügbarkeit',
+    'bestand',
+    'lieferstatus',
+    'status',
+    'zustand',
+    'qualität',
+    'garantie',
+    'gewährleistung',
+    'reparatur',
+    'sprachen',
+    'englisch',
+    'französisch',
+    'spanisch',
+    'italienisch',
+    'übersetzung',
+    'heimat',
+    'ausland',
+    'grenze',
+    'grenzen',
+    'osten',
+    'westen',
+    'norden',
+    'süden',
+    'zentrum',
+    'innenstadt',
+    'dorf',
+    'dörfer',
+    'stadtteil',
+    'umgebung',
+    'nähe',
+    'hilfecenter',
+    'faq',
+    'anleitung',
+    'anleitungen',
+    'tipps',
+    'tipp',
+    'support',
+    'kontaktformular',
+    'anschriften',
+    'willkommen',
+    'registrierung',
+    'abmeldung',
+    'merkzettel',
+    'wunschliste',
+    // Adjectives and adverbs
+    'gut',
+    'neu',
+    'alt',
+    'groß',
+    'klein',
+    'lang',
+    'kurz',
+    'hoch',
+    'erste',
+    'letzte',
+    'andere',
+    'eigene',
+    'wichtig',
+    'richtig',
+    'einfach',
+    'schnell',
+    'möglich',
+    'schön',
+    'neue',
+    'neuen',
+    'neues',
+    'weitere',
+    'mehrere',
+    'kostenlos',
+    'aktuell',
+    'gute',
+    'guten',
+    'guter',
+    'gutes',
+    'besser',
+    'beste',
+    'besten',
+    'bester',
+    'schlecht',
+    'schlechte',
+    'schlechter',
+    'neuer',
+    'alte',
+    'alten',
+    'altes',
+    'große',
+    'großen',
+    'großer',
+    'großes',
+    'kleine',
+    'kleinen',
+    'kleiner',
+    'kleines',
+    'langen',
+    'langer',
+    'kurze',
+    'kurzen',
+    'hohe',
+    'hohen',
+    'niedrig',
+    'niedrige',
+    'weit',
+    'weite',
+    'nah',
+    'nahe',
+    'schnelle',
+    'langsam',
+    'langsame',
+    'früh',
+    'früher',
+    'spät',
+    'später',
+    'bald',
+    'sofort',
+    'gleich',
+    'gleiche',
+    'neueste',
+    'aktuelle',
+    'aktuellen',
+    'letzten',
+    'letzter',
+    'nächste',
+    'nächsten',
+    'nächster',
+    'ersten',
+    'erster',
+    'zweite',
+    'zweiten',
+    'dritte',
+    'dritten',
+    'wichtige',
+    'wichtigen',
+    'richtige',
+    'richtigen',
+    'falsch',
+    'falsche',
+    'einfache',
+    'einfachen',
+    'schwer',
+    'schwere',
+    'schwierig',
+    'leicht',
+    'leichte',
+    'möglichen',
+    'unmöglich',
+    'nötig',
+    'notwendig',
+    'erforderlich',
+    'optional',
+    'sicher',
+    'sichere',
+    'unsicher',
+    'gültig',
+    'ungültig',
+    'verfügbar',
+    'verfügbare',
+    'kostenlose',
+    'kostenlosen',
+    'günstig',
+    'günstige',
+    'teuer',
+    'billig',
+    'gratis',
+    'inklusive',
+    'zzgl',
+    'inkl',
+    'bereit',
+    'fertig',
+    'offen',
+    'voll',
+    'leer',
+    'ganze',
+    'ganzen',
+    'halb',
+    'halbe',
+    'genau',
+    'ungefähr',
+    'fast',
+    'kaum',
+    'beinahe',
+    'ziemlich',
+    'besonders',
+    'wirklich',
+    'natürlich',
+    'sicherlich',
+    'vielleicht',
+    'wahrscheinlich',
+    'leider',
+    'hoffentlich',
+    'schöne',
+    'schönen',
+    'hübsch',
+    'hässlich',
+    'warm',
+    'kalt',
+    'heiß',
+    'kühl',
+    'nass',
+    'trocken',
+    'hell',
+    'dunkel',
+    'leise',
+    'rot',
+    'blau',
+    'grün',
+    'gelb',
+    'grau',
+    'bunt',
+    'glücklich',
+    'traurig',
+    'froh',
+    'müde',
+    'krank',
+    'gesund',
+    'stark',
+    'schwach',
+    'reich',
+    'jung',
+    'jüngere',
+    'ältere',
+    'frei',
+    'freie',
+    'beschäftigt',
+    'zufrieden',
+    'unzufrieden',
+    'deutsche',
+    'deutschen',
+    'europäisch',
+    'europäische',
+    'international',
+    'internationale',
+    'national',
+    'nationale',
+    'lokal',
+    'lokale',
+    'öffentlich',
+    'öffentliche',
+    'privat',
+    'private',
+    'persönlich',
+    'persönliche',
+    'allgemein',
+    'allgemeine',
+    'speziell',
+    'spezielle',
+    'bestimmt',
+    'bestimmte',
+    'verschieden',
+    'verschiedene',
+    'ähnlich',
+    'ähnliche',
+    'eigen',
+    'eigenen',
+    'gemeinsam',
+    'gemeinsame',
+    'einzeln',
+    'einzelne',
+    'einzig',
+    'einzige',
+    'erfolgreich',
+    'erfolgreiche',
+    'bekannt',
+    'bekannte',
+    'berühmt',
+    'beliebt',
+    'beliebte',
+    'modern',
+    'moderne',
+    'klassisch',
+    'typisch',
+    'normal',
+    'normale',
+    'echt',
+    'echte',
+    'direkt',
+    'direkte',
+    'automatisch',
+    'manuell',
+    'online',
+    'digital',
+    'damals',
+    'bisher',
+    'seitdem',
+    'inzwischen',
+    'momentan',
+    'derzeit',
+    'zurzeit',
+    'gerade',
+    'eben',
+    'bereits',
+    'manchmal',
+    'selten',
+    'niemals',
+    'jederzeit',
+    'täglich',
+    'wöchentlich',
+    'monatlich',
+    'jährlich',
+    'oben',
+    'unten',
+    'vorne',
+    'hinten',
+    'rechts',
+    'innen',
+    'außen',
+    'drinnen',
+    'draußen',
+    'zusammen',
+    'allein',
+    'zuerst',
+    'danach',
+    'schließlich',
+    'endlich',
+    'zuletzt',
+    'außerdem',
+    'ebenfalls',
+    'sogar',
+    'nämlich',
+    'eigentlich',
+    'überhaupt',
+    'meist',
+    'meistens',
+    'weniger',
+    'mindestens',
+    'höchstens',
+    'bloß',
+    'erst',
+    'mal',
+    'halt',
+    'wohl',
+    'lieber',
+  ],
+};
@@ -868,6 +868,499 @@ export const enDictionary = {
     'draft',
   ],
 
+  // ============================================================================
+  // PARTS OF SPEECH (for filtering verbs and adverbs out of proper nouns)
+  // ============================================================================
+
+  /**
+   * Common verbs in their base form ("approve", "run")
+   * Inflected forms ("Approved", "Running", "Verified") are recognized from these by suffix rules
+   * Verbs that double as first names (will, mark, bill, sue, pat, grant) are left out
+   */
+  verbs: [
+    'accept',
+    'add',
+    'allow',
+    'answer',
+    'apply',
+    'approve',
+    'archive',
+    'arrive',
+    'ask',
+    'assign',
+    'attach',
+    'be',
+    'begin',
+    'block',
+    'book',
+    'break',
+    'bring',
+    'build',
+    'buy',
+    'call',
+    'cancel',
+    'change',
+    'charge',
+    'check',
+    'choose',
+    'clean',
+    'clear',
+    'click',
+    'close',
+    'collect',
+    'come',
+    'complete',
+    'confirm',
+    'connect',
+    'contact',
+    'continue',
+    'copy',
+    'create',
+    'cut',
+    'decline',
+    'delete',
+    'deliver',
+    'deploy',
+    'design',
+    'develop',
+    'disable',
+    'do',
+    'download',
+    'drive',
+    'drop',
+    'edit',
+    'enable',
+    'end',
+    'enter',
+    'expire',
+    'explore',
+    'export',
+    'fail',
+    'fetch',
+    'file',
+    'fill',
+    'finish',
+    'fix',
+    'follow',
+    'forget',
+    'get',
+    'give',
+    'go',
+    'grow',
+    'handle',
+    'have',
+    'hear',
+    'help',
+    'hide',
+    'hold',
+    'import',
+    'include',
+    'install',
+    'invite',
+    'join',
+    'jump',
+    'keep',
+    'know',
+    'launch',
+    'lead',
+    'learn',
+    'leave',
+    'let',
+    'lie',
+    'like',
+    'link',
+    'list',
+    'listen',
+    'live',
+    'load',
+    'lock',
+    'log',
+    'look',
+    'lose',
+    'make',
+    'manage',
+    'merge',
+    'move',
+    'need',
+    'open',
+    'order',
+    'pause',
+    'pay',
+    'pend',
+    'perform',
+    'pick',
+    'place',
+    'plan',
+    'play',
+    'post',
+    'prepare',
+    'print',
+    'process',
+    'publish',
+    'pull',
+    'push',
+    'put',
+    'queue',
+    'reach',
+    'read',
+    'receive',
+    'record',
+    'refresh',
+    'refund',
+    'register',
+    'reject',
+    'release',
+    'reload',
+    'remove',
+    'rename',
+    'repeat',
+    'reply',
+    'report',
+    'request',
+    'reset',
+    'resolve',
+    'restart',
+    'restore',
+    'resume',
+    'return',
+    'review',
+    'run',
+    'save',
+    'say',
+    'schedule',
+    'search',
+    'see',
+    'select',
+    'sell',
+    'send',
+    'set',
+    'share',
+    'ship',
+    'show',
+    'sign',
+    'skip',
+    'sleep',
+    'sort',
+    'speak',
+    'start',
+    'stay',
+    'stop',
+    'submit',
+    'subscribe',
+    'support',
+    'switch',
+    'sync',
+    'take',
+    'talk',
+    'teach',
+    'tell',
+    'test',
+    'think',
+    'track',
+    'transfer',
+    'try',
+    'turn',
+    'unlock',
+    'update',
+    'upgrade',
+    'upload',
+    'use',
+    'verify',
+    'view',
+    'visit',
+    'wait',
+    'walk',
+    'want',
+    'watch',
+    'win',
+    'work',
+    'write',
+  ],
+
+  /**
+   * Irregular past tenses and past participles ("Built", "Sent", "Written")
+   */
+  irregularVerbForms: [
+    'ate',
+    'beaten',
+    'became',
+    'begun',
+    'bent',
+    'bit',
+    'bitten',
+    'bled',
+    'blew',
+    'blown',
+    'bore',
+    'born',
+    'bought',
+    'bound',
+    'bred',
+    'broke',
+    'broken',
+    'brought',
+    'built',
+    'burnt',
+    'came',
+    'caught',
+    'chose',
+    'chosen',
+    'clung',
+    'crept',
+    'dealt',
+    'did',
+    'done',
+    'drank',
+    'drawn',
+    'driven',
+    'drove',
+    'drunk',
+    'dug',
+    'eaten',
+    'fallen',
+    'fed',
+    'fell',
+    'felt',
+    'fled',
+    'flew',
+    'flown',
+    'forbade',
+    'forbidden',
+    'forgave',
+    'forgiven',
+    'forgot',
+    'forgotten',
+    'fought',
+    'found',
+    'froze',
+    'frozen',
+    'gave',
+    'given',
+    'gone',
+    'got',
+    'gotten',
+    'grew',
+    'grown',
+    'had',
+    'heard',
+    'held',
+    'hid',
+    'hidden',
+    'kept',
+    'knelt',
+    'knew',
+    'known',
+    'laid',
+    'led',
+    'left',
+    'lent',
+    'lost',
+    'made',
+    'meant',
+    'met',
+    'paid',
+    'ran',
+    'rang',
+    'rode',
+    'ridden',
+    'risen',
+    'rung',
+    'said',
+    'sat',
+    'saw',
+    'seen',
+    'sent',
+    'shaken',
+    'shone',
+    'shook',
+    'shot',
+    'shown',
+    'shrank',
+    'shut',
+    'slept',
+    'slid',
+    'sold',
+    'sought',
+    'spent',
+    'spoke',
+    'spoken',
+    'spun',
+    'stolen',
+    'stood',
+    'stole',
+    'stuck',
+    'stung',
+    'struck',
+    'sung',
+    'swam',
+    'swept',
+    'swore',
+    'sworn',
+    'swum',
+    'swung',
+    'taken',
+    'taught',
+    'thought',
+    'threw',
+    'thrown',
+    'told',
+    'took',
+    'tore',
+    'torn',
+    'understood',
+    'undid',
+    'undone',
+    'went',
+    'woke',
+    'woken',
+    'wore',
+    'worn',
+    'wound',
+    'wove',
+    'woven',
+    'written',
+    'wrote',
+  ],
+
+  /**
+   * Common adverbs, including those that don't end in -ly ("Very", "Soon", "Often")
+   * Other -ly adverbs are recognized from their adjective ("Carefully", "Happily")
+   */
+  adverbs: [
+    'about',
+    'above',
+    'abroad',
+    'absolutely',
+    'actually',
+    'afterwards',
+    'again',
+    'ago',
+    'ahead',
+    'almost',
+    'alone',
+    'along',
+    'already',
+    'also',
+    'always',
+    'anyhow',
+    'anymore',
+    'anytime',
+    'anyway',
+    'anywhere',
+    'apart',
+    'around',
+    'aside',
+    'away',
+    'back',
+    'backwards',
+    'barely',
+    'certainly',
+    'clearly',
+    'completely',
+    'currently',
+    'definitely',
+    'directly',
+    'downstairs',
+    'easily',
+    'elsewhere',
+    'else',
+    'enough',
+    'especially',
+    'even',
+    'ever',
+    'everywhere',
+    'exactly',
+    'fairly',
+    'finally',
+    'forever',
+    'formerly',
+    'forth',
+    'forward',
+    'forwards',
+    'frequently',
+    'fully',
+    'further',
+    'furthermore',
+    'hardly',
+    'hence',
+    'here',
+    'hereby',
+    'herein',
+    'however',
+    'immediately',
+    'indeed',
+    'instead',
+    'just',
+    'lately',
+    'later',
+    'less',
+    'likely',
+    'maybe',
+    'meanwhile',
+    'merely',
+    'more',
+    'moreover',
+    'mostly',
+    'much',
+    'nearly',
+    'neither',
+    'never',
+    'nevertheless',
+    'next',
+    'nonetheless',
+    'nowhere',
+    'now',
+    'obviously',
+    'often',
+    'once',
+    'only',
+    'otherwise',
+    'outdoors',
+    'outside',
+    'overseas',
+    'perhaps',
+    'please',
+    'possibly',
+    'previously',
+    'probably',
+    'quickly',
+    'quite',
+    'rarely',
+    'rather',
+    'really',
+    'recently',
+    'seldom',
+    'shortly',
+    'simply',
+    'slowly',
+    'sometimes',
+    'somewhat',
+    'somewhere',
+    'soon',
+    'still',
+    'suddenly',
+    'therefore',
+    'thus',
+    'today',
+    'together',
+    'tomorrow',
+    'tonight',
+    'too',
+    'truly',
+    'twice',
+    'typically',
+    'ultimately',
+    'unfortunately',
+    'upstairs',
+    'usually',
+    'very',
+    'well',
+    'whenever',
+    'wherever',
+    'yesterday',
+    'yet',
+  ],
+
   // ============================================================================
   // PERSON NAMES (for replacement)
   // ============================================================================
@@ -1090,6 +1583,31 @@ export const enDictionary = {
     'Jimenez',
   ],
 
+  /**
+   * Lowercase particles inside surnames ("Ludwig van Beethoven", "Juan de la Cruz")
+   */
+  nameParticles: [
+    'van',
+    'von',
+    'der',
+    'den',
+    'de',
+    'del',
+    'della',
+    'di',
+    'da',
+    'du',
+    'la',
+    'le',
+    'dos',
+    'das',
+    'ter',
+    'ten',
+    'bin',
+    'ibn',
+    'al',
+  ],
+
   // ============================================================================
   // COMPANY NAMES (for replacement)
   // ============================================================================
@@ -1221,6 +1739,134 @@ export const enDictionary = {
     'Venture',
   ],
 
+  // ============================================================================
+  // ORGANIZATION & PRODUCT GAZETTEERS (for telling companies and products from people)
+  // ============================================================================
+
+  /**
+   * Well-known organizations whose names are single capitalized words
+   */
+  knownOrganizations: [
+    'Adobe',
+    'Airbnb',
+    'Amazon',
+    'Apple',
+    'Boeing',
+    'Chevron',
+    'Cisco',
+    'Citigroup',
+    'Deloitte',
+    'Disney',
+    'Exxon',
+    'Facebook',
+    'FedEx',
+    'Ford',
+    'Google',
+    'Honda',
+    'Intel',
+    'Lyft',
+    'Meta',
+    'Microsoft',
+    'Netflix',
+    'Nike',
+    'Nvidia',
+    'Oracle',
+    'PayPal',
+    'Pfizer',
+    'Reuters',
+    'Salesforce',
+    'Samsung',
+    'Shopify',
+    'Siemens',
+    'Slack',
+    'Sony',
+    'Spotify',
+    'Starbucks',
+    'Stripe',
+    'Tesla',
+    'Toyota',
+    'Twitter',
+    'Uber',
+    'Unilever',
+    'Verizon',
+    'Visa',
+    'Walmart',
+    'Yahoo',
+    'Zoom',
+  ],
+
+  /**
+   * Well-known products and apps whose names are single capitalized words
+   */
+  knownProducts: [
+    'Android',
+    'Alexa',
+    'Excel',
+    'Firefox',
+    'Gmail',
+    'Instagram',
+    'Kindle',
+    'MacBook',
+    'Outlook',
+    'Photoshop',
+    'Pixel',
+    'Prius',
+    'Safari',
+    'Siri',
+    'Windows',
+    'WhatsApp',
+    'Word',
+    'Xbox',
+    'YouTube',
+  ],
+
+  /**
+   * Fake product names and model designations (for replacement)
+   */
+  productNames: [
+    'Aurora',
+    'Beacon',
+    'Cobalt',
+    'Drift',
+    'Ember',
+    'Flux',
+    'Glide',
+    'Halo',
+    'Ion',
+    'Juno',
+    'Kestrel',
+    'Lumen',
+    'Mosaic',
+    'Nimbus',
+    'Onyx',
+    'Pulse',
+    'Quill',
+    'Ripple',
+    'Sonic',
+    'Tempo',
+    'Umbra',
+    'Vela',
+    'Wisp',
+    'Zenith',
+  ],
+  productModels: [
+    'Pro',
+    'Max',
+    'Plus',
+    'Mini',
+    'Air',
+    'Lite',
+    'Go',
+    'One',
+    'Studio',
+    'Edge',
+    'X',
+    '2',
+    '3',
+    '5',
+    'S',
+  ],
+
   // ============================================================================
   // LOCATION GAZETTEER (for single-word location detection)
   // ============================================================================
@@ -0,0 +1,1826 @@
+/**
+ * SafeSnap - Spanish Dictionary
+ *
+ * Common Spanish words for proper noun detection on Spanish pages and text segments
+ * (words at the start of a sentence or in a title would otherwise count as unknown)
+ */
+
+export const esDictionary = {
+  /**
+   * Most common Spanish words
+   * Used to distinguish proper nouns from common words
+   */
+  commonWords: [
+    // Articles, pronouns, prepositions, conjunctions
+    'el',
+    'la',
+    'los',
+    'las',
+    'lo',
+    'un',
+    'una',
+    'unos',
+    'unas',
+    'y',
+    'e',
+    'o',
+    'u',
+    'pero',
+    'sino',
+    'que',
+    'quien',
+    'como',
+    'cuando',
+    'donde',
+    'porque',
+    'si',
+    'ni',
+    'de',
+    'del',
+    'a',
+    'al',
+    'en',
+    'con',
+    'sin',
+    'por',
+    'para',
+    'sobre',
+    'entre',
+    'hasta',
+    'desde',
+    'hacia',
+    'contra',
+    'durante',
+    'ante',
+    'tras',
+    'yo',
+    'tú',
+    'él',
+    'ella',
+    'nosotros',
+    'vosotros',
+    'ellos',
+    'ellas',
+    'usted',
+    'ustedes',
+    'me',
+    'te',
+    'se',
+    'nos',
+    'os',
+    'le',
+    'les',
+    'mi',
+    'mis',
+    'tu',
+    'tus',
+    'su',
+    'sus',
+    'nuestro',
+    'nuestra',
+    'este',
+    'esta',
+    'estos',
+    'estas',
+    'ese',
+    'esa',
+    'eso',
+    'esto',
+    'todo',
+    'toda',
+    'todos',
+    'todas',
+    'cada',
+    'ningún',
+    'ninguna',
+    'no',
+    'sí',
+    'muy',
+    'más',
+    'menos',
+    'también',
+    'ya',
+    'aquí',
+    'allí',
+    'ahora',
+    'hoy',
+    'mañana',
+    'ayer',
+    'siempre',
+    'nunca',
+    'gracias',
+    'bien',
+    'mal',
+    'entonces',
+    'después',
+    'antes',
+    'esos',
+    'esas',
+    'aquel',
+    'aquella',
+    'aquellos',
+    'aquellas',
+    'aquello',
+    'mío',
+    'mía',
+    'míos',
+    'mías',
+    'tuyo',
+    'tuya',
+    'suyo',
+    'suya',
+    'suyos',
+    'suyas',
+    'nuestros',
+    'nuestras',
+    'vuestro',
+    'vuestra',
+    'nosotras',
+    'mí',
+    'ti',
+    'conmigo',
+    'contigo',
+    'quienes',
+    'cual',
+    'cuales',
+    'cuyo',
+    'cuya',
+    'cuanto',
+    'cuanta',
+    'cuantos',
+    'cuantas',
+    'qué',
+    'quién',
+    'cuál',
+    'cómo',
+    'cuándo',
+    'dónde',
+    'adónde',
+    'cuánto',
+    'pues',
+    'aunque',
+    'mientras',
+    'bajo',
+    'cabe',
+    'mediante',
+    'según',
+    'excepto',
+    'salvo',
+    'incluso',
+    'además',
+    'tampoco',
+    'algo',
+    'nada',
+    'alguien',
+    'nadie',
+    'alguno',
+    'alguna',
+    'algunos',
+    'algunas',
+    'ninguno',
+    'otros',
+    'otras',
+    'misma',
+    'mismos',
+    'mismas',
+    'tanto',
+    'tanta',
+    'tantos',
+    'tantas',
+    'demás',
+    'ambos',
+    'ambas',
+    'cualquier',
+    'cualquiera',
+    // Verbs
+    'es',
+    'son',
+    'era',
+    'eran',
+    'ser',
+    'soy',
+    'eres',
+    'somos',
+    'está',
+    'están',
+    'estar',
+    'estoy',
+    'ha',
+    'han',
+    'hay',
+    'había',
+    'haber',
+    'he',
+    'hemos',
+    'tiene',
+    'tienen',
+    'tener',
+    'tengo',
+    'hace',
+    'hacer',
+    'puede',
+    'pueden',
+    'poder',
+    'debe',
+    'deber',
+    'quiere',
+    'querer',
+    'va',
+    'ir',
+    'viene',
+    'venir',
+    'dice',
+    'decir',
+    'ver',
+    'saber',
+    'encontrar',
+    'dar',
+    'poner',
+    'hablar',
+    'comprar',
+    'pedir',
+    'enviar',
+    'guardar',
+    'eliminar',
+    'cambiar',
+    'añadir',
+    'agregar',
+    'iniciar',
+    'cerrar',
+    'buscar',
+    'registrarse',
+    'eras',
+    'éramos',
+    'fue',
+    'fueron',
+    'sido',
+    'será',
+    'serán',
+    'sería',
+    'serían',
+    'sea',
+    'sean',
+    'estás',
+    'estamos',
+    'estaba',
+    'estaban',
+    'estuvo',
+    'estuvieron',
+    'estado',
+    'estará',
+    'has',
+    'habían',
+    'hubo',
+    'habrá',
+    'habría',
+    'haya',
+    'tienes',
+    'tenemos',
+    'tenía',
+    'tenían',
+    'tuvo',
+    'tuvieron',
+    'tenido',
+    'tendrá',
+    'tenga',
+    'hago',
+    'haces',
+    'hacemos',
+    'hacen',
+    'hacía',
+    'hizo',
+    'hicieron',
+    'hecho',
+    'hará',
+    'haga',
+    'voy',
+    'vas',
+    'vamos',
+    'van',
+    'iba',
+    'iban',
+    'ido',
+    'irá',
+    'vaya',
+    'puedo',
+    'puedes',
+    'podemos',
+    'podía',
+    'pudo',
+    'podido',
+    'podrá',
+    'podría',
+    'pueda',
+    'digo',
+    'dices',
+    'decimos',
+    'dicen',
+    'decía',
+    'dijo',
+    'dijeron',
+    'dicho',
+    'dirá',
+    'diga',
+    'quiero',
+    'quieres',
+    'queremos',
+    'quieren',
+    'quería',
+    'quiso',
+    'querido',
+    'quisiera',
+    'sé',
+    'sabes',
+    'sabe',
+    'sabemos',
+    'saben',
+    'sabía',
+    'supo',
+    'sabido',
+    'veo',
+    'ves',
+    've',
+    'vemos',
+    'ven',
+    'veía',
+    'vio',
+    'vieron',
+    'visto',
+    'verá',
+    'vea',
+    'doy',
+    'das',
+    'da',
+    'damos',
+    'dan',
+    'daba',
+    'dio',
+    'dieron',
+    'dado',
+    'dará',
+    'dé',
+    'vengo',
+    'vienen',
+    'venía',
+    'vino',
+    'vinieron',
+    'venido',
+    'llegar',
+    'llega',
+    'llegan',
+    'llegó',
+    'llegará',
+    'llegue',
+    'llegada',
+    'pongo',
+    'pone',
+    'ponen',
+    'puso',
+    'puesto',
+    'pasar',
+    'pasa',
+    'pasan',
+    'pasó',
+    'pasado',
+    'debo',
+    'deben',
+    'debía',
+    'debería',
+    'seguir',
+    'sigo',
+    'sigue',
+    'siguen',
+    'siguió',
+    'seguido',
+    'encuentra',
+    'encontró',
+    'encontrado',
+    'llamar',
+    'llama',
+    'llamó',
+    'llamado',
+    'llevar',
+    'lleva',
+    'llevó',
+    'llevado',
+    'dejar',
+    'deja',
+    'dejó',
+    'dejado',
+    'parecer',
+    'parece',
+    'pareció',
+    'creer',
+    'creo',
+    'cree',
+    'creyó',
+    'hablo',
+    'habla',
+    'hablan',
+    'habló',
+    'hablado',
+    'pensar',
+    'pienso',
+    'piensa',
+    'pensó',
+    'pensado',
+    'salir',
+    'sale',
+    'salió',
+    'salido',
+    'volver',
+    'vuelve',
+    'volvió',
+    'vuelto',
+    'tomar',
+    'toma',
+    'tomó',
+    'tomado',
+    'conocer',
+    'conoce',
+    'conoció',
+    'conocido',
+    'vivir',
+    'vive',
+    'vivió',
+    'vivido',
+    'sentir',
+    'siente',
+    'sintió',
+    'trabajar',
+    'trabaja',
+    'trabajó',
+    'trabajado',
+    'esperar',
+    'espera',
+    'esperó',
+    'esperado',
+    'busca',
+    'buscó',
+    'buscado',
+    'compra',
+    'compró',
+    'comprado',
+    'vender',
+    'vende',
+    'vendió',
+    'vendido',
+    'pagar',
+    'paga',
+    'pagó',
+    'pagado',
+    'pague',
+    'envía',
+    'envió',
+    'enviado',
+    'recibir',
+    'recibe',
+    'recibió',
+    'recibido',
+    'pide',
+    'pidió',
+    'añade',
+    'añadido',
+    'elimina',
+    'eliminado',
+    'borrar',
+    'borra',
+    'borrado',
+    'guarda',
+    'guardado',
+    'cambia',
+    'cambió',
+    'cambiado',
+    'inicia',
+    'iniciado',
+    'cierra',
+    'cerrado',
+    'abrir',
+    'abre',
+    'abierto',
+    'entrar',
+    'entra',
+    'entró',
+    'registrar',
+    'registra',
+    'registrado',
+    'confirmar',
+    'confirma',
+    'confirmado',
+    'verificar',
+    'verifica',
+    'verificado',
+    'comprobar',
+    'comprueba',
+    'actualizar',
+    'actualiza',
+    'actualizado',
+    'seleccionar',
+    'selecciona',
+    'seleccionado',
+    'elegir',
+    'elige',
+    'elegido',
+    'descargar',
+    'descarga',
+    'descargado',
+    'subir',
+    'sube',
+    'subido',
+    'compartir',
+    'comparte',
+    'compartido',
+    'continuar',
+    'continúa',
+    'continuado',
+    'aceptar',
+    'acepta',
+    'aceptado',
+    'rechazar',
+    'rechaza',
+    'rechazado',
+    'cancelar',
+    'cancela',
+    'cancelado',
+    'ayudar',
+    'ayudó',
+    'necesitar',
+    'necesita',
+    'necesitó',
+    'intentar',
+    'intenta',
+    'intentó',
+    'usar',
+    'usa',
+    'usó',
+    'usado',
+    'utilizar',
+    'utiliza',
+    'utilizado',
+    'leer',
+    'leyó',
+    'leído',
+    'escribir',
+    'escribe',
+    'escribió',
+    'escrito',
+    'escuchar',
+    'escucha',
+    'oír',
+    'oye',
+    'empezar',
+    'empieza',
+    'empezó',
+    'comenzar',
+    'comienza',
+    'comenzó',
+    'terminar',
+    'termina',
+    'terminó',
+    'terminado',
+    'ganar',
+    'gana',
+    'ganó',
+    'perder',
+    'pierde',
+    'perdió',
+    'perdido',
+    'jugar',
+    'juega',
+    'jugó',
+    'conseguir',
+    'consigue',
+    'consiguió',
+    'ofrecer',
+    'ofrece',
+    'ofreció',
+    'recordar',
+    'recuerda',
+    'olvidar',
+    'olvida',
+    'olvidó',
+    'mostrar',
+    'muestra',
+    'mostró',
+    'entender',
+    'entiende',
+    'entendió',
+    'explicar',
+    'explica',
+    'explicó',
+    'preguntar',
+    'preguntó',
+    'responder',
+    'responde',
+    'respondió',
+    'contar',
+    'contó',
+    'viajar',
+    'viaja',
+    'viajó',
+    'reservar',
+    'reserva',
+    'reservado',
+    'devolver',
+    'devuelve',
+    'devuelto',
+    'abren',
+    'acabar',
+    'acaba',
+    'acabó',
+    'acceder',
+    'accede',
+    'adjuntar',
+    'agrega',
+    'agregado',
+    'alcanzar',
+    'alcanza',
+    'aparecer',
+    'aparece',
+    'apareció',
+    'aplicar',
+    'aplica',
+    'aprender',
+    'aprende',
+    'aprendió',
+    'aprobar',
+    'aprueba',
+    'aprobado',
+    'aumentar',
+    'aumenta',
+    'avisar',
+    'bajar',
+    'cambian',
+    'cargar',
+    'carga',
+    'cargado',
+    'celebrar',
+    'celebra',
+    'cobrar',
+    'cobra',
+    'cobrado',
+    'colocar',
+    'comer',
+    'come',
+    'comió',
+    'completar',
+    'completado',
+    'comprobado',
+    'conectar',
+    'conecta',
+    'considerar',
+    'considera',
+    'construir',
+    'construye',
+    'consultar',
+    'contestar',
+    'contiene',
+    'contener',
+    'contratar',
+    'controlar',
+    'convertir',
+    'convierte',
+    'corregir',
+    'correr',
+    'crear',
+    'crea',
+    'creado',
+    'creó',
+    'crecer',
+    'crece',
+    'cumplir',
+    'cumple',
+    'cuesta',
+    'decidir',
+    'decide',
+    'decidió',
+    'definir',
+    'depende',
+    'desarrollar',
+    'desarrolla',
+    'descubrir',
+    'desear',
+    'desea',
+    'describir',
+    'dirigir',
+    'disfrutar',
+    'disfruta',
+    'dormir',
+    'duerme',
+    'editar',
+    'edita',
+    'enseñar',
+    'enseña',
+    'entregado',
+    'entregar',
+    'existe',
+    'existir',
+    'facilitar',
+    'falta',
+    'faltar',
+    'fijar',
+    'firmar',
+    'formar',
+    'funciona',
+    'funcionar',
+    'generar',
+    'gestionar',
+    'gestiona',
+    'gustar',
+    'gusta',
+    'incluir',
+    'incluye',
+    'indicar',
+    'indica',
+    'informar',
+    'informa',
+    'ingresar',
+    'ingresa',
+    'insertar',
+    'instalar',
+    'introducir',
+    'invitar',
+    'lograr',
+    'mantener',
+    'mantiene',
+    'mejorar',
+    'mejora',
+    'mirar',
+    'mira',
+    'modificar',
+    'modifica',
+    'morir',
+    'muere',
+    'mover',
+    'nacer',
+    'nació',
+    'necesitan',
+    'notificar',
+    'obtener',
+    'obtiene',
+    'ocurrir',
+    'ocurre',
+    'ocupar',
+    'olvidado',
+    'organizar',
+    'participar',
+    'permitir',
+    'permite',
+    'presentar',
+    'presenta',
+    'probar',
+    'producir',
+    'programar',
+    'proponer',
+    'proteger',
+    'publicar',
+    'publica',
+    'quedar',
+    'queda',
+    'quedó',
+    'realizar',
+    'realiza',
+    'realizado',
+    'reconocer',
+    'reducir',
+    'regresar',
+    'repetir',
+    'resolver',
+    'revisar',
+    'revisa',
+    'romper',
+    'sacar',
+    'sentar',
+    'servir',
+    'sirve',
+    'solicitar',
+    'solicita',
+    'sonar',
+    'sufrir',
+    'suponer',
+    'tardar',
+    'tocar',
+    'traer',
+    'trae',
+    'tratar',
+    'trata',
+    'unir',
+    'valer',
+    'vale',
+    'visitar',
+    'visita',
+    'volar',
+    // Nouns
+    'tiempo',
+    'año',
+    'años',
+    'día',
+    'días',
+    'semana',
+    'mes',
+    'hora',
+    'minuto',
+    'hombre',
+    'mujer',
+    'niño',
+    'niños',
+    'familia',
+    'amigo',
+    'amigos',
+    'gente',
+    'mundo',
+    'país',
+    'ciudad',
+    'calle',
+    'casa',
+    'piso',
+    'escuela',
+    'trabajo',
+    'empresa',
+    'cliente',
+    'clientes',
+    'precio',
+    'dinero',
+    'cuenta',
+    'factura',
+    'pedido',
+    'envío',
+    'pago',
+    'producto',
+    'productos',
+    'artículo',
+    'oferta',
+    'carrito',
+    'inicio',
+    'búsqueda',
+    'ayuda',
+    'contacto',
+    'privacidad',
+    'configuración',
+    'sesión',
+    'mensaje',
+    'mensajes',
+    'pregunta',
+    'respuesta',
+    'problema',
+    'ejemplo',
+    'fin',
+    'parte',
+    'nombre',
+    'apellido',
+    'dirección',
+    'teléfono',
+    'fecha',
+    'número',
+    'información',
+    'servicio',
+    'servicios',
+    'imagen',
+    'texto',
+    'lista',
+    'resultado',
+    'resultados',
+    'vida',
+    'historia',
+    'libro',
+    'juego',
+    'idioma',
+    'español',
+    'agua',
+    'opiniones',
+    'seguridad',
+    'contraseña',
+    'usuario',
+    'miembro',
+    'equipo',
+    'compras',
+    'pedidos',
+    'envíos',
+    'entrega',
+    'entregas',
+    'paquete',
+    'paquetes',
+    'cesta',
+    'caja',
+    'pagos',
+    'facturas',
+    'recibo',
+    'precios',
+    'ofertas',
+    'descuento',
+    'descuentos',
+    'cupón',
+    'cupones',
+    'tarjeta',
+    'tarjetas',
+    'crédito',
+    'débito',
+    'transferencia',
+    'cuentas',
+    'saldo',
+    'artículos',
+    'tienda',
+    'tiendas',
+    'marca',
+    'marcas',
+    'modelo',
+    'modelos',
+    'talla',
+    'tallas',
+    'color',
+    'colores',
+    'cantidad',
+    'total',
+    'subtotal',
+    'impuesto',
+    'impuestos',
+    'gastos',
+    'vendedor',
+    'comprador',
+    'proveedor',
+    'empresas',
+    'compañía',
+    'negocio',
+    'negocios',
+    'mercados',
+    'devolución',
+    'devoluciones',
+    'reembolso',
+    'garantía',
+    'seguimiento',
+    'direcciones',
+    'código',
+    'postal',
+    'ciudades',
+    'países',
+    'provincia',
+    'región',
+    'avenida',
+    'plaza',
+    'barrio',
+    'nombres',
+    'apellidos',
+    'móvil',
+    'correo',
+    'correos',
+    'electrónico',
+    'fechas',
+    'nacimiento',
+    'edad',
+    'sexo',
+    'usuarios',
+    'contraseñas',
+    'perfil',
+    'acceso',
+    'ajustes',
+    'preferencias',
+    'política',
+    'políticas',
+    'cookies',
+    'condiciones',
+    'términos',
+    'aviso',
+    'legal',
+    'página',
+    'páginas',
+    'menú',
+    'enlace',
+    'enlaces',
+    'botón',
+    'formulario',
+    'campo',
+    'error',
+    'errores',
+    'avisos',
+    'notificación',
+    'notificaciones',
+    'boletín',
+    'suscripción',
+    'versión',
+    'actualización',
+    'archivo',
+    'archivos',
+    'documento',
+    'documentos',
+    'carpeta',
+    'imágenes',
+    'foto',
+    'fotos',
+    'vídeo',
+    'vídeos',
+    'sistema',
+    'sistemas',
+    'programa',
+    'programas',
+    'aplicación',
+    'aplicaciones',
+    'dispositivo',
+    'dispositivos',
+    'ordenador',
+    'computadora',
+    'pantalla',
+    'red',
+    'internet',
+    'conexión',
+    'datos',
+    'servidor',
+    'soporte',
+    'preguntas',
+    'frecuentes',
+    'informe',
+    'informes',
+    'listas',
+    'tabla',
+    'resumen',
+    'detalles',
+    'tiempos',
+    'semanas',
+    'meses',
+    'horas',
+    'minutos',
+    'segundo',
+    'momento',
+    'momentos',
+    'tarde',
+    'noche',
+    'lunes',
+    'martes',
+    'miércoles',
+    'jueves',
+    'viernes',
+    'sábado',
+    'domingo',
+    'enero',
+    'febrero',
+    'marzo',
+    'abril',
+    'junio',
+    'agosto',
+    'septiembre',
+    'octubre',
+    'noviembre',
+    'diciembre',
+    'primavera',
+    'verano',
+    'otoño',
+    'invierno',
+    'persona',
+    'personas',
+    'hombres',
+    'mujeres',
+    'niña',
+    'niñas',
+    'chico',
+    'chica',
+    'chicos',
+    'señor',
+    'señora',
+    'señores',
+    'señorita',
+    'padre',
+    'padres',
+    'madre',
+    'hijo',
+    'hijos',
+    'hija',
+    'hijas',
+    'hermano',
+    'hermanos',
+    'hermana',
+    'hermanas',
+    'abuelo',
+    'abuela',
+    'tío',
+    'tía',
+    'primo',
+    'prima',
+    'marido',
+    'esposa',
+    'esposo',
+    'pareja',
+    'familias',
+    'amiga',
+    'amigas',
+    'vecino',
+    'vecinos',
+    'equipos',
+    'grupo',
+    'grupos',
+    'miembros',
+    'socio',
+    'socios',
+    'trabajador',
+    'trabajadores',
+    'empleado',
+    'empleados',
+    'jefe',
+    'jefa',
+    'director',
+    'directora',
+    'gerente',
+    'gobierno',
+    'partido',
+    'partidos',
+    'ley',
+    'leyes',
+    'presidente',
+    'ministro',
+    'ministerio',
+    'ayuntamiento',
+    'policía',
+    'tribunal',
+    'justicia',
+    'elecciones',
+    'casas',
+    'hogar',
+    'pisos',
+    'habitación',
+    'habitaciones',
+    'cocina',
+    'baño',
+    'salón',
+    'dormitorio',
+    'jardín',
+    'puerta',
+    'puertas',
+    'ventana',
+    'ventanas',
+    'pared',
+    'suelo',
+    'techo',
+    'edificio',
+    'edificios',
+    'iglesia',
+    'escuelas',
+    'colegio',
+    'universidad',
+    'hospital',
+    'farmacia',
+    'médico',
+    'médicos',
+    'médica',
+    'banco',
+    'bancos',
+    'hotel',
+    'hoteles',
+    'restaurante',
+    'restaurantes',
+    'bar',
+    'cine',
+    'teatro',
+    'museo',
+    'estación',
+    'aeropuerto',
+    'trabajos',
+    'empleo',
+    'oficina',
+    'oficinas',
+    'reunión',
+    'proyecto',
+    'proyectos',
+    'tarea',
+    'tareas',
+    'objetivo',
+    'plan',
+    'planes',
+    'idea',
+    'ideas',
+    'problemas',
+    'solución',
+    'soluciones',
+    'respuestas',
+    'cosa',
+    'cosas',
+    'partes',
+    'forma',
+    'formas',
+    'manera',
+    'caso',
+    'casos',
+    'lugar',
+    'lugares',
+    'punto',
+    'puntos',
+    'lado',
+    'lados',
+    'tipo',
+    'tipos',
+    'clase',
+    'clases',
+    'palabra',
+    'palabras',
+    'idiomas',
+    'lengua',
+    'textos',
+    'libros',
+    'periódico',
+    'revista',
+    'noticia',
+    'noticias',
+    'título',
+    'capítulo',
+    'comida',
+    'desayuno',
+    'almuerzo',
+    'cena',
+    'pan',
+    'leche',
+    'carne',
+    'pescado',
+    'fruta',
+    'verdura',
+    'café',
+    'té',
+    'cerveza',
+    'ropa',
+    'camisa',
+    'pantalón',
+    'pantalones',
+    'vestido',
+    'zapato',
+    'zapatos',
+    'chaqueta',
+    'abrigo',
+    'bolso',
+    'coche',
+    'coches',
+    'autobús',
+    'tren',
+    'trenes',
+    'avión',
+    'bicicleta',
+    'taxi',
+    'barco',
+    'viaje',
+    'viajes',
+    'billete',
+    'billetes',
+    'vuelo',
+    'vuelos',
+    'reservas',
+    'naturaleza',
+    'tierra',
+    'mar',
+    'río',
+    'ríos',
+    'montaña',
+    'montañas',
+    'bosque',
+    'árbol',
+    'árboles',
+    'flor',
+    'animal',
+    'animales',
+    'perro',
+    'perros',
+    'gato',
+    'gatos',
+    'cielo',
+    'sol',
+    'lluvia',
+    'nieve',
+    'viento',
+    'salud',
+    'enfermedad',
+    'cuerpo',
+    'cabeza',
+    'mano',
+    'manos',
+    'ojo',
+    'ojos',
+    'corazón',
+    'dolor',
+    'euro',
+    'euros',
+    'dólar',
+    'dólares',
+    'coste',
+    'costes',
+    'gasto',
+    'valor',
+    'música',
+    'canción',
+    'canciones',
+    'película',
+    'películas',
+    'arte',
+    'cultura',
+    'deporte',
+    'deportes',
+    'fútbol',
+    'juegos',
+    'cambio',
+    'cambios',
+    'nivel',
+    'niveles',
+    'calidad',
+    'números',
+    'mayoría',
+    'resto',
+    'centro',
+    'norte',
+    'sur',
+    'oeste',
+    'acción',
+    'acciones',
+    'actividad',
+    'actividades',
+    'acuerdo',
+    'acuerdos',
+    'administración',
+    'agencia',
+    'análisis',
+    'anuncio',
+    'anuncios',
+    'apoyo',
+    'aspecto',
+    'atención',
+    'autor',
+    'autora',
+    'autoridad',
+    'base',
+    'bases',
+    'beneficio',
+    'beneficios',
+    'bolsa',
+    'búsquedas',
+    'cadena',
+    'cámara',
+    'campaña',
+    'canal',
+    'capacidad',
+    'capital',
+    'cargo',
+    'carrera',
+    'carta',
+    'cartas',
+    'categoría',
+    'categorías',
+    'causa',
+    'cifra',
+    'clave',
+    'clima',
+    'club',
+    'comentario',
+    'comentarios',
+    'comercio',
+    'comisión',
+    'comunicación',
+    'comunidad',
+    'concepto',
+    'condición',
+    'conferencia',
+    'conjunto',
+    'consejo',
+    'consejos',
+    'consulta',
+    'consumo',
+    'contenido',
+    'contenidos',
+    'contrato',
+    'contratos',
+    'control',
+    'costo',
+    'crecimiento',
+    'crisis',
+    'cuestión',
+    'cuidado',
+    'curso',
+    'cursos',
+    'decisión',
+    'decisiones',
+    'defensa',
+    'derecho',
+    'derechos',
+    'desarrollo',
+    'descripción',
+    'destino',
+    'diferencia',
+    'diseño',
+    'distancia',
+    'economía',
+    'edición',
+    'educación',
+    'efecto',
+    'efectos',
+    'ejemplos',
+    'elemento',
+    'elementos',
+    'energía',
+    'entorno',
+    'época',
+    'escala',
+    'espacio',
+    'especie',
+    'estilo',
+    'estructura',
+    'estudio',
+    'estudios',
+    'evento',
+    'eventos',
+    'experiencia',
+    'fase',
+    'final',
+    'fondo',
+    'fondos',
+    'fuente',
+    'fuentes',
+    'fuerza',
+    'función',
+    'futuro',
+    'ganancia',
+    'grado',
+    'gráfico',
+    'guía',
+    'hechos',
+    'herramienta',
+    'herramientas',
+    'impacto',
+    'importe',
+    'incidencia',
+    'índice',
+    'industria',
+    'instrumento',
+    'intención',
+    'interés',
+    'inversión',
+    'investigación',
+    'juicio',
+    'junta',
+    'lectura',
+    'libertad',
+    'licencia',
+    'línea',
+    'líneas',
+    'llamada',
+    'lógica',
+    'material',
+    'materiales',
+    'medida',
+    'medidas',
+    'medio',
+    'medios',
+    'memoria',
+    'método',
+    'métodos',
+    'miedo',
+    'misión',
+    'modo',
+    'motivo',
+    'movimiento',
+    'necesidad',
+    'nota',
+    'notas',
+    'objeto',
+    'objetos',
+    'obra',
+    'obras',
+    'opción',
+    'opciones',
+    'opinión',
+    'orden',
+    'organización',
+    'origen',
+    'paso',
+    'pasos',
+    'patrimonio',
+    'paz',
+    'periodo',
+    'período',
+    'permiso',
+    'peso',
+    'plataforma',
+    'plazo',
+    'población',
+    'posición',
+    'práctica',
+    'premio',
+    'presencia',
+    'presupuesto',
+    'principio',
+    'prioridad',
+    'proceso',
+    'procesos',
+    'producción',
+    'profesional',
+    'profesor',
+    'profesora',
+    'propuesta',
+    'protección',
+    'prueba',
+    'pruebas',
+    'razón',
+    'realidad',
+    'recurso',
+    'recursos',
+    'redes',
+    'relación',
+    'relaciones',
+    'reparación',
+    'requisito',
+    'requisitos',
+    'riesgo',
+    'ritmo',
+    'salida',
+    'sector',
+    'sectores',
+    'sentido',
+    'serie',
+    'situación',
+    'sociedad',
+    'solicitud',
+    'solicitudes',
+    'suerte',
+    'superficie',
+    'tarifa',
+    'tema',
+    'temas',
+    'teoría',
+    'término',
+    'territorio',
+    'trámite',
+    'tratamiento',
+    'uso',
+    'usos',
+    'variedad',
+    'velocidad',
+    'venta',
+    'ventas',
+    'ventaja',
+    'ventajas',
+    'veces',
+    'vista',
+    'voz',
+    // Adjectives and adverbs
+    'bueno',
+    'buena',
+    'nuevo',
+    'nueva',
+    'grande',
+    'pequeño',
+    'pequeña',
+    'primero',
+    'primera',
+    'último',
+    'última',
+    'otro',
+    'otra',
+    'mismo',
+    'importante',
+    'fácil',
+    'rápido',
+    'posible',
+    'gratis',
+    'varios',
+    'mucho',
+    'mucha',
+    'muchos',
+    'buenos',
+    'buenas',
+    'malo',
+    'mala',
+    'malos',
+    'malas',
+    'mejor',
+    'mejores',
+    'peor',
+    'peores',
+    'nuevos',
+    'nuevas',
+    'viejo',
+    'vieja',
+    'viejos',
+    'grandes',
+    'pequeños',
+    'pequeñas',
+    'alto',
+    'alta',
+    'baja',
+    'largo',
+    'larga',
+    'corto',
+    'corta',
+    'primer',
+    'tercer',
+    'últimos',
+    'últimas',
+    'siguiente',
+    'siguientes',
+    'anterior',
+    'anteriores',
+    'próximo',
+    'próxima',
+    'importantes',
+    'fáciles',
+    'difícil',
+    'difíciles',
+    'rápida',
+    'lento',
+    'lenta',
+    'posibles',
+    'imposible',
+    'necesario',
+    'necesaria',
+    'disponible',
+    'disponibles',
+    'gratuito',
+    'gratuita',
+    'seguro',
+    'segura',
+    'principal',
+    'principales',
+    'general',
+    'generales',
+    'personal',
+    'personales',
+    'público',
+    'pública',
+    'privado',
+    'privada',
+    'nacional',
+    'internacional',
+    'local',
+    'social',
+    'cierto',
+    'cierta',
+    'claro',
+    'clara',
+    'simple',
+    'único',
+    'única',
+    'propio',
+    'propia',
+    'libre',
+    'cerrada',
+    'completo',
+    'completa',
+    'válido',
+    'válida',
+    'feliz',
+    'contento',
+    'triste',
+    'cansado',
+    'enfermo',
+    'joven',
+    'jóvenes',
+    'mayor',
+    'mayores',
+    'rico',
+    'pobre',
+    'caro',
+    'cara',
+    'barato',
+    'barata',
+    'negro',
+    'rojo',
+    'azul',
+    'verde',
+    'amarillo',
+    'gris',
+    'poco',
+    'bastante',
+    'demasiado',
+    'casi',
+    'solo',
+    'sólo',
+    'jamás',
+    'todavía',
+    'aún',
+    'luego',
+    'pronto',
+    'temprano',
+    'ahí',
+    'allá',
+    'cerca',
+    'lejos',
+    'arriba',
+    'abajo',
+    'dentro',
+    'fuera',
+    'delante',
+    'detrás',
+    'así',
+    'quizás',
+    'quizá',
+    'tal',
+    'vez',
+    'realmente',
+    'solamente',
+    'especialmente',
+    'finalmente',
+    'actualmente',
+    'normalmente',
+    'rápidamente',
+    'hola',
+    'adiós',
+    'bienvenido',
+    'bienvenida',
+    'favor',
+    'abierta',
+    'actual',
+    'actuales',
+    'adecuado',
+    'adicional',
+    'adicionales',
+    'amplio',
+    'antiguo',
+    'antigua',
+    'automático',
+    'básico',
+    'breve',
+    'central',
+    'cercano',
+    'comercial',
+    'común',
+    'concreto',
+    'correcto',
+    'correcta',
+    'creciente',
+    'debido',
+    'diferente',
+    'diferentes',
+    'directo',
+    'directa',
+    'distinto',
+    'distintos',
+    'económico',
+    'económica',
+    'efectivo',
+    'especial',
+    'especiales',
+    'estable',
+    'exacto',
+    'exclusivo',
+    'extranjero',
+    'falso',
+    'finales',
+    'físico',
+    'frecuente',
+    'fuerte',
+    'gran',
+    'grave',
+    'habitual',
+    'humano',
+    'humana',
+    'igual',
+    'inferior',
+    'inicial',
+    'interior',
+    'internos',
+    'justo',
+    'ligero',
+    'limitado',
+    'lleno',
+    'máximo',
+    'mínimo',
+    'moderno',
+    'moderna',
+    'natural',
+    'negativo',
+    'normal',
+    'obligatorio',
+    'oficial',
+    'online',
+    'original',
+    'pendiente',
+    'perfecto',
+    'pesado',
+    'político',
+    'popular',
+    'positivo',
+    'preferido',
+    'presente',
+    'previo',
+    'probable',
+    'profundo',
+    'racional',
+    'real',
+    'reciente',
+    'regular',
+    'semanal',
+    'similar',
+    'sólido',
+    'superior',
+    'suficiente',
+    'temporal',
+    'típico',
+    'útil',
+    'vario',
+    'visible',
+    'aproximadamente',
+    'claramente',
+    'completamente',
+    'directamente',
+    'exactamente',
+    'fácilmente',
+    'generalmente',
+    'igualmente',
+    'inmediatamente',
+    'justamente',
+    'probablemente',
+    'seguramente',
+    'simplemente',
+    'totalmente',
+    'únicamente',
+  ],
+};
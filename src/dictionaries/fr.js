@@ -0,0 +1,1725 @@
+/**
+ * SafeSnap - French Dictionary
+ *
+ * Common French words for proper noun detection on French pages and text segments
+ * (words at the start of a sentence or in a title would otherwise count as unknown)
+ */
+
+export const frDictionary = {
+  /**
+   * Most common French words
+   * Used to distinguish proper nouns from common words
+   */
+  commonWords: [
+    // Articles, pronouns, prepositions, conjunctions
+    'le',
+    'la',
+    'les',
+    'l',
+    'un',
+    'une',
+    'des',
+    'du',
+    'de',
+    'd',
+    'au',
+    'aux',
+    'et',
+    'ou',
+    'mais',
+    'donc',
+    'or',
+    'ni',
+    'car',
+    'que',
+    'qui',
+    'quoi',
+    'dont',
+    'où',
+    'si',
+    'comme',
+    'quand',
+    'pour',
+    'par',
+    'avec',
+    'sans',
+    'sous',
+    'sur',
+    'dans',
+    'chez',
+    'entre',
+    'vers',
+    'contre',
+    'depuis',
+    'pendant',
+    'avant',
+    'après',
+    'je',
+    'tu',
+    'il',
+    'elle',
+    'nous',
+    'vous',
+    'ils',
+    'elles',
+    'on',
+    'me',
+    'te',
+    'se',
+    'moi',
+    'toi',
+    'lui',
+    'leur',
+    'leurs',
+    'eux',
+    'mon',
+    'ma',
+    'mes',
+    'ton',
+    'ta',
+    'tes',
+    'son',
+    'sa',
+    'ses',
+    'notre',
+    'nos',
+    'votre',
+    'vos',
+    'ce',
+    'cet',
+    'cette',
+    'ces',
+    'tout',
+    'tous',
+    'toute',
+    'toutes',
+    'aucun',
+    'chaque',
+    'ne',
+    'pas',
+    'plus',
+    'moins',
+    'très',
+    'bien',
+    'aussi',
+    'encore',
+    'déjà',
+    'toujours',
+    'jamais',
+    'souvent',
+    'ici',
+    'là',
+    'maintenant',
+    'aujourd',
+    'hui',
+    'demain',
+    'hier',
+    'oui',
+    'non',
+    'merci',
+    'alors',
+    'ensuite',
+    'puis',
+    'soi',
+    'y',
+    'en',
+    'qu',
+    'lequel',
+    'laquelle',
+    'lesquels',
+    'lesquelles',
+    'celui',
+    'celle',
+    'ceux',
+    'celles',
+    'ceci',
+    'cela',
+    'ça',
+    'lorsque',
+    'puisque',
+    'parce',
+    'selon',
+    'malgré',
+    'parmi',
+    'envers',
+    'quelque',
+    'quelques',
+    'aucune',
+    'autres',
+    'mêmes',
+    'certain',
+    'certaine',
+    'certains',
+    'certaines',
+    'tel',
+    'telle',
+    'tels',
+    'telles',
+    'quelqu',
+    "quelqu'un",
+    'personne',
+    'rien',
+    'chacun',
+    'chacune',
+    // Verbs
+    'est',
+    'sont',
+    'était',
+    'étaient',
+    'être',
+    'suis',
+    'es',
+    'sommes',
+    'êtes',
+    'a',
+    'ont',
+    'avait',
+    'avoir',
+    'ai',
+    'as',
+    'avons',
+    'avez',
+    'fait',
+    'faire',
+    'peut',
+    'pouvoir',
+    'peuvent',
+    'doit',
+    'devoir',
+    'veut',
+    'vouloir',
+    'va',
+    'aller',
+    'vient',
+    'venir',
+    'dit',
+    'dire',
+    'voir',
+    'savoir',
+    'trouver',
+    'prendre',
+    'donner',
+    'mettre',
+    'passer',
+    'rester',
+    'parler',
+    'acheter',
+    'commander',
+    'envoyer',
+    'enregistrer',
+    'supprimer',
+    'modifier',
+    'ajouter',
+    'connecter',
+    'inscrire',
+    'rechercher',
+    'étais',
+    'étions',
+    'étiez',
+    'été',
+    'serai',
+    'sera',
+    'serons',
+    'seront',
+    'serait',
+    'seraient',
+    'sois',
+    'soit',
+    'soyons',
+    'soient',
+    'avais',
+    'avions',
+    'aviez',
+    'avaient',
+    'eu',
+    'aurai',
+    'aura',
+    'aurons',
+    'auront',
+    'aurait',
+    'auraient',
+    'aie',
+    'ait',
+    'aient',
+    'fais',
+    'faisons',
+    'faites',
+    'font',
+    'faisait',
+    'fera',
+    'ferait',
+    'fasse',
+    'vais',
+    'vas',
+    'allons',
+    'allez',
+    'vont',
+    'allait',
+    'allé',
+    'allée',
+    'ira',
+    'irait',
+    'aille',
+    'peux',
+    'pouvons',
+    'pouvez',
+    'pouvait',
+    'pu',
+    'pourra',
+    'pourrait',
+    'puisse',
+    'veux',
+    'voulons',
+    'voulez',
+    'veulent',
+    'voulait',
+    'voulu',
+    'voudrait',
+    'voudra',
+    'dois',
+    'devons',
+    'devez',
+    'doivent',
+    'devait',
+    'dû',
+    'devra',
+    'devrait',
+    'dis',
+    'disons',
+    'dites',
+    'disent',
+    'disait',
+    'dira',
+    'vois',
+    'voit',
+    'voyons',
+    'voyez',
+    'voient',
+    'voyait',
+    'vu',
+    'verra',
+    'sais',
+    'sait',
+    'savons',
+    'savez',
+    'savent',
+    'savait',
+    'su',
+    'saura',
+    'viens',
+    'venons',
+    'venez',
+    'viennent',
+    'venait',
+    'venu',
+    'venue',
+    'viendra',
+    'prends',
+    'prend',
+    'prenons',
+    'prenez',
+    'prennent',
+    'prenait',
+    'pris',
+    'prise',
+    'prendra',
+    'mets',
+    'met',
+    'mettons',
+    'mettez',
+    'mettent',
+    'mis',
+    'mise',
+    'donne',
+    'donnes',
+    'donnons',
+    'donnez',
+    'donnent',
+    'donnait',
+    'donné',
+    'donnera',
+    'trouve',
+    'trouvé',
+    'trouvez',
+    'parle',
+    'parlé',
+    'parlez',
+    'passé',
+    'passée',
+    'penser',
+    'pense',
+    'pensé',
+    'croire',
+    'crois',
+    'croit',
+    'cru',
+    'reste',
+    'resté',
+    'arriver',
+    'arrive',
+    'arrivé',
+    'arrivée',
+    'partir',
+    'pars',
+    'part',
+    'parti',
+    'sortir',
+    'sort',
+    'sorti',
+    'entrer',
+    'entré',
+    'rentrer',
+    'rentre',
+    'rentré',
+    'tenir',
+    'tient',
+    'tenu',
+    'sembler',
+    'semble',
+    'laisser',
+    'laisse',
+    'laissé',
+    'commandé',
+    'commandée',
+    'achète',
+    'acheté',
+    'vendre',
+    'vend',
+    'vendu',
+    'payer',
+    'paie',
+    'payé',
+    'envoie',
+    'envoyé',
+    'envoyée',
+    'expédier',
+    'expédié',
+    'expédiée',
+    'expédiés',
+    'livrer',
+    'livré',
+    'livrée',
+    'livrés',
+    'recevoir',
+    'reçoit',
+    'reçu',
+    'reçue',
+    'recevez',
+    'ajoute',
+    'ajouté',
+    'ajoutée',
+    'supprime',
+    'supprimé',
+    'enregistre',
+    'enregistré',
+    'modifie',
+    'modifié',
+    'changer',
+    'change',
+    'changé',
+    'valider',
+    'valide',
+    'validé',
+    'confirmer',
+    'confirme',
+    'confirmé',
+    'confirmée',
+    'vérifier',
+    'vérifie',
+    'vérifié',
+    'à',
+    'connecté',
+    'déconnecter',
+    'déconnexion',
+    'inscrit',
+    'inscription',
+    'choisir',
+    'choisit',
+    'choisi',
+    'sélectionner',
+    'sélectionné',
+    'télécharger',
+    'téléchargé',
+    'partager',
+    'partagé',
+    'imprimer',
+    'copier',
+    'continuer',
+    'accepter',
+    'accepté',
+    'refuser',
+    'refusé',
+    'annuler',
+    'annulé',
+    'annulée',
+    'aider',
+    'aidé',
+    'chercher',
+    'cherche',
+    'cherché',
+    'demander',
+    'demande',
+    'demandé',
+    'répondre',
+    'répond',
+    'répondu',
+    'attendre',
+    'attend',
+    'attendu',
+    'comprendre',
+    'comprend',
+    'compris',
+    'apprendre',
+    'apprend',
+    'appris',
+    'lire',
+    'lit',
+    'lu',
+    'écrire',
+    'écrit',
+    'écrite',
+    'écouter',
+    'écoute',
+    'entendre',
+    'entend',
+    'entendu',
+    'commencer',
+    'commence',
+    'commencé',
+    'finir',
+    'finit',
+    'fini',
+    'terminer',
+    'termine',
+    'terminé',
+    'ouvrir',
+    'ouvre',
+    'ouvert',
+    'ouverte',
+    'fermer',
+    'ferme',
+    'fermé',
+    'fermée',
+    'aimer',
+    'aime',
+    'aimé',
+    'adorer',
+    'préférer',
+    'préfère',
+    'souhaiter',
+    'souhaite',
+    'souhaité',
+    'espérer',
+    'espère',
+    'remercier',
+    'remercie',
+    'remercions',
+    'travailler',
+    'travaille',
+    'travaillé',
+    'habiter',
+    'habite',
+    'habité',
+    'vivre',
+    'vit',
+    'vécu',
+    'manger',
+    'mange',
+    'mangé',
+    'boire',
+    'boit',
+    'bu',
+    'dormir',
+    'dort',
+    'dormi',
+    'jouer',
+    'joue',
+    'joué',
+    'gagner',
+    'gagne',
+    'gagné',
+    'perdre',
+    'perd',
+    'perdu',
+    'oublier',
+    'oublie',
+    'oublié',
+    'rappeler',
+    'rappelle',
+    'montrer',
+    'montre',
+    'montré',
+    'utiliser',
+    'utilise',
+    'utilisé',
+    'essayer',
+    'essaie',
+    'essayé',
+    'appeler',
+    'appelle',
+    'appelé',
+    'contacter',
+    'contactez',
+    'réserver',
+    'réservé',
+    'retourner',
+    'retourné',
+    'rembourser',
+    'remboursé',
+    'accéder',
+    'accède',
+    'accepte',
+    'accompagner',
+    'adresser',
+    'agir',
+    'apparaître',
+    'apparaît',
+    'appliquer',
+    'apporter',
+    'approuver',
+    'augmenter',
+    'avancer',
+    'baisser',
+    'cacher',
+    'calculer',
+    'charger',
+    'chargé',
+    'coller',
+    'comparer',
+    'compléter',
+    'complété',
+    'comporter',
+    'compter',
+    'concerner',
+    'conduire',
+    'connaître',
+    'connaît',
+    'conserver',
+    'considérer',
+    'construire',
+    'consulter',
+    'contenir',
+    'contient',
+    'corriger',
+    'couper',
+    'coûter',
+    'couvrir',
+    'créer',
+    'crée',
+    'créé',
+    'décider',
+    'découvrir',
+    'décrire',
+    'définir',
+    'demeurer',
+    'dépendre',
+    'dépend',
+    'dépenser',
+    'descendre',
+    'désirer',
+    'devenir',
+    'devient',
+    'diriger',
+    'disposer',
+    'disparaître',
+    'distribuer',
+    'diviser',
+    'éditer',
+    'effectuer',
+    'effectué',
+    'élire',
+    'employer',
+    'emporter',
+    'encourager',
+    'enlever',
+    'établir',
+    'étudier',
+    'éviter',
+    'exister',
+    'existe',
+    'expliquer',
+    'exprimer',
+    'facturer',
+    'faciliter',
+    'falloir',
+    'faut',
+    'fixer',
+    'former',
+    'fournir',
+    'garantir',
+    'garder',
+    'gérer',
+    'indiquer',
+    'indiqué',
+    'informer',
+    'installer',
+    'intéresser',
+    'inviter',
+    'joindre',
+    'juger',
+    'lancer',
+    'libérer',
+    'lier',
+    'limiter',
+    'manquer',
+    'marcher',
+    'mener',
+    'mériter',
+    'mesurer',
+    'monter',
+    'mourir',
+    'naître',
+    'noter',
+    'obtenir',
+    'obtenu',
+    'occuper',
+    'offrir',
+    'offert',
+    'organiser',
+    'paraître',
+    'paraît',
+    'participer',
+    'permettre',
+    'permet',
+    'placer',
+    'plaire',
+    'porter',
+    'poser',
+    'posséder',
+    'pousser',
+    'pratiquer',
+    'prévoir',
+    'produire',
+    'profiter',
+    'programmer',
+    'proposer',
+    'propose',
+    'protéger',
+    'prouver',
+    'publier',
+    'quitter',
+    'raconter',
+    'réaliser',
+    'réalisé',
+    'reconnaître',
+    'réduire',
+    'regarder',
+    'regarde',
+    'régler',
+    'rejoindre',
+    'relever',
+    'remplacer',
+    'remplir',
+    'rendre',
+    'renouveler',
+    'renvoyer',
+    'répéter',
+    'représenter',
+    'résoudre',
+    'retrouver',
+    'réussir',
+    'réveiller',
+    'revenir',
+    'revoir',
+    'saisir',
+    'sauvegarder',
+    'sentir',
+    'servir',
+    'signer',
+    'souffrir',
+    'suffire',
+    'suivre',
+    'supporter',
+    'supposer',
+    'surveiller',
+    'tenter',
+    'tirer',
+    'tomber',
+    'toucher',
+    'tourner',
+    'traduire',
+    'traiter',
+    'transférer',
+    'transformer',
+    'tuer',
+    'unir',
+    'valoir',
+    'visiter',
+    'voler',
+    'voter',
+    // Nouns
+    'temps',
+    'an',
+    'année',
+    'jour',
+    'semaine',
+    'mois',
+    'heure',
+    'minute',
+    'homme',
+    'femme',
+    'enfant',
+    'enfants',
+    'famille',
+    'ami',
+    'amis',
+    'gens',
+    'monde',
+    'pays',
+    'ville',
+    'rue',
+    'maison',
+    'appartement',
+    'école',
+    'travail',
+    'entreprise',
+    'société',
+    'client',
+    'clients',
+    'prix',
+    'argent',
+    'compte',
+    'facture',
+    'commande',
+    'livraison',
+    'paiement',
+    'produit',
+    'produits',
+    'article',
+    'offre',
+    'panier',
+    'accueil',
+    'recherche',
+    'aide',
+    'contact',
+    'mentions',
+    'confidentialité',
+    'paramètres',
+    'connexion',
+    'message',
+    'messages',
+    'question',
+    'réponse',
+    'problème',
+    'exemple',
+    'fin',
+    'début',
+    'partie',
+    'nom',
+    'prénom',
+    'adresse',
+    'téléphone',
+    'date',
+    'numéro',
+    'information',
+    'informations',
+    'service',
+    'services',
+    'image',
+    'texte',
+    'liste',
+    'résultat',
+    'résultats',
+    'vie',
+    'histoire',
+    'livre',
+    'jeu',
+    'langue',
+    'français',
+    'eau',
+    'avis',
+    'sécurité',
+    'mot',
+    'passe',
+    'utilisateur',
+    'membre',
+    'équipe',
+    'commandes',
+    'colis',
+    'livraisons',
+    'expédition',
+    'envoi',
+    'suivi',
+    'caisse',
+    'paiements',
+    'factures',
+    'tarif',
+    'tarifs',
+    'offres',
+    'promotion',
+    'promotions',
+    'réduction',
+    'réductions',
+    'remise',
+    'code',
+    'coupon',
+    'carte',
+    'cartes',
+    'crédit',
+    'comptes',
+    'solde',
+    'virement',
+    'articles',
+    'boutique',
+    'boutiques',
+    'magasin',
+    'magasins',
+    'marque',
+    'marques',
+    'modèle',
+    'modèles',
+    'taille',
+    'tailles',
+    'couleur',
+    'couleurs',
+    'quantité',
+    'total',
+    'sous-total',
+    'taxe',
+    'taxes',
+    'frais',
+    'cliente',
+    'clientes',
+    'vendeur',
+    'acheteur',
+    'fournisseur',
+    'entreprises',
+    'sociétés',
+    'affaire',
+    'affaires',
+    'marché',
+    'marchés',
+    'retour',
+    'retours',
+    'remboursement',
+    'garantie',
+    'état',
+    'statut',
+    'adresses',
+    'postal',
+    'villes',
+    'région',
+    'département',
+    'avenue',
+    'place',
+    'boulevard',
+    'quartier',
+    'noms',
+    'prénoms',
+    'portable',
+    'courriel',
+    'mail',
+    'dates',
+    'naissance',
+    'âge',
+    'sexe',
+    'utilisateurs',
+    'identifiant',
+    'profil',
+    'session',
+    'accès',
+    'réglages',
+    'préférences',
+    'politique',
+    'cookies',
+    'conditions',
+    'légales',
+    'page',
+    'pages',
+    'menu',
+    'lien',
+    'liens',
+    'bouton',
+    'formulaire',
+    'champ',
+    'champs',
+    'erreur',
+    'erreurs',
+    'avertissement',
+    'notification',
+    'notifications',
+    'lettre',
+    'newsletter',
+    'abonnement',
+    'version',
+    'téléchargement',
+    'fichier',
+    'fichiers',
+    'document',
+    'documents',
+    'dossier',
+    'images',
+    'photo',
+    'photos',
+    'vidéo',
+    'vidéos',
+    'système',
+    'systèmes',
+    'programme',
+    'logiciel',
+    'application',
+    'applications',
+    'appareil',
+    'appareils',
+    'ordinateur',
+    'écran',
+    'réseau',
+    'internet',
+    'données',
+    'serveur',
+    'assistance',
+    'questions',
+    'fréquentes',
+    'rapport',
+    'listes',
+    'tableau',
+    'résumé',
+    'détails',
+    'années',
+    'ans',
+    'jours',
+    'journée',
+    'semaines',
+    'heures',
+    'minutes',
+    'seconde',
+    'moment',
+    'moments',
+    'matin',
+    'soir',
+    'soirée',
+    'nuit',
+    'midi',
+    'week-end',
+    'lundi',
+    'mardi',
+    'mercredi',
+    'jeudi',
+    'vendredi',
+    'samedi',
+    'dimanche',
+    'janvier',
+    'février',
+    'mars',
+    'avril',
+    'mai',
+    'juin',
+    'juillet',
+    'août',
+    'septembre',
+    'octobre',
+    'novembre',
+    'décembre',
+    'printemps',
+    'automne',
+    'hiver',
+    'monsieur',
+    'madame',
+    'mademoiselle',
+    'messieurs',
+    'mesdames',
+    'hommes',
+    'femmes',
+    'fille',
+    'filles',
+    'garçon',
+    'garçons',
+    'personnes',
+    'père',
+    'mère',
+    'parents',
+    'fils',
+    'frère',
+    'frères',
+    'sœur',
+    'sœurs',
+    'grand-mère',
+    'grand-père',
+    'oncle',
+    'tante',
+    'cousin',
+    'cousine',
+    'mari',
+    'épouse',
+    'couple',
+    'familles',
+    'amie',
+    'amies',
+    'voisin',
+    'voisins',
+    'équipes',
+    'groupe',
+    'groupes',
+    'membres',
+    'collègue',
+    'collègues',
+    'employé',
+    'employés',
+    'salarié',
+    'directeur',
+    'directrice',
+    'chef',
+    'responsable',
+    'patron',
+    'gouvernement',
+    'partis',
+    'loi',
+    'lois',
+    'président',
+    'ministre',
+    'ministère',
+    'mairie',
+    'police',
+    'tribunal',
+    'justice',
+    'élection',
+    'élections',
+    'maisons',
+    'appartements',
+    'chambre',
+    'chambres',
+    'cuisine',
+    'salle',
+    'bain',
+    'salon',
+    'jardin',
+    'porte',
+    'portes',
+    'fenêtre',
+    'fenêtres',
+    'mur',
+    'sol',
+    'toit',
+    'étage',
+    'escalier',
+    'bâtiment',
+    'bâtiments',
+    'église',
+    'écoles',
+    'collège',
+    'lycée',
+    'université',
+    'hôpital',
+    'pharmacie',
+    'médecin',
+    'médecins',
+    'banque',
+    'banques',
+    'hôtel',
+    'hôtels',
+    'restaurant',
+    'restaurants',
+    'café',
+    'bar',
+    'cinéma',
+    'théâtre',
+    'musée',
+    'gare',
+    'aéroport',
+    'travaux',
+    'emploi',
+    'bureau',
+    'bureaux',
+    'réunion',
+    'projet',
+    'projets',
+    'tâche',
+    'tâches',
+    'objectif',
+    'but',
+    'plan',
+    'plans',
+    'idée',
+    'idées',
+    'problèmes',
+    'solution',
+    'solutions',
+    'réponses',
+    'chose',
+    'choses',
+    'parties',
+    'façon',
+    'manière',
+    'cas',
+    'lieu',
+    'lieux',
+    'point',
+    'points',
+    'côté',
+    'type',
+    'types',
+    'sorte',
+    'genre',
+    'mots',
+    'langues',
+    'textes',
+    'livres',
+    'journal',
+    'journaux',
+    'revue',
+    'nouvelles',
+    'titre',
+    'chapitre',
+    'nourriture',
+    'repas',
+    'petit-déjeuner',
+    'déjeuner',
+    'dîner',
+    'pain',
+    'lait',
+    'viande',
+    'poisson',
+    'fruit',
+    'fruits',
+    'légume',
+    'légumes',
+    'vin',
+    'bière',
+    'thé',
+    'vêtement',
+    'vêtements',
+    'chemise',
+    'pantalon',
+    'robe',
+    'chaussure',
+    'chaussures',
+    'veste',
+    'manteau',
+    'sac',
+    'voiture',
+    'voitures',
+    'bus',
+    'train',
+    'trains',
+    'avion',
+    'vélo',
+    'taxi',
+    'bateau',
+    'voyage',
+    'voyages',
+    'billet',
+    'billets',
+    'vol',
+    'vols',
+    'réservation',
+    'réservations',
+    'nature',
+    'terre',
+    'mer',
+    'rivière',
+    'montagne',
+    'montagnes',
+    'forêt',
+    'arbre',
+    'arbres',
+    'fleur',
+    'fleurs',
+    'animal',
+    'animaux',
+    'chien',
+    'chiens',
+    'chat',
+    'chats',
+    'ciel',
+    'soleil',
+    'pluie',
+    'neige',
+    'vent',
+    'santé',
+    'maladie',
+    'corps',
+    'tête',
+    'main',
+    'mains',
+    'œil',
+    'yeux',
+    'cœur',
+    'douleur',
+    'euro',
+    'euros',
+    'dollar',
+    'dollars',
+    'coût',
+    'coûts',
+    'valeur',
+    'musique',
+    'chanson',
+    'chansons',
+    'film',
+    'films',
+    'art',
+    'culture',
+    'sport',
+    'sports',
+    'football',
+    'jeux',
+    'match',
+    'changement',
+    'changements',
+    'niveau',
+    'niveaux',
+    'qualité',
+    'nombre',
+    'nombres',
+    'majorité',
+    'centre',
+    'nord',
+    'sud',
+    'ouest',
+    'bienvenue',
+    'bonjour',
+    'bonsoir',
+    'salut',
+    'action',
+    'actions',
+    'activité',
+    'activités',
+    'accord',
+    'accords',
+    'administration',
+    'agence',
+    'analyse',
+    'annonce',
+    'annonces',
+    'appui',
+    'aspect',
+    'attention',
+    'auteur',
+    'autorité',
+    'base',
+    'bases',
+    'bénéfice',
+    'bénéfices',
+    'cadre',
+    'caméra',
+    'campagne',
+    'capacité',
+    'capital',
+    'carrière',
+    'catégorie',
+    'catégories',
+    'cause',
+    'chaîne',
+    'chiffre',
+    'choix',
+    'clé',
+    'climat',
+    'club',
+    'commentaire',
+    'commentaires',
+    'commerce',
+    'commission',
+    'communication',
+    'communauté',
+    'concept',
+    'condition',
+    'conférence',
+    'conseil',
+    'conseils',
+    'consommation',
+    'contenu',
+    'contenus',
+    'contrat',
+    'contrats',
+    'contrôle',
+    'croissance',
+    'crise',
+    'cours',
+    'décision',
+    'décisions',
+    'défense',
+    'droit',
+    'droits',
+    'développement',
+    'description',
+    'destination',
+    'différence',
+    'direction',
+    'distance',
+    'économie',
+    'édition',
+    'éducation',
+    'effet',
+    'effets',
+    'élément',
+    'éléments',
+    'énergie',
+    'environnement',
+    'époque',
+    'équipement',
+    'espace',
+    'espèce',
+    'étape',
+    'étapes',
+    'étude',
+    'études',
+    'événement',
+    'événements',
+    'expérience',
+    'fond',
+    'fonds',
+    'fonction',
+    'formation',
+    'force',
+    'futur',
+    'gain',
+    'gestion',
+    'graphique',
+    'guide',
+    'impact',
+    'importance',
+    'industrie',
+    'installation',
+    'instrument',
+    'intention',
+    'intérêt',
+    'investissement',
+    'jugement',
+    'lecture',
+    'liberté',
+    'licence',
+    'ligne',
+    'lignes',
+    'logique',
+    'marche',
+    'matériel',
+    'matériaux',
+    'mesure',
+    'mesures',
+    'milieu',
+    'mode',
+    'moyen',
+    'moyens',
+    'mémoire',
+    'méthode',
+    'méthodes',
+    'mission',
+    'motif',
+    'mouvement',
+    'nécessité',
+    'note',
+    'notes',
+    'objet',
+    'objets',
+    'œuvre',
+    'option',
+    'options',
+    'opinion',
+    'ordre',
+    'organisation',
+    'origine',
+    'passage',
+    'période',
+    'permis',
+    'poids',
+    'plateforme',
+    'délai',
+    'population',
+    'position',
+    'pratique',
+    'présence',
+    'budget',
+    'principe',
+    'priorité',
+    'processus',
+    'production',
+    'professionnel',
+    'professeur',
+    'proposition',
+    'protection',
+    'preuve',
+    'raison',
+    'réalité',
+    'ressource',
+    'ressources',
+    'relation',
+    'relations',
+    'réparation',
+    'exigence',
+    'risque',
+    'rythme',
+    'sortie',
+    'secteur',
+    'secteurs',
+    'sens',
+    'série',
+    'situation',
+    'sujet',
+    'sujets',
+    'surface',
+    'thème',
+    'thèmes',
+    'théorie',
+    'terme',
+    'territoire',
+    'traitement',
+    'usage',
+    'variété',
+    'vitesse',
+    'vente',
+    'ventes',
+    'avantage',
+    'avantages',
+    'vue',
+    'voix',
+    'fois',
+    // Adjectives and adverbs
+    'bon',
+    'bonne',
+    'nouveau',
+    'nouvelle',
+    'grand',
+    'grande',
+    'petit',
+    'petite',
+    'premier',
+    'première',
+    'dernier',
+    'dernière',
+    'autre',
+    'même',
+    'important',
+    'simple',
+    'rapide',
+    'possible',
+    'gratuit',
+    'plusieurs',
+    'beaucoup',
+    'bons',
+    'bonnes',
+    'mauvais',
+    'mauvaise',
+    'meilleur',
+    'meilleure',
+    'meilleurs',
+    'pire',
+    'nouveaux',
+    'vieux',
+    'vieille',
+    'ancien',
+    'ancienne',
+    'grands',
+    'grandes',
+    'petits',
+    'petites',
+    'haut',
+    'haute',
+    'bas',
+    'basse',
+    'longue',
+    'court',
+    'courte',
+    'premiers',
+    'derniers',
+    'suivant',
+    'suivante',
+    'précédent',
+    'précédente',
+    'prochain',
+    'prochaine',
+    'importante',
+    'importants',
+    'facile',
+    'faciles',
+    'difficile',
+    'difficiles',
+    'rapides',
+    'lent',
+    'lente',
+    'possibles',
+    'impossible',
+    'nécessaire',
+    'disponible',
+    'disponibles',
+    'gratuite',
+    'sûr',
+    'sûre',
+    'principal',
+    'principale',
+    'général',
+    'générale',
+    'personnel',
+    'personnelle',
+    'public',
+    'publique',
+    'privé',
+    'privée',
+    'national',
+    'nationale',
+    'international',
+    'internationale',
+    'local',
+    'locale',
+    'social',
+    'sociale',
+    'vrai',
+    'vraie',
+    'faux',
+    'fausse',
+    'clair',
+    'claire',
+    'seul',
+    'seule',
+    'propre',
+    'libre',
+    'complet',
+    'complète',
+    'heureux',
+    'heureuse',
+    'content',
+    'contente',
+    'triste',
+    'fatigué',
+    'malade',
+    'jeune',
+    'jeunes',
+    'âgé',
+    'riche',
+    'pauvre',
+    'cher',
+    'chère',
+    'blanche',
+    'noir',
+    'noire',
+    'rouge',
+    'bleu',
+    'bleue',
+    'vert',
+    'verte',
+    'jaune',
+    'gris',
+    'grise',
+    'peu',
+    'assez',
+    'trop',
+    'presque',
+    'seulement',
+    "aujourd'hui",
+    'bientôt',
+    'tard',
+    'tôt',
+    'là-bas',
+    'près',
+    'loin',
+    'dessus',
+    'dessous',
+    'dedans',
+    'dehors',
+    'devant',
+    'derrière',
+    'mal',
+    'ainsi',
+    'peut-être',
+    'vraiment',
+    'surtout',
+    'enfin',
+    'actuellement',
+    'normalement',
+    'rapidement',
+    'actuel',
+    'actuelle',
+    'actuels',
+    'additionnel',
+    'automatique',
+    'bref',
+    'central',
+    'centrale',
+    'commun',
+    'commune',
+    'correct',
+    'correcte',
+    'courant',
+    'différent',
+    'différente',
+    'différents',
+    'direct',
+    'directe',
+    'divers',
+    'économique',
+    'effectif',
+    'entier',
+    'entière',
+    'essentiel',
+    'étranger',
+    'étrangère',
+    'exact',
+    'exclusif',
+    'final',
+    'finale',
+    'fort',
+    'forte',
+    'gros',
+    'grosse',
+    'habituel',
+    'humain',
+    'humaine',
+    'inférieur',
+    'intérieur',
+    'juste',
+    'large',
+    'léger',
+    'légère',
+    'limité',
+    'lourd',
+    'maximum',
+    'minimum',
+    'moderne',
+    'moyenne',
+    'naturel',
+    'naturelle',
+    'négatif',
+    'nombreux',
+    'normal',
+    'normale',
+    'obligatoire',
+    'officiel',
+    'officielle',
+    'original',
+    'particulier',
+    'positif',
+    'précis',
+    'présent',
+    'prêt',
+    'probable',
+    'profond',
+    'récent',
+    'régulier',
+    'rond',
+    'sérieux',
+    'similaire',
+    'solide',
+    'spécial',
+    'suffisant',
+    'supérieur',
+    'sûrement',
+    'temporaire',
+    'typique',
+    'utile',
+    'visible',
+    'absolument',
+    'certainement',
+    'clairement',
+    'complètement',
+    'directement',
+    'entièrement',
+    'exactement',
+    'facilement',
+    'généralement',
+    'immédiatement',
+    'justement',
+    'longtemps',
+    'parfois',
+    'particulièrement',
+    'pourtant',
+    'probablement',
+    'simplement',
+    'tellement',
+    'totalement',
+    'vite',
+    'environ',
+    'ensemble',
+    'autrement',
+    'plutôt',
+    'tant',
+  ],
+};
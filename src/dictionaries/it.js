@@ -0,0 +1,1727 @@
+/**
+ * SafeSnap - Italian Dictionary
+ *
+ * Common Italian words for proper noun detection on Italian pages and text segments
+ * (words at the start of a sentence or in a title would otherwise count as unknown)
+ */
+
+export const itDictionary = {
+  /**
+   * Most common Italian words
+   * Used to distinguish proper nouns from common words
+   */
+  commonWords: [
+    // Articles, pronouns, prepositions, conjunctions
+    'il',
+    'lo',
+    'la',
+    'i',
+    'gli',
+    'le',
+    'un',
+    'uno',
+    'una',
+    'e',
+    'ed',
+    'o',
+    'ma',
+    'però',
+    'che',
+    'chi',
+    'cui',
+    'come',
+    'quando',
+    'dove',
+    'perché',
+    'se',
+    'né',
+    'di',
+    'del',
+    'della',
+    'dei',
+    'delle',
+    'a',
+    'al',
+    'alla',
+    'ai',
+    'alle',
+    'da',
+    'dal',
+    'dalla',
+    'in',
+    'nel',
+    'nella',
+    'con',
+    'su',
+    'sul',
+    'sulla',
+    'per',
+    'tra',
+    'fra',
+    'senza',
+    'verso',
+    'contro',
+    'durante',
+    'prima',
+    'dopo',
+    'io',
+    'tu',
+    'lui',
+    'lei',
+    'noi',
+    'voi',
+    'loro',
+    'mi',
+    'ti',
+    'si',
+    'ci',
+    'vi',
+    'mio',
+    'mia',
+    'miei',
+    'tuo',
+    'tua',
+    'suo',
+    'sua',
+    'nostro',
+    'nostra',
+    'vostro',
+    'questo',
+    'questa',
+    'questi',
+    'quello',
+    'quella',
+    'tutto',
+    'tutta',
+    'tutti',
+    'tutte',
+    'ogni',
+    'nessuno',
+    'non',
+    'no',
+    'sì',
+    'molto',
+    'più',
+    'meno',
+    'anche',
+    'già',
+    'qui',
+    'lì',
+    'ora',
+    'oggi',
+    'domani',
+    'ieri',
+    'sempre',
+    'mai',
+    'grazie',
+    'bene',
+    'male',
+    'allora',
+    'poi',
+    'dello',
+    'degli',
+    'allo',
+    'agli',
+    'dallo',
+    'dai',
+    'dagli',
+    'dalle',
+    'nello',
+    'nei',
+    'negli',
+    'nelle',
+    'sullo',
+    'sui',
+    'sugli',
+    'sulle',
+    'col',
+    'queste',
+    'quelli',
+    'quelle',
+    'quel',
+    'quei',
+    'mie',
+    'tuoi',
+    'tue',
+    'suoi',
+    'sue',
+    'nostri',
+    'nostre',
+    'vostra',
+    'vostri',
+    'vostre',
+    'essi',
+    'esse',
+    'ne',
+    'me',
+    'te',
+    'sé',
+    'glielo',
+    'gliela',
+    'quale',
+    'quali',
+    'quanto',
+    'quanta',
+    'quanti',
+    'quante',
+    'cosa',
+    'od',
+    'neanche',
+    'nemmeno',
+    'neppure',
+    'oppure',
+    'quindi',
+    'dunque',
+    'mentre',
+    'finché',
+    'poiché',
+    'sebbene',
+    'benché',
+    'sotto',
+    'sopra',
+    'presso',
+    'dentro',
+    'fuori',
+    'lungo',
+    'oltre',
+    'secondo',
+    'qualcosa',
+    'niente',
+    'nulla',
+    'qualcuno',
+    'alcuni',
+    'alcune',
+    'ognuno',
+    'altri',
+    'altre',
+    'stessa',
+    'stessi',
+    'stesse',
+    'molta',
+    'molti',
+    'molte',
+    'poco',
+    'poca',
+    'pochi',
+    'poche',
+    'tanto',
+    'tanta',
+    'tanti',
+    'tante',
+    'troppo',
+    'troppa',
+    'vario',
+    'varie',
+    'certi',
+    'certe',
+    // Verbs
+    'è',
+    'sono',
+    'era',
+    'erano',
+    'essere',
+    'sei',
+    'siamo',
+    'siete',
+    'ha',
+    'hanno',
+    'aveva',
+    'avere',
+    'ho',
+    'abbiamo',
+    'avete',
+    'fa',
+    'fare',
+    'può',
+    'possono',
+    'potere',
+    'deve',
+    'dovere',
+    'vuole',
+    'volere',
+    'va',
+    'andare',
+    'viene',
+    'venire',
+    'dice',
+    'dire',
+    'vedere',
+    'sapere',
+    'trovare',
+    'prendere',
+    'dare',
+    'mettere',
+    'parlare',
+    'comprare',
+    'ordinare',
+    'inviare',
+    'salvare',
+    'eliminare',
+    'modificare',
+    'aggiungere',
+    'accedere',
+    'registrati',
+    'cercare',
+    'eri',
+    'eravamo',
+    'fu',
+    'furono',
+    'stato',
+    'stata',
+    'stati',
+    'state',
+    'sarà',
+    'saranno',
+    'sarebbe',
+    'sarebbero',
+    'sia',
+    'siano',
+    'hai',
+    'avevano',
+    'ebbe',
+    'avuto',
+    'avrà',
+    'avranno',
+    'avrebbe',
+    'abbia',
+    'faccio',
+    'fai',
+    'facciamo',
+    'fate',
+    'fanno',
+    'faceva',
+    'fece',
+    'fatto',
+    'fatta',
+    'farà',
+    'farebbe',
+    'faccia',
+    'vado',
+    'vai',
+    'andiamo',
+    'andate',
+    'vanno',
+    'andava',
+    'andato',
+    'andata',
+    'andrà',
+    'vada',
+    'posso',
+    'puoi',
+    'possiamo',
+    'potete',
+    'poteva',
+    'potuto',
+    'potrà',
+    'potrebbe',
+    'possa',
+    'voglio',
+    'vuoi',
+    'vogliamo',
+    'volete',
+    'vogliono',
+    'voleva',
+    'voluto',
+    'vorrei',
+    'vorrebbe',
+    'devo',
+    'devi',
+    'dobbiamo',
+    'dovete',
+    'devono',
+    'doveva',
+    'dovuto',
+    'dovrà',
+    'dovrebbe',
+    'dico',
+    'dici',
+    'diciamo',
+    'dite',
+    'dicono',
+    'diceva',
+    'disse',
+    'detto',
+    'dirà',
+    'vedo',
+    'vedi',
+    'vede',
+    'vediamo',
+    'vedete',
+    'vedono',
+    'vedeva',
+    'vide',
+    'visto',
+    'vista',
+    'vedrà',
+    'so',
+    'sai',
+    'sa',
+    'sappiamo',
+    'sapete',
+    'sanno',
+    'sapeva',
+    'saputo',
+    'vengo',
+    'vieni',
+    'veniamo',
+    'venite',
+    'vengono',
+    'veniva',
+    'venne',
+    'venuto',
+    'venuta',
+    'verrà',
+    'do',
+    'dà',
+    'diamo',
+    'date',
+    'danno',
+    'dava',
+    'diede',
+    'dato',
+    'stare',
+    'sto',
+    'stai',
+    'sta',
+    'stiamo',
+    'stanno',
+    'stava',
+    'stette',
+    'prendo',
+    'prende',
+    'preso',
+    'presa',
+    'metto',
+    'mette',
+    'messo',
+    'messa',
+    'trova',
+    'trovato',
+    'parla',
+    'parlato',
+    'passare',
+    'passa',
+    'passato',
+    'pensare',
+    'penso',
+    'pensa',
+    'pensato',
+    'credere',
+    'credo',
+    'crede',
+    'creduto',
+    'restare',
+    'resta',
+    'restato',
+    'arrivare',
+    'arriva',
+    'arrivato',
+    'arrivata',
+    'arriverà',
+    'partire',
+    'partito',
+    'uscire',
+    'esce',
+    'uscito',
+    'entrare',
+    'entra',
+    'entrato',
+    'sembrare',
+    'sembra',
+    'lasciare',
+    'lascia',
+    'lasciato',
+    'chiamare',
+    'chiama',
+    'chiamato',
+    'portare',
+    'porta',
+    'portato',
+    'tenere',
+    'tiene',
+    'tenuto',
+    'ordina',
+    'ordinato',
+    'ordinata',
+    'compra',
+    'comprato',
+    'vendere',
+    'vende',
+    'venduto',
+    'pagare',
+    'paga',
+    'pagato',
+    'invia',
+    'inviato',
+    'inviata',
+    'spedire',
+    'spedisce',
+    'spedito',
+    'spedita',
+    'consegnare',
+    'consegna',
+    'consegnato',
+    'consegnata',
+    'ricevere',
+    'riceve',
+    'ricevuto',
+    'ricevuta',
+    'aggiunge',
+    'aggiunto',
+    'elimina',
+    'eliminato',
+    'salva',
+    'salvato',
+    'modifica',
+    'modificato',
+    'cambiare',
+    'cambia',
+    'cambiato',
+    'confermare',
+    'conferma',
+    'confermato',
+    'verificare',
+    'verifica',
+    'verificato',
+    'aggiornare',
+    'aggiorna',
+    'aggiornato',
+    'accedi',
+    'registrare',
+    'registrato',
+    'iscriviti',
+    'scegliere',
+    'sceglie',
+    'scelto',
+    'selezionare',
+    'seleziona',
+    'selezionato',
+    'scaricare',
+    'scarica',
+    'scaricato',
+    'caricare',
+    'carica',
+    'caricato',
+    'condividere',
+    'condividi',
+    'condiviso',
+    'stampare',
+    'continuare',
+    'continua',
+    'continuato',
+    'accettare',
+    'accetta',
+    'accettato',
+    'rifiutare',
+    'rifiuta',
+    'annullare',
+    'annulla',
+    'annullato',
+    'aiutare',
+    'aiuta',
+    'aiutato',
+    'cerca',
+    'cercato',
+    'chiedere',
+    'chiede',
+    'chiesto',
+    'rispondere',
+    'risponde',
+    'risposto',
+    'aspettare',
+    'aspetta',
+    'aspettato',
+    'capire',
+    'capisce',
+    'capito',
+    'imparare',
+    'impara',
+    'imparato',
+    'leggere',
+    'legge',
+    'letto',
+    'scrivere',
+    'scrive',
+    'scritto',
+    'ascoltare',
+    'ascolta',
+    'sentire',
+    'sente',
+    'sentito',
+    'cominciare',
+    'comincia',
+    'cominciato',
+    'iniziare',
+    'inizia',
+    'iniziato',
+    'finire',
+    'finisce',
+    'finito',
+    'aprire',
+    'apre',
+    'aperto',
+    'aperta',
+    'chiudere',
+    'chiude',
+    'chiuso',
+    'chiusa',
+    'amare',
+    'ama',
+    'amato',
+    'piacere',
+    'piace',
+    'piaciuto',
+    'preferire',
+    'preferisce',
+    'sperare',
+    'spera',
+    'ringraziare',
+    'ringrazia',
+    'lavorare',
+    'lavora',
+    'lavorato',
+    'abitare',
+    'abita',
+    'vivere',
+    'vive',
+    'vissuto',
+    'mangiare',
+    'mangia',
+    'mangiato',
+    'bere',
+    'beve',
+    'bevuto',
+    'dormire',
+    'dorme',
+    'dormito',
+    'giocare',
+    'gioca',
+    'giocato',
+    'vincere',
+    'vince',
+    'vinto',
+    'perdere',
+    'perde',
+    'perso',
+    'dimenticare',
+    'dimentica',
+    'ricordare',
+    'ricorda',
+    'mostrare',
+    'mostra',
+    'mostrato',
+    'usare',
+    'usa',
+    'usato',
+    'utilizzare',
+    'utilizza',
+    'utilizzato',
+    'provare',
+    'prova',
+    'provato',
+    'contattare',
+    'contatta',
+    'contattaci',
+    'prenotare',
+    'prenota',
+    'prenotato',
+    'restituire',
+    'rimborsare',
+    'rimborsato',
+    'accede',
+    'accetto',
+    'accompagnare',
+    'acquistare',
+    'acquista',
+    'acquistato',
+    'agire',
+    'appaiono',
+    'apparire',
+    'applicare',
+    'apportare',
+    'approvare',
+    'aumentare',
+    'avanzare',
+    'abbassare',
+    'nascondere',
+    'calcolare',
+    'confrontare',
+    'completare',
+    'completato',
+    'comportare',
+    'contare',
+    'riguardare',
+    'condurre',
+    'conoscere',
+    'conosce',
+    'conservare',
+    'considerare',
+    'costruire',
+    'consultare',
+    'contenere',
+    'contiene',
+    'correggere',
+    'tagliare',
+    'costare',
+    'coprire',
+    'creare',
+    'crea',
+    'creato',
+    'decidere',
+    'decide',
+    'scoprire',
+    'descrivere',
+    'definire',
+    'dipendere',
+    'dipende',
+    'spendere',
+    'scendere',
+    'desiderare',
+    'diventare',
+    'diventa',
+    'dirigere',
+    'disporre',
+    'sparire',
+    'distribuire',
+    'dividere',
+    'effettuare',
+    'effettuato',
+    'impiegare',
+    'incoraggiare',
+    'togliere',
+    'stabilire',
+    'studiare',
+    'evitare',
+    'esistere',
+    'esiste',
+    'spiegare',
+    'esprimere',
+    'fatturare',
+    'facilitare',
+    'bisogna',
+    'fissare',
+    'formare',
+    'fornire',
+    'garantire',
+    'gestire',
+    'indicare',
+    'indicato',
+    'informare',
+    'installare',
+    'interessare',
+    'invitare',
+    'unire',
+    'giudicare',
+    'lanciare',
+    'liberare',
+    'legare',
+    'limitare',
+    'mancare',
+    'camminare',
+    'meritare',
+    'misurare',
+    'salire',
+    'morire',
+    'nascere',
+    'notare',
+    'ottenere',
+    'ottenuto',
+    'occupare',
+    'offrire',
+    'offerto',
+    'organizzare',
+    'partecipare',
+    'permettere',
+    'permette',
+    'piazzare',
+    'porre',
+    'possedere',
+    'spingere',
+    'praticare',
+    'prevedere',
+    'produrre',
+    'approfittare',
+    'programmare',
+    'proporre',
+    'propone',
+    'proteggere',
+    'dimostrare',
+    'pubblicare',
+    'raccontare',
+    'richiamare',
+    'realizzare',
+    'realizzato',
+    'riconoscere',
+    'ridurre',
+    'guardare',
+    'guarda',
+    'regolare',
+    'raggiungere',
+    'sostituire',
+    'riempire',
+    'rendere',
+    'rinnovare',
+    'rimandare',
+    'ripetere',
+    'rappresentare',
+    'risolvere',
+    'ritrovare',
+    'riuscire',
+    'svegliare',
+    'tornare',
+    'rivedere',
+    'salvataggio',
+    'firmare',
+    'soffrire',
+    'bastare',
+    'seguire',
+    'seguito',
+    'supportare',
+    'supporre',
+    'sorvegliare',
+    'tentare',
+    'tirare',
+    'cadere',
+    'toccare',
+    'girare',
+    'tradurre',
+    'trattare',
+    'trasferire',
+    'trasformare',
+    'uccidere',
+    'valere',
+    'visitare',
+    'volare',
+    'votare',
+    // Nouns
+    'tempo',
+    'anno',
+    'anni',
+    'giorno',
+    'giorni',
+    'settimana',
+    'mese',
+    'minuto',
+    'uomo',
+    'donna',
+    'bambino',
+    'bambini',
+    'famiglia',
+    'amico',
+    'amici',
+    'gente',
+    'mondo',
+    'paese',
+    'città',
+    'via',
+    'strada',
+    'casa',
+    'appartamento',
+    'scuola',
+    'lavoro',
+    'azienda',
+    'società',
+    'cliente',
+    'clienti',
+    'prezzo',
+    'soldi',
+    'conto',
+    'fattura',
+    'ordine',
+    'spedizione',
+    'pagamento',
+    'prodotto',
+    'prodotti',
+    'articolo',
+    'offerta',
+    'carrello',
+    'home',
+    'ricerca',
+    'aiuto',
+    'contatti',
+    'privacy',
+    'impostazioni',
+    'accesso',
+    'messaggio',
+    'messaggi',
+    'domanda',
+    'risposta',
+    'problema',
+    'esempio',
+    'fine',
+    'inizio',
+    'parte',
+    'nome',
+    'cognome',
+    'indirizzo',
+    'telefono',
+    'data',
+    'numero',
+    'informazioni',
+    'servizio',
+    'servizi',
+    'immagine',
+    'testo',
+    'elenco',
+    'risultato',
+    'risultati',
+    'vita',
+    'storia',
+    'libro',
+    'gioco',
+    'lingua',
+    'italiano',
+    'acqua',
+    'recensioni',
+    'sicurezza',
+    'password',
+    'utente',
+    'membro',
+    'squadra',
+    'ordini',
+    'pacco',
+    'pacchi',
+    'spedizioni',
+    'consegne',
+    'tracciamento',
+    'cassa',
+    'pagamenti',
+    'fatture',
+    'prezzi',
+    'tariffa',
+    'tariffe',
+    'offerte',
+    'promozione',
+    'promozioni',
+    'sconto',
+    'sconti',
+    'codice',
+    'coupon',
+    'carta',
+    'carte',
+    'credito',
+    'saldo',
+    'bonifico',
+    'articoli',
+    'negozio',
+    'negozi',
+    'marca',
+    'marche',
+    'marchio',
+    'modello',
+    'modelli',
+    'taglia',
+    'taglie',
+    'colore',
+    'colori',
+    'quantità',
+    'totale',
+    'subtotale',
+    'tassa',
+    'tasse',
+    'iva',
+    'spese',
+    'venditore',
+    'acquirente',
+    'fornitore',
+    'aziende',
+    'impresa',
+    'imprese',
+    'affare',
+    'affari',
+    'mercato',
+    'mercati',
+    'reso',
+    'resi',
+    'rimborso',
+    'garanzia',
+    'indirizzi',
+    'cap',
+    'paesi',
+    'regione',
+    'provincia',
+    'viale',
+    'piazza',
+    'quartiere',
+    'nomi',
+    'cognomi',
+    'cellulare',
+    'posta',
+    'email',
+    'nascita',
+    'età',
+    'sesso',
+    'utenti',
+    'profilo',
+    'sessione',
+    'preferenze',
+    'informativa',
+    'cookie',
+    'condizioni',
+    'termini',
+    'note',
+    'legali',
+    'pagina',
+    'pagine',
+    'menu',
+    'collegamento',
+    'link',
+    'pulsante',
+    'modulo',
+    'campo',
+    'campi',
+    'errore',
+    'errori',
+    'avviso',
+    'avvisi',
+    'notifica',
+    'notifiche',
+    'newsletter',
+    'iscrizione',
+    'abbonamento',
+    'versione',
+    'aggiornamento',
+    'download',
+    'file',
+    'documento',
+    'documenti',
+    'cartella',
+    'immagini',
+    'foto',
+    'video',
+    'sistema',
+    'sistemi',
+    'programma',
+    'programmi',
+    'applicazione',
+    'app',
+    'dispositivo',
+    'dispositivi',
+    'computer',
+    'schermo',
+    'rete',
+    'internet',
+    'connessione',
+    'dati',
+    'server',
+    'assistenza',
+    'contatto',
+    'domande',
+    'frequenti',
+    'informazione',
+    'rapporto',
+    'lista',
+    'tabella',
+    'riepilogo',
+    'dettagli',
+    'settimane',
+    'mesi',
+    'ore',
+    'minuti',
+    'momento',
+    'momenti',
+    'mattina',
+    'sera',
+    'notte',
+    'pomeriggio',
+    'lunedì',
+    'martedì',
+    'mercoledì',
+    'giovedì',
+    'venerdì',
+    'sabato',
+    'domenica',
+    'gennaio',
+    'febbraio',
+    'marzo',
+    'aprile',
+    'maggio',
+    'giugno',
+    'luglio',
+    'agosto',
+    'settembre',
+    'ottobre',
+    'novembre',
+    'dicembre',
+    'primavera',
+    'estate',
+    'autunno',
+    'inverno',
+    'signore',
+    'signora',
+    'signori',
+    'signorina',
+    'uomini',
+    'donne',
+    'bambina',
+    'ragazzo',
+    'ragazza',
+    'ragazzi',
+    'persona',
+    'persone',
+    'padre',
+    'madre',
+    'genitori',
+    'figlio',
+    'figli',
+    'figlia',
+    'figlie',
+    'fratello',
+    'fratelli',
+    'sorella',
+    'sorelle',
+    'nonno',
+    'nonna',
+    'zio',
+    'zia',
+    'cugino',
+    'cugina',
+    'marito',
+    'moglie',
+    'coppia',
+    'famiglie',
+    'amica',
+    'amiche',
+    'vicino',
+    'vicini',
+    'squadre',
+    'gruppo',
+    'gruppi',
+    'membri',
+    'socio',
+    'soci',
+    'collega',
+    'colleghi',
+    'dipendente',
+    'dipendenti',
+    'direttore',
+    'direttrice',
+    'capo',
+    'responsabile',
+    'governo',
+    'politica',
+    'partiti',
+    'leggi',
+    'presidente',
+    'ministro',
+    'ministero',
+    'comune',
+    'polizia',
+    'tribunale',
+    'giustizia',
+    'elezioni',
+    'case',
+    'appartamenti',
+    'camera',
+    'camere',
+    'cucina',
+    'bagno',
+    'salotto',
+    'giardino',
+    'finestra',
+    'finestre',
+    'muro',
+    'pavimento',
+    'tetto',
+    'piano',
+    'scala',
+    'edificio',
+    'edifici',
+    'chiesa',
+    'scuole',
+    'università',
+    'ospedale',
+    'farmacia',
+    'medico',
+    'medici',
+    'banca',
+    'banche',
+    'albergo',
+    'hotel',
+    'ristorante',
+    'ristoranti',
+    'bar',
+    'cinema',
+    'teatro',
+    'museo',
+    'stazione',
+    'aeroporto',
+    'lavori',
+    'ufficio',
+    'uffici',
+    'riunione',
+    'progetto',
+    'progetti',
+    'compito',
+    'compiti',
+    'obiettivo',
+    'piani',
+    'idea',
+    'idee',
+    'problemi',
+    'soluzione',
+    'soluzioni',
+    'risposte',
+    'cose',
+    'parti',
+    'modo',
+    'modi',
+    'caso',
+    'casi',
+    'luogo',
+    'luoghi',
+    'punto',
+    'punti',
+    'lato',
+    'tipo',
+    'tipi',
+    'genere',
+    'parola',
+    'parole',
+    'lingue',
+    'testi',
+    'libri',
+    'giornale',
+    'giornali',
+    'rivista',
+    'notizia',
+    'notizie',
+    'titolo',
+    'capitolo',
+    'cibo',
+    'pasto',
+    'colazione',
+    'pranzo',
+    'cena',
+    'pane',
+    'latte',
+    'carne',
+    'pesce',
+    'frutta',
+    'verdura',
+    'caffè',
+    'tè',
+    'vino',
+    'birra',
+    'vestiti',
+    'camicia',
+    'pantaloni',
+    'vestito',
+    'scarpa',
+    'scarpe',
+    'giacca',
+    'cappotto',
+    'borsa',
+    'macchina',
+    'auto',
+    'automobile',
+    'autobus',
+    'treno',
+    'treni',
+    'aereo',
+    'bicicletta',
+    'taxi',
+    'nave',
+    'viaggio',
+    'viaggi',
+    'biglietto',
+    'biglietti',
+    'volo',
+    'voli',
+    'prenotazione',
+    'prenotazioni',
+    'natura',
+    'terra',
+    'mare',
+    'fiume',
+    'montagna',
+    'montagne',
+    'bosco',
+    'albero',
+    'alberi',
+    'fiore',
+    'fiori',
+    'animale',
+    'animali',
+    'cane',
+    'cani',
+    'gatto',
+    'gatti',
+    'cielo',
+    'sole',
+    'pioggia',
+    'neve',
+    'vento',
+    'salute',
+    'malattia',
+    'corpo',
+    'testa',
+    'mano',
+    'mani',
+    'occhio',
+    'occhi',
+    'cuore',
+    'dolore',
+    'denaro',
+    'euro',
+    'dollaro',
+    'dollari',
+    'costo',
+    'costi',
+    'valore',
+    'musica',
+    'canzone',
+    'canzoni',
+    'film',
+    'arte',
+    'cultura',
+    'sport',
+    'calcio',
+    'giochi',
+    'partita',
+    'cambiamento',
+    'cambiamenti',
+    'livello',
+    'livelli',
+    'qualità',
+    'maggioranza',
+    'resto',
+    'centro',
+    'nord',
+    'sud',
+    'est',
+    'ovest',
+    'benvenuto',
+    'benvenuta',
+    'ciao',
+    'buongiorno',
+    'buonasera',
+    'azione',
+    'azioni',
+    'attività',
+    'accordo',
+    'accordi',
+    'amministrazione',
+    'agenzia',
+    'analisi',
+    'annuncio',
+    'annunci',
+    'appoggio',
+    'aspetto',
+    'attenzione',
+    'autore',
+    'autorità',
+    'base',
+    'basi',
+    'beneficio',
+    'benefici',
+    'campagna',
+    'capacità',
+    'capitale',
+    'carriera',
+    'categoria',
+    'categorie',
+    'causa',
+    'catena',
+    'cifra',
+    'scelta',
+    'chiave',
+    'clima',
+    'club',
+    'commento',
+    'commenti',
+    'commercio',
+    'commissione',
+    'comunicazione',
+    'comunità',
+    'concetto',
+    'condizione',
+    'conferenza',
+    'consiglio',
+    'consigli',
+    'consumo',
+    'contenuto',
+    'contenuti',
+    'contratto',
+    'contratti',
+    'controllo',
+    'crescita',
+    'crisi',
+    'corso',
+    'corsi',
+    'decisione',
+    'decisioni',
+    'difesa',
+    'diritto',
+    'diritti',
+    'sviluppo',
+    'descrizione',
+    'destinazione',
+    'differenza',
+    'direzione',
+    'distanza',
+    'economia',
+    'edizione',
+    'educazione',
+    'effetto',
+    'effetti',
+    'elemento',
+    'elementi',
+    'energia',
+    'ambiente',
+    'epoca',
+    'attrezzatura',
+    'spazio',
+    'specie',
+    'fase',
+    'fasi',
+    'studio',
+    'studi',
+    'evento',
+    'eventi',
+    'esperienza',
+    'fondo',
+    'fondi',
+    'funzione',
+    'formazione',
+    'forza',
+    'futuro',
+    'guadagno',
+    'gestione',
+    'grafico',
+    'guida',
+    'impatto',
+    'importanza',
+    'industria',
+    'installazione',
+    'strumento',
+    'intenzione',
+    'interesse',
+    'investimento',
+    'giudizio',
+    'lettura',
+    'libertà',
+    'licenza',
+    'linea',
+    'linee',
+    'logica',
+    'materiale',
+    'materiali',
+    'misura',
+    'misure',
+    'mezzo',
+    'mezzi',
+    'memoria',
+    'metodo',
+    'metodi',
+    'missione',
+    'motivo',
+    'movimento',
+    'necessità',
+    'nota',
+    'oggetto',
+    'oggetti',
+    'opera',
+    'opere',
+    'opzione',
+    'opzioni',
+    'opinione',
+    'organizzazione',
+    'origine',
+    'passo',
+    'passi',
+    'periodo',
+    'permesso',
+    'peso',
+    'piattaforma',
+    'scadenza',
+    'popolazione',
+    'posizione',
+    'pratica',
+    'premio',
+    'presenza',
+    'bilancio',
+    'principio',
+    'priorità',
+    'processo',
+    'produzione',
+    'professionista',
+    'professore',
+    'professoressa',
+    'proposta',
+    'protezione',
+    'prove',
+    'ragione',
+    'realtà',
+    'risorsa',
+    'risorse',
+    'relazione',
+    'relazioni',
+    'riparazione',
+    'requisito',
+    'requisiti',
+    'rischio',
+    'ritmo',
+    'uscita',
+    'settore',
+    'settori',
+    'senso',
+    'serie',
+    'situazione',
+    'argomento',
+    'argomenti',
+    'superficie',
+    'tema',
+    'temi',
+    'teoria',
+    'termine',
+    'territorio',
+    'trattamento',
+    'uso',
+    'varietà',
+    'velocità',
+    'vendita',
+    'vendite',
+    'vantaggio',
+    'vantaggi',
+    'voce',
+    'volta',
+    'volte',
+    // Adjectives and adverbs
+    'buono',
+    'buona',
+    'nuovo',
+    'nuova',
+    'grande',
+    'piccolo',
+    'piccola',
+    'primo',
+    'ultimo',
+    'ultima',
+    'altro',
+    'altra',
+    'stesso',
+    'importante',
+    'semplice',
+    'veloce',
+    'possibile',
+    'gratis',
+    'gratuito',
+    'diversi',
+    'buoni',
+    'buone',
+    'cattivo',
+    'cattiva',
+    'migliore',
+    'migliori',
+    'peggiore',
+    'nuovi',
+    'nuove',
+    'vecchio',
+    'vecchia',
+    'vecchi',
+    'grandi',
+    'piccoli',
+    'piccole',
+    'alto',
+    'alta',
+    'basso',
+    'bassa',
+    'lunga',
+    'corto',
+    'corta',
+    'breve',
+    'primi',
+    'ultimi',
+    'successivo',
+    'successiva',
+    'precedente',
+    'prossimo',
+    'prossima',
+    'importanti',
+    'facile',
+    'facili',
+    'difficile',
+    'difficili',
+    'veloci',
+    'lento',
+    'lenta',
+    'impossibile',
+    'necessario',
+    'necessaria',
+    'disponibile',
+    'disponibili',
+    'gratuita',
+    'sicuro',
+    'sicura',
+    'principale',
+    'principali',
+    'generale',
+    'generali',
+    'personale',
+    'personali',
+    'pubblico',
+    'pubblica',
+    'privato',
+    'privata',
+    'nazionale',
+    'internazionale',
+    'locale',
+    'sociale',
+    'certo',
+    'certa',
+    'vero',
+    'vera',
+    'falso',
+    'falsa',
+    'chiaro',
+    'chiara',
+    'solo',
+    'sola',
+    'proprio',
+    'propria',
+    'libero',
+    'libera',
+    'completo',
+    'completa',
+    'valido',
+    'felice',
+    'contento',
+    'triste',
+    'stanco',
+    'malato',
+    'giovane',
+    'giovani',
+    'anziano',
+    'ricco',
+    'povero',
+    'caro',
+    'cara',
+    'economico',
+    'bianco',
+    'bianca',
+    'nero',
+    'nera',
+    'rosso',
+    'rossa',
+    'blu',
+    'verde',
+    'giallo',
+    'grigio',
+    'abbastanza',
+    'quasi',
+    'soltanto',
+    'ancora',
+    'adesso',
+    'presto',
+    'tardi',
+    'qua',
+    'là',
+    'lontano',
+    'davanti',
+    'dietro',
+    'così',
+    'forse',
+    'davvero',
+    'soprattutto',
+    'infine',
+    'attualmente',
+    'normalmente',
+    'rapidamente',
+    'attuale',
+    'attuali',
+    'aggiuntivo',
+    'antico',
+    'antica',
+    'automatico',
+    'centrale',
+    'completi',
+    'corretto',
+    'corretta',
+    'corrente',
+    'diverso',
+    'diversa',
+    'diretto',
+    'diretta',
+    'economica',
+    'effettivo',
+    'intero',
+    'intera',
+    'essenziale',
+    'straniero',
+    'straniera',
+    'esatto',
+    'esclusivo',
+    'finale',
+    'forte',
+    'grosso',
+    'grossa',
+    'abituale',
+    'umano',
+    'umana',
+    'inferiore',
+    'interno',
+    'giusto',
+    'largo',
+    'leggero',
+    'leggera',
+    'limitato',
+    'pesante',
+    'massimo',
+    'minimo',
+    'moderno',
+    'moderna',
+    'medio',
+    'media',
+    'naturale',
+    'negativo',
+    'numerosi',
+    'normale',
+    'obbligatorio',
+    'ufficiale',
+    'originale',
+    'particolare',
+    'positivo',
+    'preciso',
+    'presente',
+    'pronto',
+    'pronta',
+    'probabile',
+    'profondo',
+    'recente',
+    'rotondo',
+    'serio',
+    'simile',
+    'solido',
+    'speciale',
+    'sufficiente',
+    'superiore',
+    'temporaneo',
+    'tipico',
+    'utile',
+    'visibile',
+    'assolutamente',
+    'certamente',
+    'chiaramente',
+    'completamente',
+    'direttamente',
+    'esattamente',
+    'facilmente',
+    'generalmente',
+    'immediatamente',
+    'giustamente',
+    'spesso',
+    'particolarmente',
+    'tuttavia',
+    'probabilmente',
+    'semplicemente',
+    'talmente',
+    'totalmente',
+    'velocemente',
+    'veramente',
+    'circa',
+    'insieme',
+    'altrimenti',
+    'piuttosto',
+  ],
+};
@@ -0,0 +1,1617 @@
+/**
+ * SafeSnap - Dutch Dictionary
+ *
+ * Common Dutch words for proper noun detection on Dutch pages and text segments
+ * (words at the start of a sentence or in a title would otherwise count as unknown)
+ */
+
+export const nlDictionary = {
+  /**
+   * Most common Dutch words
+   * Used to distinguish proper nouns from common words
+   */
+  commonWords: [
+    // Articles, pronouns, prepositions, conjunctions
+    'de',
+    'het',
+    'een',
+    'en',
+    'of',
+    'maar',
+    'want',
+    'dus',
+    'dat',
+    'die',
+    'dit',
+    'deze',
+    'als',
+    'wanneer',
+    'waar',
+    'omdat',
+    'hoewel',
+    'terwijl',
+    'tot',
+    'sinds',
+    'na',
+    'voor',
+    'naar',
+    'van',
+    'met',
+    'bij',
+    'uit',
+    'op',
+    'over',
+    'onder',
+    'naast',
+    'tussen',
+    'door',
+    'zonder',
+    'om',
+    'aan',
+    'in',
+    'ik',
+    'jij',
+    'je',
+    'hij',
+    'zij',
+    'ze',
+    'wij',
+    'we',
+    'jullie',
+    'u',
+    'mij',
+    'me',
+    'hem',
+    'haar',
+    'ons',
+    'hun',
+    'zich',
+    'mijn',
+    'jouw',
+    'uw',
+    'zijn',
+    'onze',
+    'elk',
+    'elke',
+    'ieder',
+    'geen',
+    'alle',
+    'alles',
+    'men',
+    'wie',
+    'wat',
+    'waarom',
+    'welke',
+    'niet',
+    'alleen',
+    'ook',
+    'nog',
+    'al',
+    'zeer',
+    'heel',
+    'zo',
+    'hier',
+    'daar',
+    'nu',
+    'vandaag',
+    'morgen',
+    'gisteren',
+    'altijd',
+    'nooit',
+    'vaak',
+    'meer',
+    'veel',
+    'weinig',
+    'ja',
+    'nee',
+    'alstublieft',
+    'graag',
+    'bedankt',
+    'dank',
+    'dan',
+    'weer',
+    'hen',
+    'zelf',
+    'elkaar',
+    'welk',
+    'hoe',
+    'hoeveel',
+    'waarmee',
+    'waarvoor',
+    'waarover',
+    'waardoor',
+    'waarin',
+    'daarom',
+    'daarna',
+    'daarmee',
+    'daarvoor',
+    'daarin',
+    'hierbij',
+    'hiermee',
+    'toen',
+    'zodat',
+    'tenzij',
+    'totdat',
+    'voordat',
+    'nadat',
+    'indien',
+    'mits',
+    'noch',
+    'zowel',
+    'boven',
+    'tegen',
+    'tijdens',
+    'binnen',
+    'buiten',
+    'achter',
+    'langs',
+    'rond',
+    'per',
+    'volgens',
+    'via',
+    'vanaf',
+    'iets',
+    'niets',
+    'iemand',
+    'niemand',
+    'iedere',
+    'iedereen',
+    'sommige',
+    'enkele',
+    'minder',
+    'meest',
+    'ander',
+    'beide',
+    "zo'n",
+    'zulke',
+    // Verbs
+    'is',
+    'was',
+    'waren',
+    'ben',
+    'bent',
+    'wordt',
+    'worden',
+    'werd',
+    'werden',
+    'heeft',
+    'hebben',
+    'had',
+    'hadden',
+    'heb',
+    'kan',
+    'kunnen',
+    'kon',
+    'moet',
+    'moeten',
+    'zal',
+    'zullen',
+    'wil',
+    'willen',
+    'mag',
+    'mogen',
+    'gaat',
+    'gaan',
+    'komt',
+    'komen',
+    'maken',
+    'zeggen',
+    'zien',
+    'weten',
+    'vinden',
+    'blijven',
+    'staan',
+    'liggen',
+    'laten',
+    'nemen',
+    'houden',
+    'brengen',
+    'denken',
+    'tonen',
+    'zoeken',
+    'kopen',
+    'bestellen',
+    'verzenden',
+    'opslaan',
+    'verwijderen',
+    'wijzigen',
+    'toevoegen',
+    'inloggen',
+    'uitloggen',
+    'registreren',
+    'geweest',
+    'zult',
+    'zou',
+    'zouden',
+    'geworden',
+    'hebt',
+    'gehad',
+    'kunt',
+    'konden',
+    'gekund',
+    'moest',
+    'moesten',
+    'gemoeten',
+    'wilt',
+    'wilde',
+    'wilden',
+    'gewild',
+    'mocht',
+    'mochten',
+    'ga',
+    'ging',
+    'gingen',
+    'gegaan',
+    'kom',
+    'kwam',
+    'kwamen',
+    'gekomen',
+    'doen',
+    'doe',
+    'doet',
+    'deed',
+    'deden',
+    'gedaan',
+    'maak',
+    'maakt',
+    'maakte',
+    'maakten',
+    'gemaakt',
+    'zeg',
+    'zegt',
+    'zei',
+    'zeiden',
+    'gezegd',
+    'zie',
+    'ziet',
+    'zag',
+    'zagen',
+    'gezien',
+    'weet',
+    'wist',
+    'wisten',
+    'geweten',
+    'vind',
+    'vindt',
+    'vond',
+    'vonden',
+    'gevonden',
+    'geven',
+    'geef',
+    'geeft',
+    'gaf',
+    'gaven',
+    'gegeven',
+    'neem',
+    'neemt',
+    'nam',
+    'namen',
+    'genomen',
+    'sta',
+    'staat',
+    'stond',
+    'stonden',
+    'gestaan',
+    'blijf',
+    'blijft',
+    'bleef',
+    'gebleven',
+    'ligt',
+    'lag',
+    'gelegen',
+    'laat',
+    'liet',
+    'gelaten',
+    'houdt',
+    'hield',
+    'gehouden',
+    'brengt',
+    'bracht',
+    'gebracht',
+    'denkt',
+    'dacht',
+    'gedacht',
+    'zoekt',
+    'zocht',
+    'gezocht',
+    'koopt',
+    'kocht',
+    'gekocht',
+    'verkopen',
+    'verkoopt',
+    'verkocht',
+    'betalen',
+    'betaalt',
+    'betaalde',
+    'betaald',
+    'bestelt',
+    'bestelde',
+    'besteld',
+    'verzendt',
+    'verzonden',
+    'versturen',
+    'verstuurt',
+    'verstuurd',
+    'verstuurde',
+    'sturen',
+    'stuurt',
+    'stuurde',
+    'gestuurd',
+    'bezorgen',
+    'bezorgt',
+    'bezorgd',
+    'bezorgde',
+    'leveren',
+    'levert',
+    'leverde',
+    'geleverd',
+    'afgeleverd',
+    'ontvangen',
+    'ontvangt',
+    'ontving',
+    'voegt',
+    'toegevoegd',
+    'verwijdert',
+    'verwijderd',
+    'slaat',
+    'opgeslagen',
+    'wijzigt',
+    'gewijzigd',
+    'veranderen',
+    'verandert',
+    'veranderd',
+    'logt',
+    'ingelogd',
+    'uitgelogd',
+    'aanmelden',
+    'aangemeld',
+    'afmelden',
+    'afgemeld',
+    'registreert',
+    'geregistreerd',
+    'bevestigen',
+    'bevestigt',
+    'bevestigd',
+    'controleren',
+    'controleert',
+    'gecontroleerd',
+    'bijwerken',
+    'bijgewerkt',
+    'kiezen',
+    'kiest',
+    'koos',
+    'gekozen',
+    'selecteren',
+    'selecteert',
+    'geselecteerd',
+    'downloaden',
+    'gedownload',
+    'uploaden',
+    'geüpload',
+    'delen',
+    'deelt',
+    'gedeeld',
+    'printen',
+    'afdrukken',
+    'kopiëren',
+    'doorgaan',
+    'verder',
+    'accepteren',
+    'geaccepteerd',
+    'weigeren',
+    'geweigerd',
+    'annuleren',
+    'geannuleerd',
+    'helpen',
+    'helpt',
+    'hielp',
+    'geholpen',
+    'vraagt',
+    'vroeg',
+    'gevraagd',
+    'antwoorden',
+    'antwoordt',
+    'beantwoorden',
+    'beantwoord',
+    'wachten',
+    'wacht',
+    'wachtte',
+    'gewacht',
+    'begrijpen',
+    'begrijpt',
+    'begreep',
+    'begrepen',
+    'leren',
+    'leert',
+    'leerde',
+    'geleerd',
+    'lezen',
+    'leest',
+    'las',
+    'gelezen',
+    'schrijven',
+    'schrijft',
+    'schreef',
+    'geschreven',
+    'luisteren',
+    'horen',
+    'hoort',
+    'hoorde',
+    'gehoord',
+    'beginnen',
+    'begint',
+    'begon',
+    'begonnen',
+    'eindigen',
+    'eindigt',
+    'stoppen',
+    'stopt',
+    'openen',
+    'opent',
+    'opende',
+    'geopend',
+    'sluiten',
+    'sluit',
+    'sloot',
+    'gesloten',
+    'lijken',
+    'lijkt',
+    'leek',
+    'geleken',
+    'hopen',
+    'hoopt',
+    'dachten',
+    'bedanken',
+    'danken',
+    'wensen',
+    'wenst',
+    'werken',
+    'werkt',
+    'werkte',
+    'gewerkt',
+    'wonen',
+    'woont',
+    'woonde',
+    'gewoond',
+    'leeft',
+    'leefde',
+    'geleefd',
+    'eet',
+    'at',
+    'gegeten',
+    'drinken',
+    'drinkt',
+    'dronk',
+    'gedronken',
+    'slapen',
+    'slaapt',
+    'sliep',
+    'geslapen',
+    'spelen',
+    'speelt',
+    'speelde',
+    'gespeeld',
+    'winnen',
+    'wint',
+    'won',
+    'gewonnen',
+    'verliezen',
+    'verliest',
+    'verloor',
+    'verloren',
+    'vergeten',
+    'vergeet',
+    'vergat',
+    'herinneren',
+    'toont',
+    'getoond',
+    'gebruiken',
+    'gebruikt',
+    'gebruikte',
+    'proberen',
+    'probeert',
+    'probeerde',
+    'geprobeerd',
+    'bellen',
+    'belt',
+    'belde',
+    'gebeld',
+    'reserveren',
+    'gereserveerd',
+    'retourneren',
+    'geretourneerd',
+    'terugbetalen',
+    'terugbetaald',
+    'volgen',
+    'volgt',
+    'volgde',
+    'gevolgd',
+    'reizen',
+    'reist',
+    'reisde',
+    'gereisd',
+    'rijden',
+    'rijdt',
+    'gereden',
+    'lopen',
+    'loopt',
+    'liep',
+    'gelopen',
+    'vliegen',
+    'vliegt',
+    'vloog',
+    'gevlogen',
+    'accepteert',
+    'begeleiden',
+    'aanschaffen',
+    'handelen',
+    'verschijnen',
+    'verschijnt',
+    'toepassen',
+    'aanbrengen',
+    'goedkeuren',
+    'verhogen',
+    'verlagen',
+    'verbergen',
+    'berekenen',
+    'laden',
+    'vergelijken',
+    'voltooien',
+    'voltooid',
+    'tellen',
+    'betreffen',
+    'leiden',
+    'kennen',
+    'kent',
+    'bewaren',
+    'overwegen',
+    'bouwen',
+    'raadplegen',
+    'bevatten',
+    'bevat',
+    'corrigeren',
+    'snijden',
+    'bedekken',
+    'creëren',
+    'aangemaakt',
+    'beslissen',
+    'beslist',
+    'ontdekken',
+    'beschrijven',
+    'definiëren',
+    'afhangen',
+    'hangt',
+    'uitgeven',
+    'dalen',
+    'beschikken',
+    'verdwijnen',
+    'verdelen',
+    'bewerken',
+    'bewerkt',
+    'uitvoeren',
+    'uitgevoerd',
+    'aanmoedigen',
+    'vestigen',
+    'studeren',
+    'vermijden',
+    'bestaan',
+    'bestaat',
+    'uitleggen',
+    'uitdrukken',
+    'factureren',
+    'vergemakkelijken',
+    'vastleggen',
+    'vormen',
+    'garanderen',
+    'beheren',
+    'aangeven',
+    'aangegeven',
+    'informeren',
+    'installeren',
+    'interesseren',
+    'uitnodigen',
+    'verbinden',
+    'beoordelen',
+    'lanceren',
+    'bevrijden',
+    'koppelen',
+    'beperken',
+    'ontbreken',
+    'ontbreekt',
+    'wandelen',
+    'verdienen',
+    'meten',
+    'stijgen',
+    'sterven',
+    'geboren',
+    'noteren',
+    'verkrijgen',
+    'bezetten',
+    'aanbieden',
+    'organiseren',
+    'deelnemen',
+    'toestaan',
+    'plaatsen',
+    'bevallen',
+    'bezitten',
+    'duwen',
+    'oefenen',
+    'voorzien',
+    'produceren',
+    'profiteren',
+    'programmeren',
+    'voorstellen',
+    'beschermen',
+    'bewijzen',
+    'publiceren',
+    'verlaten',
+    'vertellen',
+    'realiseren',
+    'erkennen',
+    'verminderen',
+    'kijken',
+    'kijkt',
+    'regelen',
+    'bereiken',
+    'vervangen',
+    'invullen',
+    'ingevuld',
+    'vernieuwen',
+    'herhalen',
+    'vertegenwoordigen',
+    'oplossen',
+    'terugvinden',
+    'slagen',
+    'wekken',
+    'terugkomen',
+    'ondertekenen',
+    'lijden',
+    'volstaan',
+    'steunen',
+    'veronderstellen',
+    'bewaken',
+    'trekken',
+    'vallen',
+    'aanraken',
+    'draaien',
+    'vertalen',
+    'behandelen',
+    'overdragen',
+    'omzetten',
+    'doden',
+    'verenigen',
+    'bezoeken',
+    'bezoekt',
+    'stemmen',
+    // Nouns
+    'tijd',
+    'jaar',
+    'jaren',
+    'dag',
+    'dagen',
+    'week',
+    'maand',
+    'uur',
+    'minuut',
+    'mens',
+    'mensen',
+    'vrouw',
+    'man',
+    'kind',
+    'kinderen',
+    'familie',
+    'gezin',
+    'vriend',
+    'vrienden',
+    'wereld',
+    'land',
+    'stad',
+    'straat',
+    'huis',
+    'woning',
+    'kamer',
+    'school',
+    'werk',
+    'bedrijf',
+    'klant',
+    'klanten',
+    'prijs',
+    'prijzen',
+    'geld',
+    'rekening',
+    'factuur',
+    'bestelling',
+    'levering',
+    'verzending',
+    'betaling',
+    'product',
+    'producten',
+    'artikel',
+    'aanbieding',
+    'winkelwagen',
+    'kassa',
+    'pagina',
+    'hulp',
+    'klantenservice',
+    'privacy',
+    'instellingen',
+    'bericht',
+    'berichten',
+    'vraag',
+    'vragen',
+    'antwoord',
+    'probleem',
+    'voorbeeld',
+    'einde',
+    'begin',
+    'deel',
+    'reden',
+    'naam',
+    'voornaam',
+    'achternaam',
+    'adres',
+    'telefoon',
+    'datum',
+    'nummer',
+    'informatie',
+    'dienst',
+    'diensten',
+    'afbeelding',
+    'tekst',
+    'lijst',
+    'resultaat',
+    'resultaten',
+    'weg',
+    'hand',
+    'leven',
+    'verhaal',
+    'boek',
+    'spel',
+    'taal',
+    'nederlands',
+    'water',
+    'eten',
+    'beoordelingen',
+    'overzicht',
+    'veiligheid',
+    'wachtwoord',
+    'gebruiker',
+    'lid',
+    'team',
+    'pakket',
+    'pakketten',
+    'pakje',
+    'zending',
+    'zendingen',
+    'leveringen',
+    'bezorging',
+    'bezorger',
+    'bezorgers',
+    'bezorgdienst',
+    'track',
+    'trace',
+    'winkelmand',
+    'betalingen',
+    'facturen',
+    'bon',
+    'aanbiedingen',
+    'actie',
+    'acties',
+    'korting',
+    'kortingen',
+    'kortingscode',
+    'code',
+    'coupon',
+    'tegoedbon',
+    'cadeaubon',
+    'kaart',
+    'kaarten',
+    'creditcard',
+    'rekeningen',
+    'saldo',
+    'overschrijving',
+    'artikelen',
+    'winkel',
+    'winkels',
+    'webshop',
+    'merk',
+    'merken',
+    'model',
+    'modellen',
+    'maat',
+    'maten',
+    'kleur',
+    'kleuren',
+    'aantal',
+    'totaal',
+    'subtotaal',
+    'belasting',
+    'btw',
+    'kosten',
+    'verzendkosten',
+    'verkoper',
+    'koper',
+    'leverancier',
+    'bedrijven',
+    'onderneming',
+    'zaak',
+    'zaken',
+    'markt',
+    'markten',
+    'retour',
+    'retourzending',
+    'terugbetaling',
+    'garantie',
+    'status',
+    'adressen',
+    'postcode',
+    'woonplaats',
+    'plaats',
+    'steden',
+    'landen',
+    'provincie',
+    'regio',
+    'plein',
+    'wijk',
+    'telefoonnummer',
+    'mobiel',
+    'mail',
+    'e-mail',
+    'data',
+    'geboortedatum',
+    'leeftijd',
+    'geslacht',
+    'gebruikers',
+    'gebruikersnaam',
+    'wachtwoorden',
+    'profiel',
+    'sessie',
+    'toegang',
+    'voorkeuren',
+    'beleid',
+    'cookies',
+    'voorwaarden',
+    'algemene',
+    'paginas',
+    'startpagina',
+    'zoekresultaten',
+    'menu',
+    'link',
+    'links',
+    'knop',
+    'formulier',
+    'veld',
+    'velden',
+    'fout',
+    'fouten',
+    'foutmelding',
+    'melding',
+    'meldingen',
+    'waarschuwing',
+    'nieuwsbrief',
+    'abonnement',
+    'versie',
+    'update',
+    'download',
+    'bestand',
+    'bestanden',
+    'document',
+    'documenten',
+    'map',
+    'afbeeldingen',
+    'foto',
+    'fotos',
+    'video',
+    'videos',
+    'systeem',
+    'systemen',
+    'programma',
+    "programma's",
+    'toepassing',
+    'app',
+    'apparaat',
+    'apparaten',
+    'computer',
+    'scherm',
+    'netwerk',
+    'internet',
+    'verbinding',
+    'gegevens',
+    'server',
+    'ondersteuning',
+    'contact',
+    'veelgestelde',
+    'rapport',
+    'lijsten',
+    'tabel',
+    'samenvatting',
+    'details',
+    'weken',
+    'maanden',
+    'uren',
+    'minuten',
+    'seconde',
+    'moment',
+    'ochtend',
+    'middag',
+    'avond',
+    'nacht',
+    'weekend',
+    'maandag',
+    'dinsdag',
+    'woensdag',
+    'donderdag',
+    'vrijdag',
+    'zaterdag',
+    'zondag',
+    'januari',
+    'februari',
+    'maart',
+    'april',
+    'juni',
+    'juli',
+    'augustus',
+    'september',
+    'oktober',
+    'november',
+    'december',
+    'lente',
+    'voorjaar',
+    'zomer',
+    'herfst',
+    'najaar',
+    'winter',
+    'meneer',
+    'mevrouw',
+    'heer',
+    'heren',
+    'dames',
+    'mannen',
+    'vrouwen',
+    'jongen',
+    'jongens',
+    'meisje',
+    'meisjes',
+    'persoon',
+    'personen',
+    'vader',
+    'moeder',
+    'ouders',
+    'zoon',
+    'zonen',
+    'dochter',
+    'dochters',
+    'broer',
+    'broers',
+    'zus',
+    'zussen',
+    'opa',
+    'oma',
+    'oom',
+    'tante',
+    'neef',
+    'nicht',
+    'echtgenoot',
+    'echtgenote',
+    'partner',
+    'gezinnen',
+    'vriendin',
+    'vriendinnen',
+    'buurman',
+    'buurvrouw',
+    'buren',
+    'teams',
+    'groep',
+    'groepen',
+    'leden',
+    'collega',
+    "collega's",
+    'medewerker',
+    'medewerkers',
+    'werknemer',
+    'werknemers',
+    'baas',
+    'directeur',
+    'manager',
+    'chef',
+    'regering',
+    'overheid',
+    'politiek',
+    'partij',
+    'partijen',
+    'wet',
+    'wetten',
+    'president',
+    'minister',
+    'ministerie',
+    'gemeente',
+    'politie',
+    'rechter',
+    'rechtbank',
+    'verkiezingen',
+    'huizen',
+    'woningen',
+    'appartement',
+    'kamers',
+    'keuken',
+    'badkamer',
+    'woonkamer',
+    'slaapkamer',
+    'tuin',
+    'deur',
+    'deuren',
+    'raam',
+    'ramen',
+    'muur',
+    'vloer',
+    'dak',
+    'verdieping',
+    'trap',
+    'gebouw',
+    'gebouwen',
+    'kerk',
+    'scholen',
+    'universiteit',
+    'ziekenhuis',
+    'apotheek',
+    'dokter',
+    'arts',
+    'artsen',
+    'bank',
+    'banken',
+    'hotel',
+    'hotels',
+    'restaurant',
+    'restaurants',
+    'café',
+    'bioscoop',
+    'theater',
+    'museum',
+    'station',
+    'vliegveld',
+    'luchthaven',
+    'baan',
+    'banen',
+    'kantoor',
+    'kantoren',
+    'vergadering',
+    'project',
+    'projecten',
+    'taak',
+    'taken',
+    'doel',
+    'doelen',
+    'plan',
+    'plannen',
+    'idee',
+    'ideeën',
+    'problemen',
+    'oplossing',
+    'oplossingen',
+    'geschiedenis',
+    'ding',
+    'dingen',
+    'manier',
+    'manieren',
+    'geval',
+    'gevallen',
+    'plek',
+    'punt',
+    'punten',
+    'kant',
+    'soort',
+    'soorten',
+    'woord',
+    'woorden',
+    'talen',
+    'teksten',
+    'boeken',
+    'krant',
+    'kranten',
+    'tijdschrift',
+    'nieuws',
+    'titel',
+    'hoofdstuk',
+    'maaltijd',
+    'ontbijt',
+    'lunch',
+    'diner',
+    'avondeten',
+    'brood',
+    'melk',
+    'vlees',
+    'vis',
+    'fruit',
+    'groente',
+    'groenten',
+    'koffie',
+    'thee',
+    'wijn',
+    'bier',
+    'kleding',
+    'kleren',
+    'overhemd',
+    'broek',
+    'jurk',
+    'schoen',
+    'schoenen',
+    'jas',
+    'tas',
+    'auto',
+    "auto's",
+    'bus',
+    'trein',
+    'treinen',
+    'vliegtuig',
+    'fiets',
+    'taxi',
+    'boot',
+    'schip',
+    'reis',
+    'kaartje',
+    'ticket',
+    'tickets',
+    'vlucht',
+    'vluchten',
+    'reservering',
+    'reserveringen',
+    'natuur',
+    'aarde',
+    'zee',
+    'rivier',
+    'bergen',
+    'bossen',
+    'boom',
+    'bomen',
+    'bloem',
+    'bloemen',
+    'dier',
+    'dieren',
+    'hond',
+    'honden',
+    'kat',
+    'katten',
+    'lucht',
+    'zon',
+    'regen',
+    'sneeuw',
+    'wind',
+    'gezondheid',
+    'ziekte',
+    'lichaam',
+    'hoofd',
+    'handen',
+    'oog',
+    'ogen',
+    'hart',
+    'pijn',
+    'euro',
+    "euro's",
+    'dollar',
+    'waarde',
+    'muziek',
+    'lied',
+    'liedje',
+    'film',
+    'films',
+    'kunst',
+    'cultuur',
+    'sport',
+    'voetbal',
+    'spellen',
+    'wedstrijd',
+    'verandering',
+    'veranderingen',
+    'niveau',
+    'kwaliteit',
+    'meerderheid',
+    'rest',
+    'centrum',
+    'noord',
+    'zuid',
+    'oost',
+    'west',
+    'welkom',
+    'hallo',
+    'doei',
+    'activiteit',
+    'activiteiten',
+    'akkoord',
+    'administratie',
+    'bureau',
+    'analyse',
+    'advertentie',
+    'advertenties',
+    'steun',
+    'aspect',
+    'aandacht',
+    'auteur',
+    'autoriteit',
+    'advies',
+    'basis',
+    'voordeel',
+    'voordelen',
+    'campagne',
+    'capaciteit',
+    'kapitaal',
+    'carrière',
+    'categorie',
+    'categorieën',
+    'oorzaak',
+    'keten',
+    'cijfer',
+    'cijfers',
+    'keuze',
+    'sleutel',
+    'klimaat',
+    'club',
+    'commentaar',
+    'opmerking',
+    'opmerkingen',
+    'handel',
+    'commissie',
+    'communicatie',
+    'gemeenschap',
+    'begrip',
+    'voorwaarde',
+    'conferentie',
+    'raad',
+    'verbruik',
+    'inhoud',
+    'contract',
+    'contracten',
+    'controle',
+    'groei',
+    'crisis',
+    'cursus',
+    'cursussen',
+    'beslissing',
+    'beslissingen',
+    'verdediging',
+    'recht',
+    'rechten',
+    'ontwikkeling',
+    'beschrijving',
+    'bestemming',
+    'verschil',
+    'richting',
+    'afstand',
+    'economie',
+    'editie',
+    'onderwijs',
+    'effect',
+    'effecten',
+    'element',
+    'elementen',
+    'energie',
+    'omgeving',
+    'tijdperk',
+    'uitrusting',
+    'ruimte',
+    'fase',
+    'fasen',
+    'studie',
+    'studies',
+    'evenement',
+    'evenementen',
+    'ervaring',
+    'ervaringen',
+    'fonds',
+    'functie',
+    'opleiding',
+    'kracht',
+    'toekomst',
+    'winst',
+    'beheer',
+    'grafiek',
+    'gids',
+    'beeld',
+    'invloed',
+    'belang',
+    'industrie',
+    'installatie',
+    'instrument',
+    'bedoeling',
+    'interesse',
+    'investering',
+    'oordeel',
+    'lezing',
+    'vrijheid',
+    'licentie',
+    'lijn',
+    'lijnen',
+    'logica',
+    'materiaal',
+    'materialen',
+    'maatregel',
+    'maatregelen',
+    'midden',
+    'middel',
+    'middelen',
+    'geheugen',
+    'methode',
+    'methoden',
+    'missie',
+    'beweging',
+    'noodzaak',
+    'notitie',
+    'notities',
+    'object',
+    'objecten',
+    'optie',
+    'opties',
+    'mening',
+    'orde',
+    'organisatie',
+    'oorsprong',
+    'stap',
+    'stappen',
+    'periode',
+    'vergunning',
+    'gewicht',
+    'platform',
+    'termijn',
+    'bevolking',
+    'macht',
+    'positie',
+    'praktijk',
+    'aanwezigheid',
+    'budget',
+    'principe',
+    'prioriteit',
+    'proces',
+    'processen',
+    'productie',
+    'professional',
+    'leraar',
+    'lerares',
+    'voorstel',
+    'bescherming',
+    'bewijs',
+    'publiek',
+    'realiteit',
+    'bron',
+    'bronnen',
+    'relatie',
+    'relaties',
+    'reparatie',
+    'eis',
+    'eisen',
+    'uitkomst',
+    'risico',
+    'ritme',
+    'uitgang',
+    'sector',
+    'sectoren',
+    'zin',
+    'serie',
+    'situatie',
+    'onderwerp',
+    'onderwerpen',
+    'oppervlak',
+    'thema',
+    "thema's",
+    'theorie',
+    'term',
+    'gebied',
+    'behandeling',
+    'gebruik',
+    'variatie',
+    'snelheid',
+    'verkoop',
+    'uitzicht',
+    'stem',
+    'keer',
+    'keren',
+    // Adjectives and adverbs
+    'goed',
+    'nieuw',
+    'nieuwe',
+    'oud',
+    'groot',
+    'grote',
+    'klein',
+    'kleine',
+    'lang',
+    'kort',
+    'eerste',
+    'laatste',
+    'andere',
+    'eigen',
+    'belangrijk',
+    'eenvoudig',
+    'snel',
+    'mogelijk',
+    'mooi',
+    'gratis',
+    'meerdere',
+    'goede',
+    'beter',
+    'beste',
+    'slecht',
+    'slechte',
+    'oude',
+    'lange',
+    'korte',
+    'hoog',
+    'hoge',
+    'laag',
+    'lage',
+    'tweede',
+    'derde',
+    'volgende',
+    'vorige',
+    'vorig',
+    'belangrijke',
+    'makkelijk',
+    'gemakkelijk',
+    'moeilijk',
+    'snelle',
+    'langzaam',
+    'onmogelijk',
+    'nodig',
+    'noodzakelijk',
+    'beschikbaar',
+    'veilig',
+    'zeker',
+    'algemeen',
+    'persoonlijk',
+    'persoonlijke',
+    'openbaar',
+    'openbare',
+    'privé',
+    'nationaal',
+    'nationale',
+    'internationaal',
+    'internationale',
+    'lokaal',
+    'lokale',
+    'sociaal',
+    'sociale',
+    'echt',
+    'echte',
+    'vals',
+    'duidelijk',
+    'enig',
+    'enige',
+    'vrij',
+    'open',
+    'dicht',
+    'compleet',
+    'volledig',
+    'geldig',
+    'ongeldig',
+    'blij',
+    'gelukkig',
+    'tevreden',
+    'verdrietig',
+    'moe',
+    'ziek',
+    'jonge',
+    'rijk',
+    'arm',
+    'duur',
+    'goedkoop',
+    'witte',
+    'zwart',
+    'zwarte',
+    'rood',
+    'rode',
+    'blauw',
+    'blauwe',
+    'groen',
+    'groene',
+    'geel',
+    'gele',
+    'grijs',
+    'erg',
+    'bijna',
+    'slechts',
+    'soms',
+    'straks',
+    'later',
+    'eerder',
+    'ergens',
+    'nergens',
+    'overal',
+    'dichtbij',
+    'ver',
+    'beneden',
+    'samen',
+    'misschien',
+    'natuurlijk',
+    'eigenlijk',
+    'vooral',
+    'eindelijk',
+    'wel',
+    'toch',
+    'huidig',
+    'huidige',
+    'aanvullend',
+    'automatisch',
+    'automatische',
+    'centraal',
+    'centrale',
+    'gemeenschappelijk',
+    'correct',
+    'correcte',
+    'verschillend',
+    'verschillende',
+    'direct',
+    'directe',
+    'divers',
+    'economisch',
+    'economische',
+    'effectief',
+    'geheel',
+    'gehele',
+    'essentieel',
+    'buitenlands',
+    'buitenlandse',
+    'exact',
+    'exclusief',
+    'definitief',
+    'sterk',
+    'sterke',
+    'dik',
+    'gewoon',
+    'gewone',
+    'menselijk',
+    'lager',
+    'binnenste',
+    'eerlijk',
+    'breed',
+    'licht',
+    'beperkt',
+    'zwaar',
+    'maximaal',
+    'minimaal',
+    'modern',
+    'moderne',
+    'gemiddeld',
+    'gemiddelde',
+    'natuurlijke',
+    'negatief',
+    'talrijk',
+    'normaal',
+    'normale',
+    'verplicht',
+    'verplichte',
+    'officieel',
+    'officiële',
+    'origineel',
+    'bijzonder',
+    'bijzondere',
+    'positief',
+    'precies',
+    'aanwezig',
+    'klaar',
+    'waarschijnlijk',
+    'diep',
+    'recent',
+    'recente',
+    'regelmatig',
+    'serieus',
+    'vergelijkbaar',
+    'stevig',
+    'speciaal',
+    'speciale',
+    'voldoende',
+    'hoger',
+    'tijdelijk',
+    'typisch',
+    'nuttig',
+    'zichtbaar',
+    'absoluut',
+    'momenteel',
+    'rechtstreeks',
+    'meestal',
+    'onmiddellijk',
+    'juist',
+    'echter',
+    'werkelijk',
+    'ongeveer',
+    'anders',
+    'liever',
+  ],
+};
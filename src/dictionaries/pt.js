@@ -0,0 +1,1754 @@
+/**
+ * SafeSnap - Portuguese Dictionary
+ *
+ * Common Portuguese words for proper noun detection on Portuguese pages and text segments
+ * (words at the start of a sentence or in a title would otherwise count as unknown)
+ */
+
+export const ptDictionary = {
+  /**
+   * Most common Portuguese words
+   * Used to distinguish proper nouns from common words
+   */
+  commonWords: [
+    // Articles, pronouns, prepositions, conjunctions
+    'o',
+    'a',
+    'os',
+    'as',
+    'um',
+    'uma',
+    'uns',
+    'umas',
+    'e',
+    'ou',
+    'mas',
+    'porém',
+    'que',
+    'quem',
+    'como',
+    'quando',
+    'onde',
+    'porque',
+    'se',
+    'nem',
+    'de',
+    'do',
+    'da',
+    'dos',
+    'das',
+    'em',
+    'no',
+    'na',
+    'nos',
+    'nas',
+    'com',
+    'sem',
+    'por',
+    'pelo',
+    'pela',
+    'para',
+    'sobre',
+    'entre',
+    'até',
+    'desde',
+    'contra',
+    'durante',
+    'antes',
+    'depois',
+    'eu',
+    'tu',
+    'ele',
+    'ela',
+    'nós',
+    'vós',
+    'eles',
+    'elas',
+    'você',
+    'vocês',
+    'me',
+    'te',
+    'lhe',
+    'lhes',
+    'meu',
+    'minha',
+    'meus',
+    'minhas',
+    'teu',
+    'tua',
+    'seu',
+    'sua',
+    'seus',
+    'suas',
+    'nosso',
+    'nossa',
+    'este',
+    'esta',
+    'estes',
+    'estas',
+    'esse',
+    'essa',
+    'isso',
+    'isto',
+    'todo',
+    'toda',
+    'todos',
+    'todas',
+    'cada',
+    'nenhum',
+    'nenhuma',
+    'não',
+    'sim',
+    'muito',
+    'mais',
+    'menos',
+    'também',
+    'já',
+    'aqui',
+    'ali',
+    'agora',
+    'hoje',
+    'amanhã',
+    'ontem',
+    'sempre',
+    'nunca',
+    'obrigado',
+    'obrigada',
+    'bem',
+    'mal',
+    'então',
+    'ao',
+    'aos',
+    'à',
+    'às',
+    'pelos',
+    'pelas',
+    'num',
+    'numa',
+    'dum',
+    'duma',
+    'esses',
+    'essas',
+    'aquele',
+    'aquela',
+    'aqueles',
+    'aquelas',
+    'aquilo',
+    'teus',
+    'tuas',
+    'nossos',
+    'nossas',
+    'vosso',
+    'vossa',
+    'dele',
+    'dela',
+    'deles',
+    'delas',
+    'mim',
+    'ti',
+    'si',
+    'comigo',
+    'contigo',
+    'conosco',
+    'connosco',
+    'qual',
+    'quais',
+    'cujo',
+    'cuja',
+    'quanto',
+    'quanta',
+    'quantos',
+    'quantas',
+    'porquê',
+    'pois',
+    'contudo',
+    'todavia',
+    'logo',
+    'portanto',
+    'enquanto',
+    'embora',
+    'sob',
+    'perante',
+    'após',
+    'ante',
+    'através',
+    'segundo',
+    'conforme',
+    'exceto',
+    'algo',
+    'nada',
+    'alguém',
+    'ninguém',
+    'algum',
+    'alguma',
+    'alguns',
+    'algumas',
+    'outros',
+    'outras',
+    'mesma',
+    'mesmos',
+    'mesmas',
+    'tanto',
+    'tanta',
+    'tantos',
+    'tantas',
+    'várias',
+    'ambos',
+    'ambas',
+    'qualquer',
+    'quaisquer',
+    // Verbs
+    'é',
+    'são',
+    'era',
+    'eram',
+    'ser',
+    'sou',
+    'somos',
+    'está',
+    'estão',
+    'estar',
+    'estou',
+    'tem',
+    'têm',
+    'ter',
+    'tenho',
+    'tinha',
+    'há',
+    'havia',
+    'faz',
+    'fazer',
+    'pode',
+    'podem',
+    'poder',
+    'deve',
+    'dever',
+    'quer',
+    'querer',
+    'vai',
+    'ir',
+    'vem',
+    'vir',
+    'diz',
+    'dizer',
+    'ver',
+    'saber',
+    'encontrar',
+    'dar',
+    'pôr',
+    'falar',
+    'comprar',
+    'pedir',
+    'enviar',
+    'guardar',
+    'salvar',
+    'excluir',
+    'alterar',
+    'adicionar',
+    'entrar',
+    'sair',
+    'buscar',
+    'pesquisar',
+    'cadastrar',
+    'és',
+    'eras',
+    'éramos',
+    'foi',
+    'foram',
+    'sido',
+    'será',
+    'serão',
+    'seria',
+    'seriam',
+    'seja',
+    'sejam',
+    'estás',
+    'estamos',
+    'estava',
+    'estavam',
+    'esteve',
+    'estiveram',
+    'estado',
+    'estará',
+    'haver',
+    'houve',
+    'haverá',
+    'haja',
+    'tens',
+    'temos',
+    'tinham',
+    'teve',
+    'tiveram',
+    'tido',
+    'terá',
+    'teria',
+    'tenha',
+    'faço',
+    'fazemos',
+    'fazem',
+    'fazia',
+    'fez',
+    'fizeram',
+    'feito',
+    'feita',
+    'fará',
+    'faria',
+    'faça',
+    'vou',
+    'vais',
+    'vamos',
+    'vão',
+    'ia',
+    'iam',
+    'ido',
+    'irá',
+    'vá',
+    'posso',
+    'podes',
+    'podemos',
+    'podia',
+    'pôde',
+    'podido',
+    'poderá',
+    'poderia',
+    'possa',
+    'digo',
+    'dizemos',
+    'dizem',
+    'dizia',
+    'disse',
+    'disseram',
+    'dito',
+    'dirá',
+    'diga',
+    'quero',
+    'queremos',
+    'querem',
+    'queria',
+    'quis',
+    'querido',
+    'sei',
+    'sabe',
+    'sabemos',
+    'sabem',
+    'sabia',
+    'soube',
+    'sabido',
+    'vejo',
+    'vê',
+    'vemos',
+    'veem',
+    'via',
+    'viu',
+    'viram',
+    'visto',
+    'vista',
+    'verá',
+    'veja',
+    'dou',
+    'dá',
+    'damos',
+    'dão',
+    'dava',
+    'deu',
+    'deram',
+    'dado',
+    'dará',
+    'dê',
+    'venho',
+    'vimos',
+    'vêm',
+    'vinha',
+    'veio',
+    'vieram',
+    'vindo',
+    'virá',
+    'venha',
+    'chegar',
+    'chega',
+    'chegou',
+    'chegado',
+    'chegará',
+    'ficar',
+    'fica',
+    'ficou',
+    'ficado',
+    'põe',
+    'pôs',
+    'posto',
+    'passar',
+    'passa',
+    'passou',
+    'passado',
+    'devo',
+    'devemos',
+    'devem',
+    'devia',
+    'deveria',
+    'achar',
+    'acho',
+    'acha',
+    'achou',
+    'encontra',
+    'encontrou',
+    'encontrado',
+    'chamar',
+    'chama',
+    'chamou',
+    'chamado',
+    'levar',
+    'leva',
+    'levou',
+    'levado',
+    'deixar',
+    'deixa',
+    'deixou',
+    'deixado',
+    'parecer',
+    'parece',
+    'pareceu',
+    'acreditar',
+    'acredita',
+    'falo',
+    'fala',
+    'falam',
+    'falou',
+    'falado',
+    'pensar',
+    'penso',
+    'pensa',
+    'pensou',
+    'sai',
+    'saiu',
+    'saído',
+    'voltar',
+    'volta',
+    'voltou',
+    'tomar',
+    'toma',
+    'tomou',
+    'conhecer',
+    'conhece',
+    'conheceu',
+    'conhecido',
+    'viver',
+    'vive',
+    'viveu',
+    'vivido',
+    'sentir',
+    'sente',
+    'sentiu',
+    'trabalhar',
+    'trabalha',
+    'trabalhou',
+    'esperar',
+    'espera',
+    'esperou',
+    'busca',
+    'buscou',
+    'procurar',
+    'procura',
+    'procurou',
+    'compra',
+    'comprou',
+    'comprado',
+    'vender',
+    'vende',
+    'vendeu',
+    'vendido',
+    'pagar',
+    'paga',
+    'pagou',
+    'pago',
+    'envia',
+    'enviou',
+    'enviado',
+    'enviada',
+    'receber',
+    'recebe',
+    'recebeu',
+    'recebido',
+    'recebida',
+    'pede',
+    'pediu',
+    'adiciona',
+    'adicionado',
+    'exclui',
+    'excluído',
+    'apagar',
+    'apaga',
+    'apagado',
+    'remover',
+    'remove',
+    'removido',
+    'guarda',
+    'guardado',
+    'salva',
+    'salvo',
+    'mudar',
+    'muda',
+    'mudou',
+    'altera',
+    'alterado',
+    'entra',
+    'entrou',
+    'iniciar',
+    'inicia',
+    'fechar',
+    'fecha',
+    'fechado',
+    'abrir',
+    'abre',
+    'aberto',
+    'aberta',
+    'registar',
+    'registrar',
+    'regista',
+    'registrado',
+    'registado',
+    'cadastro',
+    'confirmar',
+    'confirma',
+    'confirmado',
+    'verificar',
+    'verifica',
+    'verificado',
+    'atualizar',
+    'atualiza',
+    'atualizado',
+    'actualizar',
+    'selecionar',
+    'seleciona',
+    'selecionado',
+    'escolher',
+    'escolhe',
+    'escolhido',
+    'descarregar',
+    'baixar',
+    'baixa',
+    'carregar',
+    'carrega',
+    'partilhar',
+    'compartilhar',
+    'compartilha',
+    'imprimir',
+    'continuar',
+    'continua',
+    'continuou',
+    'aceitar',
+    'aceita',
+    'aceito',
+    'rejeitar',
+    'recusar',
+    'cancelar',
+    'cancela',
+    'cancelado',
+    'ajudar',
+    'ajudou',
+    'precisar',
+    'precisa',
+    'precisou',
+    'tentar',
+    'tenta',
+    'tentou',
+    'usar',
+    'usa',
+    'usou',
+    'usado',
+    'utilizar',
+    'utiliza',
+    'utilizado',
+    'ler',
+    'lê',
+    'leu',
+    'lido',
+    'escrever',
+    'escreve',
+    'escreveu',
+    'escrito',
+    'ouvir',
+    'ouve',
+    'ouviu',
+    'começar',
+    'começa',
+    'começou',
+    'terminar',
+    'termina',
+    'terminou',
+    'terminado',
+    'acabar',
+    'acaba',
+    'acabou',
+    'ganhar',
+    'ganha',
+    'ganhou',
+    'perder',
+    'perde',
+    'perdeu',
+    'perdido',
+    'jogar',
+    'joga',
+    'jogou',
+    'conseguir',
+    'consegue',
+    'conseguiu',
+    'oferecer',
+    'oferece',
+    'ofereceu',
+    'lembrar',
+    'lembra',
+    'esquecer',
+    'esquece',
+    'esqueceu',
+    'mostrar',
+    'mostra',
+    'mostrou',
+    'entender',
+    'entende',
+    'entendeu',
+    'explicar',
+    'explica',
+    'perguntar',
+    'perguntou',
+    'responder',
+    'responde',
+    'respondeu',
+    'contar',
+    'contou',
+    'viajar',
+    'viaja',
+    'viajou',
+    'reservar',
+    'reserva',
+    'reservado',
+    'devolver',
+    'devolve',
+    'devolvido',
+    'entregar',
+    'entregue',
+    'entregues',
+    'acessar',
+    'aceder',
+    'acompanhar',
+    'adquirir',
+    'agir',
+    'aparecer',
+    'aparece',
+    'aplicar',
+    'trazer',
+    'aprovar',
+    'aumentar',
+    'avançar',
+    'esconder',
+    'calcular',
+    'carregado',
+    'comparar',
+    'completar',
+    'completado',
+    'comportar',
+    'concernir',
+    'conduzir',
+    'conservar',
+    'considerar',
+    'construir',
+    'consultar',
+    'conter',
+    'contém',
+    'corrigir',
+    'cortar',
+    'custar',
+    'custa',
+    'cobrir',
+    'criar',
+    'cria',
+    'criado',
+    'decidir',
+    'decide',
+    'descobrir',
+    'descrever',
+    'definir',
+    'depender',
+    'depende',
+    'gastar',
+    'descer',
+    'desejar',
+    'tornar',
+    'dirigir',
+    'dispor',
+    'desaparecer',
+    'distribuir',
+    'dividir',
+    'editar',
+    'efetuar',
+    'efetuado',
+    'empregar',
+    'encorajar',
+    'tirar',
+    'estabelecer',
+    'estudar',
+    'evitar',
+    'existir',
+    'existe',
+    'exprimir',
+    'faturar',
+    'facilitar',
+    'fixar',
+    'formar',
+    'fornecer',
+    'garantir',
+    'gerir',
+    'gerenciar',
+    'indicar',
+    'indicado',
+    'informar',
+    'instalar',
+    'interessar',
+    'convidar',
+    'juntar',
+    'julgar',
+    'lançar',
+    'liberar',
+    'ligar',
+    'limitar',
+    'faltar',
+    'merecer',
+    'medir',
+    'subir',
+    'morrer',
+    'nascer',
+    'notar',
+    'obter',
+    'obtido',
+    'ocupar',
+    'oferecido',
+    'organizar',
+    'participar',
+    'permitir',
+    'permite',
+    'colocar',
+    'agradar',
+    'possuir',
+    'empurrar',
+    'praticar',
+    'prever',
+    'produzir',
+    'aproveitar',
+    'programar',
+    'propor',
+    'propõe',
+    'proteger',
+    'provar',
+    'publicar',
+    'relembrar',
+    'realizar',
+    'realizado',
+    'reconhecer',
+    'reduzir',
+    'olhar',
+    'olha',
+    'regular',
+    'alcançar',
+    'substituir',
+    'preencher',
+    'render',
+    'renovar',
+    'reenviar',
+    'repetir',
+    'representar',
+    'resolver',
+    'reencontrar',
+    'acordar',
+    'rever',
+    'assinar',
+    'sofrer',
+    'bastar',
+    'seguir',
+    'seguido',
+    'suportar',
+    'supor',
+    'vigiar',
+    'puxar',
+    'cair',
+    'tocar',
+    'girar',
+    'traduzir',
+    'tratar',
+    'transferir',
+    'transformar',
+    'matar',
+    'unir',
+    'valer',
+    'visitar',
+    'voar',
+    'votar',
+    // Nouns
+    'tempo',
+    'ano',
+    'anos',
+    'dia',
+    'dias',
+    'semana',
+    'mês',
+    'hora',
+    'minuto',
+    'homem',
+    'mulher',
+    'criança',
+    'crianças',
+    'família',
+    'amigo',
+    'amigos',
+    'gente',
+    'mundo',
+    'país',
+    'cidade',
+    'rua',
+    'casa',
+    'apartamento',
+    'escola',
+    'trabalho',
+    'empresa',
+    'cliente',
+    'clientes',
+    'preço',
+    'dinheiro',
+    'conta',
+    'fatura',
+    'pedido',
+    'entrega',
+    'envio',
+    'pagamento',
+    'produto',
+    'produtos',
+    'artigo',
+    'oferta',
+    'carrinho',
+    'início',
+    'pesquisa',
+    'ajuda',
+    'contato',
+    'privacidade',
+    'configurações',
+    'sessão',
+    'mensagem',
+    'mensagens',
+    'pergunta',
+    'resposta',
+    'problema',
+    'exemplo',
+    'fim',
+    'parte',
+    'nome',
+    'sobrenome',
+    'endereço',
+    'telefone',
+    'data',
+    'número',
+    'informação',
+    'informações',
+    'serviço',
+    'serviços',
+    'imagem',
+    'texto',
+    'lista',
+    'resultado',
+    'resultados',
+    'vida',
+    'história',
+    'livro',
+    'jogo',
+    'idioma',
+    'português',
+    'água',
+    'avaliações',
+    'segurança',
+    'senha',
+    'usuário',
+    'membro',
+    'equipe',
+    'pedidos',
+    'encomenda',
+    'encomendas',
+    'entregas',
+    'envios',
+    'remessa',
+    'rastreamento',
+    'rastreio',
+    'cesto',
+    'caixa',
+    'pagamentos',
+    'faturas',
+    'factura',
+    'recibo',
+    'preços',
+    'ofertas',
+    'promoção',
+    'promoções',
+    'desconto',
+    'descontos',
+    'cupão',
+    'cupom',
+    'código',
+    'vale',
+    'cartão',
+    'cartões',
+    'crédito',
+    'débito',
+    'contas',
+    'saldo',
+    'transferência',
+    'artigos',
+    'loja',
+    'lojas',
+    'marca',
+    'marcas',
+    'modelo',
+    'modelos',
+    'tamanho',
+    'tamanhos',
+    'cor',
+    'cores',
+    'quantidade',
+    'total',
+    'subtotal',
+    'imposto',
+    'impostos',
+    'taxa',
+    'taxas',
+    'portes',
+    'frete',
+    'vendedor',
+    'comprador',
+    'fornecedor',
+    'empresas',
+    'companhia',
+    'negócio',
+    'negócios',
+    'mercado',
+    'mercados',
+    'devolução',
+    'devoluções',
+    'reembolso',
+    'garantia',
+    'situação',
+    'endereços',
+    'morada',
+    'postal',
+    'cep',
+    'cidades',
+    'países',
+    'região',
+    'avenida',
+    'praça',
+    'bairro',
+    'nomes',
+    'apelido',
+    'telemóvel',
+    'celular',
+    'correio',
+    'mail',
+    'email',
+    'datas',
+    'nascimento',
+    'idade',
+    'sexo',
+    'utilizador',
+    'usuários',
+    'palavra-passe',
+    'senhas',
+    'perfil',
+    'acesso',
+    'definições',
+    'preferências',
+    'política',
+    'cookies',
+    'condições',
+    'termos',
+    'aviso',
+    'legal',
+    'página',
+    'páginas',
+    'menu',
+    'ligação',
+    'link',
+    'links',
+    'botão',
+    'formulário',
+    'campo',
+    'campos',
+    'erro',
+    'erros',
+    'avisos',
+    'notificação',
+    'notificações',
+    'boletim',
+    'assinatura',
+    'subscrição',
+    'versão',
+    'atualização',
+    'arquivo',
+    'arquivos',
+    'ficheiro',
+    'ficheiros',
+    'documento',
+    'documentos',
+    'pasta',
+    'imagens',
+    'foto',
+    'fotos',
+    'vídeo',
+    'vídeos',
+    'sistema',
+    'sistemas',
+    'programa',
+    'programas',
+    'aplicação',
+    'aplicações',
+    'aplicativo',
+    'dispositivo',
+    'dispositivos',
+    'computador',
+    'ecrã',
+    'tela',
+    'rede',
+    'internet',
+    'conexão',
+    'dados',
+    'servidor',
+    'suporte',
+    'contacto',
+    'perguntas',
+    'frequentes',
+    'relatório',
+    'listas',
+    'tabela',
+    'resumo',
+    'detalhes',
+    'semanas',
+    'meses',
+    'horas',
+    'minutos',
+    'momento',
+    'momentos',
+    'manhã',
+    'tarde',
+    'noite',
+    'segunda-feira',
+    'terça-feira',
+    'quarta-feira',
+    'quinta-feira',
+    'sexta-feira',
+    'sábado',
+    'domingo',
+    'janeiro',
+    'fevereiro',
+    'março',
+    'abril',
+    'maio',
+    'junho',
+    'julho',
+    'agosto',
+    'setembro',
+    'outubro',
+    'novembro',
+    'dezembro',
+    'primavera',
+    'verão',
+    'outono',
+    'inverno',
+    'senhor',
+    'senhora',
+    'senhores',
+    'menina',
+    'homens',
+    'mulheres',
+    'menino',
+    'meninos',
+    'rapaz',
+    'rapariga',
+    'pessoa',
+    'pessoas',
+    'pai',
+    'pais',
+    'mãe',
+    'filho',
+    'filhos',
+    'filha',
+    'filhas',
+    'irmão',
+    'irmãos',
+    'irmã',
+    'irmãs',
+    'avô',
+    'avó',
+    'tio',
+    'tia',
+    'primo',
+    'prima',
+    'marido',
+    'esposa',
+    'casal',
+    'famílias',
+    'amiga',
+    'amigas',
+    'vizinho',
+    'vizinhos',
+    'equipa',
+    'equipas',
+    'grupo',
+    'grupos',
+    'membros',
+    'sócio',
+    'sócios',
+    'colega',
+    'colegas',
+    'funcionário',
+    'funcionários',
+    'empregado',
+    'chefe',
+    'diretor',
+    'diretora',
+    'gerente',
+    'responsável',
+    'governo',
+    'partido',
+    'partidos',
+    'lei',
+    'leis',
+    'presidente',
+    'ministro',
+    'ministério',
+    'câmara',
+    'prefeitura',
+    'polícia',
+    'tribunal',
+    'justiça',
+    'eleições',
+    'casas',
+    'lar',
+    'apartamentos',
+    'quarto',
+    'quartos',
+    'cozinha',
+    'banheiro',
+    'casa-de-banho',
+    'sala',
+    'jardim',
+    'porta',
+    'portas',
+    'janela',
+    'janelas',
+    'parede',
+    'chão',
+    'teto',
+    'andar',
+    'escada',
+    'edifício',
+    'edifícios',
+    'prédio',
+    'igreja',
+    'escolas',
+    'universidade',
+    'hospital',
+    'farmácia',
+    'médico',
+    'médicos',
+    'médica',
+    'banco',
+    'bancos',
+    'hotel',
+    'hotéis',
+    'restaurante',
+    'restaurantes',
+    'bar',
+    'cinema',
+    'teatro',
+    'museu',
+    'estação',
+    'aeroporto',
+    'trabalhos',
+    'emprego',
+    'escritório',
+    'reunião',
+    'projeto',
+    'projetos',
+    'projecto',
+    'tarefa',
+    'tarefas',
+    'objetivo',
+    'plano',
+    'planos',
+    'ideia',
+    'ideias',
+    'problemas',
+    'solução',
+    'soluções',
+    'respostas',
+    'coisa',
+    'coisas',
+    'partes',
+    'forma',
+    'formas',
+    'maneira',
+    'caso',
+    'casos',
+    'lugar',
+    'lugares',
+    'ponto',
+    'pontos',
+    'lado',
+    'tipo',
+    'tipos',
+    'palavra',
+    'palavras',
+    'língua',
+    'textos',
+    'livros',
+    'jornal',
+    'jornais',
+    'revista',
+    'notícia',
+    'notícias',
+    'título',
+    'capítulo',
+    'comida',
+    'refeição',
+    'pequeno-almoço',
+    'almoço',
+    'jantar',
+    'pão',
+    'leite',
+    'carne',
+    'peixe',
+    'fruta',
+    'legumes',
+    'café',
+    'chá',
+    'vinho',
+    'cerveja',
+    'roupa',
+    'roupas',
+    'camisa',
+    'calças',
+    'vestido',
+    'sapato',
+    'sapatos',
+    'casaco',
+    'bolsa',
+    'carro',
+    'carros',
+    'autocarro',
+    'ônibus',
+    'comboio',
+    'trem',
+    'avião',
+    'bicicleta',
+    'táxi',
+    'barco',
+    'viagem',
+    'viagens',
+    'bilhete',
+    'bilhetes',
+    'voo',
+    'voos',
+    'reservas',
+    'natureza',
+    'terra',
+    'mar',
+    'rios',
+    'montanha',
+    'montanhas',
+    'floresta',
+    'árvore',
+    'árvores',
+    'flor',
+    'animal',
+    'animais',
+    'cão',
+    'cães',
+    'cachorro',
+    'gato',
+    'gatos',
+    'céu',
+    'sol',
+    'chuva',
+    'neve',
+    'vento',
+    'saúde',
+    'doença',
+    'corpo',
+    'cabeça',
+    'mão',
+    'mãos',
+    'olho',
+    'olhos',
+    'coração',
+    'dor',
+    'euro',
+    'euros',
+    'real',
+    'reais',
+    'dólar',
+    'dólares',
+    'custo',
+    'custos',
+    'valor',
+    'música',
+    'canção',
+    'canções',
+    'filme',
+    'filmes',
+    'arte',
+    'cultura',
+    'desporto',
+    'esporte',
+    'futebol',
+    'jogos',
+    'mudança',
+    'mudanças',
+    'nível',
+    'níveis',
+    'qualidade',
+    'maioria',
+    'resto',
+    'centro',
+    'norte',
+    'sul',
+    'leste',
+    'oeste',
+    'bem-vindo',
+    'bem-vinda',
+    'olá',
+    'ação',
+    'ações',
+    'atividade',
+    'atividades',
+    'acordo',
+    'acordos',
+    'administração',
+    'agência',
+    'análise',
+    'anúncio',
+    'anúncios',
+    'apoio',
+    'aspecto',
+    'atenção',
+    'autor',
+    'autora',
+    'autoridade',
+    'base',
+    'bases',
+    'benefício',
+    'benefícios',
+    'campanha',
+    'capacidade',
+    'capital',
+    'carreira',
+    'categoria',
+    'categorias',
+    'causa',
+    'cadeia',
+    'cifra',
+    'escolha',
+    'chave',
+    'clima',
+    'clube',
+    'comentário',
+    'comentários',
+    'comércio',
+    'comissão',
+    'comunicação',
+    'comunidade',
+    'conceito',
+    'condição',
+    'conferência',
+    'conselho',
+    'conselhos',
+    'consumo',
+    'conteúdo',
+    'conteúdos',
+    'contrato',
+    'contratos',
+    'controle',
+    'controlo',
+    'crescimento',
+    'crise',
+    'curso',
+    'cursos',
+    'decisão',
+    'decisões',
+    'defesa',
+    'direito',
+    'direitos',
+    'desenvolvimento',
+    'descrição',
+    'destino',
+    'diferença',
+    'direção',
+    'distância',
+    'economia',
+    'edição',
+    'educação',
+    'efeito',
+    'efeitos',
+    'elemento',
+    'elementos',
+    'energia',
+    'ambiente',
+    'época',
+    'equipamento',
+    'espaço',
+    'espécie',
+    'etapa',
+    'etapas',
+    'estudo',
+    'estudos',
+    'evento',
+    'eventos',
+    'experiência',
+    'fundo',
+    'fundos',
+    'função',
+    'formação',
+    'força',
+    'futuro',
+    'ganho',
+    'gestão',
+    'gráfico',
+    'guia',
+    'impacto',
+    'importância',
+    'indústria',
+    'instalação',
+    'instrumento',
+    'intenção',
+    'interesse',
+    'investimento',
+    'juízo',
+    'leitura',
+    'liberdade',
+    'licença',
+    'linha',
+    'linhas',
+    'lógica',
+    'material',
+    'materiais',
+    'medida',
+    'medidas',
+    'meio',
+    'meios',
+    'memória',
+    'método',
+    'métodos',
+    'missão',
+    'motivo',
+    'movimento',
+    'necessidade',
+    'nota',
+    'notas',
+    'objeto',
+    'objetos',
+    'obra',
+    'obras',
+    'opção',
+    'opções',
+    'opinião',
+    'ordem',
+    'organização',
+    'origem',
+    'passo',
+    'passos',
+    'período',
+    'permissão',
+    'peso',
+    'plataforma',
+    'prazo',
+    'população',
+    'posição',
+    'prática',
+    'prêmio',
+    'prémio',
+    'presença',
+    'orçamento',
+    'princípio',
+    'prioridade',
+    'processo',
+    'produção',
+    'profissional',
+    'professor',
+    'professora',
+    'proposta',
+    'proteção',
+    'prova',
+    'provas',
+    'razão',
+    'realidade',
+    'recurso',
+    'recursos',
+    'relação',
+    'relações',
+    'reparação',
+    'requisito',
+    'requisitos',
+    'risco',
+    'ritmo',
+    'saída',
+    'setor',
+    'setores',
+    'sentido',
+    'série',
+    'assunto',
+    'assuntos',
+    'superfície',
+    'tema',
+    'temas',
+    'teoria',
+    'termo',
+    'território',
+    'tratamento',
+    'uso',
+    'variedade',
+    'velocidade',
+    'venda',
+    'vendas',
+    'vantagem',
+    'vantagens',
+    'voz',
+    'vez',
+    'vezes',
+    // Adjectives and adverbs
+    'bom',
+    'boa',
+    'novo',
+    'nova',
+    'grande',
+    'pequeno',
+    'pequena',
+    'primeiro',
+    'primeira',
+    'último',
+    'última',
+    'outro',
+    'outra',
+    'mesmo',
+    'importante',
+    'fácil',
+    'rápido',
+    'possível',
+    'grátis',
+    'vários',
+    'bons',
+    'boas',
+    'mau',
+    'má',
+    'melhor',
+    'melhores',
+    'pior',
+    'piores',
+    'novos',
+    'novas',
+    'velho',
+    'velha',
+    'velhos',
+    'grandes',
+    'pequenos',
+    'pequenas',
+    'alto',
+    'alta',
+    'baixo',
+    'longo',
+    'longa',
+    'curto',
+    'curta',
+    'seguinte',
+    'anterior',
+    'próximo',
+    'próxima',
+    'importantes',
+    'fáceis',
+    'difícil',
+    'difíceis',
+    'rápida',
+    'lento',
+    'lenta',
+    'impossível',
+    'necessário',
+    'necessária',
+    'disponível',
+    'disponíveis',
+    'gratuito',
+    'gratuita',
+    'seguro',
+    'segura',
+    'principal',
+    'principais',
+    'geral',
+    'pessoal',
+    'público',
+    'pública',
+    'privado',
+    'privada',
+    'nacional',
+    'internacional',
+    'local',
+    'social',
+    'certo',
+    'certa',
+    'verdadeiro',
+    'falso',
+    'claro',
+    'clara',
+    'simples',
+    'único',
+    'única',
+    'próprio',
+    'própria',
+    'livre',
+    'completo',
+    'completa',
+    'válido',
+    'feliz',
+    'contente',
+    'triste',
+    'cansado',
+    'doente',
+    'jovem',
+    'jovens',
+    'idoso',
+    'rico',
+    'pobre',
+    'caro',
+    'cara',
+    'barato',
+    'barata',
+    'branco',
+    'preto',
+    'negro',
+    'vermelho',
+    'azul',
+    'verde',
+    'amarelo',
+    'cinzento',
+    'cinza',
+    'pouco',
+    'bastante',
+    'demasiado',
+    'quase',
+    'só',
+    'apenas',
+    'ainda',
+    'cedo',
+    'aí',
+    'lá',
+    'perto',
+    'longe',
+    'acima',
+    'abaixo',
+    'dentro',
+    'fora',
+    'frente',
+    'atrás',
+    'assim',
+    'talvez',
+    'realmente',
+    'especialmente',
+    'finalmente',
+    'atualmente',
+    'normalmente',
+    'rapidamente',
+    'atual',
+    'atuais',
+    'adicional',
+    'antigo',
+    'antiga',
+    'automático',
+    'breve',
+    'central',
+    'comum',
+    'corretos',
+    'correto',
+    'correta',
+    'corrente',
+    'diferente',
+    'diferentes',
+    'direto',
+    'direta',
+    'diverso',
+    'diversos',
+    'econômico',
+    'económico',
+    'efetivo',
+    'inteiro',
+    'inteira',
+    'essencial',
+    'estrangeiro',
+    'estrangeira',
+    'exato',
+    'exclusivo',
+    'final',
+    'forte',
+    'grosso',
+    'habitual',
+    'humano',
+    'humana',
+    'inferior',
+    'interno',
+    'justo',
+    'largo',
+    'leve',
+    'limitado',
+    'pesado',
+    'máximo',
+    'mínimo',
+    'moderno',
+    'moderna',
+    'médio',
+    'média',
+    'natural',
+    'negativo',
+    'numerosos',
+    'normal',
+    'obrigatório',
+    'oficial',
+    'original',
+    'particular',
+    'positivo',
+    'preciso',
+    'presente',
+    'pronto',
+    'pronta',
+    'provável',
+    'profundo',
+    'recente',
+    'redondo',
+    'sério',
+    'semelhante',
+    'sólido',
+    'especial',
+    'suficiente',
+    'superior',
+    'temporário',
+    'típico',
+    'útil',
+    'visível',
+    'absolutamente',
+    'certamente',
+    'claramente',
+    'completamente',
+    'diretamente',
+    'exatamente',
+    'facilmente',
+    'geralmente',
+    'imediatamente',
+    'justamente',
+    'frequentemente',
+    'particularmente',
+    'provavelmente',
+    'simplesmente',
+    'totalmente',
+    'verdadeiramente',
+    'cerca',
+    'juntos',
+    'aliás',
+  ],
+};
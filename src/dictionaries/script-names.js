@@ -0,0 +1,448 @@
+/**
+ * SafeSnap - Names in Non-Latin Scripts
+ *
+ * Name data for scripts without Latin capitalization, used both to detect names and to
+ * replace them with a name from the same locale:
+ * - Surnames and given names (CJK surnames also mark where a name starts, as there are
+ *   no spaces or capitals to go by)
+ * - Honorifics: suffixes ("田中さん", "王先生", "민수 씨", "शर्मा जी") and titles before
+ *   the name ("السيد", "श्री", "г-н", "经理")
+ * - Labels that introduce a name in forms and tables ("氏名：", "이름:", "ФИО:")
+ * - Endings of women's names, where the name parts agree in gender ("Анна Иванова")
+ */
+
+export const scriptNames = {
+  ja: {
+    familyNameFirst: true,
+    surnames: [
+      '佐藤',
+      '鈴木',
+      '高橋',
+      '田中',
+      '伊藤',
+      '渡辺',
+      '山本',
+      '中村',
+      '小林',
+      '加藤',
+      '吉田',
+      '山田',
+      '佐々木',
+      '山口',
+      '松本',
+      '井上',
+      '木村',
+      '林',
+      '斎藤',
+      '清水',
+      '山崎',
+      '森',
+      '池田',
+      '橋本',
+      '阿部',
+      '石川',
+      '山下',
+      '中島',
+      '石井',
+      '小川',
+      '前田',
+      '岡田',
+      '長谷川',
+      '藤田',
+      '後藤',
+      '近藤',
+      '村上',
+      '遠藤',
+      '青木',
+      '坂本',
+    ],
+    givenNames: [
+      '太郎',
+      '健太',
+      '翔太',
+      '大輔',
+      '拓也',
+      '直樹',
+      '大翔',
+      '蓮',
+      '健',
+      '誠',
+      '浩',
+      '花子',
+      '陽子',
+      '美咲',
+      '結衣',
+      '愛',
+      '真由美',
+      '恵子',
+      '明美',
+      '優子',
+      'さくら',
+      'ゆき',
+    ],
+    honorifics: ['さん', '様', 'さま', '先生', '君', 'くん', 'ちゃん', '殿', '氏'],
+    labels: ['氏名', '名前', 'お名前', '担当者'],
+  },
+
+  zh: {
+    familyNameFirst: true,
+    surnames: [
+      '王',
+      '李',
+      '张',
+      '刘',
+      '陈',
+      '杨',
+      '黄',
+      '赵',
+      '吴',
+      '周',
+      '徐',
+      '孙',
+      '马',
+      '朱',
+      '胡',
+      '郭',
+      '何',
+      '高',
+      '林',
+      '罗',
+      '郑',
+      '梁',
+      '谢',
+      '宋',
+      '唐',
+      '许',
+      '韩',
+      '冯',
+      '邓',
+      '曹',
+      '彭',
+      '曾',
+      '萧',
+      '田',
+      '董',
+      '潘',
+      '袁',
+      '蔡',
+      '蒋',
+      '余',
+      '杜',
+      '叶',
+      '程',
+      '魏',
+      '苏',
+      '吕',
+      '丁',
+      '沈',
+      '姚',
+      '卢',
+      '姜',
+      '崔',
+      '钟',
+      '谭',
+      '陆',
+      '汪',
+      '范',
+      '金',
+      '廖',
+      '贾',
+      '夏',
+      '方',
+      '白',
+      '邹',
+      '孟',
+      '熊',
+      '秦',
+      '邱',
+      '江',
+      '薛',
+      '雷',
+      '侯',
+      '龙',
+      '史',
+      '陶',
+      '贺',
+      '顾',
+      '毛',
+      '郝',
+      '龚',
+      '邵',
+      '钱',
+      '严',
+      '武',
+      '戴',
+      '孔',
+      '欧阳',
+      '司马',
+      '诸葛',
+      '上官',
+    ],
+    givenNames: [
+      '伟',
+      '芳',
+      '娜',
+      '敏',
+      '静',
+      '丽',
+      '强',
+      '磊',
+      '军',
+      '洋',
+      '勇',
+      '艳',
+      '杰',
+      '娟',
+      '涛',
+      '明',
+      '超',
+      '秀英',
+      '小明',
+      '建国',
+      '志强',
+      '晓燕',
+      '海燕',
+      '丽华',
+      '建华',
+      '子轩',
+      '欣怡',
+    ],
+    honorifics: ['先生', '女士', '小姐', '老师', '同学'],
+    // Job titles go before the name ("运营经理王小明")
+    titles: ['经理', '总经理', '主任', '总监', '主管', '董事长', '总裁', '部长'],
+    labels: ['姓名', '名字', '联系人', '负责人'],
+  },
+
+  ko: {
+    familyNameFirst: true,
+    surnames: [
+      '김',
+      '이',
+      '박',
+      '최',
+      '정',
+      '강',
+      '조',
+      '윤',
+      '장',
+      '임',
+      '한',
+      '오',
+      '서',
+      '신',
+      '권',
+      '황',
+      '안',
+      '송',
+      '류',
+      '홍',
+      '전',
+      '고',
+      '문',
+      '양',
+      '손',
+      '배',
+      '백',
+      '허',
+      '남',
+      '노',
+    ],
+    givenNames: [
+      '민준',
+      '서연',
+      '지훈',
+      '지민',
+      '서준',
+      '하은',
+      '예준',
+      '수빈',
+      '도윤',
+      '지우',
+      '현우',
+      '민서',
+      '성민',
+      '영희',
+      '철수',
+      '수진',
+      '은지',
+      '동현',
+      '민수',
+    ],
+    honorifics: ['씨', '님'],
+    labels: ['이름', '성명', '담당자'],
+  },
+
+  ru: {
+    familyNameFirst: false,
+    // Women's given names and surname forms end in these ("Анна Иванова", "Иван Иванов")
+    femaleEndings: ['а', 'я'],
+    surnames: [
+      'Иванов',
+      'Смирнов',
+      'Кузнецов',
+      'Попов',
+      'Васильев',
+      'Петров',
+      'Соколов',
+      'Михайлов',
+      'Новиков',
+      'Фёдоров',
+      'Морозов',
+      'Волков',
+      'Алексеев',
+      'Лебедев',
+      'Семёнов',
+      'Егоров',
+      'Павлов',
+      'Козлов',
+      'Степанов',
+      'Николаев',
+      'Иванова',
+      'Смирнова',
+      'Кузнецова',
+      'Попова',
+      'Петрова',
+      'Соколова',
+      'Волкова',
+      'Павлова',
+    ],
+    givenNames: [
+      'Александр',
+      'Алексей',
+      'Андрей',
+      'Дмитрий',
+      'Иван',
+      'Михаил',
+      'Сергей',
+      'Николай',
+      'Владимир',
+      'Павел',
+      'Анна',
+      'Мария',
+      'Елена',
+      'Ольга',
+      'Наталья',
+      'Татьяна',
+      'Екатерина',
+      'Ирина',
+      'Светлана',
+      'Юлия',
+    ],
+    titles: ['г-н', 'г-жа', 'господин', 'госпожа', 'Г-н', 'Г-жа', 'Господин', 'Госпожа'],
+    labels: ['Имя', 'ФИО', 'Фамилия', 'Контактное лицо'],
+  },
+
+  ar: {
+    familyNameFirst: false,
+    surnames: [
+      'العلي',
+      'الأحمد',
+      'الحسن',
+      'المصري',
+      'الخطيب',
+      'الشامي',
+      'النجار',
+      'حداد',
+      'منصور',
+      'سليمان',
+      'عثمان',
+      'صالح',
+    ],
+    givenNames: [
+      'محمد',
+      'أحمد',
+      'علي',
+      'عمر',
+      'خالد',
+      'يوسف',
+      'إبراهيم',
+      'حسن',
+      'حسين',
+      'عبدالله',
+      'مصطفى',
+      'سعيد',
+      'فاطمة',
+      'عائشة',
+      'مريم',
+      'زينب',
+      'نور',
+      'سارة',
+      'ليلى',
+      'هدى',
+    ],
+    titles: ['السيد', 'السيدة', 'الدكتور', 'الدكتورة', 'الأستاذ', 'الأستاذة', 'الشيخ'],
+    labels: ['الاسم', 'الاسم الكامل'],
+  },
+
+  hi: {
+    familyNameFirst: false,
+    surnames: [
+      'शर्मा',
+      'वर्मा',
+      'गुप्ता',
+      'सिंह',
+      'कुमार',
+      'पटेल',
+      'जोशी',
+      'मेहता',
+      'यादव',
+      'चौहान',
+      'अग्रवाल',
+      'मिश्रा',
+    ],
+    givenNames: [
+      'राहुल',
+      'अमित',
+      'प्रिया',
+      'अंजलि',
+      'सुनील',
+      'राजेश',
+      'पूजा',
+      'नेहा',
+      'विजय',
+      'अनिल',
+      'सुनीता',
+      'रवि',
+      'संजय',
+      'दीपक',
+      'कविता',
+    ],
+    honorifics: ['जी'],
+    titles: ['श्री', 'श्रीमती', 'सुश्री', 'डॉ.', 'कुमारी'],
+    labels: ['नाम', 'पूरा नाम'],
+  },
+};
+
+/**
+ * Words that take an honorific but are not names ("皆さん" everyone, "お客様" customer,
+ * "고객님" customer, "선생님" teacher, "谢谢老师" thank you, teacher). Entries with the
+ * honorific ("王様" king) only stop that word with that honorific.
+ */
+export const honorificStopWords = [
+  '谢谢',
+  '王様',
+  '皆',
+  'みな',
+  'お客',
+  '客',
+  'お母',
+  'お父',
+  'お兄',
+  'お姉',
+  '奥',
+  '神',
+  '諸',
+  '各位',
+  '大家',
+  '고객',
+  '회원',
+  '여러분',
+  '선생',
+  '사장',
+  '부장',
+  '과장',
+  '팀장',
+  '대표',
+  '교수',
+  '손님',
+];
@@ -18,20 +18,50 @@ export const en = {
   piiTypeMoneyDesc: 'Currency amounts like $1,234.56',
   piiTypeQuantities: 'Quantities',
   piiTypeQuantitiesDesc: 'Numeric quantities with units like 150 kg',
+  piiTypePercentages: 'Percentages & Ratios',
+  piiTypePercentagesDesc: 'Growth rates, margins and ratios like +23.4%, 45 bps or 0.87 ratio',
   piiTypeEmails: 'Emails',
   piiTypeEmailsDesc: 'Email addresses like john@example.com',
   piiTypePhones: 'Phones',
   piiTypePhonesDesc: 'Phone numbers in various formats',
   piiTypeAddresses: 'Addresses',
-  piiTypeAddressesDesc: 'Physical addresses with street numbers',
+  piiTypeAddressesDesc: 'Street addresses and postcodes (US, UK, Germany, Canada, Australia)',
   piiTypeDates: 'Dates',
-  piiTypeDatesDesc: 'Various date formats',
+  piiTypeDatesDesc: 'Dates, times and timestamps in various formats',
   piiTypeUrls: 'URLs',
   piiTypeUrlsDesc: 'Web addresses like https://example.com',
   piiTypeIps: 'IPs',
   piiTypeIpsDesc: 'IPv4 and IPv6 addresses',
   piiTypeLocations: 'Locations',
   piiTypeLocationsDesc: 'Geographic locations like Bay Area, Paris, California',
+  piiTypeCoordinates: 'Coordinates',
+  piiTypeCoordinatesDesc: 'Latitude/longitude pairs, DMS notation and map link coordinates',
+  piiTypeBankAccounts: 'Bank Accounts',
+  piiTypeBankAccountsDesc: 'IBAN, SWIFT/BIC, US routing/account and UK sort code numbers',
+  piiTypeNino: 'UK National Insurance',
+  piiTypeNinoDesc: 'UK National Insurance numbers like AB 12 34 56 C',
+  piiTypeSin: 'Canadian SIN',
+  piiTypeSinDesc: 'Canadian Social Insurance Numbers (Luhn-checked)',
+  piiTypeAadhaar: 'Aadhaar',
+  piiTypeAadhaarDesc: 'Indian Aadhaar numbers (Verhoeff-checked)',
+  piiTypeInsee: 'French INSEE',
+  piiTypeInseeDesc: 'French social security (NIR) numbers',
+  piiTypeDni: 'Spanish DNI/NIE',
+  piiTypeDniDesc: 'Spanish DNI and NIE numbers with their control letter',
+  piiTypeCpf: 'Brazilian CPF',
+  piiTypeCpfDesc: 'Brazilian CPF numbers like 123.456.789-09',
+  piiTypePassports: 'Passports',
+  piiTypePassportsDesc: 'Passport numbers following a "Passport No." label',
+  piiTypeSecrets: 'Secrets & API Keys',
+  piiTypeSecretsDesc: 'API keys, access tokens, JWTs and passwords',
+  piiTypeIdentifiers: 'Identifiers',
+  piiTypeIdentifiersDesc: 'UUIDs, customer IDs and order, invoice or ticket numbers',
+  piiTypeCrypto: 'Crypto Addresses',
+  piiTypeCryptoDesc: 'Bitcoin, Ethereum and Solana wallet addresses and transaction hashes',
+  piiTypeUsernames: 'Usernames',
+  piiTypeUsernamesDesc: '@mentions, u/ names, profile links and labelled usernames',
+  piiTypeCustomRegex: 'Custom Patterns',
+  piiTypeCustomRegexDesc: 'Your own regex patterns from Settings',
 
   // Popup - Buttons
   btnProtectPii: 'Protect PII',
@@ -56,6 +86,9 @@ export const en = {
   labelMagnitudeVarianceTitle: 'Magnitude Variance',
   labelMagnitudeVarianceDesc:
     'Randomize money and quantity values to make them realistic but unrecognizable. Higher values create larger changes.',
+  labelPercentageVarianceTitle: 'Percentage Variance',
+  labelPercentageVarianceDesc:
+    'Randomize percentages, basis points and ratios. Kept separate so rates can change less than amounts.',
   labelRedactionMode: 'Redaction Mode',
 
   // Popup - Banner Position Options
@@ -72,6 +105,11 @@ export const en = {
   redactionModeBlackout: 'Blackout (███)',
   redactionModeBlackoutDesc: 'Cover with black bars like legal documents',
 
+  // Date Order Options
+  dateOrderAuto: 'Detect from page',
+  dateOrderMDY: 'Month first (01/06/2025 = Jan 6)',
+  dateOrderDMY: 'Day first (01/06/2025 = 1 Jun)',
+
   // Popup - About Info
   aboutVersion: 'Version:',
   aboutDescription:
@@ -109,7 +147,21 @@ export const en = {
   settingsFadeDistance: 'Fade Distance (pixels)',
   settingsCustomPatternName: 'Custom Pattern Name',
   settingsCustomPatternRegex: 'Regex Pattern',
+  settingsCustomPatternFlags: 'Regex Flags',
+  settingsCustomPatternLabel: 'Type Label',
+  settingsCustomPatternPriority: 'Priority (0-100)',
+  settingsCustomPatternReplacement: 'Replacement',
+  settingsCustomPatternToken: 'Fixed Token',
+  settingsCustomPatternsEmpty: 'No custom patterns yet.',
+  customReplacementFake: 'Fake value (same format)',
+  customReplacementBlackout: 'Blackout (███)',
+  customReplacementToken: 'Fixed token',
   settingsVariancePercentage: 'Variance Percentage (%)',
+  settingsDateOrder: 'Numeric Date Order',
+  settingsPercentageVariance: 'Percentage Variance (%)',
+  settingsClampPercentages: 'Keep percentages within 0–100%',
+  settingsClampPercentagesDesc:
+    'Shares and conversion rates never go above 100%. Signed changes like +150% are not clamped.',
   settingsDetectionEngine: 'Detection Engine:',
   settingsDetectionEngineFree: 'Dictionary-based',
   settingsStorageUsed: 'Storage Used:',
@@ -121,12 +173,16 @@ export const en = {
   btnSelectNone: 'Select None',
   btnResetToDefaults: 'Reset to Defaults',
   btnAddPattern: 'Add Pattern',
+  btnRemovePattern: 'Remove',
   btnExportSettings: '📥 Export Settings',
   btnImportSettings: '📤 Import Settings',
 
   // Settings Page - Placeholders
   placeholderCustomPatternName: 'e.g., Employee ID',
   placeholderCustomPatternRegex: 'e.g., EMP-\\d{6}',
+  placeholderCustomPatternFlags: 'e.g., i (ignore case)',
+  placeholderCustomPatternLabel: 'e.g., Account ID',
+  placeholderCustomPatternToken: 'e.g., [ACCOUNT]',
 
   // Settings Page - Toasts
   toastPiiTypesUpdated: 'PII types updated!',
@@ -135,6 +191,11 @@ export const en = {
   toastFadeDistanceUpdated: 'Fade distance updated!',
   toastRedactionModeUpdated: 'Redaction mode updated!',
   toastMagnitudeVarianceUpdated: 'Magnitude variance updated!',
+  toastDateOrderUpdated: 'Date order updated!',
+  toastPercentageVarianceUpdated: 'Percentage settings updated!',
+  toastCustomPatternAdded: 'Custom pattern added!',
+  toastCustomPatternRemoved: 'Custom pattern removed!',
+  toastCustomPatternUpdated: 'Custom pattern updated!',
   toastSettingsExported: 'Settings exported!',
   toastSettingsImported: 'Settings imported! Reloading...',
   toastSettingsSaved: 'Settings saved!',
@@ -148,6 +209,8 @@ export const en = {
   errorDownloadFailed: 'Download failed:',
   errorInvalidSettingsFile: 'Invalid settings file',
   errorImportSettingsFailed: 'Failed to import settings:',
+  errorCustomPatternRequired: 'Please enter a pattern name and regex.',
+  errorCustomPatternInvalid: 'Invalid regex pattern:',
   errorPrefix: 'Error:',
 
   // Watermark
@@ -61,6 +61,7 @@ function initializeUIText() {
     properNouns: i18n.piiTypeProperNouns,
     money: i18n.piiTypeMoney,
     quantities: i18n.piiTypeQuantities,
+    percentages: i18n.piiTypePercentages,
     emails: i18n.piiTypeEmails,
     phones: i18n.piiTypePhones,
     addresses: i18n.piiTypeAddresses,
@@ -68,6 +69,20 @@ function initializeUIText() {
     urls: i18n.piiTypeUrls,
     ips: i18n.piiTypeIps,
     locations: i18n.piiTypeLocations,
+    coordinates: i18n.piiTypeCoordinates,
+    bankAccounts: i18n.piiTypeBankAccounts,
+    nino: i18n.piiTypeNino,
+    sin: i18n.piiTypeSin,
+    aadhaar: i18n.piiTypeAadhaar,
+    insee: i18n.piiTypeInsee,
+    dni: i18n.piiTypeDni,
+    cpf: i18n.piiTypeCpf,
+    passports: i18n.piiTypePassports,
+    secrets: i18n.piiTypeSecrets,
+    identifiers: i18n.piiTypeIdentifiers,
+    crypto: i18n.piiTypeCrypto,
+    usernames: i18n.piiTypeUsernames,
+    customRegex: i18n.piiTypeCustomRegex,
   };
 
   Object.entries(piiLabels).forEach(([id, label]) => {
@@ -105,6 +120,12 @@ function initializeUIText() {
   const magnitudeDescription = document.getElementById('popup-magnitude-description');
   if (magnitudeLabel) magnitudeLabel.textContent = i18n.labelMagnitudeVarianceTitle;
   if (magnitudeDescription) magnitudeDescription.textContent = i18n.labelMagnitudeVarianceDesc;
+  const percentageLabel = document.getElementById('popup-percentage-label');
+  const percentageDescription = document.getElementById('popup-percentage-description');
+  if (percentageLabel) percentageLabel.textContent = i18n.labelPercentageVarianceTitle;
+  if (percentageDescription) {
+    percentageDescription.textContent = i18n.labelPercentageVarianceDesc;
+  }
 
   document.querySelector('#openSettingsBtn').innerHTML =
     `<span style="font-size: 16px; margin-right: 6px;">${i18n.emojiWrench}</span>${i18n.btnAdvancedSettings}`;
@@ -453,6 +474,20 @@ magnitudeSlider.addEventListener('change', async (e) => {
   await saveSetting('magnitudeVariance', value);
 });
 
+// Percentage Variance Slider
+const percentageSlider = document.getElementById('popup-percentage-variance');
+const percentageValue = document.getElementById('popup-percentage-value');
+
+percentageSlider.addEventListener('input', (e) => {
+  const value = parseInt(e.target.value);
+  percentageValue.textContent = `±${value}%`;
+});
+
+percentageSlider.addEventListener('change', async (e) => {
+  const value = parseInt(e.target.value);
+  await saveSetting('percentageVariance', value);
+});
+
 // Add change listeners to all PII type checkboxes
 document.querySelectorAll('.checkbox-group input[type="checkbox"]').forEach((checkbox) => {
   checkbox.addEventListener('change', () => {
@@ -524,6 +559,17 @@ async function loadSettings() {
       magnitudeSlider.value = magnitudeVariance;
       magnitudeValue.textContent = `±${magnitudeVariance}%`;
     }
+
+    // Set percentage variance slider
+    const percentageVariance =
+      settings.percentageVariance !== undefined ? settings.percentageVariance : 30;
+    const percentageSlider = document.getElementById('popup-percentage-variance');
+    const percentageValue = document.getElementById('popup-percentage-value');
+
+    if (percentageSlider && percentageValue) {
+      percentageSlider.value = percentageVariance;
+      percentageValue.textContent = `±${percentageVariance}%`;
+    }
   } catch (error) {
     console.error('Error loading settings:', error);
   }
@@ -569,6 +615,11 @@ async function savePIITypePreferences() {
           description: i18n.piiTypeQuantitiesDesc,
           enabled: true,
         },
+        percentages: {
+          label: i18n.piiTypePercentages,
+          description: i18n.piiTypePercentagesDesc,
+          enabled: false,
+        },
         emails: { label: i18n.piiTypeEmails, description: i18n.piiTypeEmailsDesc, enabled: false },
         phones: { label: i18n.piiTypePhones, description: i18n.piiTypePhonesDesc, enabled: false },
         addresses: {
@@ -584,6 +635,56 @@ async function savePIITypePreferences() {
           description: i18n.piiTypeLocationsDesc,
           enabled: false,
         },
+        coordinates: {
+          label: i18n.piiTypeCoordinates,
+          description: i18n.piiTypeCoordinatesDesc,
+          enabled: false,
+        },
+        bankAccounts: {
+          label: i18n.piiTypeBankAccounts,
+          description: i18n.piiTypeBankAccountsDesc,
+          enabled: false,
+        },
+        nino: { label: i18n.piiTypeNino, description: i18n.piiTypeNinoDesc, enabled: false },
+        sin: { label: i18n.piiTypeSin, description: i18n.piiTypeSinDesc, enabled: false },
+        aadhaar: {
+          label: i18n.piiTypeAadhaar,
+          description: i18n.piiTypeAadhaarDesc,
+          enabled: false,
+        },
+        insee: { label: i18n.piiTypeInsee, description: i18n.piiTypeInseeDesc, enabled: false },
+        dni: { label: i18n.piiTypeDni, description: i18n.piiTypeDniDesc, enabled: false },
+        cpf: { label: i18n.piiTypeCpf, description: i18n.piiTypeCpfDesc, enabled: false },
+        passports: {
+          label: i18n.piiTypePassports,
+          description: i18n.piiTypePassportsDesc,
+          enabled: false,
+        },
+        secrets: {
+          label: i18n.piiTypeSecrets,
+          description: i18n.piiTypeSecretsDesc,
+          enabled: false,
+        },
+        identifiers: {
+          label: i18n.piiTypeIdentifiers,
+          description: i18n.piiTypeIdentifiersDesc,
+          enabled: false,
+        },
+        crypto: {
+          label: i18n.piiTypeCrypto,
+          description: i18n.piiTypeCryptoDesc,
+          enabled: false,
+        },
+        usernames: {
+          label: i18n.piiTypeUsernames,
+          description: i18n.piiTypeUsernamesDesc,
+          enabled: false,
+        },
+        customRegex: {
+          label: i18n.piiTypeCustomRegex,
+          description: i18n.piiTypeCustomRegexDesc,
+          enabled: true,
+        },
       };
     }
 
@@ -0,0 +1,136 @@
+/**
+ * SafeSnap - Address Pool
+ * Generates fake postal addresses for PII replacement
+ * Keeps the original country and builds city/region/postcode from one locality so they agree
+ */
+
+import { addressLocales } from '../dictionaries/address-locales.js';
+
+// Letters allowed in generated postcodes (Canada Post excludes D, F, I, O, Q, U)
+const POSTCODE_LETTERS = 'ABCEGHJKLMNPRSTVWXYZ';
+
+export class AddressPool {
+  constructor() {
+    this.locales = addressLocales;
+  }
+
+  /**
+   * Get locale data for a country (falls back to US)
+   * @param {string} country - Country code ('US', 'GB', 'DE', 'CA', 'AU')
+   * @returns {Object} Locale data
+   */
+  getLocale(country) {
+    return this.locales[country] || this.locales.US;
+  }
+
+  /**
+   * Get a random locality (city, region and postcode template) for a country
+   * @param {string} country - Country code
+   * @returns {Object} { city, region, postcode }
+   */
+  getRandomLocality(country) {
+    const { localities } = this.getLocale(country);
+    return localities[Math.floor(Math.random() * localities.length)];
+  }
+
+  /**
+   * Generate a postcode from a template, following the original's layout
+   * @param {string} template - Postcode template ('#' = digit, '@' = letter)
+   * @param {string} [original] - Original postcode (keeps "D-" prefix, ZIP+4, missing space)
+   * @returns {string} Postcode
+   */
+  generatePostcode(template, original = '') {
+    let postcode = template.replace(/[#@]/g, (char) =>
+      char === '#'
+        ? Math.floor(Math.random() * 10).toString()
+        : POSTCODE_LETTERS[Math.floor(Math.random() * POSTCODE_LETTERS.length)]
+    );
+
+    if (original && !/\s/.test(original)) {
+      postcode = postcode.replace(/\s+/g, '');
+    }
+    if (/^D-/.test(original)) {
+      postcode = `D-${postcode}`;
+    }
+    if (/^\d{5}-\d{4}$/.test(original)) {
+      postcode += `-${Math.floor(Math.random() * 10000)
+        .toString()
+        .padStart(4, '0')}`;
+    }
+
+    return postcode;
+  }
+
+  /**
+   * Generate a street line in the country's style
+   * English forms keep abbreviated vs. full street types ("St" vs "Street");
+   * German forms put the house number after the street name ("Lindenweg 7")
+   * @param {string} country - Country code
+   * @param {string} [original] - Original street line
+   * @returns {string} Street line
+   */
+  generateStreet(country, original = '') {
+    const locale = this.getLocale(country);
+    const street = locale.streets[Math.floor(Math.random() * locale.streets.length)];
+    const typeNames = Object.keys(locale.streetTypes);
+    const typeName = typeNames[Math.floor(Math.random() * typeNames.length)];
+
+    if (country === 'DE') {
+      const number = Math.floor(Math.random() * 199) + 1;
+      const suffix = /\d\s?[a-z]$/.test(original) ? 'abcdef'[Math.floor(Math.random() * 6)] : '';
+      const type = /str\./i.test(original) ? 'str.' : typeName;
+      return `${street}${type} ${number}${suffix}`;
+    }
+
+    // Abbreviated if the original's last word isn't a full street type name
+    const originalType = original.trim().split(/\s+/).pop() || '';
+    const fullTypeNames = new Set(
+      Object.values(this.locales).flatMap((data) => Object.keys(data.streetTypes))
+    );
+    const abbreviated = !fullTypeNames.has(originalType);
+
+    // US house numbers run high; elsewhere they rarely pass a few hundred
+    const number = Math.floor(Math.random() * (country === 'US' ? 9999 : 299)) + 1;
+    const type = abbreviated ? locale.streetTypes[typeName] : typeName;
+    return `${number} ${street} ${type}`;
+  }
+
+  /**
+   * Replace the parts of an address (street, city, region, postcode) in place,
+   * keeping the original punctuation and spacing between them
+   * @param {string} value - Original address or postcode text
+   * @param {Array<Object>} parts - Part spans relative to value ({ kind, start, end })
+   * @param {string} country - Country code
+   * @returns {string} Fake address in the same layout
+   */
+  replaceParts(value, parts, country) {
+    const locality = this.getRandomLocality(country);
+
+    let result = value;
+    for (const part of [...parts].sort((a, b) => b.start - a.start)) {
+      const originalPart = value.slice(part.start, part.end);
+      let replacement;
+      switch (part.kind) {
+        case 'street':
+          replacement = this.generateStreet(country, originalPart);
+          break;
+        case 'city':
+          replacement = locality.city;
+          break;
+        case 'region':
+          replacement = locality.region || originalPart;
+          break;
+        case 'postcode':
+          replacement = this.generatePostcode(locality.postcode, originalPart);
+          break;
+        default:
+          replacement = originalPart;
+      }
+      result = result.slice(0, part.start) + replacement + result.slice(part.end);
+    }
+
+    return result;
+  }
+}
+
+export default AddressPool;
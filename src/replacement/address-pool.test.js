@@ -0,0 +1,62 @@
+/**
+ * AddressPool Tests
+ */
+
+import { AddressPool } from './address-pool.js';
+
+describe('AddressPool', () => {
+  let addressPool;
+
+  beforeEach(() => {
+    addressPool = new AddressPool();
+  });
+
+  describe('generatePostcode', () => {
+    test('should fill digit and letter placeholders', () => {
+      expect(addressPool.generatePostcode('M#@ #@#')).toMatch(/^M\d[A-Z] \d[A-Z]\d$/);
+      expect(addressPool.generatePostcode('10###')).toMatch(/^10\d{3}$/);
+    });
+
+    test('should follow the original layout', () => {
+      expect(addressPool.generatePostcode('M#@ #@#', 'K1M1M4')).toMatch(/^M\d[A-Z]\d[A-Z]\d$/);
+      expect(addressPool.generatePostcode('10###', 'D-10115')).toMatch(/^D-10\d{3}$/);
+      expect(addressPool.generatePostcode('627##', '94105-1234')).toMatch(/^627\d{2}-\d{4}$/);
+    });
+  });
+
+  describe('generateStreet', () => {
+    test('should keep abbreviated or full street types', () => {
+      expect(addressPool.generateStreet('US', '123 Main St')).toMatch(
+        /^\d+ [A-Za-z]+ (St|Ave|Rd|Blvd|Dr|Ln|Ct|Way)$/
+      );
+      expect(addressPool.generateStreet('US', '123 Main Street')).toMatch(
+        /^\d+ [A-Za-z]+ (Street|Avenue|Road|Boulevard|Drive|Lane|Court|Way)$/
+      );
+    });
+
+    test('should put the house number after German street names', () => {
+      expect(addressPool.generateStreet('DE', 'Hauptstraße 12')).toMatch(/^[A-ZÄÖÜ]\S+ \d+$/);
+      expect(addressPool.generateStreet('DE', 'Berliner Str. 5')).toMatch(/str\. \d+$/);
+      expect(addressPool.generateStreet('DE', 'Lindenweg 7a')).toMatch(/ \d+[a-f]$/);
+    });
+  });
+
+  describe('replaceParts', () => {
+    test('should use one coherent locality for city, region and postcode', () => {
+      const value = 'Springfield, IL 62704';
+      const parts = [
+        { kind: 'city', start: 0, end: 11 },
+        { kind: 'region', start: 13, end: 15 },
+        { kind: 'postcode', start: 16, end: 21 },
+      ];
+
+      const replaced = addressPool.replaceParts(value, parts, 'US');
+      const [, city, region, postcode] = replaced.match(/^(.+), ([A-Z]{2}) (\d{5})$/);
+      const locality = addressPool.getLocale('US').localities.find((l) => l.city === city);
+
+      expect(locality).toBeDefined();
+      expect(region).toBe(locality.region);
+      expect(postcode.slice(0, 3)).toBe(locality.postcode.slice(0, 3));
+    });
+  });
+});
@@ -5,6 +5,8 @@
  * Ensures the same entity always gets the same replacement value.
  */
 
+import { NamePool } from './name-pool.js';
+
 export class ConsistencyMapper {
   constructor() {
     // Map structure: "type:normalized_original" -> replacement
@@ -22,10 +24,43 @@ export class ConsistencyMapper {
    */
   _normalizeKey(type, original) {
     // Case-insensitive, trimmed
-    const normalized = original.toLowerCase().trim();
+    let normalized = original.toLowerCase().trim();
+
+    // Identifiers are the same ID however they are punctuated ("A-10293" / "A10293",
+    // dashed and compact UUIDs)
+    if (type === 'identifier') {
+      normalized = normalized.replace(/[^a-z0-9_]/g, '');
+    }
+
     return `${type}:${normalized}`;
   }
 
+  /**
+   * Put a cached identifier replacement into the shape of another spelling of the same ID
+   * @private
+   * @param {string} original - Original value as it appears here
+   * @param {string} replacement - Cached replacement (for any spelling of the same ID)
+   * @returns {string} Replacement with the original's punctuation and letter case
+   */
+  _reshapeIdentifier(original, replacement) {
+    const characters = replacement.replace(/[^A-Za-z0-9_]/g, '');
+    if (characters.length !== original.replace(/[^A-Za-z0-9_]/g, '').length) {
+      return replacement;
+    }
+
+    // Follow the original's case: all upper, all lower, or letter by letter when mixed
+    const allUpper = !/[a-z]/.test(original);
+    const allLower = !/[A-Z]/.test(original);
+
+    let index = 0;
+    return original.replace(/[A-Za-z0-9_]/g, (char) => {
+      const next = characters[index++];
+      if (allUpper || /[A-Z]/.test(char)) return next.toUpperCase();
+      if (allLower || /[a-z]/.test(char)) return next.toLowerCase();
+      return next;
+    });
+  }
+
   /**
    * Check if an entity has a cached replacement
    * @param {string} type - PII type
@@ -45,7 +80,12 @@ export class ConsistencyMapper {
    */
   get(type, original) {
     const key = this._normalizeKey(type, original);
-    return this.map.get(key) || null;
+    const replacement = this.map.get(key) || null;
+
+    if (replacement && type === 'identifier') {
+      return this._reshapeIdentifier(original, replacement);
+    }
+    return replacement;
   }
 
   /**
@@ -107,6 +147,11 @@ export class ConsistencyMapper {
       // Extract type from the related key
       const [relatedType] = relatedKey.split(':', 2);
 
+      // Names and emails are never derived from a handle - usernames follow them instead
+      if (type === 'username' && relatedType !== 'username') {
+        continue;
+      }
+
       // Generate consistent replacement based on the primary replacement
       let consistentReplacement = replacement;
 
@@ -144,13 +189,45 @@ export class ConsistencyMapper {
         // "John Doe" -> "john.doe@example.com"
         const parts = replacement.toLowerCase().split(' ');
         consistentReplacement = `${parts.join('.')}@example.com`;
+      } else if (relatedType === 'username') {
+        // "Jane Smith" / "jane.smith@…" -> "jsmith42" in the style of the original handle
+        consistentReplacement = this._deriveUsername(type, replacement, relatedKey);
       }
 
       // Store the consistent replacement
       this.map.set(relatedKey, consistentReplacement);
+
+      // Usernames linked only through this email follow it too
+      if (relatedType === 'email') {
+        for (const emailRelatedKey of this.relatedEntities.get(relatedKey) || []) {
+          if (emailRelatedKey.startsWith('username:') && !this.map.has(emailRelatedKey)) {
+            this.map.set(
+              emailRelatedKey,
+              this._deriveUsername('email', consistentReplacement, emailRelatedKey)
+            );
+          }
+        }
+      }
     }
   }
 
+  /**
+   * Derive a username replacement from a replaced name or email
+   * @private
+   * @param {string} sourceType - 'properNoun' or 'email'
+   * @param {string} sourceReplacement - Replacement of the linked name or email
+   * @param {string} usernameKey - Normalized key of the username ("username:jdoe42")
+   * @returns {string} Username in the style of the original
+   */
+  _deriveUsername(sourceType, sourceReplacement, usernameKey) {
+    const originalUsername = usernameKey.slice(usernameKey.indexOf(':') + 1);
+    const nameParts =
+      sourceType === 'email'
+        ? sourceReplacement.split('@')[0].split(/[._-]/)
+        : sourceReplacement.split(/\s+/);
+    return NamePool.toUsername(nameParts, originalUsername);
+  }
+
   /**
    * Clear all mappings (e.g., when navigating to a new page)
    */
@@ -216,6 +293,7 @@ export class ConsistencyMapper {
     const names = validEntities.filter(
       (e) => e.type === 'properNoun' && !this._looksLikeCompany(e.original)
     );
+    const usernames = validEntities.filter((e) => e.type === 'username');
 
     // Link companies with their URLs
     for (const company of companies) {
@@ -239,6 +317,60 @@ export class ConsistencyMapper {
         }
       }
     }
+
+    // Link usernames with the person's name and email ("@jdoe42", "John Doe", "john.doe@…")
+    for (const username of usernames) {
+      const handle = username.original.toLowerCase().replace(/[^a-z]/g, '');
+      if (handle.length < 3) continue;
+
+      for (const email of emails) {
+        const emailLocal = email.original.split('@')[0].toLowerCase();
+        const localLetters = emailLocal.replace(/[^a-z]/g, '');
+        // Same letters ("jdoe" / "jdoe@…") or a handle built from the local part's name
+        // ("jdoe" / "john.doe@…")
+        const sameLetters =
+          localLetters.length >= 3 &&
+          (localLetters.includes(handle) || handle.includes(localLetters));
+        if (sameLetters || this._handleMatchesName(handle, emailLocal.replace(/[._-]/g, ' '))) {
+          this.linkRelated('username', username.original, 'email', email.original);
+        }
+      }
+
+      for (const name of names) {
+        if (this._handleMatchesName(handle, name.original)) {
+          this.linkRelated('username', username.original, 'properNoun', name.original);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check if a handle is built from a person's name ("jdoe", "johndoe", "doe_john")
+   * @private
+   * @param {string} handle - Username letters, lowercased
+   * @param {string} name - Person name
+   * @returns {boolean} True if the handle contains the last name with the first name or initial
+   */
+  _handleMatchesName(handle, name) {
+    const parts = name
+      .toLowerCase()
+      .split(/\s+/)
+      .map((part) => part.replace(/[^a-z]/g, ''))
+      .filter((part) => part.length > 0);
+    if (parts.length === 0) return false;
+
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+    if (parts.length === 1) {
+      return first.length >= 4 && handle.includes(first);
+    }
+    return (
+      last.length >= 2 &&
+      handle.includes(last) &&
+      (handle.includes(first) ||
+        handle.startsWith(first.charAt(0)) ||
+        handle.endsWith(first.charAt(0)))
+    );
   }
 
   /**
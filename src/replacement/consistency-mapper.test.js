@@ -49,6 +49,33 @@ describe('ConsistencyMapper', () => {
     });
   });
 
+  describe('identifiers', () => {
+    test('should map differently punctuated spellings of an ID to one replacement', () => {
+      mapper.set('identifier', 'A-10293', 'Q-58121');
+
+      expect(mapper.has('identifier', 'A10293')).toBe(true);
+      expect(mapper.get('identifier', 'A10293')).toBe('Q58121');
+      expect(mapper.get('identifier', 'a-10293')).toBe('q-58121');
+    });
+
+    test('should reshape UUIDs between dashed and compact forms', () => {
+      mapper.set(
+        'identifier',
+        '550e8400-e29b-41d4-a716-446655440000',
+        '9b2c7d10-4f3e-4a1b-8c2d-3e4f5a6b7c8d'
+      );
+
+      expect(mapper.get('identifier', '550E8400E29B41D4A716446655440000')).toBe(
+        '9B2C7D104F3E4A1B8C2D3E4F5A6B7C8D'
+      );
+    });
+
+    test('should not merge punctuation for other types', () => {
+      mapper.set('properNoun', 'A-B', 'C-D');
+      expect(mapper.has('properNoun', 'AB')).toBe(false);
+    });
+  });
+
   describe('has', () => {
     test('should return true for existing mapping', () => {
       mapper.set('phone', '555-1234', '555-9999');
@@ -136,6 +163,31 @@ describe('ConsistencyMapper', () => {
     });
   });
 
+  describe('username propagation', () => {
+    test('should derive a linked username from the replaced name', () => {
+      mapper.linkRelated('username', 'jdoe42', 'properNoun', 'John Doe');
+      mapper.propagateToRelated('properNoun', 'John Doe', 'Mary Smith');
+
+      expect(mapper.get('username', 'jdoe42')).toMatch(/^msmith\d{2}$/);
+    });
+
+    test('should follow an email that was itself derived from a name', () => {
+      mapper.linkRelated('properNoun', 'John Doe', 'email', 'john.doe@example.com');
+      mapper.linkRelated('username', 'john_doe', 'email', 'john.doe@example.com');
+      mapper.propagateToRelated('properNoun', 'John Doe', 'Mary Smith');
+
+      expect(mapper.get('username', 'john_doe')).toBe('mary_smith');
+    });
+
+    test('should not overwrite names or emails from a username', () => {
+      mapper.set('properNoun', 'John Doe', 'Mary Smith');
+      mapper.linkRelated('username', 'jdoe', 'properNoun', 'John Doe');
+      mapper.propagateToRelated('username', 'jdoe', 'kwhite');
+
+      expect(mapper.get('properNoun', 'John Doe')).toBe('Mary Smith');
+    });
+  });
+
   describe('clear', () => {
     test('should clear all mappings', () => {
       mapper.set('email', 'test1@example.com', 'replacement1@test.com');
@@ -235,6 +287,22 @@ describe('ConsistencyMapper', () => {
       expect(related.some((r) => r.includes('email'))).toBe(true);
     });
 
+    test('should link usernames with the matching name and email', () => {
+      const entities = [
+        { type: 'properNoun', original: 'John Doe', start: 0, end: 8 },
+        { type: 'email', original: 'john.doe@example.com', start: 10, end: 30 },
+        { type: 'username', original: 'jdoe42', start: 32, end: 38 },
+        { type: 'username', original: 'catlover', start: 40, end: 48 },
+      ];
+
+      mapper.autoLinkRelated(entities);
+
+      const related = mapper.getRelated('username', 'jdoe42');
+      expect(related).toContain('properNoun:john doe');
+      expect(related).toContain('email:john.doe@example.com');
+      expect(mapper.getRelated('username', 'catlover')).toHaveLength(0);
+    });
+
     test('should handle empty entity list', () => {
       expect(() => {
         mapper.autoLinkRelated([]);
@@ -5,12 +5,72 @@
  */
 
 import { enDictionary } from '../dictionaries/en.js';
+import { scriptNames } from '../dictionaries/script-names.js';
 
 export class NamePool {
   constructor() {
     // Load names from centralized dictionary
     this.firstNames = enDictionary.firstNames;
     this.lastNames = enDictionary.lastNames;
+
+    // Names for the locales written in other scripts ('ja', 'zh', 'ko', 'ru', 'ar', 'hi')
+    this.localePools = scriptNames;
+  }
+
+  /**
+   * Get the locale of a name written in a non-Latin script
+   * Han names are Japanese when written with kana or starting with a Japanese surname
+   * @param {string} name - Name as written
+   * @returns {string|null} Locale of a locale pool, or null for Latin-script names
+   */
+  static detectLocale(name) {
+    if (/\p{Script=Hangul}/u.test(name)) return 'ko';
+    if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(name)) return 'ja';
+    if (/\p{Script=Han}/u.test(name)) {
+      const japanese = scriptNames.ja.surnames.some(
+        (surname) => surname.length > 1 && name.startsWith(surname)
+      );
+      return japanese ? 'ja' : 'zh';
+    }
+    if (/\p{Script=Cyrillic}/u.test(name)) return 'ru';
+    if (/\p{Script=Arabic}/u.test(name)) return 'ar';
+    if (/\p{Script=Devanagari}/u.test(name)) return 'hi';
+    return null;
+  }
+
+  /**
+   * Get a random name from a locale pool in the shape of an original name
+   * A surname stays a surname ("田中" -> "佐藤"), a full name stays a full name in the
+   * locale's order ("山田太郎" -> "鈴木花子", "Иван Петров" -> "Сергей Соколов"), and a
+   * space between the parts is kept. Where names are gendered, the replacement keeps the
+   * original's gender and its surname agrees with the given name ("Ольга Соколова").
+   * @param {string} locale - Locale pool ('ja', 'zh', 'ko', 'ru', 'ar', 'hi')
+   * @param {string} original - Original name
+   * @returns {string} Name from the locale pool
+   */
+  getRandomLocaleName(locale, original) {
+    const pool = this.localePools[locale];
+    const pick = (names) => names[Math.floor(Math.random() * names.length)];
+    const words = original.trim().split(/\s+/);
+
+    if (pool.familyNameFirst) {
+      const compact = words.join('');
+      if (pool.surnames.includes(compact)) return pick(pool.surnames);
+      if (!pool.surnames.some((surname) => compact.startsWith(surname))) {
+        return pick(pool.givenNames); // A given name alone ("민수님")
+      }
+      return [pick(pool.surnames), pick(pool.givenNames)].join(words.length > 1 ? ' ' : '');
+    }
+
+    // Names of the same gender as the original's first word, where the locale marks it
+    const isFemale = (name) => pool.femaleEndings.some((ending) => name.endsWith(ending));
+    const sameGender = (names) =>
+      pool.femaleEndings ? names.filter((name) => isFemale(name) === isFemale(words[0])) : names;
+
+    if (words.length === 1) {
+      return pick(sameGender(pool.surnames.includes(original) ? pool.surnames : pool.givenNames));
+    }
+    return `${pick(sameGender(pool.givenNames))} ${pick(sameGender(pool.surnames))}`;
   }
 
   /**
@@ -92,6 +152,40 @@ export class NamePool {
 
     return isFirstName || isLastName;
   }
+
+  /**
+   * Build a username from name parts in the style of an existing handle
+   * Keeps the separator ("jane.smith", "jane_smith"), initial style ("j.smith", "jsmith"),
+   * CamelCase and the count of trailing digits ("jdoe42" -> "msmith17")
+   * @param {string[]} nameParts - Name parts, e.g. ['Mary', 'Smith']
+   * @param {string} original - Original username to take the style from
+   * @returns {string} Username
+   */
+  static toUsername(nameParts, original) {
+    const parts = nameParts.map((part) => part.replace(/[^A-Za-z]/g, '')).filter((p) => p);
+    if (parts.length === 0) return original;
+
+    const letters = original.replace(/\d+$/, '');
+    const separator = (letters.match(/[A-Za-z]([._-])[A-Za-z]/) || [])[1] || '';
+    const camelCase = /^[A-Z][a-z]+[A-Z]/.test(letters);
+    const firstRun = letters.split(/[._-]/)[0];
+
+    let words = parts.length > 1 ? [parts[0], parts[parts.length - 1]] : parts;
+    if (words.length > 1 && (firstRun.length === 1 || (!separator && !camelCase))) {
+      words = [words[0].charAt(0), words[1]];
+    }
+    words = words.map((word) =>
+      camelCase ? word.charAt(0).toUpperCase() + word.slice(1).toLowerCase() : word.toLowerCase()
+    );
+
+    const digitCount = (original.match(/\d+$/) || [''])[0].length;
+    let digits = '';
+    for (let i = 0; i < digitCount; i++) {
+      digits += Math.floor(Math.random() * 10);
+    }
+
+    return `${words.join(camelCase ? '' : separator)}${digits}`;
+  }
 }
 
 export default NamePool;
@@ -282,4 +282,69 @@ describe('NamePool', () => {
       expect(namePool.isLikelyName("O'Brien")).toBe(false);
     });
   });
+
+  describe('toUsername', () => {
+    test('should follow the separator and initial style of the original', () => {
+      expect(NamePool.toUsername(['Mary', 'Smith'], 'john.doe')).toBe('mary.smith');
+      expect(NamePool.toUsername(['Mary', 'Smith'], 'j_doe')).toBe('m_smith');
+      expect(NamePool.toUsername(['Mary', 'Smith'], 'jdoe')).toBe('msmith');
+      expect(NamePool.toUsername(['Mary', 'Smith'], 'JohnDoe')).toBe('MarySmith');
+    });
+
+    test('should keep the number of trailing digits', () => {
+      expect(NamePool.toUsername(['Mary', 'Smith'], 'jdoe42')).toMatch(/^msmith\d{2}$/);
+    });
+
+    test('should return the original when there are no name parts', () => {
+      expect(NamePool.toUsername([], 'jdoe42')).toBe('jdoe42');
+    });
+  });
+
+  describe('detectLocale', () => {
+    test('should tell locales apart by script', () => {
+      expect(NamePool.detectLocale('김민수')).toBe('ko');
+      expect(NamePool.detectLocale('スミス')).toBe('ja');
+      expect(NamePool.detectLocale('山田太郎')).toBe('ja');
+      expect(NamePool.detectLocale('王小明')).toBe('zh');
+      expect(NamePool.detectLocale('Иван Петров')).toBe('ru');
+      expect(NamePool.detectLocale('خالد المصري')).toBe('ar');
+      expect(NamePool.detectLocale('राहुल शर्मा')).toBe('hi');
+      expect(NamePool.detectLocale('John Smith')).toBeNull();
+    });
+  });
+
+  describe('getRandomLocaleName', () => {
+    test('should keep surnames, full names and spacing', () => {
+      const ja = namePool.localePools.ja;
+
+      expect(ja.surnames).toContain(namePool.getRandomLocaleName('ja', '田中'));
+
+      const full = namePool.getRandomLocaleName('ja', '山田 太郎').split(' ');
+      expect(ja.surnames).toContain(full[0]);
+      expect(ja.givenNames).toContain(full[1]);
+    });
+
+    test('should put the given name first where the locale does', () => {
+      const ru = namePool.localePools.ru;
+      const [given, surname] = namePool.getRandomLocaleName('ru', 'Иван Петров').split(' ');
+
+      expect(ru.givenNames).toContain(given);
+      expect(ru.surnames).toContain(surname);
+      expect(ru.surnames).toContain(namePool.getRandomLocaleName('ru', 'Петров'));
+    });
+
+    test('should keep the gender of names that mark it, with the parts agreeing', () => {
+      for (let i = 0; i < 20; i++) {
+        const [given, surname] = namePool.getRandomLocaleName('ru', 'Владимир Путин').split(' ');
+        expect(given).not.toMatch(/[ая]$/);
+        expect(surname).not.toMatch(/а$/);
+
+        const female = namePool.getRandomLocaleName('ru', 'Анна Иванова').split(' ');
+        expect(female[0]).toMatch(/[ая]$/);
+        expect(female[1]).toMatch(/а$/);
+
+        expect(namePool.getRandomLocaleName('ru', 'Петрова')).toMatch(/а$/);
+      }
+    });
+  });
 });
@@ -0,0 +1,34 @@
+/**
+ * SafeSnap - Product Pool
+ * Provides random product names for PII replacement
+ */
+
+import { enDictionary } from '../dictionaries/en.js';
+
+export class ProductPool {
+  constructor() {
+    // Load product data from centralized dictionary
+    this.names = enDictionary.productNames;
+    this.models = enDictionary.productModels;
+  }
+
+  /**
+   * Get a random product name
+   * @param {string} [original] - Original product name (a model designation is kept if it has one)
+   * @returns {string} Product name, e.g. "Nimbus" or "Halo Pro"
+   */
+  getRandomProduct(original = '') {
+    const name = this.names[Math.floor(Math.random() * this.names.length)];
+    const words = original.trim().split(/\s+/);
+
+    // "Pixel 8", "Galaxy S24 Ultra": follow the original with a model designation
+    if (words.length > 1) {
+      const model = this.models[Math.floor(Math.random() * this.models.length)];
+      return `${name} ${model}`;
+    }
+
+    return name;
+  }
+}
+
+export default ProductPool;
@@ -0,0 +1,26 @@
+/**
+ * ProductPool Tests
+ */
+
+import { ProductPool } from './product-pool.js';
+
+describe('ProductPool', () => {
+  let productPool;
+
+  beforeEach(() => {
+    productPool = new ProductPool();
+  });
+
+  describe('getRandomProduct', () => {
+    test('should return a name from the pool for a single-word product', () => {
+      expect(productPool.names).toContain(productPool.getRandomProduct('Kindle'));
+    });
+
+    test('should add a model designation when the original has one', () => {
+      const [name, model] = productPool.getRandomProduct('Pixel 8').split(' ');
+
+      expect(productPool.names).toContain(name);
+      expect(productPool.models).toContain(model);
+    });
+  });
+});
@@ -5,22 +5,182 @@
  * Preserves format, applies magnitude variance, and uses pool-based replacements.
  */
 
+import { isValidPhoneNumber } from 'libphonenumber-js';
 import { NamePool } from './name-pool.js';
 import { CompanyPool } from './company-pool.js';
 import { LocationPool } from './location-pool.js';
+import { ProductPool } from './product-pool.js';
+import { AddressPool } from './address-pool.js';
 import { PatternMatcher } from '../detection/pattern-matcher.js';
 import { APP_CONFIG } from '../../config/app-config.js';
+import {
+  computeIBANCheckDigits,
+  computeABACheckDigit,
+  computeLuhnCheckDigit,
+  computeVerhoeffCheckDigit,
+  computeINSEEKey,
+  computeDNILetter,
+  computeCPFCheckDigits,
+  isValidNINO,
+  isValidBitcoinAddress,
+  base58Decode,
+  base58Encode,
+  base58CheckDecode,
+  base58CheckEncode,
+  bech32Decode,
+  bech32Encode,
+  convertBits,
+  toChecksumAddress,
+} from '../detection/validators.js';
+import { currencyWords, numberWords } from '../dictionaries/currencies.js';
+import { enDictionary } from '../dictionaries/en.js';
+
+const LONG_MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+const SHORT_MONTHS = LONG_MONTHS.map((month) => month.slice(0, 3));
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Leading weekday of a date: "Monday, Jan 6", "Tue 7 Jan 2025", "Wed. 01/08/2025"
+const WEEKDAY_PREFIX =
+  /^((?:Mon|Tue|Tues|Wed|Thu|Thur|Thurs|Fri|Sat|Sun)(?:day|sday|nesday|rsday|urday)?)(\.?,?\s+)(.+)$/i;
+
+// Approximate length of each unit used in relative dates ("3 weeks ago")
+const RELATIVE_UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+
+// Scale words by value, for spelled-out money
+const SCALE_NAMES = Object.fromEntries(
+  Object.entries(numberWords.scales).map(([name, value]) => [value, name])
+);
+
+/**
+ * Spell out a whole number below one thousand ("two hundred fifty")
+ * @param {number} number - Number from 1 to 999
+ * @returns {string} Number in English words
+ */
+function spellNumber(number) {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  const words = [];
+  if (hundreds) words.push(`${numberWords.units[hundreds]} hundred`);
+  if (rest >= 20) {
+    const unit = rest % 10;
+    words.push(
+      numberWords.tens[Math.floor(rest / 10)] + (unit ? `-${numberWords.units[unit]}` : '')
+    );
+  } else if (rest || !hundreds) {
+    words.push(numberWords.units[rest]);
+  }
+  return words.join(' ');
+}
+
+/**
+ * Ordinal suffix for a day of the month (1st, 2nd, 3rd, 4th, 11th, 22nd)
+ * @param {number} day - Day of the month
+ * @returns {string} Suffix
+ */
+function ordinalSuffix(day) {
+  if (day >= 11 && day <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+}
+
+/**
+ * Copy the capitalization of the original's first letter ("Last Tuesday" -> "Last Friday")
+ * @param {string} text - Lowercase text
+ * @param {string} original - Original text
+ * @returns {string} Text with matching capitalization
+ */
+function matchCase(text, original) {
+  if (original === original.toUpperCase()) return text.toUpperCase();
+  return /^[A-Z]/.test(original) ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+/**
+ * Keep a shifted day count on the same side of today as the original
+ * @param {number} delta - Shifted distance from today in days
+ * @param {boolean} isPast - Whether the original date was in the past
+ * @param {number} step - Closest distance allowed, in days (one unit of the original phrase)
+ * @returns {number} Delta, or one step from today on the original side if it crossed over
+ */
+function clampToSide(delta, isPast, step) {
+  if (isPast) return Math.min(delta, -step);
+  return Math.max(delta, step);
+}
 
 export class Replacer {
   constructor() {
     this.namePool = new NamePool();
     this.companyPool = new CompanyPool();
     this.locationPool = new LocationPool();
+    this.productPool = new ProductPool();
+    this.addressPool = new AddressPool();
     this.patternMatcher = new PatternMatcher();
     this.magnitudeVariance = APP_CONFIG.defaults.magnitudeVariance; // from config
     this.redactionMode = APP_CONFIG.defaults.redactionMode; // 'random' or 'blackout'
+    this.percentageVariance = APP_CONFIG.defaults.percentageVariance; // from config
+    this.clampPercentages = APP_CONFIG.defaults.clampPercentages; // keep 0-100% values in range
     this.moneyMultiplier = null; // Will be set once per protection session (used for both money and quantities)
+    this.percentageMultiplier = null; // Set once per protection session (percentages and ratios)
     this.dateOffset = null; // Days to add to all dates (set once per protection session)
+    this.timeOffset = null; // Minutes to add to all times (set once per protection session)
+    this.coordinateOffset = null; // Degrees to move all coordinates by (set once per protection session)
+    this.dateOrder = APP_CONFIG.defaults.dateOrder; // 'auto', 'mdy' or 'dmy'
+    this.inferredDateOrder = null; // Order inferred from the page's dates when dateOrder is 'auto'
+  }
+
+  /**
+   * Set how ambiguous numeric dates ("06/01/2025") are read
+   * @param {string} order - 'mdy' (US), 'dmy' (most other locales) or 'auto' (infer from the page)
+   */
+  setDateOrder(order) {
+    this.dateOrder = order || 'auto';
+  }
+
+  /**
+   * Get the order used to read numeric dates
+   * @returns {string} 'mdy' or 'dmy'
+   */
+  getDateOrder() {
+    if (this.dateOrder === 'mdy' || this.dateOrder === 'dmy') return this.dateOrder;
+    return this.inferredDateOrder || 'mdy';
+  }
+
+  /**
+   * Infer the page's date order from its numeric dates: "25/12/2024" can only be day-first
+   * and "12/25/2024" only month-first. When no date settles it, the page language decides
+   * (US English is month-first, everything else day-first).
+   * @param {Array<string>} dates - Date texts found on the page
+   * @param {string} [lang] - Page language (<html lang>)
+   * @returns {string} Inferred order ('mdy' or 'dmy')
+   */
+  inferDateOrder(dates, lang = '') {
+    let dayFirst = 0;
+    let monthFirst = 0;
+    for (const date of dates) {
+      const match = date.match(/(?:^|\D)(\d{1,2})[-/.](\d{1,2})[-/.]\d{2,4}/);
+      if (!match) continue;
+      const [first, second] = [Number(match[1]), Number(match[2])];
+      if (first > 12 && second <= 12) dayFirst++;
+      if (second > 12 && first <= 12) monthFirst++;
+    }
+
+    if (dayFirst !== monthFirst) {
+      this.inferredDateOrder = dayFirst > monthFirst ? 'dmy' : 'mdy';
+    } else {
+      this.inferredDateOrder = !lang || /^en(-US)?$/i.test(lang) ? 'mdy' : 'dmy';
+    }
+    return this.inferredDateOrder;
   }
 
   /**
@@ -59,9 +219,27 @@ export class Replacer {
     this.magnitudeVariance = variance;
   }
 
+  /**
+   * Set variance for percentage, basis point and ratio replacements
+   * @param {number} variance - Variance percentage (relative change, e.g. 30 = ±30%)
+   */
+  setPercentageVariance(variance) {
+    this.percentageVariance = variance;
+  }
+
+  /**
+   * Set whether unsigned percentages between 0% and 100% stay within that range
+   * @param {boolean} clamp - Clamp replacements to 0-100%
+   */
+  setClampPercentages(clamp) {
+    this.clampPercentages = clamp;
+  }
+
   /**
    * Reset multipliers for a new protection session
-   * This ensures all money/quantities use the same multiplier and all dates use the same offset
+   * This ensures all money/quantities use the same multiplier, all dates/times use the
+   * same offset (so gaps between events in a log or timeline are unchanged) and all
+   * coordinates move together (so the stops of a route keep their relative positions)
    */
   resetMultipliers() {
     const variance = this.magnitudeVariance / 100;
@@ -74,19 +252,35 @@ export class Replacer {
     } while (Math.abs(multiplier - 1.0) < 0.01); // Ensure at least 1% difference
     this.moneyMultiplier = multiplier;
 
+    // Percentages get their own multiplier so rates can vary less than amounts
+    this.percentageMultiplier = null;
+    this._getPercentageMultiplier();
+
     // Generate one date offset for all dates (±60 days, ensuring offset is never 0)
     let offset;
     do {
       offset = Math.floor(Math.random() * 120) - 60; // Random offset between -60 and +60 days
     } while (offset === 0); // Ensure date always changes
     this.dateOffset = offset;
+
+    // Generate one time offset for all times (±3 hours in whole minutes, never 0)
+    let minutes;
+    do {
+      minutes = Math.floor(Math.random() * 361) - 180;
+    } while (minutes === 0);
+    this.timeOffset = minutes;
+
+    this.coordinateOffset = null;
+    this._getCoordinateOffset();
   }
 
   /**
-   * Replace a proper noun with a random name or company
+   * Replace a proper noun from the pool matching what it refers to
    * @param {string} name - Original proper noun
-   * @param {string} context - Context hint: 'person', 'company', or 'auto'
-   * @returns {string} Random replacement name or company
+   * @param {string} context - Context hint: 'person', 'organization' (or 'company'), 'product',
+   *   'place', or 'auto'; anything else ('company_or_person') is replaced as a person
+   * @returns {string} Random replacement name, company, product or place, written in capitals
+   *   when the original is ("JOHN SMITH")
    */
   replaceProperNoun(name, context = 'auto') {
     // Check if blackout mode
@@ -109,24 +303,76 @@ export class Replacer {
     const maxAttempts = 100;
 
     do {
-      if (context === 'company') {
-        replacement = this.companyPool.getRandomCompany();
+      if (context === 'company' || context === 'organization') {
+        // "Salesforce" gets a one- or two-word name, "Acme Corp" a full one with a suffix
+        const hasSuffix = /\b(Inc|Corp|LLC|Ltd|Limited|Company|Co\.|Corporation)\b/i.test(name);
+        replacement = this.companyPool.getRandomCompany(
+          hasSuffix || name.includes(' ') ? 'full' : 'short'
+        );
+      } else if (context === 'product') {
+        replacement = this.productPool.getRandomProduct(name);
+      } else if (context === 'place') {
+        replacement = this.locationPool.getSimilarReplacement(name);
       } else {
-        // Check if full name or just first/last
-        const parts = name.trim().split(/\s+/);
-        if (parts.length >= 2) {
-          replacement = this.namePool.getRandomFullName();
-        } else {
-          // Single name - could be first or last
-          replacement = this.namePool.getRandomFirstName();
-        }
+        replacement = this._replacePersonName(name);
       }
       attempts++;
     } while (replacement === name && attempts < maxAttempts);
 
+    // "JOHN SMITH" in a table header stays in capitals
+    if (/[A-Z]{2}/.test(name) && name === name.toUpperCase()) {
+      replacement = replacement.toUpperCase();
+    }
+
     return replacement;
   }
 
+  /**
+   * Replace a person's name in the same structure: "Last, First" order, initials
+   * ("J. Smith", "John F. Kennedy") and the number of names, from the pool of the script
+   * it is written in
+   * Particles ("van", "de la") belong to the original surname and are dropped
+   * @private
+   * @param {string} name - Original name
+   * @returns {string} Replacement name
+   */
+  _replacePersonName(name) {
+    const pool = this.namePool;
+
+    // A Japanese name gets a Japanese name, a Russian name a Russian one
+    const locale = NamePool.detectLocale(name);
+    if (locale) {
+      return pool.getRandomLocaleName(locale, name);
+    }
+
+    // "Smith, John"
+    if (/^[^,]+,\s*[^,]+$/.test(name)) {
+      return `${pool.getRandomLastName()}, ${pool.getRandomFirstName()}`;
+    }
+
+    const words = name.trim().split(/\s+/);
+    const parts = words.filter((word) => !enDictionary.nameParticles.includes(word));
+
+    // Single name - could be first or last (a surname when it came with particles)
+    if (parts.length === 1) {
+      return parts.length < words.length ? pool.getRandomLastName() : pool.getRandomFirstName();
+    }
+
+    // First name, middle names, last name; initials stay initials ("J.R.R." -> "M.A.K.")
+    return parts
+      .map((part, i) => {
+        const replacement =
+          i === parts.length - 1 ? pool.getRandomLastName() : pool.getRandomFirstName();
+        if (!/^(?:[A-Z]\.)+$/.test(part)) return replacement;
+
+        let letters = 0;
+        return part.replace(/[A-Z]/g, () =>
+          (letters++ === 0 ? replacement : pool.getRandomFirstName()).charAt(0)
+        );
+      })
+      .join(' ');
+  }
+
   /**
    * Replace a monetary amount with variance
    * @param {string} original - Original money string (e.g., "$1,234.56")
@@ -141,7 +387,7 @@ export class Replacer {
     const match = this.patternMatcher.matchMoney(original);
     if (!match) return original;
 
-    const { numericValue, currency, hasCommas, hasSymbol, symbolPosition, decimalPlaces } = match;
+    const { numericValue, decimalPlaces } = match;
 
     // Use the same multiplier for all money values on the page
     // If not set, initialize it (shouldn't happen if resetMultipliers was called)
@@ -156,26 +402,59 @@ export class Replacer {
       this.moneyMultiplier = multiplier;
     }
 
+    if (match.spelled) {
+      const spelled = this._replaceSpelledMoney(match);
+      return matchCase(spelled, original);
+    }
+
+    // The suffix is kept, so "$1.2M" scales the 1.2 and stays in millions
     let newValue = numericValue * this.moneyMultiplier;
 
     // Use decimal places from match
     newValue = parseFloat(newValue.toFixed(decimalPlaces));
 
-    // Format with commas if original had them
-    let formatted = newValue.toFixed(decimalPlaces);
-    if (hasCommas) {
-      const parts = formatted.split('.');
-      parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-      formatted = parts.join('.');
+    // Short amounts like "$1.2M" can round back to the original; move one step instead
+    if (newValue === numericValue && this.magnitudeVariance > 0) {
+      const step = 10 ** -decimalPlaces;
+      newValue = Math.max(step, numericValue + (this.moneyMultiplier > 1 ? step : -step));
     }
 
+    return this._formatMoney(match, newValue);
+  }
+
+  /**
+   * Write an amount in the format of a money match
+   * @private
+   * @param {Object} match - Money match from PatternMatcher.findMoney
+   * @param {number} newValue - Amount to write
+   * @returns {string} Amount with the match's currency, separators, precision and suffix
+   */
+  _formatMoney(match, newValue) {
+    const {
+      currency,
+      hasSymbol,
+      symbolPosition,
+      currencySpacing = '',
+      decimalPlaces,
+      decimalSeparator = '.',
+      groupSeparator = '',
+      suffix = '',
+    } = match;
+
+    // Format with the original's grouping and decimal separators
+    const [integerPart, fractionPart] = newValue.toFixed(decimalPlaces).split('.');
+    const grouped = groupSeparator
+      ? integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, groupSeparator)
+      : integerPart;
+    const formatted = `${grouped}${fractionPart ? decimalSeparator + fractionPart : ''}${suffix}`;
+
     // Add currency symbol
     let replacement;
     if (hasSymbol) {
       if (symbolPosition === 'before') {
-        replacement = currency + formatted;
+        replacement = currency + currencySpacing + formatted;
       } else {
-        replacement = formatted + currency;
+        replacement = formatted + currencySpacing + currency;
       }
     } else {
       replacement = formatted;
@@ -184,6 +463,215 @@ export class Replacer {
     return replacement;
   }
 
+  /**
+   * Scale a spelled-out amount ("two million dollars", "1.5 billion yen")
+   * Amounts written with digits keep their precision; amounts in words are rounded to a
+   * whole number of the largest unit that fits ("eight hundred thousand dollars")
+   * @private
+   * @param {Object} match - Spelled money match from PatternMatcher.findMoney
+   * @returns {string} Replacement in lowercase
+   */
+  _replaceSpelledMoney(match) {
+    const { numericValue, currency, decimalPlaces, spelled, scale } = match;
+    const newValue = numericValue * this.moneyMultiplier;
+
+    let amount;
+    let count;
+    if (spelled === 'digits') {
+      const originalCount = numericValue / scale;
+      const step = 10 ** -decimalPlaces;
+      count = parseFloat((newValue / scale).toFixed(decimalPlaces));
+      if (count === originalCount) {
+        count += this.moneyMultiplier > 1 || originalCount <= step ? step : -step;
+      }
+      amount = `${count.toFixed(decimalPlaces)} ${SCALE_NAMES[scale]}`;
+    } else {
+      let unit =
+        [...Object.keys(SCALE_NAMES)]
+          .map(Number)
+          .reverse()
+          .find((value) => value <= newValue) || 1;
+      count = Math.round(newValue / unit);
+      if (count * unit === numericValue) count += this.moneyMultiplier > 1 ? 1 : -1;
+      if (count === 0) {
+        // "one dollar" can't go lower in whole words
+        unit = 1;
+        count = numericValue + 1;
+      }
+      amount = spellNumber(count) + (unit > 1 ? ` ${SCALE_NAMES[unit]}` : '');
+    }
+
+    // "one dollar" vs "two dollars"; invariable names ("yen") and "pounds sterling" stay as-is
+    let currencyWord = currency.toLowerCase();
+    const singular = currencyWord.replace(/s$/, '');
+    if (currencyWords.includes(singular)) {
+      currencyWord = count === 1 && amount === spellNumber(1) ? singular : `${singular}s`;
+    }
+
+    return `${amount} ${currencyWord}`;
+  }
+
+  /**
+   * Replace a percentage, basis points or ratio with variance
+   * Keeps the sign ("+23.4%"), precision, decimal separator and unit; unsigned percentages
+   * from 0% to 100% (shares, conversion rates) stay in range when clamping is on
+   * @param {string} original - Original value ("+23.4%", "45 bps", "0.87 ratio")
+   * @returns {string} Replacement with same format
+   */
+  replacePercentage(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const match = this.patternMatcher.matchPercentage(original);
+    if (!match) return original;
+
+    const { numericValue, sign, decimalPlaces, decimalSeparator, kind, numberStart, numberEnd } =
+      match.metadata;
+    const multiplier = this._getPercentageMultiplier();
+    const step = 10 ** -decimalPlaces;
+    const clamp = this.clampPercentages && kind === 'percent' && !sign && numericValue <= 100;
+
+    let newValue = parseFloat((numericValue * multiplier).toFixed(decimalPlaces));
+    if (clamp) newValue = Math.min(newValue, 100);
+
+    // Small values can round back to the original; move one step instead
+    if (newValue === numericValue && this.percentageVariance > 0) {
+      const up = multiplier > 1 ? !(clamp && numericValue + step > 100) : numericValue - step < 0;
+      newValue = numericValue + (up ? step : -step);
+    }
+
+    let formatted = newValue.toFixed(decimalPlaces).replace('.', decimalSeparator);
+    const numberText = original.slice(match.start + numberStart, match.start + numberEnd);
+    // ".87" stays without a leading zero
+    if (/^[.,]/.test(numberText)) formatted = formatted.replace(/^0(?=[.,])/, '');
+
+    return (
+      original.slice(0, match.start + numberStart) +
+      formatted +
+      original.slice(match.start + numberEnd)
+    );
+  }
+
+  /**
+   * Get the session percentage multiplier, initializing it if resetMultipliers wasn't called
+   * @private
+   * @returns {number} Multiplier for all percentages on the page (never exactly 1.0)
+   */
+  _getPercentageMultiplier() {
+    if (this.percentageMultiplier === null) {
+      const variance = this.percentageVariance / 100;
+      let multiplier;
+      do {
+        multiplier = 1 + (Math.random() * 2 - 1) * variance;
+      } while (Math.abs(multiplier - 1.0) < 0.01 && variance > 0);
+      this.percentageMultiplier = multiplier;
+    }
+    return this.percentageMultiplier;
+  }
+
+  /**
+   * Replace geographic coordinates by moving them with the session's displacement
+   * Keeps the format (decimal, hemisphere letters or degrees-minutes-seconds), precision,
+   * separators and "+" signs; hemisphere letters follow the new sign
+   * @param {string} original - Original coordinates ("37.7749, -122.4194")
+   * @returns {string} Moved coordinates in the same format
+   */
+  replaceCoordinates(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const match = this.patternMatcher.matchCoordinates(original);
+    if (!match) return original;
+
+    const { format, latitude, longitude } = match.metadata;
+    const offset = this._getCoordinateOffset();
+    const moved = [
+      Math.max(-90, Math.min(90, latitude + offset.latitude)),
+      ((((longitude + offset.longitude + 180) % 360) + 360) % 360) - 180,
+    ];
+
+    let index = 0;
+    let replaced;
+    if (format === 'decimal') {
+      replaced = match.value.replace(/[-+]?\d+\.(\d+)/g, (number, decimals) => {
+        const value = moved[index++];
+        const sign = number.startsWith('+') && value >= 0 ? '+' : '';
+        return sign + value.toFixed(decimals.length);
+      });
+    } else if (format === 'hemisphere') {
+      replaced = match.value.replace(
+        /(\d+(?:\.(\d+))?)(\s*°?\s*)([NSEW])/g,
+        (component, number, decimals = '', spacing, hemisphere) => {
+          const value = moved[index++];
+          const letter = /[NS]/.test(hemisphere) ? (value < 0 ? 'S' : 'N') : value < 0 ? 'W' : 'E';
+          return Math.abs(value).toFixed(decimals.length) + spacing + letter;
+        }
+      );
+    } else {
+      replaced = match.value.replace(
+        /(\d+)°(\s*)(\d+)(['′])(\s*)(?:(\d+(?:\.(\d+))?)(["″])(\s*))?([NSEW])/g,
+        (...groups) => this._formatDMS(moved[index++], groups)
+      );
+    }
+
+    return original.slice(0, match.start) + replaced + original.slice(match.end);
+  }
+
+  /**
+   * Write signed decimal degrees in the layout of a degrees-minutes-seconds component
+   * @private
+   * @param {number} value - Signed decimal degrees
+   * @param {Array} groups - Replace callback arguments for the original component
+   * @returns {string} Component such as "37°46'29.6\"N"
+   */
+  _formatDMS(value, groups) {
+    const [, , degreeSpace, originalMinutes, minuteMark, minuteSpace, seconds, secondDecimals] =
+      groups;
+    const [secondMark, secondSpace, hemisphere] = groups.slice(8, 11);
+    const letter = /[NS]/.test(hemisphere) ? (value < 0 ? 'S' : 'N') : value < 0 ? 'W' : 'E';
+    const pad = (number, text) => (text.length > 1 && number < 10 ? '0' : '') + number;
+
+    // Work in the smallest written unit so rounding carries into minutes and degrees
+    const decimals = secondDecimals ? secondDecimals.length : 0;
+    const unitsPerDegree = (seconds ? 3600 : 60) * 10 ** decimals;
+    let units = Math.round(Math.abs(value) * unitsPerDegree);
+    const degrees = Math.floor(units / unitsPerDegree);
+    units -= degrees * unitsPerDegree;
+
+    if (!seconds) {
+      return `${degrees}°${degreeSpace}${pad(units, originalMinutes)}${minuteMark}${minuteSpace}${letter}`;
+    }
+    const unitsPerMinute = 60 * 10 ** decimals;
+    const minutes = Math.floor(units / unitsPerMinute);
+    const secondsValue = (units - minutes * unitsPerMinute) / 10 ** decimals;
+    const secondsText = secondsValue.toFixed(decimals).padStart(seconds.length, '0');
+    return (
+      `${degrees}°${degreeSpace}${pad(minutes, originalMinutes)}${minuteMark}${minuteSpace}` +
+      `${secondsText}${secondMark}${secondSpace}${letter}`
+    );
+  }
+
+  /**
+   * Get the session coordinate displacement, initializing it if resetMultipliers wasn't called
+   * @private
+   * @returns {Object} { latitude, longitude } in degrees (about 5-50 km in a random direction)
+   */
+  _getCoordinateOffset() {
+    if (this.coordinateOffset === null) {
+      const distance = 0.05 + Math.random() * 0.45;
+      const bearing = Math.random() * 2 * Math.PI;
+      this.coordinateOffset = {
+        latitude: distance * Math.cos(bearing),
+        longitude: distance * Math.sin(bearing),
+      };
+    }
+    return this.coordinateOffset;
+  }
+
   /**
    * Replace a quantity with variance
    * @param {string} original - Original quantity string (e.g., "150 kg")
@@ -198,7 +686,7 @@ export class Replacer {
     const match = this.patternMatcher.matchQuantity(original);
     if (!match) return original;
 
-    const { numericValue, unit, hasCommas, decimalPlaces } = match;
+    const { numericValue } = match;
 
     // Use the same multiplier as money values (for consistency across all numeric values)
     // If not set, initialize it (shouldn't happen if resetMultipliers was called)
@@ -213,10 +701,18 @@ export class Replacer {
       this.moneyMultiplier = multiplier;
     }
 
-    let newValue = numericValue * this.moneyMultiplier;
+    return this._formatQuantity(match, numericValue * this.moneyMultiplier);
+  }
 
-    // Use decimal places from match
-    newValue = parseFloat(newValue.toFixed(decimalPlaces));
+  /**
+   * Write a number in the format of a quantity match
+   * @private
+   * @param {Object} match - Quantity match from PatternMatcher.findQuantities
+   * @param {number} newValue - Number to write
+   * @returns {string} Number with the match's precision, grouping and unit
+   */
+  _formatQuantity(match, newValue) {
+    const { unit, hasCommas, decimalPlaces } = match;
 
     // Format with commas if original had them
     let formatted = newValue.toFixed(decimalPlaces);
@@ -229,6 +725,40 @@ export class Replacer {
     return formatted + (unit ? ' ' + unit : '');
   }
 
+  /**
+   * Write a recomputed figure in the format of an original money or quantity value
+   * Used when a figure follows from others rather than the multiplier (a table total
+   * recomputed from its replaced line items)
+   * @param {string} type - 'money' or 'quantity'
+   * @param {string} original - Original value whose format is kept ("$1,234.56", "150 kg")
+   * @param {number} value - Number to write
+   * @returns {string|null} Formatted value, or null if the original isn't a plain figure
+   */
+  formatLike(type, original, value) {
+    const match = this.readFigure(type, original);
+    if (!match) return null;
+    return type === 'money' ? this._formatMoney(match, value) : this._formatQuantity(match, value);
+  }
+
+  /**
+   * Read a money or quantity value as a plain figure
+   * Spelled-out and abbreviated amounts ("two million dollars", "$1.2M") aren't plain figures
+   * @param {string} type - 'money' or 'quantity'
+   * @param {string} text - Value as written
+   * @returns {Object|null} Money or quantity match (numericValue, decimalPlaces, ...) or null
+   */
+  readFigure(type, text) {
+    if (typeof text !== 'string') return null;
+    const match =
+      type === 'money'
+        ? this.patternMatcher.matchMoney(text)
+        : type === 'quantity'
+          ? this.patternMatcher.matchQuantity(text)
+          : null;
+    if (!match || match.spelled || match.suffix) return null;
+    return match;
+  }
+
   /**
    * Replace a location with a similar-type fake location
    * @param {string} original - Original location name
@@ -256,6 +786,8 @@ export class Replacer {
 
   /**
    * Replace an email address
+   * Obfuscated addresses ("john dot smith at acme dot com", "jane[at]acme.com") are replaced
+   * with a fake address written with the same separators and case
    * @param {string} original - Original email
    * @returns {string} Random replacement email or blackout
    */
@@ -265,6 +797,7 @@ export class Replacer {
       return this.generateBlackout(original);
     }
 
+    const metadata = this.patternMatcher.matchEmail(original)?.metadata;
     let replacement;
     let attempts = 0;
     const maxAttempts = 100;
@@ -283,6 +816,9 @@ export class Replacer {
       ];
 
       replacement = formats[Math.floor(Math.random() * formats.length)];
+      if (metadata?.obfuscated) {
+        replacement = this._obfuscateEmail(replacement, metadata.separators, original);
+      }
       attempts++;
     } while (replacement === original && attempts < maxAttempts);
 
@@ -290,9 +826,29 @@ export class Replacer {
   }
 
   /**
-   * Replace a phone number preserving format
+   * Write an email address with an obfuscated original's separators
+   * @private
+   * @param {string} email - Plain email address
+   * @param {Object} separators - { at, localDot, domainDot } as written in the original
+   * @param {string} original - Obfuscated original (upper-case originals stay upper case)
+   * @returns {string} Obfuscated email
+   */
+  _obfuscateEmail(email, separators, original) {
+    const [local, domain] = email.split('@');
+    const obfuscated =
+      local.split('.').join(separators.localDot) +
+      separators.at +
+      domain.split('.').join(separators.domainDot);
+
+    return /[a-z]/.test(original) ? obfuscated : obfuscated.toUpperCase();
+  }
+
+  /**
+   * Replace phone number with a plausible number from the same country
+   * Keeps the country calling code, trunk prefix and area code, randomizes the subscriber
+   * digits and writes them back into the original layout (spaces, dots, dashes, parentheses)
    * @param {string} original - Original phone number
-   * @returns {string} Random replacement with same format
+   * @returns {string} Replacement phone number with the same length and grouping
    */
   replacePhone(original) {
     // Check if blackout mode
@@ -303,37 +859,58 @@ export class Replacer {
     const match = this.patternMatcher.matchPhone(original);
     if (!match) return original;
 
-    // Generate random 10-digit number (avoiding invalid area codes)
-    const areaCode = Math.floor(Math.random() * 800) + 200; // 200-999
-    const exchange = Math.floor(Math.random() * 800) + 200; // 200-999
-    const lineNumber = Math.floor(Math.random() * 10000)
-      .toString()
-      .padStart(4, '0');
+    const metadata = match.metadata || {};
+    const digits = original.replace(/\D/g, '');
+    const keepLength = this._getPhonePrefixLength(original, digits, metadata);
+
+    let replacement = original;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      let newDigits = digits.slice(0, keepLength);
+      for (let i = keepLength; i < digits.length; i++) {
+        // Area codes and subscriber numbers don't start with 0 or 1
+        newDigits +=
+          i === keepLength ? Math.floor(Math.random() * 8) + 2 : Math.floor(Math.random() * 10);
+      }
 
-    // Detect format and replicate
-    if (/\+1[-\s]/.test(original)) {
-      // International format with country code
-      const separator = original.match(/\+1([-\s])/)?.[1] || '-';
-      if (/\(\d{3}\)/.test(original)) {
-        return `+1${separator}(${areaCode}) ${exchange}-${lineNumber}`;
-      } else if (/\d{3}-\d{3}-\d{4}/.test(original)) {
-        return `+1${separator}${areaCode}-${exchange}-${lineNumber}`;
-      } else {
-        return `+1${separator}${areaCode}${exchange}${lineNumber}`;
+      let index = 0;
+      replacement = original.replace(/\d/g, () => newDigits[index++]);
+
+      if (replacement === original) continue;
+      if (!metadata.isValid) return replacement;
+
+      // Numbers that validated before should still validate for the same country
+      const candidate = replacement.replace(/^00/, '+');
+      if (isValidPhoneNumber(candidate, candidate.startsWith('+') ? undefined : metadata.country)) {
+        return replacement;
       }
-    } else if (/\+1/.test(original)) {
-      return `+1${areaCode}${exchange}${lineNumber}`;
-    } else if (/\(\d{3}\)\s*\d{3}-\d{4}/.test(original)) {
-      return `(${areaCode}) ${exchange}-${lineNumber}`;
-    } else if (/\d{3}-\d{3}-\d{4}/.test(original)) {
-      return `${areaCode}-${exchange}-${lineNumber}`;
-    } else if (/\d{3}\.\d{3}\.\d{4}/.test(original)) {
-      return `${areaCode}.${exchange}.${lineNumber}`;
-    } else if (/\d{3}\s+\d{3}\s+\d{4}/.test(original)) {
-      return `${areaCode} ${exchange} ${lineNumber}`;
-    } else {
-      return `${areaCode}${exchange}${lineNumber}`;
     }
+
+    return replacement;
+  }
+
+  /**
+   * Count the leading digits of a phone number to keep (calling code, trunk prefix, area code)
+   * @private
+   */
+  _getPhonePrefixLength(original, digits, metadata) {
+    if (!metadata.isValid || !metadata.nationalNumber) {
+      // Unvalidated: only keep an explicit "+CC" country code
+      const countryCode = original.match(/^\+(\d{1,3})(?=\D)/);
+      return countryCode ? countryCode[1].length : 0;
+    }
+
+    // Everything before the national number: "+49", "0044", trunk "0", "(0)"
+    const prefixLength = digits.length - metadata.nationalNumber.length;
+
+    // Area code = first group of the national format, without the trunk "0"
+    const firstGroup = (metadata.nationalFormat || '').match(/\d+/)?.[0] || '';
+    const areaCode = metadata.nationalNumber.startsWith(firstGroup)
+      ? firstGroup
+      : firstGroup.replace(/^0/, '');
+    const areaLength = metadata.nationalNumber.startsWith(areaCode) ? areaCode.length : 0;
+
+    // Always leave at least half of the national number to randomize
+    return prefixLength + Math.min(areaLength, Math.floor(metadata.nationalNumber.length / 2));
   }
 
   /**
@@ -360,7 +937,9 @@ export class Replacer {
   }
 
   /**
-   * Replace a street address
+   * Replace a postal address with a same-country fake
+   * City, region and postcode come from one locality so they stay coherent;
+   * punctuation and the parts present in the original are preserved
    * @param {string} original - Original address
    * @returns {string} Random replacement address
    */
@@ -370,35 +949,35 @@ export class Replacer {
       return this.generateBlackout(original);
     }
 
-    const streetNumber = Math.floor(Math.random() * 9999) + 1;
-    const streetNames = [
-      'Main',
-      'Oak',
-      'Pine',
-      'Maple',
-      'Cedar',
-      'Elm',
-      'Washington',
-      'Lake',
-      'Hill',
-      'Park',
-      'Spring',
-      'Forest',
-      'River',
-      'Church',
-      'Market',
-      'Center',
-      'First',
-      'Second',
-      'Third',
-      'Fourth',
-    ];
-    const streetTypes = ['St', 'Ave', 'Rd', 'Blvd', 'Dr', 'Ln', 'Ct', 'Way'];
+    const match = this.patternMatcher.matchAddress(original);
+    if (!match) {
+      return this.addressPool.generateStreet('US', original);
+    }
+
+    const { country, parts } = match.metadata;
+    const replaced = this.addressPool.replaceParts(match.value, parts, country);
+    return original.slice(0, match.start) + replaced + original.slice(match.end);
+  }
+
+  /**
+   * Replace a postcode (with its state/city where written together) for the same country
+   * @param {string} original - Original postcode, e.g. "SW1A 2AA", "IL 62704", "10115 Berlin"
+   * @returns {string} Fake postcode in the same format
+   */
+  replacePostcode(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
 
-    const street = streetNames[Math.floor(Math.random() * streetNames.length)];
-    const type = streetTypes[Math.floor(Math.random() * streetTypes.length)];
+    const match = this.patternMatcher.matchPostcode(original);
+    if (!match) {
+      return this._randomizeCharacters(original, false);
+    }
 
-    return `${streetNumber} ${street} ${type}`;
+    const { country, parts } = match.metadata;
+    const replaced = this.addressPool.replaceParts(match.value, parts, country);
+    return original.slice(0, match.start) + replaced + original.slice(match.end);
   }
 
   /**
@@ -412,9 +991,48 @@ export class Replacer {
       return this.generateBlackout(original);
     }
 
+    const relative = this._shiftRelativeDate(original, this._getDateOffset());
+    if (relative) return relative;
+
+    return this._shiftDate(original, this._getDateOffset());
+  }
+
+  /**
+   * Get the session date offset, initializing it if resetMultipliers wasn't called
+   * @private
+   * @returns {number} Days to add to all dates
+   */
+  _getDateOffset() {
+    if (this.dateOffset === null) {
+      let offset;
+      do {
+        offset = Math.floor(Math.random() * 120) - 60; // Random offset between -60 and +60 days
+      } while (offset === 0); // Ensure date always changes
+      this.dateOffset = offset;
+    }
+    return this.dateOffset;
+  }
+
+  /**
+   * Shift a date by a number of days, keeping its original format
+   * A leading weekday ("Monday, Jan 6") is recomputed for the shifted date
+   * @private
+   * @param {string} original - Original date text
+   * @param {number} days - Days to add
+   * @returns {string} Shifted date in the same format
+   */
+  _shiftDate(original, days) {
     const match = this.patternMatcher.matchDate(original);
     if (!match) return original;
 
+    const weekdayMatch = original.match(WEEKDAY_PREFIX);
+    if (weekdayMatch) {
+      const [, weekday, separator, rest] = weekdayMatch;
+      const shiftedRest = this._shiftDate(rest, days);
+      if (shiftedRest === rest) return original;
+      return `${this._shiftWeekday(weekday, days)}${separator}${shiftedRest}`;
+    }
+
     // Parse the date
     let date;
     try {
@@ -423,40 +1041,13 @@ export class Replacer {
         /^(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)\.?$/i;
       if (monthOnlyPattern.test(original.trim())) {
         // For standalone months, just replace with another month
-        const months = [
-          'January',
-          'February',
-          'March',
-          'April',
-          'May',
-          'June',
-          'July',
-          'August',
-          'September',
-          'October',
-          'November',
-          'December',
-        ];
-        const shortMonths = [
-          'Jan',
-          'Feb',
-          'Mar',
-          'Apr',
-          'May',
-          'Jun',
-          'Jul',
-          'Aug',
-          'Sep',
-          'Oct',
-          'Nov',
-          'Dec',
-        ];
-
         // Determine if it's short or long format
         const isShort = original.length <= 4;
         const currentMonth = isShort
-          ? shortMonths.findIndex((m) => original.toLowerCase().startsWith(m.toLowerCase()))
-          : months.findIndex((m) => m.toLowerCase() === original.toLowerCase().replace('.', ''));
+          ? SHORT_MONTHS.findIndex((m) => original.toLowerCase().startsWith(m.toLowerCase()))
+          : LONG_MONTHS.findIndex(
+              (m) => m.toLowerCase() === original.toLowerCase().replace('.', '')
+            );
 
         if (currentMonth !== -1) {
           // Pick a different random month
@@ -465,13 +1056,27 @@ export class Replacer {
             newMonth = Math.floor(Math.random() * 12);
           } while (newMonth === currentMonth);
 
-          const replacement = isShort ? shortMonths[newMonth] : months[newMonth];
+          const replacement = isShort ? SHORT_MONTHS[newMonth] : LONG_MONTHS[newMonth];
           return original.endsWith('.') ? replacement + '.' : replacement;
         }
         // If we can't find the month, return original
         return original;
       }
 
+      // Numeric dates with the day and month in either order: "06/01/2025", "1-6-25", "06.01.2025"
+      const numeric = original.match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{2}|\d{4})$/);
+      if (numeric) {
+        return this._shiftNumericDate(numeric, days);
+      }
+
+      // Day-first textual dates: "6 January 2025", "6th Jan"
+      const dayFirst = original.match(
+        /^(\d{1,2})(st|nd|rd|th)?(\s+)([A-Za-z]{3,9})(\.?)(?:(,?\s+)(\d{4}))?$/
+      );
+      if (dayFirst) {
+        return this._shiftDayFirstDate(dayFirst, days) || original;
+      }
+
       date = new Date(original);
       if (isNaN(date.getTime())) {
         // Try common formats manually
@@ -491,99 +1096,12 @@ export class Replacer {
     }
 
     // Use consistent date offset for all dates on the page
-    // If not set, initialize it (shouldn't happen if resetMultipliers was called)
-    if (this.dateOffset === null) {
-      let offset;
-      do {
-        offset = Math.floor(Math.random() * 120) - 60; // Random offset between -60 and +60 days
-      } while (offset === 0); // Ensure date always changes
-      this.dateOffset = offset;
-    }
-
-    date.setDate(date.getDate() + this.dateOffset);
-
-    // Month name arrays for textual formats
-    const shortMonths = [
-      'Jan',
-      'Feb',
-      'Mar',
-      'Apr',
-      'May',
-      'Jun',
-      'Jul',
-      'Aug',
-      'Sep',
-      'Oct',
-      'Nov',
-      'Dec',
-    ];
-    const longMonths = [
-      'January',
-      'February',
-      'March',
-      'April',
-      'May',
-      'June',
-      'July',
-      'August',
-      'September',
-      'October',
-      'November',
-      'December',
-    ];
+    date.setDate(date.getDate() + days);
 
     // Detect format and replicate
     if (/\d{4}-\d{2}-\d{2}/.test(original)) {
       // ISO format: YYYY-MM-DD
       return date.toISOString().split('T')[0];
-    } else if (/\d{1,2}\/\d{1,2}\/\d{4}/.test(original)) {
-      // US format with slashes: M/D/YYYY or MM/DD/YYYY
-      const month = date.getMonth() + 1;
-      const day = date.getDate();
-      const year = date.getFullYear();
-
-      // Check if original used zero-padding by extracting month and day parts
-      const dateParts = original.split('/');
-      const hasZeroPaddedMonth =
-        dateParts[0] && dateParts[0].length === 2 && dateParts[0].startsWith('0');
-      const hasZeroPaddedDay =
-        dateParts[1] && dateParts[1].length === 2 && dateParts[1].startsWith('0');
-
-      // Format month and day, preserving padding style
-      const monthStr =
-        hasZeroPaddedMonth || dateParts[0]?.length === 2
-          ? month.toString().padStart(2, '0')
-          : month.toString();
-      const dayStr =
-        hasZeroPaddedDay || dateParts[1]?.length === 2
-          ? day.toString().padStart(2, '0')
-          : day.toString();
-
-      return `${monthStr}/${dayStr}/${year}`;
-    } else if (/\d{1,2}-\d{1,2}-\d{4}/.test(original)) {
-      // Dashed format: M-D-YYYY or MM-DD-YYYY
-      const month = date.getMonth() + 1;
-      const day = date.getDate();
-      const year = date.getFullYear();
-
-      // Check if original used zero-padding by extracting month and day parts
-      const dateParts = original.split('-');
-      const hasZeroPaddedMonth =
-        dateParts[0] && dateParts[0].length === 2 && dateParts[0].startsWith('0');
-      const hasZeroPaddedDay =
-        dateParts[1] && dateParts[1].length === 2 && dateParts[1].startsWith('0');
-
-      // Format month and day, preserving padding style
-      const monthStr =
-        hasZeroPaddedMonth || dateParts[0]?.length === 2
-          ? month.toString().padStart(2, '0')
-          : month.toString();
-      const dayStr =
-        hasZeroPaddedDay || dateParts[1]?.length === 2
-          ? day.toString().padStart(2, '0')
-          : day.toString();
-
-      return `${monthStr}-${dayStr}-${year}`;
     } else if (/^[A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}$/.test(original)) {
       // Textual format with year: "Dec 9, 2025" or "December 9, 2025"
       const year = date.getFullYear();
@@ -592,7 +1110,7 @@ export class Replacer {
 
       // Determine if original used short or long month name
       const usesShortMonth = /^[A-Z][a-z]{2}\.?\s/.test(original);
-      const monthName = usesShortMonth ? shortMonths[monthIndex] : longMonths[monthIndex];
+      const monthName = usesShortMonth ? SHORT_MONTHS[monthIndex] : LONG_MONTHS[monthIndex];
 
       // Preserve comma format if present
       const hasComma = original.includes(',');
@@ -604,7 +1122,7 @@ export class Replacer {
 
       // Determine if original used short or long month name
       const usesShortMonth = /^[A-Z][a-z]{2}\.?\s/.test(original);
-      const monthName = usesShortMonth ? shortMonths[monthIndex] : longMonths[monthIndex];
+      const monthName = usesShortMonth ? SHORT_MONTHS[monthIndex] : LONG_MONTHS[monthIndex];
 
       // Preserve period after month if present
       const hasPeriod = original.includes('.');
@@ -615,6 +1133,258 @@ export class Replacer {
     }
   }
 
+  /**
+   * Shift a numeric date, reading the day and month in the page's date order
+   * @private
+   * @param {Array} match - Match of /^(\d{1,2})([-/.])(\d{1,2})\2(\d{2}|\d{4})$/
+   * @param {number} days - Days to add
+   * @returns {string} Shifted date with the same order, separator, padding and year length
+   */
+  _shiftNumericDate(match, days) {
+    const [original, first, separator, second, yearText] = match;
+
+    // A component above 12 can only be the day, whatever the configured order
+    let dayFirst = this.getDateOrder() === 'dmy';
+    if (Number(first) > 12 && Number(second) <= 12) dayFirst = true;
+    if (Number(second) > 12 && Number(first) <= 12) dayFirst = false;
+
+    const [dayText, monthText] = dayFirst ? [first, second] : [second, first];
+    let year = Number(yearText);
+    if (yearText.length === 2) year += year < 50 ? 2000 : 1900;
+
+    const date = new Date(year, Number(monthText) - 1, Number(dayText));
+    if (isNaN(date.getTime()) || date.getMonth() !== Number(monthText) - 1) return original;
+    date.setDate(date.getDate() + days);
+
+    // Keep two-digit components padded
+    const format = (value, text) =>
+      text.length === 2 ? value.toString().padStart(2, '0') : value.toString();
+    const dayString = format(date.getDate(), dayText);
+    const monthString = format(date.getMonth() + 1, monthText);
+    const yearString =
+      yearText.length === 2 ? format(date.getFullYear() % 100, yearText) : date.getFullYear();
+
+    return dayFirst
+      ? `${dayString}${separator}${monthString}${separator}${yearString}`
+      : `${monthString}${separator}${dayString}${separator}${yearString}`;
+  }
+
+  /**
+   * Shift a day-first textual date ("6 January 2025", "6th Jan")
+   * @private
+   * @param {Array} match - Day-first date match (day, ordinal, space, month, period, separator, year)
+   * @param {number} days - Days to add
+   * @returns {string|null} Shifted date in the same format, or null if the month isn't recognized
+   */
+  _shiftDayFirstDate(match, days) {
+    const [, dayText, ordinal, space, monthText, period, yearSeparator, yearText] = match;
+    const usesShortMonth = monthText.length <= 4;
+    const monthIndex = (usesShortMonth ? SHORT_MONTHS : LONG_MONTHS).findIndex((m) =>
+      monthText.toLowerCase().startsWith(m.toLowerCase())
+    );
+    if (monthIndex === -1) return null;
+
+    // Yearless dates are read in the current year
+    const year = yearText ? Number(yearText) : new Date().getFullYear();
+    const date = new Date(year, monthIndex, Number(dayText));
+    date.setDate(date.getDate() + days);
+
+    const day = date.getDate();
+    const monthName = (usesShortMonth ? SHORT_MONTHS : LONG_MONTHS)[date.getMonth()];
+    const yearPart = yearText ? `${yearSeparator}${date.getFullYear()}` : '';
+    return `${day}${ordinal ? ordinalSuffix(day) : ''}${space}${monthName}${period}${yearPart}`;
+  }
+
+  /**
+   * Move a weekday name forward by a number of days, keeping its spelling style
+   * @private
+   * @param {string} weekday - Weekday name ("Monday", "Mon", "TUE")
+   * @param {number} days - Days to add
+   * @returns {string} Shifted weekday name
+   */
+  _shiftWeekday(weekday, days) {
+    const index = WEEKDAYS.findIndex((name) =>
+      weekday.toLowerCase().startsWith(name.slice(0, 3).toLowerCase())
+    );
+    if (index === -1) return weekday;
+
+    const name = WEEKDAYS[(((index + days) % 7) + 7) % 7];
+    const shifted = weekday.length > 5 ? name : name.slice(0, 3);
+    return weekday === weekday.toUpperCase() ? shifted.toUpperCase() : shifted;
+  }
+
+  /**
+   * Rewrite a relative date ("3 days ago", "in 2 weeks", "last Tuesday") as if the date
+   * it refers to had been shifted like every absolute date on the page. The date stays on
+   * the same side of today, so a shift past it stops one unit short ("3 days ago" moved
+   * 5 days forward is "1 day ago", not "in 2 days").
+   * @private
+   * @param {string} original - Relative date expression
+   * @param {number} days - Days to add
+   * @returns {string|null} Rewritten expression, or null if original isn't a relative date
+   */
+  _shiftRelativeDate(original, days) {
+    const counted = original.match(
+      /^(in\s+)?(\d+|an?|one)\s+(day|week|month|year)s?(\s+ago|\s+from\s+now)?$/i
+    );
+    const weekdayBased = original.match(
+      /^(last|next|this\s+past|this\s+coming)\s+(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)$/i
+    );
+
+    let delta;
+    let isPast;
+    let unit = 'day';
+    if (counted) {
+      const [, inPrefix, countText, unitText, suffix] = counted;
+      if (!inPrefix === !suffix) return null;
+      unit = unitText.toLowerCase();
+      const count = /^\d+$/.test(countText) ? Number(countText) : 1;
+      isPast = /ago/i.test(suffix || '');
+      delta = (isPast ? -count : count) * RELATIVE_UNIT_DAYS[unit] + days;
+    } else if (weekdayBased) {
+      const [, direction, weekdayText] = weekdayBased;
+      const target = WEEKDAYS.findIndex((name) => name.toLowerCase() === weekdayText.toLowerCase());
+      const today = new Date().getDay();
+      isPast = /last|past/i.test(direction);
+      const distance = isPast ? (today - target + 7) % 7 || 7 : (target - today + 7) % 7 || 7;
+      delta = clampToSide((isPast ? -distance : distance) + days, isPast, 1);
+
+      // Keep the weekday form while the shifted date is still within a week
+      if (Math.abs(delta) <= 7) {
+        const weekday = WEEKDAYS[(((today + delta) % 7) + 7) % 7];
+        return matchCase(`${direction} ${weekday}`, original);
+      }
+    } else {
+      return null;
+    }
+    delta = clampToSide(delta, isPast, RELATIVE_UNIT_DAYS[unit]);
+
+    // Express in the original unit; fall back to days when it rounds to zero
+    let count = Math.round(Math.abs(delta) / RELATIVE_UNIT_DAYS[unit]);
+    if (count === 0) {
+      unit = 'day';
+      count = Math.abs(delta);
+    }
+    const countText =
+      count === 1 && counted && !/^\d+$/.test(counted[2]) ? counted[2] : count.toString();
+    const amount = `${countText} ${unit}${count === 1 ? '' : 's'}`;
+
+    let phrase;
+    if (delta < 0) {
+      phrase = `${amount} ago`;
+    } else if (counted && /from\s+now/i.test(counted[4] || '')) {
+      phrase = `${amount} from now`;
+    } else {
+      phrase = `in ${amount}`;
+    }
+    return matchCase(phrase, original);
+  }
+
+  /**
+   * Replace a time of day, shifted by the session time offset
+   * Keeps 12/24-hour style, seconds, AM/PM spelling and any timezone suffix
+   * @param {string} original - Original time ("3:42 PM", "14:05 UTC", "9am")
+   * @returns {string} Shifted time in the same format
+   */
+  replaceTime(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const shifted = this._shiftTime(original, this._getTimeOffset());
+    return shifted ? shifted.value : original;
+  }
+
+  /**
+   * Replace a timestamp (date plus time of day), shifted by the session date and time offsets
+   * A time that crosses midnight moves the date with it
+   * @param {string} original - Original timestamp ("2025-01-05T15:42:10Z", "Jan 5, 2025 3:42 PM")
+   * @returns {string} Shifted timestamp in the same format
+   */
+  replaceTimestamp(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    // Split "<date><separator><time>"; ISO timestamps use "T" as the separator
+    const parts = original.match(/^(.*?\d)(T|,?\s+(?:at\s+)?)(\d{1,2}:\d{2}.*)$/);
+    if (!parts) return original;
+    const [, datePart, separator, timePart] = parts;
+
+    const shiftedTime = this._shiftTime(timePart, this._getTimeOffset());
+    if (!shiftedTime) return original;
+
+    const days = this._getDateOffset() + shiftedTime.dayCarry;
+    return `${this._shiftDate(datePart, days)}${separator}${shiftedTime.value}`;
+  }
+
+  /**
+   * Get the session time offset, initializing it if resetMultipliers wasn't called
+   * @private
+   * @returns {number} Minutes to add to all times
+   */
+  _getTimeOffset() {
+    if (this.timeOffset === null) {
+      let minutes;
+      do {
+        minutes = Math.floor(Math.random() * 361) - 180;
+      } while (minutes === 0);
+      this.timeOffset = minutes;
+    }
+    return this.timeOffset;
+  }
+
+  /**
+   * Shift a time of day by a number of minutes, keeping its format
+   * @private
+   * @param {string} original - Time text ("3:42 PM", "15:42:10.123Z", "9am")
+   * @param {number} minutes - Minutes to add
+   * @returns {Object|null} { value, dayCarry } - dayCarry is -1/0/+1 when midnight is crossed
+   */
+  _shiftTime(original, minutes) {
+    const match = original.match(
+      /^(\d{1,2})(?::(\d{2}))?(:\d{2}(?:\.\d+)?)?(\s*)([AaPp])?(\.?[Mm]\.?)?(.*)$/
+    );
+    if (!match) return null;
+    const [, hourText, minuteText, seconds = '', space, meridiem, meridiemRest = '', suffix] =
+      match;
+
+    let hour = Number(hourText);
+    if (meridiem) {
+      hour = (hour % 12) + (/p/i.test(meridiem) ? 12 : 0);
+    }
+
+    const total = hour * 60 + Number(minuteText || 0) + minutes;
+    const dayCarry = Math.floor(total / 1440);
+    const dayMinutes = ((total % 1440) + 1440) % 1440;
+    let newHour = Math.floor(dayMinutes / 60);
+    const newMinute = dayMinutes % 60;
+
+    let newMeridiem = '';
+    if (meridiem) {
+      const isPM = newHour >= 12;
+      newHour = newHour % 12 || 12;
+      const letter = isPM ? 'p' : 'a';
+      newMeridiem = `${meridiem === meridiem.toUpperCase() ? letter.toUpperCase() : letter}${meridiemRest}`;
+    }
+
+    // 24-hour clocks pad to two digits; 12-hour ones only if the original did ("09:15 AM")
+    const padded = meridiem ? hourText.startsWith('0') : hourText.length === 2;
+    const hourString = padded ? newHour.toString().padStart(2, '0') : newHour.toString();
+    // "9am" has no minutes; keep it that way unless the shift lands off the hour
+    const minuteString =
+      minuteText !== undefined || newMinute !== 0
+        ? `:${newMinute.toString().padStart(2, '0')}`
+        : '';
+
+    return {
+      value: `${hourString}${minuteString}${seconds}${space}${newMeridiem}${suffix}`,
+      dayCarry,
+    };
+  }
+
   /**
    * Replace SSN with random 9-digit number
    * @param {string} original - Original SSN
@@ -643,6 +1413,301 @@ export class Replacer {
     }
   }
 
+  /**
+   * Replace a username or social handle with one built from a random name
+   * @param {string} original - Original username (without "@" or "u/")
+   * @returns {string} Fake username in the same style
+   */
+  replaceUsername(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    let replacement;
+    let attempts = 0;
+    do {
+      const nameParts = [this.namePool.getRandomFirstName(), this.namePool.getRandomLastName()];
+      replacement = NamePool.toUsername(nameParts, original);
+      attempts++;
+    } while (replacement.toLowerCase() === original.toLowerCase() && attempts < 100);
+
+    return replacement;
+  }
+
+  /**
+   * Replace a secret (API key, token, password), keeping any provider prefix ("ghp_",
+   * "sk_live_", "AKIA", "eyJ") and the length so the fake still reads as the same kind of key
+   * @param {string} original - Original secret
+   * @returns {string} Fake secret of the same shape
+   */
+  replaceSecret(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const prefixMatch = original.match(
+      /^(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA|gh[pousr]_|github_pat_|[spr]k_(?:live|test)_|whsec_|xox[abprs]-|AIza|eyJ)/
+    );
+    const prefix = prefixMatch ? prefixMatch[0] : '';
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const replacement = prefix + this._randomizeCharacters(original.slice(prefix.length), true);
+      if (replacement !== original) return replacement;
+    }
+
+    // Nothing to randomize (no letters or digits): black it out instead
+    return this.generateBlackout(original);
+  }
+
+  /**
+   * Replace an opaque identifier with one of exactly the same shape
+   * UUIDs keep their version and variant, ULIDs stay Crockford base32, prefixed IDs keep
+   * "cus_"-style prefixes, and reference numbers keep letter prefixes ("INV-", "A-")
+   * @param {string} original - Original identifier
+   * @returns {string} Fake identifier
+   */
+  replaceIdentifier(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const randomFrom = (chars) => chars[Math.floor(Math.random() * chars.length)];
+
+    return this._regenerateUntilDifferent(() => {
+      let replacement;
+      if (
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[1-7][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(original)
+      ) {
+        const upperCase = !/[a-f]/.test(original);
+        replacement = [...original]
+          .map((char, i) => {
+            if (char === '-' || i === 14) return char;
+            const hex = i === 19 ? randomFrom('89ab') : randomFrom('0123456789abcdef');
+            return upperCase ? hex.toUpperCase() : hex;
+          })
+          .join('');
+      } else if (/^[0-7][0-9A-HJKMNP-TV-Z]{25}$/.test(original)) {
+        replacement = randomFrom('01234567');
+        for (let i = 1; i < 26; i++) {
+          replacement += randomFrom('0123456789ABCDEFGHJKMNPQRSTVWXYZ');
+        }
+      } else if (/^[a-z]+_/.test(original)) {
+        const prefix = original.slice(0, original.indexOf('_') + 1);
+        replacement = prefix + this._randomizeCharacters(original.slice(prefix.length), true);
+      } else {
+        // Keep leading letters ("INV-", "A-"); randomize letters only in mostly-letter IDs
+        const prefix = original.match(/^[A-Za-z]+-/)?.[0] || '';
+        const rest = original.slice(prefix.length);
+        const digitCount = (rest.match(/\d/g) || []).length;
+        replacement = prefix + this._randomizeCharacters(rest, digitCount < 4);
+      }
+      return replacement;
+    }, original);
+  }
+
+  /**
+   * Replace a cryptocurrency address or transaction hash with a valid fake of the same kind
+   * Keeps the "0x"/"bc1"/"1"/"3" prefix, length and letter case; checksummed forms get a
+   * correct checksum (Base58Check, bech32/bech32m, EIP-55) so the fake still validates
+   * @param {string} original - Original address or hash
+   * @returns {string} Fake address or hash
+   */
+  replaceCrypto(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const randomBytes = (length) =>
+      Uint8Array.from({ length }, () => Math.floor(Math.random() * 256));
+    const randomHex = (length) =>
+      Array.from({ length }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+
+    return this._regenerateUntilDifferent(() => {
+      let replacement;
+      if (/^0x[0-9a-f]{40}$/i.test(original)) {
+        // Ethereum address: mixed case carries the EIP-55 checksum
+        const hex = original.slice(2);
+        const address = `0x${randomHex(40)}`;
+        if (hex === hex.toLowerCase()) replacement = address;
+        else if (hex === hex.toUpperCase()) replacement = `0x${address.slice(2).toUpperCase()}`;
+        else replacement = toChecksumAddress(address);
+      } else if (/^(?:0x)?[0-9a-f]{64}$/i.test(original)) {
+        // Transaction hash
+        const prefix = original.startsWith('0x') ? '0x' : '';
+        const hex = randomHex(64);
+        replacement = prefix + (/[A-F]/.test(original) ? hex.toUpperCase() : hex);
+      } else if (isValidBitcoinAddress(original) && /^(?:bc1|tb1)/i.test(original)) {
+        // SegWit/Taproot: same network, witness version and program length
+        const { hrp, data, encoding } = bech32Decode(original);
+        const programLength = convertBits(data.slice(1), 5, 8, false).length;
+        const program = convertBits(randomBytes(programLength), 8, 5, true);
+        const address = bech32Encode(hrp, [data[0], ...program], encoding);
+        replacement = original === original.toUpperCase() ? address.toUpperCase() : address;
+      } else if (isValidBitcoinAddress(original)) {
+        // Legacy: same version byte, so "1..." (P2PKH) and "3..." (P2SH) keep their prefix
+        const version = base58CheckDecode(original)[0];
+        replacement = base58CheckEncode(new Uint8Array([version, ...randomBytes(20)]));
+      } else {
+        // Solana key or signature: random bytes of the same length, kept to the same width
+        const byteLength = base58Decode(original)?.length || 32;
+        for (let attempt = 0; attempt < 20; attempt++) {
+          replacement = base58Encode(randomBytes(byteLength));
+          if (replacement.length === original.length) break;
+        }
+      }
+      return replacement;
+    }, original);
+  }
+
+  /**
+   * Replace UK National Insurance number with a fake that follows the HMRC prefix rules
+   * @param {string} original - Original NINO ("AB 12 34 56 C")
+   * @returns {string} Fake NINO in the same spacing, keeping the suffix letter
+   */
+  replaceNINO(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const suffix = original.trim().slice(-1).toUpperCase();
+    let fake;
+    do {
+      fake = `${this._randomizeCharacters('AA000000', true).toUpperCase()}${suffix}`;
+    } while (!isValidNINO(fake) || fake === original.replace(/\s/g, '').toUpperCase());
+
+    return this._applyLayout(original, fake);
+  }
+
+  /**
+   * Replace Canadian SIN with a Luhn-valid fake from the same province group (first digit)
+   * @param {string} original - Original SIN ("046 454 286" or bare)
+   * @returns {string} Fake SIN in the same format
+   */
+  replaceSIN(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const digits = original.replace(/\D/g, '');
+    let fake;
+    do {
+      const payload = `${digits[0]}${this._randomizeCharacters('0000000', false)}`;
+      fake = payload + computeLuhnCheckDigit(payload);
+    } while (fake === digits);
+
+    return this._applyLayout(original, fake);
+  }
+
+  /**
+   * Replace Indian Aadhaar number with a Verhoeff-valid fake
+   * @param {string} original - Original Aadhaar ("2341 2341 2346" or bare)
+   * @returns {string} Fake Aadhaar in the same format
+   */
+  replaceAadhaar(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const digits = original.replace(/\D/g, '');
+    let fake;
+    do {
+      // Aadhaar numbers never start with 0 or 1
+      const payload = `${Math.floor(Math.random() * 8) + 2}${this._randomizeCharacters('0000000000', false)}`;
+      fake = payload + computeVerhoeffCheckDigit(payload);
+    } while (fake === digits);
+
+    return this._applyLayout(original, fake);
+  }
+
+  /**
+   * Replace French INSEE number, keeping sex and department and recomputing the key
+   * @param {string} original - Original NIR ("1 85 05 78 006 084 36")
+   * @returns {string} Fake NIR in the same spacing
+   */
+  replaceINSEE(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const compact = original.replace(/\s/g, '').toUpperCase();
+    let fake;
+    do {
+      const year = this._randomizeCharacters('00', false);
+      const month = (Math.floor(Math.random() * 12) + 1).toString().padStart(2, '0');
+      const body = `${compact[0]}${year}${month}${compact.slice(5, 7)}${this._randomizeCharacters('000000', false)}`;
+      fake = body + computeINSEEKey(body);
+    } while (fake === compact);
+
+    return this._applyLayout(original, fake);
+  }
+
+  /**
+   * Replace Spanish DNI/NIE with a fake that has a matching control letter
+   * @param {string} original - Original DNI ("12345678Z") or NIE ("X1234567L")
+   * @returns {string} Fake DNI/NIE of the same kind and format
+   */
+  replaceDNI(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const compact = original.replace(/[\s-]/g, '').toUpperCase();
+    let fake;
+    do {
+      const number = this._randomizeCharacters(compact.slice(0, -1), false);
+      fake = number + computeDNILetter(number);
+    } while (fake === compact);
+
+    return this._applyLayout(original, fake);
+  }
+
+  /**
+   * Replace Brazilian CPF with a fake that has valid check digits
+   * @param {string} original - Original CPF ("529.982.247-25" or bare)
+   * @returns {string} Fake CPF in the same format
+   */
+  replaceCPF(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const digits = original.replace(/\D/g, '');
+    let fake;
+    do {
+      const firstNine = this._randomizeCharacters('000000000', false);
+      fake = firstNine + computeCPFCheckDigits(firstNine);
+    } while (fake === digits || /^(\d)\1{10}$/.test(fake));
+
+    return this._applyLayout(original, fake);
+  }
+
+  /**
+   * Replace passport number, keeping the letter/digit layout (no checksum to preserve)
+   * @param {string} original - Original passport number
+   * @returns {string} Fake passport number in the same format
+   */
+  replacePassport(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    return this._regenerateUntilDifferent(
+      () => this._randomizeCharacters(original, true),
+      original
+    );
+  }
+
   /**
    * Replace credit card number
    * @param {string} original - Original credit card number
@@ -670,6 +1735,95 @@ export class Replacer {
     }
   }
 
+  /**
+   * Replace IBAN with a same-country fake that passes the mod-97 check
+   * @param {string} original - Original IBAN (grouped or compact)
+   * @returns {string} Fake IBAN with the same country, length and grouping
+   */
+  replaceIBAN(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const compact = original.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    const countryCode = compact.slice(0, 2);
+    const originalBban = compact.slice(4);
+
+    // Randomize the BBAN keeping letter/digit positions (country formats mix both)
+    let bban;
+    do {
+      bban = this._randomizeCharacters(originalBban, true);
+    } while (bban === originalBban);
+
+    const fake = `${countryCode}${computeIBANCheckDigits(countryCode, bban)}${bban}`;
+
+    // Preserve original grouping (spaces/dashes)
+    return this._applyLayout(original, fake);
+  }
+
+  /**
+   * Replace SWIFT/BIC code, keeping the country and the "XXX" primary-office branch
+   * @param {string} original - Original BIC (8 or 11 characters)
+   * @returns {string} Fake BIC in the same format
+   */
+  replaceBIC(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const countryCode = original.slice(4, 6);
+    const branch = original.slice(8);
+
+    return this._regenerateUntilDifferent(() => {
+      const bankCode = this._randomizeCharacters(original.slice(0, 4), true);
+      const location = this._randomizeCharacters(original.slice(6, 8), true);
+      const newBranch =
+        branch && branch !== 'XXX' ? this._randomizeCharacters(branch, true) : branch;
+      return `${bankCode}${countryCode}${location}${newBranch}`;
+    }, original);
+  }
+
+  /**
+   * Replace US ABA routing number with a valid one from the same Federal Reserve district
+   * @param {string} original - Original 9-digit routing number
+   * @returns {string} Fake routing number with a valid check digit
+   */
+  replaceRoutingNumber(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    const prefix = original.slice(0, 2);
+
+    return this._regenerateUntilDifferent(() => {
+      let firstEight = prefix;
+      for (let i = 0; i < 6; i++) {
+        firstEight += Math.floor(Math.random() * 10);
+      }
+      return firstEight + computeABACheckDigit(firstEight);
+    }, original);
+  }
+
+  /**
+   * Replace bank account number or UK sort code with random digits
+   * @param {string} original - Original account number or sort code
+   * @returns {string} Random digits in the same format (length and separators)
+   */
+  replaceBankAccount(original) {
+    // Check if blackout mode
+    if (this.redactionMode === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    return this._regenerateUntilDifferent(
+      () => this._randomizeCharacters(original, false),
+      original
+    );
+  }
+
   /**
    * Replace IP address
    * @param {string} original - Original IP address
@@ -699,6 +1853,101 @@ export class Replacer {
     }
   }
 
+  /**
+   * Replace a value matched by a user-defined custom pattern
+   * @param {string} original - Original matched text
+   * @param {Object} context - Custom pattern context ({ pattern, flags, replacement, token })
+   * @returns {string} Replacement according to the pattern's strategy
+   */
+  replaceCustomPattern(original, context = {}) {
+    const strategy = context.replacement || APP_CONFIG.defaults.customPatternReplacement;
+
+    // Check if blackout mode (global setting or per-pattern strategy)
+    if (this.redactionMode === 'blackout' || strategy === 'blackout') {
+      return this.generateBlackout(original);
+    }
+
+    if (strategy === 'token') {
+      return context.token || APP_CONFIG.defaults.customPatternToken;
+    }
+
+    // 'fake': same-format value that still matches the user's pattern where possible
+    let fullMatch = null;
+    if (context.pattern) {
+      try {
+        fullMatch = new RegExp(`^(?:${context.pattern})$`, (context.flags || '').replace(/g/g, ''));
+      } catch (e) {
+        fullMatch = null;
+      }
+    }
+
+    const hasDigits = /\d/.test(original);
+    const maxAttempts = 20;
+    let replacement = original;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      // Prefer keeping literal letters (e.g. "ACME-") and only randomizing digits;
+      // fall back to randomizing letters too when that can't produce a new value
+      const randomizeLetters = !hasDigits || attempt >= maxAttempts / 2;
+      replacement = this._randomizeCharacters(original, randomizeLetters);
+
+      if (replacement !== original && (!fullMatch || fullMatch.test(replacement))) {
+        return replacement;
+      }
+    }
+
+    return replacement;
+  }
+
+  /**
+   * Generate replacements until one differs from the original
+   * @private
+   * @param {Function} generate - Returns a new candidate replacement
+   * @param {string} original - Original value
+   * @returns {string} First replacement that differs, or a blackout if none did (a value
+   *   without letters or digits has nothing to randomize)
+   */
+  _regenerateUntilDifferent(generate, original) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const replacement = generate();
+      if (replacement !== original) return replacement;
+    }
+    return this.generateBlackout(original);
+  }
+
+  /**
+   * Randomize characters while keeping length, case and punctuation
+   * @private
+   * @param {string} value - Value to randomize
+   * @param {boolean} randomizeLetters - Also randomize letters (digits are always randomized)
+   * @returns {string} Randomized value
+   */
+  _randomizeCharacters(value, randomizeLetters) {
+    const lower = 'abcdefghijklmnopqrstuvwxyz';
+    return value.replace(/[0-9A-Za-z]/g, (char) => {
+      if (/\d/.test(char)) {
+        return Math.floor(Math.random() * 10).toString();
+      }
+      if (!randomizeLetters) {
+        return char;
+      }
+      const letter = lower[Math.floor(Math.random() * lower.length)];
+      return char === char.toUpperCase() ? letter.toUpperCase() : letter;
+    });
+  }
+
+  /**
+   * Write a compact value back into the original's layout (spaces, dots, dashes)
+   * @private
+   * @param {string} original - Original formatted value
+   * @param {string} compact - New value with one character per alphanumeric of the original
+   * @returns {string} New value in the original layout
+   */
+  _applyLayout(original, compact) {
+    let index = 0;
+    return original.replace(/[A-Za-z0-9]/g, () => compact[index++]);
+  }
+
   /**
    * Apply replacements to text using consistency mapping
    * @param {string} text - Original text
@@ -739,6 +1988,9 @@ export class Replacer {
           case 'quantity':
             replacement = this.replaceQuantity(original);
             break;
+          case 'percentage':
+            replacement = this.replacePercentage(original);
+            break;
           case 'location':
             replacement = this.replaceLocation(original);
             break;
@@ -748,18 +2000,79 @@ export class Replacer {
           case 'address':
             replacement = this.replaceAddress(original);
             break;
+          case 'postcode':
+            replacement = this.replacePostcode(original);
+            break;
           case 'date':
             replacement = this.replaceDate(original);
             break;
+          case 'time':
+            replacement = this.replaceTime(original);
+            break;
+          case 'timestamp':
+            replacement = this.replaceTimestamp(original);
+            break;
           case 'ssn':
             replacement = this.replaceSSN(original);
             break;
+          case 'secret':
+            replacement = this.replaceSecret(original);
+            break;
+          case 'identifier':
+            replacement = this.replaceIdentifier(original);
+            break;
+          case 'crypto':
+            replacement = this.replaceCrypto(original);
+            break;
+          case 'coordinates':
+            replacement = this.replaceCoordinates(original);
+            break;
+          case 'username':
+            replacement = this.replaceUsername(original);
+            break;
+          case 'nino':
+            replacement = this.replaceNINO(original);
+            break;
+          case 'sin':
+            replacement = this.replaceSIN(original);
+            break;
+          case 'aadhaar':
+            replacement = this.replaceAadhaar(original);
+            break;
+          case 'insee':
+            replacement = this.replaceINSEE(original);
+            break;
+          case 'dni':
+            replacement = this.replaceDNI(original);
+            break;
+          case 'cpf':
+            replacement = this.replaceCPF(original);
+            break;
+          case 'passport':
+            replacement = this.replacePassport(original);
+            break;
           case 'creditCard':
             replacement = this.replaceCreditCard(original);
             break;
           case 'ipAddress':
             replacement = this.replaceIPAddress(original);
             break;
+          case 'iban':
+            replacement = this.replaceIBAN(original);
+            break;
+          case 'bic':
+            replacement = this.replaceBIC(original);
+            break;
+          case 'routingNumber':
+            replacement = this.replaceRoutingNumber(original);
+            break;
+          case 'sortCode':
+          case 'bankAccount':
+            replacement = this.replaceBankAccount(original);
+            break;
+          case 'customRegex':
+            replacement = this.replaceCustomPattern(original, entity.context);
+            break;
           default:
             replacement = original;
         }
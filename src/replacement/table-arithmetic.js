@@ -0,0 +1,318 @@
+/**
+ * SafeSnap - Table Arithmetic
+ * Keeps replaced figures in tables and invoices adding up
+ *
+ * Every amount is scaled by the same multiplier, but each one is rounded on its own, so
+ * line items stop summing to their total and quantity × unit price no longer equals the
+ * line amount. This pass finds those relationships in the original figures of a <table>
+ * or ARIA grid and recomputes the dependent figures from their replaced inputs:
+ * - Products along a row: "2 | $10.00 | $20.00" (qty × price = amount)
+ * - Sums down a column: line items above a subtotal, subtotal and tax above a total
+ * - Sums along a row: "Q1 | Q2 | Q3 | Q4 | Year"
+ */
+
+const TABLE_SELECTOR = 'table, [role="table"], [role="grid"], [role="treegrid"]';
+const ROW_SELECTOR = '[role="row"]';
+const CELL_SELECTOR =
+  'td, th, [role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+
+// Figures that scale with the money multiplier and can be recomputed
+const FIGURE_TYPES = ['money', 'quantity'];
+
+// A cell holding only an undetected number ("2" when quantities aren't enabled)
+const PLAIN_NUMBER = /^(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?$/;
+
+export class TableArithmetic {
+  /**
+   * @param {Object} replacer - Replacer used to read and write figures
+   */
+  constructor(replacer) {
+    this.replacer = replacer;
+  }
+
+  /**
+   * Recompute replaced figures in tables so that their sums and products still hold
+   * Matching entities get a `replacement` of their own, used instead of the shared
+   * replacement for their text (the same "$20.00" may be a total in one place only)
+   * @param {Array<Object>} entities - Detected entities with node, start, end, type, original
+   * @param {Map<string, string>} replacementMap - type:original -> replacement
+   * @returns {number} Number of figures recomputed
+   */
+  apply(entities, replacementMap) {
+    // Blacked-out figures have no values to keep consistent
+    if (this.replacer.redactionMode === 'blackout') {
+      return 0;
+    }
+
+    // Group figures by table, then by cell
+    const tables = new Map();
+    for (const entity of entities) {
+      if (!FIGURE_TYPES.includes(entity.type) || entity.spansMultipleNodes) continue;
+
+      const cell = entity.node?.parentElement?.closest(CELL_SELECTOR);
+      const table = cell?.closest(TABLE_SELECTOR);
+      if (!table) continue;
+
+      if (!tables.has(table)) tables.set(table, new Map());
+      const cells = tables.get(table);
+      if (!cells.has(cell)) cells.set(cell, []);
+      cells.get(cell).push(entity);
+    }
+
+    let recomputed = 0;
+    for (const [table, cellEntities] of tables) {
+      const grid = this.getRows(table).map((row) =>
+        row.map((cell) => cell && this._readCell(cell, cellEntities.get(cell), replacementMap))
+      );
+      recomputed += this._recompute(grid, this.findRelations(grid));
+    }
+
+    return recomputed;
+  }
+
+  /**
+   * Get the cells of a table or ARIA grid as rows of columns
+   * Cells spanning several columns fill each of them, so the columns line up
+   * @param {Element} table - <table> or element with role="table"/"grid"/"treegrid"
+   * @returns {Array<Array<Element|null>>} Rows of cells (null where a row has no cell)
+   */
+  getRows(table) {
+    const rows =
+      table.tagName === 'TABLE'
+        ? Array.from(table.rows).map((row) => Array.from(row.cells))
+        : Array.from(table.querySelectorAll(ROW_SELECTOR))
+            .filter((row) => row.closest(TABLE_SELECTOR) === table)
+            .map((row) =>
+              Array.from(row.querySelectorAll(CELL_SELECTOR)).filter(
+                (cell) => cell.closest(ROW_SELECTOR) === row
+              )
+            );
+
+    return rows.map((cells) => {
+      const columns = [];
+      for (const cell of cells) {
+        const span = cell.colSpan || parseInt(cell.getAttribute('aria-colspan'), 10) || 1;
+        // Only the first column of a spanned cell holds its value
+        columns.push(cell, ...new Array(span - 1).fill(null));
+      }
+      return columns;
+    });
+  }
+
+  /**
+   * Find sums and products between figures of a grid
+   * Each figure is the result of at most one relationship: products along a row first,
+   * then sums down a column (taking the fewest rows above that add up), then sums along a row
+   * @param {Array<Array<Object|null>>} grid - Rows of { value, decimals, type } (null if no figure)
+   * @returns {Array<Object>} Relationships { kind: 'product'|'sum', result: [row, col], inputs }
+   */
+  findRelations(grid) {
+    const relations = [];
+    const defined = new Set();
+    const add = (kind, result, inputs) => {
+      defined.add(result.join(':'));
+      relations.push({ kind, result, inputs });
+    };
+
+    // qty × price = amount, with the amount right of both factors
+    grid.forEach((row, r) => {
+      const figures = this._figureColumns(row);
+      for (let k = figures.length - 1; k >= 2; k--) {
+        const pair = this._findProduct(row, figures.slice(0, k), figures[k]);
+        if (pair) {
+          add(
+            'product',
+            [r, figures[k]],
+            pair.map((c) => [r, c])
+          );
+          break;
+        }
+      }
+    });
+
+    // Totals below the figures they add up
+    const columnCount = Math.max(0, ...grid.map((row) => row.length));
+    for (let c = 0; c < columnCount; c++) {
+      const column = grid.map((row) => row[c] || null);
+      for (let r = 2; r < column.length; r++) {
+        if (!column[r] || defined.has(`${r}:${c}`)) continue;
+        const terms = this._findSum(column, r);
+        if (terms)
+          add(
+            'sum',
+            [r, c],
+            terms.map((i) => [i, c])
+          );
+      }
+    }
+
+    // Totals right of the figures they add up
+    grid.forEach((row, r) => {
+      for (let c = 2; c < row.length; c++) {
+        if (!row[c] || defined.has(`${r}:${c}`)) continue;
+        const terms = this._findSum(row, c);
+        if (terms)
+          add(
+            'sum',
+            [r, c],
+            terms.map((i) => [r, i])
+          );
+      }
+    });
+
+    return relations;
+  }
+
+  /**
+   * Read the figure in a table cell
+   * @private
+   * @returns {Object|null} { value, decimals, replaced, type, entity } or null if not one figure
+   */
+  _readCell(cell, cellEntities, replacementMap) {
+    if (cellEntities) {
+      if (cellEntities.length !== 1) return null;
+
+      const entity = cellEntities[0];
+      const original = this.replacer.readFigure(entity.type, entity.original);
+      const replaced = this.replacer.readFigure(
+        entity.type,
+        replacementMap.get(`${entity.type}:${entity.original}`)
+      );
+      if (!original || !replaced) return null;
+
+      return {
+        value: original.numericValue,
+        decimals: original.decimalPlaces,
+        replaced: replaced.numericValue,
+        type: entity.type,
+        entity,
+      };
+    }
+
+    // Undetected numbers stay as they are but still take part in sums and products
+    const text = cell.textContent.trim();
+    if (!PLAIN_NUMBER.test(text)) return null;
+
+    const value = parseFloat(text.replace(/,/g, ''));
+    return {
+      value,
+      decimals: (text.split('.')[1] || '').length,
+      replaced: value,
+      type: null,
+      entity: null,
+    };
+  }
+
+  /**
+   * Recompute the results of relationships from their inputs' replaced values
+   * @private
+   * @returns {number} Number of figures given a new replacement
+   */
+  _recompute(grid, relations) {
+    const definitions = new Map(relations.map((rel) => [rel.result.join(':'), rel]));
+    const values = new Map();
+    const resolving = new Set();
+
+    const valueAt = ([r, c]) => {
+      const key = `${r}:${c}`;
+      const figure = grid[r][c];
+      if (values.has(key)) return values.get(key);
+
+      const relation = definitions.get(key);
+      if (!relation || resolving.has(key)) return figure.replaced;
+
+      resolving.add(key);
+      const inputs = relation.inputs.map(valueAt);
+      resolving.delete(key);
+
+      const exact =
+        relation.kind === 'product'
+          ? inputs.reduce((product, value) => product * value, 1)
+          : inputs.reduce((sum, value) => sum + value, 0);
+      const value = parseFloat(exact.toFixed(figure.decimals));
+      values.set(key, value);
+      return value;
+    };
+
+    let recomputed = 0;
+    for (const relation of relations) {
+      const figure = grid[relation.result[0]][relation.result[1]];
+      const value = valueAt(relation.result);
+      if (!figure.entity || value === figure.replaced) continue;
+
+      const replacement = this.replacer.formatLike(
+        figure.entity.type,
+        figure.entity.original,
+        value
+      );
+      if (replacement) {
+        figure.entity.replacement = replacement;
+        recomputed++;
+      }
+    }
+
+    return recomputed;
+  }
+
+  /**
+   * Columns of a row that hold figures
+   * @private
+   */
+  _figureColumns(row) {
+    return row.map((figure, c) => (figure ? c : -1)).filter((c) => c >= 0);
+  }
+
+  /**
+   * Find two figures whose product is the figure at a column, preferring the nearest ones
+   * @private
+   * @returns {Array<number>|null} Columns of the two factors
+   */
+  _findProduct(row, candidates, k) {
+    const result = row[k];
+    if (result.value === 0) return null;
+
+    for (let j = candidates.length - 1; j >= 1; j--) {
+      for (let i = j - 1; i >= 0; i--) {
+        const a = row[candidates[i]];
+        const b = row[candidates[j]];
+        if (this._matches(a.value * b.value, result)) {
+          return [candidates[i], candidates[j]];
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the fewest figures before a position (at least two) that add up to it
+   * Only figures of the same type count, so a quantity and a price never add up to an amount
+   * @private
+   * @returns {Array<number>|null} Positions of the terms
+   */
+  _findSum(line, end) {
+    const result = line[end];
+    if (result.value === 0) return null;
+
+    const terms = [];
+    let sum = 0;
+    for (let i = end - 1; i >= 0; i--) {
+      if (!line[i] || line[i].type !== result.type) continue;
+      terms.push(i);
+      sum += line[i].value;
+      if (terms.length >= 2 && this._matches(sum, result)) {
+        return terms.reverse();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a computed value rounds to a figure at the figure's precision
+   * @private
+   */
+  _matches(value, figure) {
+    return Math.abs(value - figure.value) < 10 ** -figure.decimals / 2 + 1e-9;
+  }
+}
+
+export default TableArithmetic;
@@ -0,0 +1,194 @@
+/**
+ * TableArithmetic Tests
+ */
+
+import { TableArithmetic } from './table-arithmetic.js';
+import { Replacer } from './replacer.js';
+
+describe('TableArithmetic', () => {
+  let replacer;
+  let tableArithmetic;
+
+  // Money entities for every figure in the cells, as the detection pipeline reports them
+  const findFigures = (root) =>
+    Array.from(root.querySelectorAll('td, [role="gridcell"]')).flatMap((cell) => {
+      const node = cell.firstChild;
+      if (!node) return [];
+      return replacer.patternMatcher.findMoney(node.textContent).map((match) => ({
+        type: 'money',
+        original: match.value,
+        start: match.start,
+        end: match.end,
+        node,
+      }));
+    });
+
+  const replaceAll = (entities) =>
+    new Map(
+      entities.map((entity) => [`money:${entity.original}`, replacer.replaceMoney(entity.original)])
+    );
+
+  const valueOf = (entity, replacementMap) =>
+    replacer.readFigure(
+      'money',
+      entity.replacement || replacementMap.get(`money:${entity.original}`)
+    ).numericValue;
+
+  beforeEach(() => {
+    replacer = new Replacer();
+    replacer.moneyMultiplier = 1.137;
+    tableArithmetic = new TableArithmetic(replacer);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('apply', () => {
+    test('should keep line amounts and invoice totals adding up', () => {
+      document.body.innerHTML = `
+        <table>
+          <thead><tr><th>Item</th><th>Qty</th><th>Unit price</th><th>Amount</th></tr></thead>
+          <tbody>
+            <tr><td>Widget</td><td>3</td><td>$19.99</td><td>$59.97</td></tr>
+            <tr><td>Gadget</td><td>7</td><td>$4.35</td><td>$30.45</td></tr>
+          </tbody>
+          <tfoot>
+            <tr><td colspan="3">Subtotal</td><td>$90.42</td></tr>
+            <tr><td colspan="3">Tax</td><td>$7.23</td></tr>
+            <tr><td colspan="3">Total</td><td>$97.65</td></tr>
+          </tfoot>
+        </table>`;
+      const entities = findFigures(document.body);
+      const replacementMap = replaceAll(entities);
+
+      const recomputed = tableArithmetic.apply(entities, replacementMap);
+
+      const [price1, amount1, price2, amount2, subtotal, tax, total] = entities.map((entity) =>
+        valueOf(entity, replacementMap)
+      );
+      expect(recomputed).toBeGreaterThan(0);
+      expect(amount1).toBeCloseTo(3 * price1, 2);
+      expect(amount2).toBeCloseTo(7 * price2, 2);
+      expect(subtotal).toBeCloseTo(amount1 + amount2, 2);
+      expect(total).toBeCloseTo(subtotal + tax, 2);
+      expect(entities[6].replacement).toMatch(/^\$\d+\.\d{2}$/);
+    });
+
+    test('should keep row totals of an ARIA grid adding up', () => {
+      document.body.innerHTML = `
+        <div role="grid">
+          <div role="row">
+            <span role="gridcell">€1,204.50</span>
+            <span role="gridcell">€987.25</span>
+            <span role="gridcell">€1,333.33</span>
+            <span role="gridcell">€3,525.08</span>
+          </div>
+        </div>`;
+      const entities = findFigures(document.body);
+      const replacementMap = replaceAll(entities);
+
+      tableArithmetic.apply(entities, replacementMap);
+
+      const [q1, q2, q3, year] = entities.map((entity) => valueOf(entity, replacementMap));
+      expect(year).toBeCloseTo(q1 + q2 + q3, 2);
+      expect(entities[3].replacement || replacementMap.get('money:€3,525.08')).toMatch(
+        /^€\d,\d{3}\.\d{2}$/
+      );
+    });
+
+    test('should give recomputed figures their own replacement', () => {
+      // "$20.02" is a line total in one row and a unit price in the other
+      document.body.innerHTML = `
+        <table>
+          <tr><td>2</td><td>$10.01</td><td>$20.02</td></tr>
+          <tr><td>1</td><td>$20.02</td><td>$20.02</td></tr>
+        </table>`;
+      replacer.moneyMultiplier = 1.3;
+      const entities = findFigures(document.body);
+      const replacementMap = replaceAll(entities);
+
+      tableArithmetic.apply(entities, replacementMap);
+
+      expect(replacementMap.get('money:$20.02')).toBe('$26.03');
+      expect(entities[1].replacement).toBe('$26.02');
+      expect(entities[2].replacement).toBeUndefined();
+      expect(entities[3].replacement).toBeUndefined();
+    });
+
+    test('should leave figures outside tables and blacked-out figures alone', () => {
+      document.body.innerHTML = '<p>$1.00</p><p>$2.00</p><p>$3.00</p>';
+      const paragraphs = Array.from(document.querySelectorAll('p')).map((p) => ({
+        type: 'money',
+        original: p.textContent,
+        start: 0,
+        end: p.textContent.length,
+        node: p.firstChild,
+      }));
+      expect(tableArithmetic.apply(paragraphs, replaceAll(paragraphs))).toBe(0);
+
+      document.body.innerHTML =
+        '<table><tr><td>$1.00</td><td>$2.00</td><td>$3.00</td></tr></table>';
+      replacer.setRedactionMode('blackout');
+      const entities = findFigures(document.body);
+      expect(tableArithmetic.apply(entities, replaceAll(entities))).toBe(0);
+      expect(entities.every((entity) => entity.replacement === undefined)).toBe(true);
+    });
+  });
+
+  describe('findRelations', () => {
+    const figure = (value, decimals = 2, type = 'money') => ({ value, decimals, type });
+
+    test('should prefer the fewest rows above a total', () => {
+      const grid = [
+        [figure(50)],
+        [figure(40)],
+        [figure(90)], // subtotal
+        [figure(9)], // tax
+        [figure(99)], // total
+      ];
+
+      expect(tableArithmetic.findRelations(grid)).toEqual([
+        {
+          kind: 'sum',
+          result: [2, 0],
+          inputs: [
+            [0, 0],
+            [1, 0],
+          ],
+        },
+        {
+          kind: 'sum',
+          result: [4, 0],
+          inputs: [
+            [2, 0],
+            [3, 0],
+          ],
+        },
+      ]);
+    });
+
+    test('should not add figures of different types', () => {
+      const grid = [[figure(2, 0, 'quantity'), figure(10), figure(12)]];
+
+      expect(tableArithmetic.findRelations(grid)).toEqual([]);
+    });
+  });
+
+  describe('getRows', () => {
+    test('should line columns up across spanned cells', () => {
+      document.body.innerHTML = `
+        <table>
+          <tr><td>a</td><td>b</td><td>c</td></tr>
+          <tr><td colspan="2">d</td><td>e</td></tr>
+        </table>`;
+
+      const rows = tableArithmetic.getRows(document.querySelector('table'));
+
+      expect(rows.map((row) => row.map((cell) => cell && cell.textContent))).toEqual([
+        ['a', 'b', 'c'],
+        ['d', null, 'e'],
+      ]);
+    });
+  });
+});
@@ -22,6 +22,11 @@ const DEFAULT_PII_TYPES = {
     description: i18n.piiTypeQuantitiesDesc,
     enabled: true,
   },
+  percentages: {
+    label: i18n.piiTypePercentages,
+    description: i18n.piiTypePercentagesDesc,
+    enabled: false,
+  },
   emails: { label: i18n.piiTypeEmails, description: i18n.piiTypeEmailsDesc, enabled: false },
   phones: { label: i18n.piiTypePhones, description: i18n.piiTypePhonesDesc, enabled: false },
   addresses: {
@@ -32,6 +37,52 @@ const DEFAULT_PII_TYPES = {
   dates: { label: i18n.piiTypeDates, description: i18n.piiTypeDatesDesc, enabled: false },
   urls: { label: i18n.piiTypeUrls, description: i18n.piiTypeUrlsDesc, enabled: false },
   ips: { label: i18n.piiTypeIps, description: i18n.piiTypeIpsDesc, enabled: false },
+  coordinates: {
+    label: i18n.piiTypeCoordinates,
+    description: i18n.piiTypeCoordinatesDesc,
+    enabled: false,
+  },
+  bankAccounts: {
+    label: i18n.piiTypeBankAccounts,
+    description: i18n.piiTypeBankAccountsDesc,
+    enabled: false,
+  },
+  nino: { label: i18n.piiTypeNino, description: i18n.piiTypeNinoDesc, enabled: false },
+  sin: { label: i18n.piiTypeSin, description: i18n.piiTypeSinDesc, enabled: false },
+  aadhaar: { label: i18n.piiTypeAadhaar, description: i18n.piiTypeAadhaarDesc, enabled: false },
+  insee: { label: i18n.piiTypeInsee, description: i18n.piiTypeInseeDesc, enabled: false },
+  dni: { label: i18n.piiTypeDni, description: i18n.piiTypeDniDesc, enabled: false },
+  cpf: { label: i18n.piiTypeCpf, description: i18n.piiTypeCpfDesc, enabled: false },
+  passports: {
+    label: i18n.piiTypePassports,
+    description: i18n.piiTypePassportsDesc,
+    enabled: false,
+  },
+  secrets: {
+    label: i18n.piiTypeSecrets,
+    description: i18n.piiTypeSecretsDesc,
+    enabled: false,
+  },
+  identifiers: {
+    label: i18n.piiTypeIdentifiers,
+    description: i18n.piiTypeIdentifiersDesc,
+    enabled: false,
+  },
+  crypto: {
+    label: i18n.piiTypeCrypto,
+    description: i18n.piiTypeCryptoDesc,
+    enabled: false,
+  },
+  usernames: {
+    label: i18n.piiTypeUsernames,
+    description: i18n.piiTypeUsernamesDesc,
+    enabled: false,
+  },
+  customRegex: {
+    label: i18n.piiTypeCustomRegex,
+    description: i18n.piiTypeCustomRegexDesc,
+    enabled: true,
+  },
 };
 
 const DEFAULT_BANNER_CONFIG = {
@@ -104,10 +155,35 @@ function initializeUIText() {
     const customRegexTextarea = document.querySelector('.section:nth-child(5) textarea');
     if (customNameInput) customNameInput.placeholder = i18n.placeholderCustomPatternName;
     if (customRegexTextarea) customRegexTextarea.placeholder = i18n.placeholderCustomPatternRegex;
+    document.getElementById('custom-pattern-flags-label').textContent =
+      i18n.settingsCustomPatternFlags;
+    document.getElementById('custom-pattern-flags').placeholder =
+      i18n.placeholderCustomPatternFlags;
+    document.getElementById('custom-pattern-label-label').textContent =
+      i18n.settingsCustomPatternLabel;
+    document.getElementById('custom-pattern-label').placeholder =
+      i18n.placeholderCustomPatternLabel;
+    document.getElementById('custom-pattern-priority-label').textContent =
+      i18n.settingsCustomPatternPriority;
+    document.getElementById('custom-pattern-replacement-label').textContent =
+      i18n.settingsCustomPatternReplacement;
+    const replacementSelect = document.getElementById('custom-pattern-replacement');
+    replacementSelect.options[0].textContent = i18n.customReplacementFake;
+    replacementSelect.options[1].textContent = i18n.customReplacementBlackout;
+    replacementSelect.options[2].textContent = i18n.customReplacementToken;
+    document.getElementById('custom-pattern-token-label').textContent =
+      i18n.settingsCustomPatternToken;
+    document.getElementById('custom-pattern-token').placeholder =
+      i18n.placeholderCustomPatternToken;
 
     // Magnitude Variance label
     const magnitudeLabel = document.querySelector('.section:nth-child(6) .form-group label');
     if (magnitudeLabel) magnitudeLabel.textContent = i18n.settingsVariancePercentage;
+    document.getElementById('percentage-variance-label').textContent =
+      i18n.settingsPercentageVariance;
+    document.getElementById('clamp-percentages-label').textContent = i18n.settingsClampPercentages;
+    document.getElementById('clamp-percentages-description').textContent =
+      i18n.settingsClampPercentagesDesc;
 
     // Redaction Mode label and select options
     const redactionLabel = document.querySelector('.section:nth-child(7) .form-group label');
@@ -117,6 +193,11 @@ function initializeUIText() {
       redactionSelect.options[0].textContent = i18n.redactionModeRandom;
       redactionSelect.options[1].textContent = i18n.redactionModeBlackout;
     }
+    document.getElementById('date-order-label').textContent = i18n.settingsDateOrder;
+    const dateOrderSelect = document.getElementById('date-order');
+    dateOrderSelect.options[0].textContent = i18n.dateOrderAuto;
+    dateOrderSelect.options[1].textContent = i18n.dateOrderMDY;
+    dateOrderSelect.options[2].textContent = i18n.dateOrderDMY;
 
     // About section text
     const aboutSection = document.querySelectorAll('.section:nth-child(10) p strong');
@@ -166,6 +247,10 @@ async function loadSettings() {
   document.getElementById('fade-distance').value = bannerConfig.fadeDistance;
   document.getElementById('fade-value').textContent = bannerConfig.fadeDistance + 'px';
 
+  // Load custom regex patterns
+  const customPatterns = (await getFromStorage(STORAGE_KEYS.CUSTOM_PATTERNS)) || [];
+  renderCustomPatterns(customPatterns);
+
   // Load general settings (redaction mode, etc.)
   const result = await chrome.storage.sync.get(['safesnap_settings']);
   const settings = result.safesnap_settings || {};
@@ -174,6 +259,9 @@ async function loadSettings() {
   const redactionMode = settings.redactionMode || 'random';
   document.getElementById('redaction-mode').value = redactionMode;
 
+  // Load date order
+  document.getElementById('date-order').value = settings.dateOrder || 'auto';
+
   // Load proper noun threshold
   const threshold = settings.properNounThreshold || 0.75;
   document.getElementById('proper-noun-threshold').value = Math.round(threshold * 100);
@@ -185,6 +273,13 @@ async function loadSettings() {
     settings.magnitudeVariance !== undefined ? settings.magnitudeVariance : 100;
   document.getElementById('magnitude-variance').value = magnitudeVariance;
   document.getElementById('magnitude-value').textContent = `±${magnitudeVariance}%`;
+
+  // Load percentage variance and clamping
+  const percentageVariance =
+    settings.percentageVariance !== undefined ? settings.percentageVariance : 30;
+  document.getElementById('percentage-variance').value = percentageVariance;
+  document.getElementById('percentage-value').textContent = `±${percentageVariance}%`;
+  document.getElementById('clamp-percentages').checked = settings.clampPercentages !== false;
 }
 
 /**
@@ -236,6 +331,141 @@ function renderPIITypes(piiTypes) {
   }
 }
 
+/**
+ * Render the list of saved custom regex patterns
+ */
+function renderCustomPatterns(patterns) {
+  const container = document.getElementById('custom-patterns-list');
+  if (!container) return;
+
+  container.innerHTML = '';
+
+  if (patterns.length === 0) {
+    const empty = document.createElement('p');
+    empty.style.cssText = 'color: #6b7280; font-size: 13px';
+    empty.textContent = i18n.settingsCustomPatternsEmpty;
+    container.appendChild(empty);
+    return;
+  }
+
+  patterns.forEach((pattern, index) => {
+    const item = document.createElement('div');
+    item.className = 'checkbox-item';
+
+    // Disabled patterns stay saved but aren't loaded by the detector
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `custom-pattern-enabled-${index}`;
+    checkbox.checked = pattern.enabled !== false;
+    checkbox.addEventListener('change', () => toggleCustomPattern(index, checkbox.checked));
+
+    const details = document.createElement('div');
+    details.style.flex = '1';
+
+    const title = document.createElement('label');
+    title.htmlFor = checkbox.id;
+    title.textContent = `${pattern.name} (${pattern.label || pattern.name})`;
+
+    const description = document.createElement('div');
+    description.className = 'description';
+    const strategy =
+      pattern.replacement === 'token'
+        ? `${i18n.customReplacementToken}: ${pattern.token}`
+        : pattern.replacement === 'blackout'
+          ? i18n.customReplacementBlackout
+          : i18n.customReplacementFake;
+    description.textContent = `/${pattern.pattern}/${pattern.flags || ''} · priority ${pattern.priority} · ${strategy}`;
+
+    details.appendChild(title);
+    details.appendChild(description);
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'btn btn-secondary';
+    removeButton.textContent = i18n.btnRemovePattern;
+    removeButton.addEventListener('click', () => removeCustomPattern(index));
+
+    item.appendChild(checkbox);
+    item.appendChild(details);
+    item.appendChild(removeButton);
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Validate and save a new custom regex pattern from the form
+ */
+async function addCustomPattern() {
+  const name = document.getElementById('custom-pattern-name').value.trim();
+  const pattern = document.getElementById('custom-pattern-regex').value.trim();
+  const flags = document.getElementById('custom-pattern-flags').value.trim();
+  const label = document.getElementById('custom-pattern-label').value.trim();
+  const priority = parseInt(document.getElementById('custom-pattern-priority').value);
+  const replacement = document.getElementById('custom-pattern-replacement').value;
+  const token = document.getElementById('custom-pattern-token').value.trim();
+
+  if (!name || !pattern) {
+    alert(i18n.errorCustomPatternRequired);
+    return;
+  }
+
+  try {
+    new RegExp(pattern, 'g' + flags.replace(/g/g, ''));
+  } catch (error) {
+    alert(`${i18n.errorCustomPatternInvalid} ${error.message}`);
+    return;
+  }
+
+  const patterns = (await getFromStorage(STORAGE_KEYS.CUSTOM_PATTERNS)) || [];
+  patterns.push({
+    name,
+    pattern,
+    flags: flags || undefined,
+    label: label || name,
+    priority: isNaN(priority) ? 75 : Math.min(Math.max(priority, 0), 100),
+    replacement,
+    token: token || undefined,
+    enabled: true,
+  });
+  await saveToStorage(STORAGE_KEYS.CUSTOM_PATTERNS, patterns);
+
+  // Reset the form
+  document.getElementById('custom-pattern-name').value = '';
+  document.getElementById('custom-pattern-regex').value = '';
+  document.getElementById('custom-pattern-flags').value = '';
+  document.getElementById('custom-pattern-label').value = '';
+  document.getElementById('custom-pattern-token').value = '';
+
+  renderCustomPatterns(patterns);
+  showToast(i18n.toastCustomPatternAdded);
+  notifyCustomPatternsChanged();
+}
+
+/**
+ * Enable or disable a saved custom regex pattern
+ */
+async function toggleCustomPattern(index, enabled) {
+  const patterns = (await getFromStorage(STORAGE_KEYS.CUSTOM_PATTERNS)) || [];
+  if (!patterns[index]) return;
+  patterns[index].enabled = enabled;
+  await saveToStorage(STORAGE_KEYS.CUSTOM_PATTERNS, patterns);
+
+  showToast(i18n.toastCustomPatternUpdated);
+  notifyCustomPatternsChanged();
+}
+
+/**
+ * Remove a saved custom regex pattern
+ */
+async function removeCustomPattern(index) {
+  const patterns = (await getFromStorage(STORAGE_KEYS.CUSTOM_PATTERNS)) || [];
+  patterns.splice(index, 1);
+  await saveToStorage(STORAGE_KEYS.CUSTOM_PATTERNS, patterns);
+
+  renderCustomPatterns(patterns);
+  showToast(i18n.toastCustomPatternRemoved);
+  notifyCustomPatternsChanged();
+}
+
 /**
  * Setup event listeners
  */
@@ -255,6 +485,9 @@ function setupEventListeners() {
     });
   });
 
+  // Custom regex patterns
+  document.getElementById('add-custom-pattern').addEventListener('click', addCustomPattern);
+
   // Banner position
   document.getElementById('banner-position').addEventListener('change', async (e) => {
     const config = (await getFromStorage(STORAGE_KEYS.BANNER_CONFIG)) || DEFAULT_BANNER_CONFIG;
@@ -296,6 +529,15 @@ function setupEventListeners() {
     showToast(i18n.toastRedactionModeUpdated);
   });
 
+  // Date order selector
+  document.getElementById('date-order').addEventListener('change', async (e) => {
+    const result = await chrome.storage.sync.get(['safesnap_settings']);
+    const settings = result.safesnap_settings || {};
+    settings.dateOrder = e.target.value;
+    await chrome.storage.sync.set({ safesnap_settings: settings });
+    showToast(i18n.toastDateOrderUpdated);
+  });
+
   // Proper noun threshold slider
   document.getElementById('proper-noun-threshold').addEventListener('input', (e) => {
     const value = parseInt(e.target.value) / 100; // Convert 75 to 0.75
@@ -327,6 +569,30 @@ function setupEventListeners() {
     showToast(i18n.toastMagnitudeVarianceUpdated);
   });
 
+  // Percentage variance slider
+  document.getElementById('percentage-variance').addEventListener('input', (e) => {
+    const value = parseInt(e.target.value);
+    document.getElementById('percentage-value').textContent = `±${value}%`;
+  });
+
+  document.getElementById('percentage-variance').addEventListener('change', async (e) => {
+    const value = parseInt(e.target.value);
+    const result = await chrome.storage.sync.get(['safesnap_settings']);
+    const settings = result.safesnap_settings || {};
+    settings.percentageVariance = value;
+    await chrome.storage.sync.set({ safesnap_settings: settings });
+    showToast(i18n.toastPercentageVarianceUpdated);
+  });
+
+  // Percentage clamping toggle
+  document.getElementById('clamp-percentages').addEventListener('change', async (e) => {
+    const result = await chrome.storage.sync.get(['safesnap_settings']);
+    const settings = result.safesnap_settings || {};
+    settings.clampPercentages = e.target.checked;
+    await chrome.storage.sync.set({ safesnap_settings: settings });
+    showToast(i18n.toastPercentageVarianceUpdated);
+  });
+
   // Debug mode toggle
   // Export/Import settings
   document.getElementById('export-settings').addEventListener('click', exportSettings);
@@ -369,6 +635,7 @@ async function exportSettings() {
     exportDate: new Date().toISOString(),
     piiTypes: await getFromStorage(STORAGE_KEYS.PII_TYPES),
     bannerConfig: await getFromStorage(STORAGE_KEYS.BANNER_CONFIG),
+    customPatterns: await getFromStorage(STORAGE_KEYS.CUSTOM_PATTERNS),
   };
 
   const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
@@ -405,6 +672,9 @@ async function importSettings(event) {
     if (settings.bannerConfig) {
       await saveToStorage(STORAGE_KEYS.BANNER_CONFIG, settings.bannerConfig);
     }
+    if (Array.isArray(settings.customPatterns)) {
+      await saveToStorage(STORAGE_KEYS.CUSTOM_PATTERNS, settings.customPatterns);
+    }
 
     // Reload page to reflect changes
     showToast(i18n.toastSettingsImported);
@@ -466,3 +736,16 @@ function notifyPIITypesChanged() {
     });
   });
 }
+
+/**
+ * Notify all tabs that custom regex patterns have changed
+ */
+function notifyCustomPatternsChanged() {
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach((tab) => {
+      chrome.tabs.sendMessage(tab.id, { type: 'CUSTOM_PATTERNS_CHANGED' }).catch(() => {
+        // Ignore errors for tabs without content script
+      });
+    });
+  });
+}
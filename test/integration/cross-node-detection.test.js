@@ -223,6 +223,23 @@ describe('SafeSnap Integration - Cross-Node Entity Detection', () => {
     });
   });
 
+  describe('Adjacent Amounts in Table Cells', () => {
+    test('should keep each currency symbol with its own cell', () => {
+      document.body.innerHTML = `
+        <table>
+          <tr><td>Widget</td><td>3</td><td>$19.99</td><td>$59.97</td></tr>
+        </table>`;
+
+      const entities = detector.detectInDOM(document.body, ['money', 'quantities']);
+
+      expect(entities.map((e) => [e.type, e.original])).toEqual([
+        ['quantity', '3'],
+        ['money', '$19.99'],
+        ['money', '$59.97'],
+      ]);
+    });
+  });
+
   describe('Priority System (Date > Quantity)', () => {
     test('should prioritize date over quantity in overlapping detections', () => {
       document.body.innerHTML = `<div>Event on 1/16/2026</div>`;
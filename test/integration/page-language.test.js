@@ -0,0 +1,89 @@
+/**
+ * SafeSnap Integration Tests - Page Language
+ *
+ * Common words are looked up in the dictionary of the page or text segment they appear
+ * in, so German nouns and French sentences aren't taken for names.
+ *
+ * @jest-environment jsdom
+ */
+
+const { PIIDetector } = require('../../src/detection/pii-detector.js');
+const { TextExtractor } = require('../../src/detection/text-extractor.js');
+
+describe('SafeSnap Integration - Page Language', () => {
+  let detector;
+
+  const findProperNouns = (html) => {
+    document.body.innerHTML = html;
+    const textMap = new TextExtractor().extractVisibleText(document.body);
+    return detector
+      .findAllCandidates(textMap)
+      .filter((candidate) => candidate.type === 'properNoun' && candidate.willBeProtected)
+      .map((candidate) => candidate.original);
+  };
+
+  beforeEach(async () => {
+    detector = new PIIDetector();
+    await detector.initialize();
+    document.body.innerHTML = '';
+    document.documentElement.removeAttribute('lang');
+  });
+
+  test('should use the dictionary of <html lang>', () => {
+    document.documentElement.setAttribute('lang', 'de-DE');
+
+    const names = findProperNouns(
+      '<p>Ihre Bestellung wurde an Herrn Weber versandt. Die Lieferung dauert zwei Tage.</p>'
+    );
+
+    expect(detector.dictionary.language).toBe('de');
+    expect(names).toContain('Weber');
+    expect(names).not.toContain('Bestellung');
+    expect(names).not.toContain('Lieferung');
+  });
+
+  test('should guess the page language when none is declared', () => {
+    const names = findProperNouns(
+      '<p>Wir haben Ihre Nachricht erhalten. Unsere Firma meldet sich bald bei Ihnen.</p>'
+    );
+
+    expect(detector.dictionary.language).toBe('de');
+    expect(names).not.toContain('Nachricht');
+    expect(names).not.toContain('Firma');
+  });
+
+  test('should not take everyday nouns for names', () => {
+    const pages = [
+      ['de', 'Das Wetter in der Stadt war am Wochenende sehr schön.', ['Wetter', 'Wochenende']],
+      [
+        'de',
+        'Bitte überprüfen Sie Ihre Kontoeinstellungen und bestätigen Sie die Änderung.',
+        ['Kontoeinstellungen', 'Änderung'],
+      ],
+      ['es', 'Gracias por su Compra. Puede seguir su Pedido en la página de Envíos.', ['Compra']],
+      ['nl', 'Uw Pakket is onderweg en wordt morgen door de Bezorger afgeleverd.', ['Pakket']],
+    ];
+
+    for (const [language, text, nouns] of pages) {
+      document.documentElement.setAttribute('lang', language);
+      const names = findProperNouns(`<p>${text}</p>`);
+
+      for (const noun of nouns) expect(names).not.toContain(noun);
+    }
+  });
+
+  test('should use a dictionary per segment on mixed-language pages', () => {
+    document.documentElement.setAttribute('lang', 'en');
+
+    const names = findProperNouns(`
+      <p>Please contact Sarah Connor about your order.</p>
+      <p lang="fr">Votre Commande est prête. Nous vous remercions de votre achat.</p>
+      <p>Wir haben Ihre Nachricht erhalten und melden uns bald bei Ihnen.</p>
+    `);
+
+    expect(detector.dictionary.language).toBe('en');
+    expect(names).toContain('Sarah Connor');
+    expect(names).not.toContain('Commande');
+    expect(names).not.toContain('Nachricht');
+  });
+});
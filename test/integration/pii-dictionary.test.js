@@ -195,6 +195,40 @@ describe('PIIDictionary - Phase 3 & 4: Build and Refine Dictionary', () => {
       expect(entities).toHaveLength(1);
       expect(entities[0].type).toBe('email');
     });
+
+    test('should use per-candidate priority for custom patterns', () => {
+      document.body.innerHTML = '<div>Ref ACME-2026-01-17</div>';
+      const textMap = textExtractor.extractVisibleText(document.body);
+
+      const candidates = [
+        {
+          type: 'customRegex',
+          original: 'ACME-2026-01-17',
+          start: 4,
+          end: 19,
+          confidence: 1.0,
+          priority: 95,
+          context: { label: 'Account ID', replacement: 'fake' },
+        },
+        {
+          type: 'date',
+          original: '2026-01-17',
+          start: 9,
+          end: 19,
+          confidence: 0.8,
+        },
+      ];
+
+      dictionary.buildFrom(candidates, textMap);
+      dictionary.refine();
+
+      const entities = dictionary.getAll();
+      expect(entities).toHaveLength(1);
+      expect(entities[0].type).toBe('customRegex');
+      expect(entities[0].priority).toBe(95);
+      expect(entities[0].context.label).toBe('Account ID');
+      expect(dictionary.getEnabled(['customRegex'])).toHaveLength(1);
+    });
   });
 
   describe('Phase 4: Refine Dictionary - Confidence Filtering', () => {
@@ -283,6 +317,23 @@ describe('PIIDictionary - Phase 3 & 4: Build and Refine Dictionary', () => {
       const enabled2 = dictionary.getEnabled(['emails', 'money']);
       expect(enabled2).toHaveLength(2);
     });
+
+    test('should expand grouped UI types to all of their entity types', () => {
+      document.body.innerHTML = '<div>Routing 021000021 Account 4455667788 SWIFT: DEUTDEFF</div>';
+      const textMap = textExtractor.extractVisibleText(document.body);
+
+      const candidates = [
+        { type: 'routingNumber', original: '021000021', start: 8, end: 17, confidence: 1.0 },
+        { type: 'bankAccount', original: '4455667788', start: 26, end: 36, confidence: 1.0 },
+        { type: 'bic', original: 'DEUTDEFF', start: 44, end: 52, confidence: 1.0 },
+      ];
+
+      dictionary.buildFrom(candidates, textMap);
+      dictionary.refine();
+
+      expect(dictionary.getEnabled(['bankAccounts'])).toHaveLength(3);
+      expect(dictionary.getEnabled(['emails'])).toHaveLength(0);
+    });
   });
 
   describe('Statistics', () => {
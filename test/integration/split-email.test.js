@@ -0,0 +1,62 @@
+/**
+ * Integration Tests for emails split across inline elements
+ *
+ * CRMs often render the local part and domain of an address in separate spans; the whole
+ * pipeline (extract, detect, replace, restore) must treat them as one email
+ *
+ * @jest-environment jsdom
+ */
+
+const { protectPII, restoreOriginal } = require('../../src/content/modules/pii-protection.js');
+const { PIIDetector } = require('../../src/detection/pii-detector.js');
+const { Replacer } = require('../../src/replacement/replacer.js');
+const { ConsistencyMapper } = require('../../src/replacement/consistency-mapper.js');
+
+describe('Emails split across inline elements', () => {
+  let detector;
+
+  beforeEach(async () => {
+    detector = new PIIDetector();
+    await detector.initialize();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    restoreOriginal();
+  });
+
+  test('should replace the local part and domain in their own elements', async () => {
+    document.body.innerHTML =
+      '<p>Owner: <span class="local">jane.doe</span><span class="domain">@acme.com</span></p>';
+
+    await protectPII(['emails'], detector, new Replacer(), new ConsistencyMapper());
+
+    const local = document.querySelector('.local').textContent;
+    const domain = document.querySelector('.domain').textContent;
+    expect(`${local}${domain}`).toMatch(/^[a-z.]+@[a-z0-9-]+\.[a-z]{2,}$/);
+    expect(local).not.toContain('@');
+    expect(domain).toMatch(/^@/);
+    expect(document.body.textContent).not.toContain('acme.com');
+  });
+
+  test('should replace an "@" written between two elements', async () => {
+    document.body.innerHTML = '<p>Reply to <b>bob</b>@<i>corp.io</i> today</p>';
+
+    await protectPII(['emails'], detector, new Replacer(), new ConsistencyMapper());
+
+    expect(document.querySelector('p').textContent).toMatch(
+      /^Reply to [a-z.]+@[a-z0-9-]+\.[a-z]{2,} today$/
+    );
+    expect(document.querySelector('b').textContent).not.toBe('bob');
+  });
+
+  test('should restore the original elements', async () => {
+    const html = '<p><span>jane.doe</span><span>@acme.com</span></p>';
+    document.body.innerHTML = html;
+
+    await protectPII(['emails'], detector, new Replacer(), new ConsistencyMapper());
+    restoreOriginal();
+
+    expect(document.body.innerHTML).toBe(html);
+  });
+});
@@ -51,6 +51,24 @@ describe('TextExtractor - Phase 1: Extract Visible Text', () => {
       // Space separator should be added between segments
       expect(textMap.fullText).toMatch(/Word1\s+Word2/);
     });
+
+    test('should keep an email split across inline elements in one segment', () => {
+      document.body.innerHTML = '<p><span>jane.doe</span><span>@acme.com</span> wrote</p>';
+
+      const textMap = extractor.extractVisibleText(document.body);
+
+      expect(textMap.fullText).toContain('jane.doe@acme.com');
+      expect(textMap.segments[0].text).toBe('jane.doe@acme.com');
+      expect(textMap.segments[0].nodes).toHaveLength(2);
+    });
+
+    test('should not join an "@" across block elements', () => {
+      document.body.innerHTML = '<div>jane.doe</div><div>@acme.com</div>';
+
+      const textMap = extractor.extractVisibleText(document.body);
+
+      expect(textMap.fullText).toMatch(/jane\.doe\s+@acme\.com/);
+    });
   });
 
   describe('Cross-Node Inline Elements', () => {